@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * Command-line batch runner for Chuck's Game of Darwinism.
+ * Seeds a random grid, steps the simulation for a number of generations and writes
+ * per-state population counts as CSV or JSON lines to stdout or a file.
+ * With --benchmark it instead reports the step rate at several grid sizes.
+ */
+
+import { createWriteStream, readFileSync } from 'node:fs';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { parseArgs } from 'node:util';
+import { DEFAULT_RULES } from '../javascript/constants/rules.js';
+import { NEIGHBORHOOD, MIN_RADIUS, MAX_RADIUS } from '../javascript/constants/neighborhoods.js';
+import { BOUNDARY } from '../javascript/constants/boundaries.js';
+import { BatchRunner, OUTPUT_FORMATS } from '../javascript/classes/BatchRunner.js';
+import { SeededRandom } from '../javascript/classes/SeededRandom.js';
+import { Benchmark, BENCHMARK_SIZES } from '../javascript/classes/Benchmark.js';
+import { RuleScript } from '../javascript/classes/RuleScript.js';
+
+const USAGE = `Usage: darwinism [options]
+
+Options:
+  -c, --cols <n>          Grid columns (default: 128)
+  -r, --rows <n>          Grid rows (default: 128)
+  -n, --generations <n>   Generations to simulate (default: 100)
+  -k, --every <n>         Report every k-th generation (default: 1)
+  -f, --format <fmt>      Output format: ${OUTPUT_FORMATS.join(' | ')} (default: csv)
+      --neighborhood <t>  Neighborhood: ${Object.values(NEIGHBORHOOD).join(' | ')} (default: moore)
+      --radius <n>        Neighborhood radius, ${MIN_RADIUS}-${MAX_RADIUS} (default: 1)
+      --boundary <b>      Edges: ${Object.values(BOUNDARY).join(' | ')} (default: torus)
+  -s, --seed <n>          Seed for the random fill (default: random, reported on stderr)
+      --rules <file>      JSON file of rule values
+      --script <file>     Rule script replacing the built-in rules (see rules/darwinism.rules)
+  -o, --output <file>     Write to a file instead of stdout
+  -h, --help              Show this help
+
+Benchmark (reports generations per second instead of population counts):
+      --benchmark         Run the benchmark
+      --sizes <list>      Comma-separated grid sizes (default: ${BENCHMARK_SIZES.join(',')})
+      --duration <ms>     Timed run per size in milliseconds (default: 2000)
+
+Rule flags (override --rules):
+${Object.entries(DEFAULT_RULES).map(([key, value]) => `      --${key} <n>`.padEnd(26) + `(default: ${value})`).join('\n')}
+`;
+
+/**
+ * Parses an integer command-line option, rejecting anything that is not a whole number.
+ *
+ * @param {string} name - The option name, used in error messages
+ * @param {string} value - The raw option value
+ * @returns {number} The parsed integer
+ */
+function parseInteger(name, value) {
+    if (!/^-?\d+$/.test(value)) {
+        throw new RangeError(`--${name} must be an integer, got ${value}`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Builds the rule values from an optional JSON file, an optional rule script and
+ * any per-rule flags.
+ *
+ * @param {Object} values - Parsed command-line values
+ * @returns {Object} Rule values keyed by parameter name
+ * @throws {SyntaxError} If the rule script is invalid (the message names the file)
+ */
+function loadRules(values) {
+    const rules = values.rules ? JSON.parse(readFileSync(values.rules, 'utf8')) : {};
+
+    if (values.script !== undefined) {
+        rules.script = readFileSync(values.script, 'utf8');
+        try {
+            new RuleScript(rules.script);
+        } catch (e) {
+            throw new SyntaxError(`${values.script}: ${e.message}`);
+        }
+    }
+
+    Object.keys(DEFAULT_RULES).forEach((key) => {
+        if (values[key] !== undefined) {
+            rules[key] = values[key];
+        }
+    });
+
+    return rules;
+}
+
+/**
+ * Creates the benchmark or batch runner described by the command line.
+ *
+ * @param {Object} values - Parsed command-line values
+ * @returns {Benchmark|BatchRunner} An object whose run(write) method produces the output
+ */
+function createRunner(values) {
+    const neighborhood = { type: values.neighborhood, radius: parseInteger('radius', values.radius) };
+    const rules = loadRules(values);
+
+    if (values.benchmark) {
+        return new Benchmark({
+            sizes: values.sizes === undefined
+                ? BENCHMARK_SIZES
+                : values.sizes.split(',').map((size) => parseInteger('sizes', size.trim())),
+            duration: parseInteger('duration', values.duration),
+            format: values.format,
+            neighborhood,
+            boundary: values.boundary,
+            seed: values.seed === undefined ? undefined : parseInteger('seed', values.seed),
+            rules
+        });
+    }
+
+    const seed = values.seed === undefined
+        ? SeededRandom.randomSeed()
+        : parseInteger('seed', values.seed);
+
+    const runner = new BatchRunner({
+        columns: parseInteger('cols', values.cols),
+        rows: parseInteger('rows', values.rows),
+        generations: parseInteger('generations', values.generations),
+        every: parseInteger('every', values.every),
+        format: values.format,
+        neighborhood,
+        boundary: values.boundary,
+        seed,
+        rules
+    });
+    // Reported only once every option is known to be valid
+    if (values.seed === undefined) {
+        console.error(`darwinism: seed ${seed}`);
+    }
+    return runner;
+}
+
+/**
+ * Parses the command line, runs the batch (or benchmark) and writes its output.
+ * The run is streamed, so it waits whenever the output cannot keep up (e.g. a slow
+ * reader on a pipe), and stops quietly if the reader goes away (e.g. `| head`).
+ *
+ * @param {Array<string>} argv - Command-line arguments, excluding the node and script paths
+ * @returns {Promise} Resolves once the output has been written
+ */
+async function main(argv) {
+    const ruleOptions = Object.fromEntries(
+        Object.keys(DEFAULT_RULES).map((key) => [key, { type: 'string' }])
+    );
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            cols: { type: 'string', short: 'c', default: '128' },
+            rows: { type: 'string', short: 'r', default: '128' },
+            generations: { type: 'string', short: 'n', default: '100' },
+            every: { type: 'string', short: 'k', default: '1' },
+            format: { type: 'string', short: 'f', default: 'csv' },
+            neighborhood: { type: 'string', default: NEIGHBORHOOD.MOORE },
+            radius: { type: 'string', default: '1' },
+            boundary: { type: 'string', default: BOUNDARY.TORUS },
+            seed: { type: 'string', short: 's' },
+            rules: { type: 'string' },
+            script: { type: 'string' },
+            output: { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h' },
+            benchmark: { type: 'boolean' },
+            sizes: { type: 'string' },
+            duration: { type: 'string', default: '2000' },
+            ...ruleOptions
+        }
+    });
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const runner = createRunner(values);
+    const output = values.output ? createWriteStream(values.output) : process.stdout;
+    try {
+        await pipeline(Readable.from(runner.lines()), output);
+    } catch (e) {
+        // The reader closed the pipe: it has all the output it wants
+        if (e.code !== 'EPIPE') throw e;
+    }
+}
+
+main(process.argv.slice(2)).catch((e) => {
+    console.error(`darwinism: ${e.message}`);
+    console.error('Run "darwinism --help" for usage.');
+    process.exitCode = 1;
+});
@@ -45,6 +45,14 @@ export default [
       'no-unreachable': 'error'
     }
   },
+
+  // Node command-line tools and tests
+  {
+    files: ['bin/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: globals.node
+    }
+  },
   
   // JSON configuration
   {
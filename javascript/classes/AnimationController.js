@@ -6,6 +6,9 @@
 
 const playBtn = document.getElementById('play-button');
 const stepBtn = document.getElementById('step-button');
+const backBtn = document.getElementById('back-button');
+const timelineSlider = document.getElementById('timeline');
+const generationDisplay = document.getElementById('generation');
 const speed = document.getElementById('speed');
 const fpsDisplay = document.getElementById('fps');
 
@@ -13,21 +16,33 @@ export class AnimationController {
     /**
      * Creates a new AnimationController instance to manage simulation playback.
      * 
-     * @param {SimulationEngine} simulation - The simulation engine that processes cellular automaton rules
+     * @param {SimulationWorker} simulation - The simulation that processes cellular automaton rules off the main thread
      * @param {Renderer} renderer - The renderer responsible for drawing the simulation state to canvas
      * @param {HistoryRenderer} historyRenderer - The history renderer for tracking cell changes over time
+     * @param {HeatmapRenderer} heatmapRenderer - The heatmap renderer counting every generation
+     * @param {Timeline} timeline - The record of past generations for stepping back and scrubbing
+     * @param {PopulationChart} populationChart - The statistics panel, updated after every step
+     * @param {CellInspector} cellInspector - The cell inspector, refreshed after every step
      * 
-     * @property {SimulationEngine} simulation - Reference to the simulation engine for stepping through generations
+     * @property {SimulationWorker} simulation - Reference to the simulation for stepping through generations
      * @property {Renderer} renderer - Reference to the renderer for updating visual display
      * @property {HistoryRenderer} historyRenderer - Reference to the history renderer for tracking changes
+     * @property {HeatmapRenderer} heatmapRenderer - Reference to the heatmap renderer for counting generations
+     * @property {Timeline} timeline - Reference to the record of past generations
+     * @property {PopulationChart} populationChart - Reference to the statistics panel
+     * @property {CellInspector} cellInspector - Reference to the cell inspector
      * @property {boolean} running - Current playback state: true when animation is playing, false when paused
      * @property {number} lastTick - Timestamp of the last animation frame, used for frame rate limiting
      * @property {number} targetFPS - Target frames per second for the animation (1-60 fps)
      */
-    constructor(simulation, renderer, historyRenderer) {
+    constructor(simulation, renderer, historyRenderer, heatmapRenderer, timeline, populationChart, cellInspector) {
         this.simulation = simulation;
         this.renderer = renderer;
         this.historyRenderer = historyRenderer;
+        this.heatmapRenderer = heatmapRenderer;
+        this.timeline = timeline;
+        this.populationChart = populationChart;
+        this.cellInspector = cellInspector;
         this.running = false;
         this.lastTick = 0;
         this.targetFPS = 12;
@@ -40,6 +55,8 @@ export class AnimationController {
      * Sets up listeners for:
      * - Play/Pause button: Toggles animation playback
      * - Step button: Advances simulation by one generation when paused
+     * - Back button: Returns to the previous generation
+     * - Timeline slider: Scrubs through the recorded generations (pausing playback)
      * - Speed slider: Adjusts animation frame rate
      * 
      * Also performs initial speed configuration from the slider's default value.
@@ -47,9 +64,12 @@ export class AnimationController {
     setupControls() {
         playBtn.addEventListener('click', () => this.togglePlay());
         stepBtn.addEventListener('click', () => this.step());
+        backBtn.addEventListener('click', () => this.stepBack());
+        timelineSlider.addEventListener('input', () => this.seek(parseInt(timelineSlider.value, 10)));
         speed.addEventListener('input', () => this.updateSpeed());
         
         this.updateSpeed();
+        this.updateTimeline();
     }
 
     /**
@@ -108,17 +128,97 @@ export class AnimationController {
      * Useful for frame-by-frame analysis of the cellular automaton's evolution.
      * 
      * This method will:
-     * 1. Check if animation is paused
-     * 2. Execute one simulation step if paused
-     * 3. Immediately render the new state
-     * 4. Track changes in the history overlay
+     * 1. Check if animation is paused and no step is already being computed
+     * 2. Request one simulation step if so
+     * 3. Render the new state once it arrives
+     * 4. Track changes in the history overlay and count them for the heatmaps
      */
     step() {
-        if (!this.running) {
-            this.simulation.step();
+        if (!this.running && !this.simulation.busy) {
+            this.advance();
+        }
+    }
+
+    /**
+     * Requests the next generation and draws it when it is ready.
+     * The current generation is recorded in the timeline first, which discards any
+     * later generations left over from stepping back (the run branches from here), and
+     * taken as the heatmap counters' last sample, so edits since the last step are not counted.
+     * The step runs in the simulation worker, so the page keeps responding meanwhile.
+     * Results dropped because the grid was replaced during the step are not drawn.
+     * 
+     * @returns {Promise} Resolves once the new generation has been drawn
+     */
+    advance() {
+        if (!this.simulation.busy) {
+            this.timeline.record();
+            this.heatmapRenderer.beginStep();
+        }
+        return this.simulation.step().then((changed) => {
+            if (!changed) return;
             this.renderer.draw();
             this.historyRenderer.trackChanges();
+            this.heatmapRenderer.trackChanges();
+            this.updateTimeline();
+            this.populationChart.update();
+            this.cellInspector.refresh();
+        });
+    }
+
+    /**
+     * Returns to the previous generation, if it is recorded.
+     * Like step(), only works while paused.
+     */
+    stepBack() {
+        if (!this.running) {
+            this.seek(this.simulation.gridModel.generation - 1);
+        }
+    }
+
+    /**
+     * Pauses playback and returns the grid to a recorded generation (see Timeline.seek).
+     * A step still being computed is dropped, since it started from another generation.
+     * The heatmap counters start over from the generation shown: they cannot take back
+     * the generations counted since, so they would count them again after stepping on.
+     * 
+     * @param {number} generation - The generation to show
+     */
+    seek(generation) {
+        this.pause();
+        if (this.timeline.seek(generation)) {
+            this.simulation.sync();
+            this.heatmapRenderer.clearHistory();
+            this.renderer.draw();
+            this.populationChart.update();
+            this.cellInspector.refresh();
         }
+        this.updateTimeline();
+    }
+
+    /**
+     * Forgets the recorded and charted generations after the board was replaced
+     * (cleared, seeded, resized, loaded or restored by undo) and starts them over
+     * from the current board.
+     */
+    resetTimeline() {
+        this.timeline.reset();
+        this.updateTimeline();
+        this.populationChart.reset();
+        this.populationChart.update();
+        this.cellInspector.refresh();
+    }
+
+    /**
+     * Updates the timeline slider's range and position and the generation display
+     * to match the recorded generations and the grid's current generation.
+     */
+    updateTimeline() {
+        const generation = this.simulation.gridModel.generation;
+        timelineSlider.min = this.timeline.first;
+        timelineSlider.max = this.timeline.last;
+        timelineSlider.value = generation;
+        backBtn.disabled = generation <= this.timeline.first;
+        generationDisplay.textContent = generation;
     }
 
     /**
@@ -131,21 +231,22 @@ export class AnimationController {
      * The loop:
      * 1. Checks if animation should continue running
      * 2. Calculates if enough time has passed for the next frame
-     * 3. Steps the simulation and renders if frame interval is met
+     * 3. Requests a step (drawn when it arrives) if the frame interval is met and
+     *    the previous step has finished
      * 4. Recursively schedules the next frame
      * 
      * Frame timing is controlled by targetFPS to allow variable speed playback.
+     * When a step takes longer than the frame interval the animation simply runs
+     * slower; frames keep being scheduled, so the page never freezes.
      */
     loop(timestamp) {
         if (!this.running) return;
         
         const interval = 1000 / Math.max(1, this.targetFPS);
         
-        if (timestamp - this.lastTick >= interval) {
+        if (!this.simulation.busy && timestamp - this.lastTick >= interval) {
             this.lastTick = timestamp;
-            this.simulation.step();
-            this.renderer.draw();
-            this.historyRenderer.trackChanges();
+            this.advance();
         }
         
         requestAnimationFrame((ts) => this.loop(ts));
@@ -6,30 +6,74 @@
  */
 
 import { RuleParameters } from './RuleParameters.js';
-import { GridModel } from './GridModel.js';
+import { RuleControls } from './RuleControls.js';
+import { RulePresets } from './RulePresets.js';
+import { PresetControls } from './PresetControls.js';
+import { RuleScriptEditor } from './RuleScriptEditor.js';
+import { GridModel, MAX_GRID_SIZE } from './GridModel.js';
 import { Renderer } from './Renderer.js';
 import { HistoryRenderer } from './HistoryRenderer.js';
-import { SimulationEngine } from './SimulationEngine.js';
+import { WebGLRenderer } from './WebGLRenderer.js';
+import { WebGLHistoryRenderer } from './WebGLHistoryRenderer.js';
+import { HeatmapRenderer } from './HeatmapRenderer.js';
+import { SimulationWorker } from './SimulationWorker.js';
 import { InteractionHandler } from './InteractionHandler.js';
 import { AnimationController } from './AnimationController.js';
-import { STATE } from '../constants/state.js';
+import { SeededRandom } from './SeededRandom.js';
+import { StateFile } from './StateFile.js';
+import { RLEPattern } from './RLEPattern.js';
+import { ShareLink } from './ShareLink.js';
+import { EditHistory } from './EditHistory.js';
+import { Timeline } from './Timeline.js';
+import { PopulationChart } from './PopulationChart.js';
+import { CellInspector } from './CellInspector.js';
+import { Viewport } from './Viewport.js';
+import { STATE, SPECIES, speciesLetter } from '../constants/state.js';
+import { MIN_RADIUS, MAX_RADIUS } from '../constants/neighborhoods.js';
 import { COLORS, updateColor, loadColors } from '../constants/colors.js';
+import { genomesEnabled } from '../constants/genome.js';
+import { downloadBlob } from '../download.js';
 
 const canvas = document.getElementById('primary-view');
+const canvasContainer = document.querySelector('.canvas-container');
 const historyCanvas = document.getElementById('history-overlay');
+const heatmapCanvas = document.getElementById('heatmap-overlay');
+const populationCanvas = document.getElementById('population-chart');
 const clearBtn = document.getElementById('clear-button');
 const clearHistoryBtn = document.getElementById('clear-history-button');
+const historyModeSelect = document.getElementById('history-mode');
+const colormapSelect = document.getElementById('colormap');
+const exportCountsBtn = document.getElementById('export-counts-button');
+const exportHeatmapBtn = document.getElementById('export-heatmap-button');
 const randBtn = document.getElementById('rand-button');
+const seedInput = document.getElementById('seed');
+const saveBtn = document.getElementById('save-button');
+const loadBtn = document.getElementById('load-button');
+const loadFileInput = document.getElementById('load-file');
+const exportRleBtn = document.getElementById('export-rle-button');
+const importRleBtn = document.getElementById('import-rle-button');
+const rleFileInput = document.getElementById('rle-file');
+const copyLinkBtn = document.getElementById('copy-link-button');
 const colsInput = document.getElementById('cols');
 const rowsInput = document.getElementById('rows');
 const cellPxInput = document.getElementById('cellPx');
 const resizeBtn = document.getElementById('resizeBtn');
+const neighborhoodSelect = document.getElementById('neighborhood');
+const radiusInput = document.getElementById('radius');
+const boundarySelect = document.getElementById('boundary');
 const overlayOpacitySlider = document.getElementById('overlay-opacity');
-const colorEmpty = document.getElementById('color-empty');
-const colorSpeciesA = document.getElementById('color-species-a');
-const colorSpeciesB = document.getElementById('color-species-b');
-const colorDiseased = document.getElementById('color-diseased');
-const colorContested = document.getElementById('color-contested');
+const activeTilesToggle = document.getElementById('show-active-tiles');
+const colorBySelect = document.getElementById('color-by');
+const speciesElements = document.querySelectorAll('[data-species]');
+const colorPickers = {
+    [STATE.EMPTY]: document.getElementById('color-empty'),
+    [STATE.DISEASED]: document.getElementById('color-diseased'),
+    [STATE.CONTESTED]: document.getElementById('color-contested'),
+    [STATE.RECOVERED]: document.getElementById('color-recovered')
+};
+SPECIES.forEach((state, index) => {
+    colorPickers[state] = document.getElementById(`color-species-${speciesLetter(index).toLowerCase()}`);
+});
 
 
 export class Application {
@@ -38,19 +82,34 @@ export class Application {
      * Sets up all components, event listeners, and seeds the grid with an initial pattern.
      * 
      * @property {RuleParameters} ruleParams - Manages simulation parameters and rule configurations
+     * @property {RuleControls} ruleControls - Binds the rule sliders to the rule parameters
+     * @property {RulePresets} presets - Built-in and saved rule presets
+     * @property {PresetControls} presetControls - Binds the preset picker and buttons
+     * @property {RuleScriptEditor} ruleScriptEditor - Binds the rule script panel
      * @property {GridModel} gridModel - Handles the cellular grid data structure and cell states
-     * @property {Renderer} renderer - Responsible for drawing the grid to the canvas
-     * @property {HistoryRenderer} historyRenderer - Manages the history overlay visualization
-     * @property {SimulationEngine} simulation - Processes cellular automaton rules and evolution
+     * @property {Renderer|WebGLRenderer} renderer - Responsible for drawing the grid to the canvas
+     * @property {HistoryRenderer|WebGLHistoryRenderer} historyRenderer - Manages the history overlay visualization
+     * @property {HeatmapRenderer} heatmapRenderer - Counts every cell's history and shows it as a heatmap
+     * @property {Viewport} viewport - Zooms and pans the board inside its frame
+     * @property {SimulationWorker} simulation - Processes cellular automaton rules and evolution in a Web Worker
+     * @property {EditHistory} editHistory - Undo and redo stacks of board edits
      * @property {InteractionHandler} interaction - Manages user interactions with the grid
+     * @property {Timeline} timeline - Past generations for stepping back and scrubbing
+     * @property {PopulationChart} populationChart - Shows the generation and per-state cell counts
+     * @property {CellInspector} cellInspector - Explains the cell under the pointer
      * @property {AnimationController} animation - Controls animation playback and frame timing
+     * @property {SeededRandom} random - Seedable generator used for random fills
      */
     constructor() {
         this.loadSavedColors();
         this.initializeComponents();
         this.setupEventListeners();
-        this.historyRenderer.setOpacity(overlayOpacitySlider.value / 100);
-        this.seedInitialPattern();
+        this.showHistory();
+        if (location.hash.length > 1) {
+            this.applyLink(location.hash);
+        } else {
+            this.seedInitialPattern();
+        }
     }
 
     /**
@@ -58,10 +117,12 @@ export class Application {
      * Creates instances of each system component with appropriate configuration from UI inputs.
      * 
      * The initialization order is important:
-     * 1. RuleParameters - Provides configuration for simulation rules
+     * 1. RuleParameters - Provides configuration for simulation rules (bound to sliders by RuleControls,
+     *    to the preset picker by PresetControls and to the rule script panel by RuleScriptEditor)
      * 2. GridModel - Creates the data structure for storing cell states
-     * 3. Renderer - Sets up canvas rendering for the grid
-     * 4. SimulationEngine - Implements the cellular automaton logic
+     * 3. Renderer - Sets up canvas rendering for the grid (WebGL where available, see createRenderers),
+     *    and the Viewport zooming and panning it
+     * 4. SimulationWorker - Runs the cellular automaton logic in a Web Worker
      * 5. InteractionHandler - Enables user interaction with cells
      * 6. AnimationController - Manages the animation loop
      * 
@@ -73,12 +134,53 @@ export class Application {
         const cellSize = parseInt(cellPxInput.value, 10);
 
         this.ruleParams = new RuleParameters();
-        this.gridModel = new GridModel(columns, rows, cellSize);
-        this.renderer = new Renderer(canvas, this.gridModel);
-        this.historyRenderer = new HistoryRenderer(historyCanvas, this.gridModel);
-        this.simulation = new SimulationEngine(this.gridModel, this.ruleParams);
-        this.interaction = new InteractionHandler(canvas, this.gridModel, this.renderer, this.historyRenderer);
-        this.animation = new AnimationController(this.simulation, this.renderer, this.historyRenderer);
+        this.ruleControls = new RuleControls(this.ruleParams);
+        this.presets = new RulePresets(localStorage);
+        this.presetControls = new PresetControls(this.presets, this.ruleParams, this.ruleControls);
+        this.ruleScriptEditor = new RuleScriptEditor(this.ruleParams);
+        this.gridModel = new GridModel(columns, rows, cellSize, this.readNeighborhood(), boundarySelect.value);
+        this.ruleControls.setNeighborhoodSize(this.gridModel.neighborhoodSize);
+        this.createRenderers();
+        this.viewport = new Viewport(this.gridModel);
+        this.simulation = new SimulationWorker(this.gridModel, this.ruleParams);
+        this.editHistory = new EditHistory(this.gridModel);
+        this.interaction = new InteractionHandler(canvas, this.gridModel, this.renderer, this.historyRenderer, this.heatmapRenderer, this.simulation, this.editHistory);
+        this.timeline = new Timeline(this.gridModel);
+        this.populationChart = new PopulationChart(populationCanvas, this.gridModel);
+        this.cellInspector = new CellInspector(this.gridModel, this.simulation.engine, this.ruleParams, this.interaction);
+        this.animation = new AnimationController(
+            this.simulation, this.renderer, this.historyRenderer, this.heatmapRenderer, this.timeline,
+            this.populationChart, this.cellInspector
+        );
+        this.random = new SeededRandom();
+        seedInput.value = this.random.seed;
+    }
+
+    /**
+     * Creates the renderers of the board and the history overlays.
+     * The board and the blended history draw with WebGL where the browser supports it
+     * and with the Canvas 2D API otherwise; adding ?renderer=canvas to the page's URL
+     * forces the 2D renderers. The heatmap is always drawn with the Canvas 2D API.
+     */
+    createRenderers() {
+        const webgl = new URLSearchParams(location.search).get('renderer') !== 'canvas';
+        this.renderer = (webgl && WebGLRenderer.create(canvas, this.gridModel)) ||
+            new Renderer(canvas, this.gridModel);
+        this.historyRenderer = (webgl && WebGLHistoryRenderer.create(historyCanvas, this.gridModel)) ||
+            new HistoryRenderer(historyCanvas, this.gridModel);
+        this.heatmapRenderer = new HeatmapRenderer(heatmapCanvas, this.gridModel);
+    }
+
+    /**
+     * Sizes the canvases to the grid after its size, cell size or lattice changed
+     * (which clears the history overlays) and fits the board in the viewport.
+     */
+    resizeCanvases() {
+        const { columns, rows, cellSize } = this.gridModel;
+        this.renderer.updateCanvasSize();
+        this.historyRenderer.handleResize(columns, rows, cellSize);
+        this.heatmapRenderer.handleResize();
+        this.viewport.fit();
     }
 
     /**
@@ -88,11 +190,9 @@ export class Application {
         loadColors();
         
         // Update color picker values to match loaded colors
-        colorEmpty.value = COLORS[STATE.EMPTY];
-        colorSpeciesA.value = COLORS[STATE.SPECIES_A];
-        colorSpeciesB.value = COLORS[STATE.SPECIES_B];
-        colorDiseased.value = COLORS[STATE.DISEASED];
-        colorContested.value = COLORS[STATE.CONTESTED];
+        Object.entries(colorPickers).forEach(([state, picker]) => {
+            picker.value = COLORS[state];
+        });
     }
 
     /**
@@ -101,77 +201,174 @@ export class Application {
      * 
      * UI Controls:
      * - Clear button: Resets the grid to empty state
-     * - Random button: Generates a random pattern on the grid
+     * - Random button: Generates a random pattern on the grid from a fresh seed
+     * - Seed input: Regenerates the random pattern from the entered seed
+     * - Save / Load buttons: Write the complete state to a file and read it back;
+     *   a state file can also be dropped onto the board
+     * - RLE buttons: Export the live cells as a Golly RLE pattern and import one at the
+     *   center of the board; an .rle file dropped onto the board is placed at the cursor
+     * - Copy link button: Copies a link reproducing the current setup; opening a link
+     *   (or changing the page's hash) applies it
      * - Resize button: Changes grid dimensions based on input values
+     * - Neighborhood select / radius: Changes the neighborhood shape and radius
+     * - Edges select: Changes the boundary mode (torus, dead, mirror, Klein bottle, cylinder)
+     * - Color pickers: Change the color of each state
+     * - SPECIES slider: Shows the legend and brush entries of the active species
+     * - Active tiles checkbox: Outlines the tiles evaluated in the last step (debugging)
+     * - History select / colormap: Show the blended history or one of the heatmaps of the
+     *   counted history (see HeatmapRenderer), with the colormap of its values
+     * - Counts CSV / Heatmap PNG buttons: Download the counted history or the heatmap shown
      * 
      * Keyboard Shortcuts:
-     * - Space: Toggle play/pause animation
+     * - Space: Toggle play/pause animation (on release; holding it while dragging pans instead)
      * - N: Step forward one generation (when paused)
+     * - B: Step back one generation (when paused)
      * - R: Randomize the grid
      * - C: Clear the grid
+     * - F: Fit the whole board in view (see Viewport for zooming and panning)
+     * - Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y): Undo / redo the last board edit (Cmd on macOS)
      * 
      * Keyboard events are ignored when focus is on input elements to prevent
-     * interference with text entry.
+     * interference with text entry. Other Ctrl/Cmd combinations are left to the browser.
      */
     setupEventListeners() {
         clearBtn.addEventListener('click', () => this.clear());
         clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+        exportCountsBtn.addEventListener('click', () => this.exportHistoryCounts());
+        exportHeatmapBtn.addEventListener('click', () => this.exportHeatmap());
         randBtn.addEventListener('click', () => this.randomize());
+        seedInput.addEventListener('change', () => {
+            const seed = Number(seedInput.value);
+            if (Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF) {
+                this.randomize(seed);
+            } else {
+                seedInput.value = this.random.seed;
+            }
+        });
+        saveBtn.addEventListener('click', () => this.save());
+        loadBtn.addEventListener('click', () => loadFileInput.click());
+        loadFileInput.addEventListener('change', () => {
+            if (loadFileInput.files.length) {
+                this.loadFile(loadFileInput.files[0]);
+            }
+            loadFileInput.value = '';
+        });
+        copyLinkBtn.addEventListener('click', () => this.copyLink());
+        window.addEventListener('hashchange', () => this.applyLink(location.hash));
+        exportRleBtn.addEventListener('click', () => this.exportPattern());
+        importRleBtn.addEventListener('click', () => rleFileInput.click());
+        rleFileInput.addEventListener('change', () => {
+            if (rleFileInput.files.length) {
+                rleFileInput.files[0].text().then((text) => this.importPattern(text));
+            }
+            rleFileInput.value = '';
+        });
+        canvasContainer.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            canvasContainer.classList.add('drop-target');
+        });
+        canvasContainer.addEventListener('dragleave', () => {
+            canvasContainer.classList.remove('drop-target');
+        });
+        canvasContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            canvasContainer.classList.remove('drop-target');
+            if (!e.dataTransfer.files.length) return;
+            const file = e.dataTransfer.files[0];
+            if (file.name.toLowerCase().endsWith('.rle')) {
+                file.text().then((text) => this.importPattern(text, this.interaction.eventToCell(e)));
+            } else {
+                this.loadFile(file);
+            }
+        });
         resizeBtn.addEventListener('click', () => this.resize());
+        neighborhoodSelect.addEventListener('change', () => this.changeNeighborhood());
+        radiusInput.addEventListener('change', () => this.changeNeighborhood());
+        boundarySelect.addEventListener('change', () => {
+            this.gridModel.setBoundary(boundarySelect.value);
+            this.simulation.sync();
+        });
         
         // Overlay controls
-        overlayOpacitySlider.addEventListener('input', (event) => {
-            const opacity = event.target.value / 100;
-            this.historyRenderer.setOpacity(opacity);
-        });
-
-        // Color picker controls
-        colorEmpty.addEventListener('change', (event) => {
-            updateColor(STATE.EMPTY, event.target.value);
-            this.historyRenderer.updateColors();
-            this.renderer.draw();
+        overlayOpacitySlider.addEventListener('input', () => this.showHistory());
+        historyModeSelect.addEventListener('change', () => this.showHistory());
+        colormapSelect.addEventListener('change', () => {
+            this.heatmapRenderer.colormap = colormapSelect.value;
+            this.showHistory();
         });
-        colorSpeciesA.addEventListener('change', (event) => {
-            updateColor(STATE.SPECIES_A, event.target.value);
-            this.historyRenderer.updateColors();
+        activeTilesToggle.addEventListener('change', () => {
+            this.renderer.showActiveTiles = activeTilesToggle.checked;
             this.renderer.draw();
         });
-        colorSpeciesB.addEventListener('change', (event) => {
-            updateColor(STATE.SPECIES_B, event.target.value);
-            this.historyRenderer.updateColors();
+        colorBySelect.addEventListener('change', () => {
+            this.renderer.colorBy = colorBySelect.value;
             this.renderer.draw();
         });
-        colorDiseased.addEventListener('change', (event) => {
-            updateColor(STATE.DISEASED, event.target.value);
-            this.historyRenderer.updateColors();
-            this.renderer.draw();
+
+        // Color picker controls
+        Object.entries(colorPickers).forEach(([state, picker]) => {
+            picker.addEventListener('change', (event) => {
+                updateColor(Number(state), event.target.value);
+                this.historyRenderer.updateColors();
+                this.heatmapRenderer.updateColors();
+                this.renderer.draw();
+            });
         });
-        colorContested.addEventListener('change', (event) => {
-            updateColor(STATE.CONTESTED, event.target.value);
-            this.historyRenderer.updateColors();
-            this.renderer.draw();
+
+        // Species count (SPECIES slider) and the trait readout (GENOMES checkbox)
+        this.ruleParams.onChange((values) => {
+            this.updateSpeciesCount(values.species);
+            this.populationChart.setShowTraits(genomesEnabled(values));
         });
+        this.updateSpeciesCount(this.ruleParams.getValues().species);
+        this.populationChart.setShowTraits(genomesEnabled(this.ruleParams.getValues()));
 
         // Keyboard shortcuts
         window.addEventListener('keydown', (e) => {
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
+
+            if (e.ctrlKey || e.metaKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' || key === 'y') {
+                    e.preventDefault();
+                    if (key === 'y' || e.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                }
+                return;
+            }
 
             switch (e.key.toLowerCase()) {
                 case ' ':
+                    // Playback is toggled when Space is released, unless it was held to pan
                     e.preventDefault();
-                    this.animation.togglePlay();
                     break;
                 case 'n':
                     if (!this.animation.running) {
                         this.animation.step();
                     }
                     break;
+                case 'b':
+                    this.animation.stepBack();
+                    break;
                 case 'r':
                     this.randomize();
                     break;
                 case 'c':
                     this.clear();
                     break;
+                case 'f':
+                    this.viewport.fit();
+                    break;
+            }
+        });
+        window.addEventListener('keyup', (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
+
+            if (e.key === ' ' && !e.ctrlKey && !e.metaKey && !this.viewport.spacePanned) {
+                this.animation.togglePlay();
             }
         });
     }
@@ -180,9 +377,13 @@ export class Application {
      * Clears all cells in the grid, resetting them to empty state.
      * Immediately redraws the canvas to reflect the empty grid.
      * This method is useful for resetting the simulation to a blank slate.
+     * The previous board is recorded, so clearing can be undone.
      */
     clear() {
+        this.editHistory.record();
         this.gridModel.clear();
+        this.simulation.sync();
+        this.animation.resetTimeline();
         this.renderer.draw();
     }
 
@@ -195,27 +396,256 @@ export class Application {
      * 2. For each cell position, checks against the density parameter
      * 3. If a cell should be created, determines its type:
      *    - Diseased cells: Created based on gdensity (growth density) parameter
-     *    - Species A or B: Randomly assigned with 50/50 probability
+     *    - Species: Randomly assigned among the active species with equal probability
      * 
      * The density parameter controls the overall cell population (0-100%),
      * while gdensity controls the proportion of diseased cells within that population.
+     * 
+     * All random choices come from a SeededRandom reset to the given seed, which is
+     * shown in the seed input. The same seed, rules and grid size always produce the
+     * same board, and therefore the same generations.
+     * 
+     * The previous board is recorded, so randomizing can be undone.
+     * 
+     * @param {number} seed - Seed for the fill (default: a fresh random seed)
      */
-    randomize() {
-        this.clear();
+    randomize(seed = SeededRandom.randomSeed()) {
+        this.editHistory.record();
+        this.fillFromSeed(seed);
+    }
+
+    /**
+     * Fills the grid from a seed without recording an undo step (see randomize).
+     * 
+     * @param {number} seed - Seed for the fill
+     */
+    fillFromSeed(seed) {
         const params = this.ruleParams.getValues();
+        this.random.reseed(seed);
+        seedInput.value = seed;
+        this.gridModel.randomize(params.density, params.gdensity, () => this.random.next(), params.species);
+        this.simulation.sync();
+        this.animation.resetTimeline();
+        this.renderer.draw();
+    }
 
-        for (let index = 0; index < this.gridModel.grid.length; index++) {
-            if (Math.random() < params.density) {
-                if (Math.random() < params.gdensity) {
-                    this.gridModel.grid[index] = STATE.DISEASED;
-                } else {
-                    this.gridModel.grid[index] = Math.random() < 0.5
-                        ? STATE.SPECIES_A
-                        : STATE.SPECIES_B;
+    /**
+     * Downloads the complete simulation state as a JSON file (see StateFile).
+     * The file is named after the seed and generation, e.g. darwinism-1234-gen56.json.
+     */
+    save() {
+        const text = StateFile.stringify(this.gridModel, this.ruleParams, this.random.seed);
+        downloadBlob(
+            new Blob([text], { type: 'application/json' }),
+            `darwinism-${this.random.seed}-gen${this.gridModel.generation}.json`
+        );
+    }
+
+    /**
+     * Reads a state file chosen by the user or dropped onto the board and loads it.
+     * 
+     * @param {File} file - The state file
+     * @returns {Promise} Resolves once the file has been loaded (or rejected with an alert)
+     */
+    loadFile(file) {
+        return file.text().then((text) => this.load(text));
+    }
+
+    /**
+     * Restores a saved simulation state, replacing the grid, every rule value,
+     * the generation count and the seed.
+     * 
+     * @param {string} text - The state file's JSON text
+     * 
+     * Playback is paused, the grid, neighborhood and rule inputs are updated to
+     * match the file, and the history overlay is cleared. Invalid files are reported
+     * to the user and leave the current state untouched.
+     */
+    load(text) {
+        let saved;
+        try {
+            saved = StateFile.parse(text);
+        } catch (e) {
+            alert(`Could not load the state file: ${e.message}`);
+            return;
+        }
+        this.editHistory.record();
+
+        const { snapshot } = saved;
+        this.animation.pause();
+        this.gridModel.cellSize = saved.cellSize;
+        this.gridModel.restore(snapshot);
+
+        colsInput.value = snapshot.columns;
+        rowsInput.value = snapshot.rows;
+        cellPxInput.value = saved.cellSize;
+        neighborhoodSelect.value = snapshot.neighborhood.type;
+        radiusInput.value = snapshot.neighborhood.radius;
+        boundarySelect.value = snapshot.boundary;
+
+        // Rescale the sliders first so their ranges cannot clamp the restored values
+        this.ruleControls.setNeighborhoodSize(this.gridModel.neighborhoodSize);
+        this.ruleParams.setValues(saved.rules);
+        this.ruleControls.refresh();
+
+        if (Number.isInteger(saved.seed)) {
+            this.random.reseed(saved.seed);
+            seedInput.value = saved.seed;
+        }
+
+        this.simulation.sync();
+        this.resizeCanvases();
+        this.animation.resetTimeline();
+        this.renderer.draw();
+    }
+
+    /**
+     * Downloads the bounding box of all live cells as a Golly RLE pattern (see RLEPattern),
+     * with the current rules embedded in its rule line.
+     */
+    exportPattern() {
+        const text = RLEPattern.encode(this.gridModel, this.ruleParams);
+        downloadBlob(new Blob([text], { type: 'text/plain' }), `darwinism-gen${this.gridModel.generation}.rle`);
+    }
+
+    /**
+     * Places a Golly RLE pattern on the grid.
+     * 
+     * @param {string} text - The RLE text
+     * @param {Array<number>} cell - Optional [x, y] cell for the pattern's top-left corner;
+     *   the pattern is centered on the grid when omitted
+     * 
+     * The pattern's whole bounding box is copied, empty cells included, and whatever
+     * falls outside the grid is cut off. Rules embedded in a Darwinism rule line replace
+     * the current rules; patterns from other rules keep them. Invalid patterns are
+     * reported to the user and leave the grid untouched.
+     */
+    importPattern(text, cell) {
+        let pattern;
+        try {
+            pattern = RLEPattern.decode(text);
+        } catch (e) {
+            alert(`Could not import the RLE pattern: ${e.message}`);
+            return;
+        }
+        this.editHistory.record();
+
+        const { width, height } = pattern;
+        const [left, top] = cell || [
+            Math.floor((this.gridModel.columns - width) / 2),
+            Math.floor((this.gridModel.rows - height) / 2)
+        ];
+        this.placeCells(pattern, left, top);
+
+        if (pattern.rules) {
+            this.ruleParams.setValues(pattern.rules);
+            this.ruleControls.refresh();
+        }
+        this.simulation.sync();
+        this.renderer.draw();
+    }
+
+    /**
+     * Writes a block of cells onto the grid, cutting off whatever falls outside it.
+     * The caller syncs the simulation afterwards.
+     * 
+     * @param {Object} block - The cells: { width, height, cells } with cells as STATE values (row-major)
+     * @param {number} left - Grid column of the block's left edge
+     * @param {number} top - Grid row of the block's top edge
+     */
+    placeCells({ width, height, cells }, left, top) {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const column = left + x;
+                const row = top + y;
+                if (column >= 0 && column < this.gridModel.columns && row >= 0 && row < this.gridModel.rows) {
+                    this.gridModel.setCell(column, row, cells[y * width + x]);
                 }
             }
         }
+    }
+
+    /**
+     * Puts a link reproducing the current setup (see ShareLink) in the address bar
+     * and copies it to the clipboard, briefly confirming on the button.
+     * Where the clipboard is unavailable the link is shown for copying by hand.
+     */
+    copyLink() {
+        const hash = ShareLink.stringify(this.gridModel, this.ruleParams, this.random.seed);
+        history.replaceState(null, '', hash);
+        const url = location.href;
+
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+        copied.then(() => {
+            const label = copyLinkBtn.textContent;
+            copyLinkBtn.textContent = '✓ Copied';
+            setTimeout(() => {
+                copyLinkBtn.textContent = label;
+            }, 1500);
+        }, () => prompt('Copy this link:', url));
+    }
 
+    /**
+     * Applies a shared link's setup: grid size, neighborhood, edges, rules and seed,
+     * then either places the link's pattern on a cleared board or fills the board
+     * from the seed.
+     * 
+     * @param {string} hash - The link's hash (see ShareLink)
+     * 
+     * Playback is paused and the history overlay is cleared. Settings the link leaves
+     * out keep their current values, and grid sizes are clamped to the Resize limits.
+     * Invalid links are reported to the user and leave the current setup untouched.
+     */
+    applyLink(hash) {
+        let setup;
+        try {
+            setup = ShareLink.parse(hash);
+        } catch (e) {
+            alert(`Could not open the link: ${e.message}`);
+            return;
+        }
+        this.editHistory.record();
+
+        this.animation.pause();
+        const grid = this.gridModel;
+        // Clamped like resize(), since links come from other people
+        const columns = Math.max(10, Math.min(MAX_GRID_SIZE, setup.columns || grid.columns));
+        const rows = Math.max(10, Math.min(MAX_GRID_SIZE, setup.rows || grid.rows));
+        const cellSize = Math.max(2, Math.min(20, setup.cellSize || grid.cellSize));
+        if (setup.neighborhood) {
+            grid.setNeighborhood(setup.neighborhood.type, setup.neighborhood.radius);
+        }
+        if (setup.boundary) {
+            grid.setBoundary(setup.boundary);
+        }
+        grid.resize(columns, rows, cellSize, false);
+
+        colsInput.value = columns;
+        rowsInput.value = rows;
+        cellPxInput.value = cellSize;
+        neighborhoodSelect.value = grid.neighborhood.type;
+        radiusInput.value = grid.neighborhood.radius;
+        boundarySelect.value = grid.boundary;
+
+        // Rescale the sliders first so their ranges cannot clamp the linked values
+        this.ruleControls.setNeighborhoodSize(grid.neighborhoodSize);
+        this.ruleParams.setValues(setup.rules);
+        this.ruleControls.refresh();
+
+        const seed = setup.seed === undefined ? this.random.seed : setup.seed;
+        if (setup.pattern) {
+            this.random.reseed(seed);
+            seedInput.value = seed;
+            grid.clear();
+            this.placeCells(setup.pattern, setup.pattern.left, setup.pattern.top);
+            this.simulation.sync();
+            this.animation.resetTimeline();
+        } else {
+            this.fillFromSeed(seed);
+        }
+
+        this.resizeCanvases();
+        this.clearHistory();
         this.renderer.draw();
     }
 
@@ -224,8 +654,8 @@ export class Application {
      * Validates input values to ensure they fall within acceptable ranges.
      * 
      * Input validation ranges:
-     * - Columns: 10-512 cells (clamped to range)
-     * - Rows: 10-512 cells (clamped to range)
+     * - Columns: 10-MAX_GRID_SIZE (512) cells (clamped to range)
+     * - Rows: 10-MAX_GRID_SIZE (512) cells (clamped to range)
      * - Cell size: 2-20 pixels (clamped to range)
      * 
      * After resizing:
@@ -233,16 +663,113 @@ export class Application {
      * 2. Adjusts the canvas size to fit the new grid
      * 3. Redraws the grid (content is not preserved during resize)
      * 
-     * Note: The resize operation clears existing cell data by default.
+     * Note: The resize operation clears existing cell data by default; it can be undone.
      */
     resize() {
-        const columns = Math.max(10, Math.min(512, parseInt(colsInput.value, 10)));
-        const rows = Math.max(10, Math.min(512, parseInt(rowsInput.value, 10)));
+        const columns = Math.max(10, Math.min(MAX_GRID_SIZE, parseInt(colsInput.value, 10)));
+        const rows = Math.max(10, Math.min(MAX_GRID_SIZE, parseInt(rowsInput.value, 10)));
         const cellSize = Math.max(2, Math.min(20, parseInt(cellPxInput.value, 10)));
 
+        this.editHistory.record();
         this.gridModel.resize(columns, rows, cellSize, false);
-        this.renderer.updateCanvasSize();
-        this.historyRenderer.handleResize(columns, rows, cellSize);
+        this.simulation.sync();
+        this.resizeCanvases();
+        this.animation.resetTimeline();
+        this.renderer.draw();
+    }
+
+    /**
+     * Undoes the last board edit (see EditHistory).
+     */
+    undo() {
+        const { columns, rows, cellSize } = this.gridModel;
+        if (this.editHistory.undo()) {
+            this.showRestoredBoard(columns, rows, cellSize);
+        }
+    }
+
+    /**
+     * Redoes the last undone board edit (see EditHistory).
+     */
+    redo() {
+        const { columns, rows, cellSize } = this.gridModel;
+        if (this.editHistory.redo()) {
+            this.showRestoredBoard(columns, rows, cellSize);
+        }
+    }
+
+    /**
+     * Syncs and redraws after undo or redo replaced the board, whose past generations
+     * are no longer those in the timeline.
+     * The canvases and size inputs are only updated (and the history overlay cleared)
+     * when the board's size differs from before.
+     * 
+     * @param {number} columns - Number of columns before the board was replaced
+     * @param {number} rows - Number of rows before the board was replaced
+     * @param {number} cellSize - Cell size before the board was replaced
+     */
+    showRestoredBoard(columns, rows, cellSize) {
+        const grid = this.gridModel;
+        this.simulation.sync();
+        this.animation.resetTimeline();
+        if (grid.columns !== columns || grid.rows !== rows || grid.cellSize !== cellSize) {
+            colsInput.value = grid.columns;
+            rowsInput.value = grid.rows;
+            cellPxInput.value = grid.cellSize;
+            this.resizeCanvases();
+        }
+        this.renderer.draw();
+    }
+
+    /**
+     * Shows the legend and brush entries of the first `count` species and hides the rest.
+     * Cells of species beyond the count are left on the grid and keep competing.
+     * 
+     * @param {number} count - Number of active species (2-8)
+     */
+    updateSpeciesCount(count) {
+        speciesElements.forEach((element) => {
+            const active = element.dataset.species.charCodeAt(0) - 65 < count;
+            element.hidden = !active;
+            if (element.tagName === 'OPTION') {
+                element.disabled = !active;
+            }
+        });
+        if (historyModeSelect.selectedOptions[0].disabled) {
+            historyModeSelect.value = 'blend';
+            this.showHistory();
+        }
+        this.interaction.setSpeciesCount(count);
+        this.ruleControls.setSpeciesCount(count);
+    }
+
+    /**
+     * Reads the neighborhood shape and radius from the UI inputs.
+     * The radius is clamped to the supported range and written back to its input.
+     * 
+     * @returns {Object} The selected neighborhood ({ type, radius })
+     */
+    readNeighborhood() {
+        const radius = Math.max(MIN_RADIUS, Math.min(MAX_RADIUS, parseInt(radiusInput.value, 10) || MIN_RADIUS));
+        radiusInput.value = radius;
+        return { type: neighborhoodSelect.value, radius };
+    }
+
+    /**
+     * Applies the neighborhood selected in the UI.
+     * 
+     * Switching neighborhoods:
+     * 1. Updates the neighbor offsets used by the grid model
+     * 2. Rescales the threshold slider ranges to the new neighborhood size
+     * 3. Resizes both canvases (hexagonal lattices are half a cell wider)
+     * 4. Redraws the grid (cell content is preserved)
+     */
+    changeNeighborhood() {
+        const { type, radius } = this.readNeighborhood();
+        this.gridModel.setNeighborhood(type, radius);
+        this.simulation.sync();
+        this.ruleControls.setNeighborhoodSize(this.gridModel.neighborhoodSize);
+        this.resizeCanvases();
         this.renderer.draw();
     }
 
@@ -298,14 +825,60 @@ export class Application {
             this.gridModel.setCell(x, y, STATE.DISEASED);
         }
 
+        this.simulation.sync();
+        this.animation.resetTimeline();
         this.renderer.draw();
     }
 
     /**
      * Clears the history overlay canvas without affecting the main simulation.
-     * Resets the history tracking to start fresh from the current state.
+     * Resets the history tracking (and the counts behind the heatmaps) to start fresh
+     * from the current state.
      */
     clearHistory() {
         this.historyRenderer.clearHistory();
+        this.heatmapRenderer.clearHistory();
+    }
+
+    /**
+     * Shows the history selected in the History select at the overlay opacity: the
+     * blended history overlay, or the heatmap overlay in the selected mode. The other
+     * overlay is made fully transparent, and the heatmap is only drawn while shown.
+     * Heatmaps can only be downloaded as PNG while one is shown.
+     */
+    showHistory() {
+        const opacity = overlayOpacitySlider.value / 100;
+        const heatmap = historyModeSelect.value !== 'blend';
+        if (heatmap) {
+            this.heatmapRenderer.mode = historyModeSelect.value;
+        }
+        this.historyRenderer.setOpacity(heatmap ? 0 : opacity);
+        this.heatmapRenderer.setOpacity(heatmap ? opacity : 0);
+        this.heatmapRenderer.show(heatmap);
+        exportHeatmapBtn.disabled = !heatmap;
+    }
+
+    /**
+     * Downloads the counted history of every cell as CSV (see HistoryCounts.toCSV).
+     * The file is named after the generation, e.g. darwinism-counts-gen56.csv.
+     */
+    exportHistoryCounts() {
+        const text = this.heatmapRenderer.counts.toCSV();
+        downloadBlob(new Blob([text], { type: 'text/csv' }), `darwinism-counts-gen${this.gridModel.generation}.csv`);
+    }
+
+    /**
+     * Downloads the heatmap shown as a PNG with one pixel per cell
+     * (see HeatmapRenderer.cellImage), named after its mode and the generation.
+     */
+    exportHeatmap() {
+        const image = this.heatmapRenderer.cellImage();
+        const picture = document.createElement('canvas');
+        picture.width = image.width;
+        picture.height = image.height;
+        picture.getContext('2d').putImageData(image, 0, 0);
+        picture.toBlob((blob) => {
+            downloadBlob(blob, `darwinism-${this.heatmapRenderer.mode.toLowerCase()}-gen${this.gridModel.generation}.png`);
+        }, 'image/png');
     }
 }
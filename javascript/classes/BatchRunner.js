@@ -0,0 +1,115 @@
+/**
+ * BatchRunner class runs a simulation for a fixed number of generations without any UI.
+ * It seeds a fresh grid the same way the browser's Randomize button does, steps the
+ * simulation engine, and reports per-state population counts as CSV or JSON lines.
+ * With genomes on, each line also carries the mean trait values of the species cells.
+ */
+
+import { STATE } from '../constants/state.js';
+import { TRAITS, genomesEnabled } from '../constants/genome.js';
+import { GridModel } from './GridModel.js';
+import { RuleParameters } from './RuleParameters.js';
+import { SimulationEngine } from './SimulationEngine.js';
+import { SeededRandom } from './SeededRandom.js';
+
+export const OUTPUT_FORMATS = ['csv', 'json'];
+
+export class BatchRunner {
+    /**
+     * Creates a new BatchRunner with a randomly seeded grid.
+     *
+     * @param {Object} options - Run configuration
+     * @param {number} options.columns - Number of grid columns
+     * @param {number} options.rows - Number of grid rows
+     * @param {Object} options.rules - Rule values (missing keys fall back to DEFAULT_RULES)
+     * @param {number} options.generations - Number of generations to simulate
+     * @param {number} options.every - Report every k-th generation (default: 1)
+     * @param {string} options.format - Output format, one of OUTPUT_FORMATS (default: 'csv')
+     * @param {Object} options.neighborhood - Neighborhood shape and radius (default: Moore, radius 1)
+     * @param {string} options.boundary - Edge behavior, one of the BOUNDARY values (default: torus)
+     * @param {number} options.seed - Seed for the random fill (default: a fresh random seed)
+     * @throws {RangeError} If a numeric option is out of range or the format is unknown
+     *
+     * @property {GridModel} gridModel - The grid being simulated
+     * @property {RuleParameters} ruleParams - The rules driving the simulation
+     * @property {SimulationEngine} simulation - The engine stepping the grid
+     * @property {SeededRandom} random - The generator used to seed the grid
+     * @property {boolean} traits - Whether mean trait values are reported (genomes are on, see genomesEnabled)
+     */
+    constructor({ columns, rows, rules = {}, generations, every = 1, format = 'csv', neighborhood, boundary, seed = SeededRandom.randomSeed() }) {
+        [['columns', columns], ['rows', rows], ['every', every]].forEach(([name, value]) => {
+            if (!Number.isInteger(value) || value < 1) {
+                throw new RangeError(`${name} must be a positive integer, got ${value}`);
+            }
+        });
+        if (!Number.isInteger(generations) || generations < 0) {
+            throw new RangeError(`generations must be a non-negative integer, got ${generations}`);
+        }
+        if (!OUTPUT_FORMATS.includes(format)) {
+            throw new RangeError(`format must be one of ${OUTPUT_FORMATS.join(', ')}, got ${format}`);
+        }
+
+        this.generations = generations;
+        this.every = every;
+        this.format = format;
+
+        this.ruleParams = new RuleParameters(rules);
+        this.gridModel = new GridModel(columns, rows, 1, neighborhood, boundary);
+        this.simulation = new SimulationEngine(this.gridModel, this.ruleParams);
+        this.random = new SeededRandom(seed);
+
+        const params = this.ruleParams.getValues();
+        this.traits = genomesEnabled(params);
+        this.gridModel.randomize(params.density, params.gdensity, () => this.random.next(), params.species);
+    }
+
+    /**
+     * Runs the simulation to completion, emitting one output line per reported generation.
+     * Generation 0 (the seeded grid) and the final generation are always reported.
+     *
+     * @param {Function} write - Receives each output line, including the trailing newline
+     */
+    run(write) {
+        for (const line of this.lines()) {
+            write(line);
+        }
+    }
+
+    /**
+     * Runs the simulation lazily: each output line is computed when it is asked for,
+     * so a consumer can pause the run, e.g. a stream waiting for a slow reader.
+     *
+     * @yields {string} Each output line of run(), including the trailing newline
+     */
+    *lines() {
+        if (this.format === 'csv') {
+            yield ['generation', ...Object.keys(STATE), ...(this.traits ? TRAITS : [])].join(',') + '\n';
+        }
+        yield this.report(0);
+
+        for (let generation = 1; generation <= this.generations; generation++) {
+            this.simulation.step();
+            if (generation % this.every === 0 || generation === this.generations) {
+                yield this.report(generation);
+            }
+        }
+    }
+
+    /**
+     * Formats the population counts (and mean traits) of the current grid in the
+     * configured format.
+     *
+     * @param {number} generation - The generation number being reported
+     * @returns {string} The output line, including the trailing newline
+     */
+    report(generation) {
+        const counts = this.gridModel.countStates();
+        const traits = this.traits ? this.gridModel.meanTraits() : {};
+
+        if (this.format === 'json') {
+            return JSON.stringify({ generation, ...counts, ...traits }) + '\n';
+        }
+        const means = Object.values(traits).map((value) => value.toFixed(4));
+        return [generation, ...Object.values(counts), ...means].join(',') + '\n';
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Benchmark class measures how many generations per second the simulation engine
+ * computes at several square grid sizes. Each size is seeded like a batch run, warmed
+ * up so the JavaScript engine can optimize the step kernel, then stepped repeatedly
+ * for a fixed wall-clock duration.
+ */
+
+import { BatchRunner, OUTPUT_FORMATS } from './BatchRunner.js';
+
+export const BENCHMARK_SIZES = [128, 256, 512, 1024];
+
+export class Benchmark {
+    /**
+     * Creates a new Benchmark.
+     *
+     * @param {Object} options - Benchmark configuration
+     * @param {Array<number>} options.sizes - Grid side lengths to measure (default: BENCHMARK_SIZES)
+     * @param {number} options.duration - Milliseconds to step each size for (default: 2000)
+     * @param {number} options.warmup - Untimed generations stepped before measuring (default: 5)
+     * @param {string} options.format - Output format, one of OUTPUT_FORMATS (default: 'csv')
+     * @param {Object} options.rules - Rule values (missing keys fall back to DEFAULT_RULES)
+     * @param {Object} options.neighborhood - Neighborhood shape and radius (default: Moore, radius 1)
+     * @param {string} options.boundary - Edge behavior, one of the BOUNDARY values (default: torus)
+     * @param {number} options.seed - Seed for the random fill (default: 1, so runs are comparable)
+     * @throws {RangeError} If a size, the duration or the warm-up is out of range, or the format is unknown
+     */
+    constructor({ sizes = BENCHMARK_SIZES, duration = 2000, warmup = 5, format = 'csv', rules = {}, neighborhood, boundary, seed = 1 } = {}) {
+        if (!Array.isArray(sizes) || sizes.length === 0) {
+            throw new RangeError('sizes must be a non-empty list of grid sizes');
+        }
+        sizes.forEach((size) => {
+            if (!Number.isInteger(size) || size < 1) {
+                throw new RangeError(`size must be a positive integer, got ${size}`);
+            }
+        });
+        if (!Number.isFinite(duration) || duration <= 0) {
+            throw new RangeError(`duration must be a positive number of milliseconds, got ${duration}`);
+        }
+        if (!Number.isInteger(warmup) || warmup < 0) {
+            throw new RangeError(`warmup must be a non-negative integer, got ${warmup}`);
+        }
+        if (!OUTPUT_FORMATS.includes(format)) {
+            throw new RangeError(`format must be one of ${OUTPUT_FORMATS.join(', ')}, got ${format}`);
+        }
+
+        this.sizes = sizes;
+        this.duration = duration;
+        this.warmup = warmup;
+        this.format = format;
+        this.setup = { rules, neighborhood, boundary, seed };
+    }
+
+    /**
+     * Measures the step rate on a freshly seeded square grid.
+     *
+     * @param {number} size - Grid side length in cells
+     * @returns {Object} The measurement:
+     *   - size: Grid side length
+     *   - cells: Number of cells (size²)
+     *   - generations: Generations stepped during the timed run
+     *   - seconds: Length of the timed run
+     *   - generationsPerSecond: generations / seconds
+     */
+    measure(size) {
+        const runner = new BatchRunner({ columns: size, rows: size, generations: 0, ...this.setup });
+        const simulation = runner.simulation;
+
+        for (let i = 0; i < this.warmup; i++) {
+            simulation.step();
+        }
+
+        let generations = 0;
+        const start = performance.now();
+        let elapsed = 0;
+        while (elapsed < this.duration) {
+            simulation.step();
+            generations++;
+            elapsed = performance.now() - start;
+        }
+
+        const seconds = elapsed / 1000;
+        return { size, cells: size * size, generations, seconds, generationsPerSecond: generations / seconds };
+    }
+
+    /**
+     * Measures every configured size in order, emitting one output line per size.
+     *
+     * @param {Function} write - Receives each output line, including the trailing newline
+     * @returns {Array<Object>} The measurements (see measure)
+     */
+    run(write) {
+        const results = [];
+        for (const line of this.lines(results)) {
+            write(line);
+        }
+        return results;
+    }
+
+    /**
+     * Measures the sizes lazily: each size is measured when its output line is asked
+     * for, so a consumer waiting between lines does not skew the timings.
+     *
+     * @param {Array<Object>} results - Receives each measurement (see measure), if given
+     * @yields {string} Each output line of run(), including the trailing newline
+     */
+    *lines(results = []) {
+        if (this.format === 'csv') {
+            yield 'size,cells,generations,seconds,generationsPerSecond\n';
+        }
+
+        for (const size of this.sizes) {
+            const result = this.measure(size);
+            results.push(result);
+            if (this.format === 'json') {
+                yield JSON.stringify(result) + '\n';
+            } else {
+                yield [size, result.cells, result.generations, result.seconds.toFixed(3), result.generationsPerSecond.toFixed(1)].join(',') + '\n';
+            }
+        }
+    }
+}
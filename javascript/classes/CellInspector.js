@@ -0,0 +1,167 @@
+/**
+ * CellInspector class shows the cell under the pointer in the inspector panel: its
+ * coordinates, state and ages, its neighbors and the species' strengths around it, and
+ * what the next generation will make of it and why (see SimulationEngine.explainCell).
+ * The last cell inspected stays in the panel after the pointer leaves the board and is
+ * followed from generation to generation, so a cell can be watched while the
+ * simulation runs.
+ */
+
+import { STATE, SPECIES, MAX_SPECIES, speciesIndex, speciesLetter, stateName } from '../constants/state.js';
+import { TRAITS, traitValue, genomesEnabled } from '../constants/genome.js';
+
+const canvas = document.getElementById('primary-view');
+const cellDisplay = document.getElementById('inspector-cell');
+const inspectorHint = document.getElementById('inspector-hint');
+const fieldList = document.querySelector('.inspector-fields');
+const fieldDisplays = document.querySelectorAll('[data-inspect]');
+
+// Letters of the non-species states among the neighbor counts, as in rule scripts
+const STATE_LETTERS = {
+    [STATE.DISEASED]: 'G',
+    [STATE.CONTESTED]: 'Y',
+    [STATE.RECOVERED]: 'R'
+};
+
+export class CellInspector {
+    /**
+     * Creates a new CellInspector following the pointer over the board.
+     *
+     * @param {GridModel} gridModel - The grid whose cells are inspected
+     * @param {SimulationEngine} engine - The engine explaining the rules (see explainCell)
+     * @param {RuleParameters} ruleParams - The rules; the explanation follows their changes
+     * @param {InteractionHandler} interaction - Maps pointer positions to cells
+     *
+     * @property {GridModel} gridModel - Reference to the grid model
+     * @property {SimulationEngine} engine - Reference to the engine
+     * @property {RuleParameters} ruleParams - Reference to the rules
+     * @property {InteractionHandler} interaction - Reference to the interaction handler
+     * @property {Array<number>|null} cell - [column, row] of the inspected cell, or null before the first
+     */
+    constructor(gridModel, engine, ruleParams, interaction) {
+        this.gridModel = gridModel;
+        this.engine = engine;
+        this.ruleParams = ruleParams;
+        this.interaction = interaction;
+        this.cell = null;
+
+        // Registered after the InteractionHandler's listeners, so painted cells show their new state
+        canvas.addEventListener('pointermove', (event) => this.inspect(...this.interaction.eventToCell(event)));
+        canvas.addEventListener('pointerdown', (event) => this.inspect(...this.interaction.eventToCell(event)));
+        this.ruleParams.onChange(() => this.refresh());
+    }
+
+    /**
+     * Shows a cell in the panel and follows it from now on.
+     *
+     * @param {number} column - The column of the cell
+     * @param {number} row - The row of the cell
+     */
+    inspect(column, row) {
+        this.cell = [column, row];
+        this.refresh();
+    }
+
+    /**
+     * Rewrites the panel for the inspected cell, e.g. after a step or an edit.
+     * A cell left outside the grid by a resize is forgotten.
+     */
+    refresh() {
+        if (!this.cell) return;
+
+        const grid = this.gridModel;
+        const [column, row] = this.cell;
+        if (column >= grid.columns || row >= grid.rows) {
+            this.cell = null;
+            cellDisplay.textContent = '';
+            inspectorHint.hidden = false;
+            fieldList.hidden = true;
+            return;
+        }
+
+        const index = grid.idx(column, row);
+        const state = grid.grid[index];
+        const { next, reason, counts, strength } = this.engine.explainCell(column, row);
+        const fields = {
+            state: stateName(state),
+            gAge: grid.gAge[index],
+            yAge: grid.yAge[index],
+            species: this.describeSpecies(state, index),
+            genes: this.describeGenes(state, index),
+            neighbors: this.describeCounts(counts, strength.length),
+            strength: strength.map((value, i) => `S${speciesLetter(i)} ${Math.round(value * 100) / 100}`).join(' · '),
+            next: stateName(next),
+            reason
+        };
+
+        cellDisplay.textContent = `(${column}, ${row})`;
+        inspectorHint.hidden = true;
+        fieldList.hidden = false;
+        fieldDisplays.forEach((display) => {
+            display.textContent = fields[display.dataset.inspect];
+        });
+    }
+
+    /**
+     * Names the species a cell belongs to: its own, the one a diseased or recovered
+     * cell came from, or the species contesting a contested cell.
+     *
+     * @param {number} state - The cell's state
+     * @param {number} index - The cell's index
+     * @returns {string} The species letters, or a dash
+     */
+    describeSpecies(state, index) {
+        const grid = this.gridModel;
+        if (speciesIndex(state) >= 0) return speciesLetter(speciesIndex(state));
+
+        if (state === STATE.DISEASED || state === STATE.RECOVERED) {
+            return grid.gSpecies[index] ? `${speciesLetter(grid.gSpecies[index] - 1)} (origin)` : 'unknown origin';
+        }
+        if (state === STATE.CONTESTED) {
+            const mask = grid.yMask[index];
+            if (!mask) return 'all active species (not recorded)';
+
+            const letters = [];
+            for (let i = 0; i < MAX_SPECIES; i++) {
+                if (mask & (1 << i)) letters.push(speciesLetter(i));
+            }
+            return `${letters.join(', ')} (contestants)`;
+        }
+        return '—';
+    }
+
+    /**
+     * Lists a species cell's genes with their trait values (see TRAITS).
+     *
+     * @param {number} state - The cell's state
+     * @param {number} index - The cell's index
+     * @returns {string} The genes, or a dash for cells without genes and while genomes are off
+     */
+    describeGenes(state, index) {
+        if (speciesIndex(state) < 0 || !genomesEnabled(this.ruleParams.getValues())) return '—';
+
+        return TRAITS.map((trait) => {
+            const gene = this.gridModel[trait][index];
+            return `${trait} ${gene} (${traitValue(trait, gene).toFixed(2)})`;
+        }).join(' · ');
+    }
+
+    /**
+     * Lists the neighbor counts: every active species, then the other states present.
+     *
+     * @param {Array<number>} counts - Neighbor counts indexed by state
+     * @param {number} species - Number of active species
+     * @returns {string} The counts, e.g. "A 3 · B 1 · G 1 · empty 3"
+     */
+    describeCounts(counts, species) {
+        const parts = [];
+        SPECIES.forEach((state, i) => {
+            if (i < species || counts[state]) parts.push(`${speciesLetter(i)} ${counts[state]}`);
+        });
+        Object.entries(STATE_LETTERS).forEach(([state, letter]) => {
+            if (counts[state]) parts.push(`${letter} ${counts[state]}`);
+        });
+        parts.push(`empty ${counts[STATE.EMPTY]}`);
+        return parts.join(' · ');
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * EditHistory class keeps undo and redo stacks of board edits.
+ * Before an edit (a paint stroke, clear, randomize, resize or pattern placement) the
+ * board is recorded; undo returns to that board and redo to the board the edit left.
+ * Recorded boards are full snapshots, so the stacks are bounded by memory, oldest first.
+ */
+
+import { CELL_LAYERS } from './GridModel.js';
+
+export const UNDO_MEMORY_LIMIT = 64 * 1024 * 1024;
+
+export class EditHistory {
+    /**
+     * Creates a new EditHistory for a grid.
+     *
+     * @param {GridModel} gridModel - The grid whose edits are recorded
+     * @param {number} memoryLimit - Maximum bytes of snapshots kept across both stacks
+     *
+     * @property {GridModel} gridModel - Reference to the grid being edited
+     * @property {number} memoryLimit - Maximum bytes of snapshots kept
+     * @property {Array<Object>} undoStack - Boards before each edit, most recent last
+     * @property {Array<Object>} redoStack - Boards after each undone edit, most recent last
+     */
+    constructor(gridModel, memoryLimit = UNDO_MEMORY_LIMIT) {
+        this.gridModel = gridModel;
+        this.memoryLimit = memoryLimit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Whether there is an edit to undo.
+     *
+     * @returns {boolean} True if undo() would change the board
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an undone edit to redo.
+     *
+     * @returns {boolean} True if redo() would change the board
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Records the board before an edit. Call this once per edit, before changing
+     * anything; a paint stroke is recorded once when it starts.
+     * Any undone edits can no longer be redone.
+     */
+    record() {
+        this.undoStack.push(this.capture());
+        this.redoStack = [];
+        this.trim();
+    }
+
+    /**
+     * Returns to the board before the most recent edit.
+     *
+     * @returns {boolean} True if an edit was undone
+     */
+    undo() {
+        if (!this.canUndo) return false;
+        this.redoStack.push(this.capture());
+        this.apply(this.undoStack.pop());
+        return true;
+    }
+
+    /**
+     * Returns to the board after the most recently undone edit.
+     *
+     * @returns {boolean} True if an edit was redone
+     */
+    redo() {
+        if (!this.canRedo) return false;
+        this.undoStack.push(this.capture());
+        this.apply(this.redoStack.pop());
+        return true;
+    }
+
+    /**
+     * Forgets every recorded edit.
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Captures the board along with its cell size.
+     *
+     * @returns {Object} A GridModel snapshot plus cellSize
+     */
+    capture() {
+        return { ...this.gridModel.snapshot(), cellSize: this.gridModel.cellSize };
+    }
+
+    /**
+     * Puts a captured board back. The grid keeps its current neighborhood and
+     * boundary, which are settings rather than edits.
+     *
+     * @param {Object} entry - A board returned by capture()
+     */
+    apply(entry) {
+        this.gridModel.cellSize = entry.cellSize;
+        this.gridModel.restore({
+            ...entry,
+            neighborhood: this.gridModel.neighborhood,
+            boundary: this.gridModel.boundary
+        });
+    }
+
+    /**
+     * Drops the oldest undo entries until the stack fits the memory limit.
+     * The most recent entry is always kept. Only called after record(), when the
+     * redo stack is empty.
+     */
+    trim() {
+        const entrySize = (entry) => entry.grid.length * CELL_LAYERS.length;
+        let total = 0;
+        this.undoStack.forEach((entry) => {
+            total += entrySize(entry);
+        });
+        while (total > this.memoryLimit && this.undoStack.length > 1) {
+            total -= entrySize(this.undoStack.shift());
+        }
+    }
+}
@@ -1,10 +1,42 @@
 /**
  * GridModel class manages the data structure and state of the cellular automaton grid.
  * This class handles the two-dimensional grid of cells, tracking their states and ages,
- * and provides methods for manipulating and querying cell data with toroidal topology.
+ * and provides methods for manipulating and querying cell data with a configurable boundary
+ * topology (toroidal by default).
  */
 
-import { STATE } from '../constants/state.js';
+import { STATE, STATE_SLOTS, SPECIES, MIN_SPECIES, speciesIndex } from '../constants/state.js';
+import { NEIGHBORHOOD, neighborhoodOffsets } from '../constants/neighborhoods.js';
+import { BOUNDARY } from '../constants/boundaries.js';
+import { TRAITS, GENE_NEUTRAL, traitValue } from '../constants/genome.js';
+import { TileActivity } from './TileActivity.js';
+
+// Per-cell arrays that together make up the simulation state (next is scratch space)
+export const CELL_LAYERS = ['grid', 'gAge', 'gSpecies', 'yAge', 'yMask', ...TRAITS];
+
+// Largest number of columns or rows a grid can be resized to
+export const MAX_GRID_SIZE = 512;
+
+// How interior cells visit their neighbors (see countNeighbors): the common radius-1
+// Moore and von Neumann neighborhoods are unrolled, the others loop over neighborDeltas
+const KERNEL = {
+    DELTAS: 0,
+    MOORE: 1,
+    VON_NEUMANN: 2
+};
+
+// The unrolled kernels tally neighbor states in two integers, four bits per state
+// (states 0-7 in the low word, the others in the high word): a radius-1 neighborhood
+// has at most 8 neighbors, so no count overflows its four bits
+const TALLY_LOW = new Int32Array(STATE_SLOTS);
+const TALLY_HIGH = new Int32Array(STATE_SLOTS);
+for (let state = 0; state < STATE_SLOTS; state++) {
+    if (state < 8) {
+        TALLY_LOW[state] = 1 << (4 * state);
+    } else {
+        TALLY_HIGH[state] = 1 << (4 * (state - 8));
+    }
+}
 
 export class GridModel {
     /**
@@ -14,6 +46,10 @@ export class GridModel {
      * @param {number} columns - The number of columns in the grid
      * @param {number} rows - The number of rows in the grid
      * @param {number} cellSize - The pixel size of each cell for rendering
+     * @param {Object} neighborhood - Neighborhood shape and radius (default: Moore, radius 1)
+     * @param {string} neighborhood.type - One of the NEIGHBORHOOD values
+     * @param {number} neighborhood.radius - Neighborhood radius (1-5)
+     * @param {string} boundary - Edge behavior, one of the BOUNDARY values (default: torus)
      * 
      * @property {number} columns - Width of the grid in cells
      * @property {number} rows - Height of the grid in cells
@@ -21,15 +57,166 @@ export class GridModel {
      * @property {Uint8Array} grid - Primary grid storing current cell states
      * @property {Uint8Array} next - Buffer grid for computing next generation
      * @property {Uint8Array} gAge - Grid tracking age of diseased cells (generations since infection)
+     * @property {Uint8Array} gSpecies - Grid tracking which species each diseased cell belonged to
      * @property {Uint8Array} yAge - Grid tracking age of contested cells (generations in contested state)
+     * @property {Uint8Array} yMask - Grid tracking which species contest each contested cell (bitmask)
+     * @property {Uint8Array} fertility - Genes of each cell's fertility trait (see TRAITS)
+     * @property {Uint8Array} resistance - Genes of each cell's disease resistance trait
+     * @property {Uint8Array} vigor - Genes of each cell's contest strength trait
+     * @property {Object} neighborhood - Current neighborhood shape and radius ({ type, radius })
+     * @property {Array<Array<Array<number>>>} neighborOffsets - [dx, dy] offsets for even and odd rows
+     * @property {number} neighborhoodSize - Number of neighbors each cell has
+     * @property {Array<Int32Array>} neighborDeltas - Flat index offsets of the neighbors
+     *   for even and odd rows, valid for cells at least one radius away from every edge
+     * @property {number} kernel - How interior cells visit their neighbors (a KERNEL value)
+     * @property {string} boundary - Current edge behavior (see setBoundary)
+     * @property {TileActivity} activity - Tracks which tiles can change in the next step
+     * @property {number} generation - Number of steps since the board was cleared, seeded or resized
      */
-    constructor(columns, rows, cellSize) {
+    constructor(columns, rows, cellSize, neighborhood = { type: NEIGHBORHOOD.MOORE, radius: 1 }, boundary = BOUNDARY.TORUS) {
         this.columns = columns;
         this.rows = rows;
         this.cellSize = cellSize;
+        this.setNeighborhood(neighborhood.type, neighborhood.radius);
+        this.setBoundary(boundary);
         this.initializeGrids();
     }
 
+    /**
+     * Changes the neighborhood used when counting neighbors.
+     * 
+     * @param {string} type - One of the NEIGHBORHOOD values (moore, von-neumann, hex)
+     * @param {number} radius - Neighborhood radius (1-5)
+     * @throws {RangeError} If the type is unknown or the radius is out of range
+     * 
+     * The hexagonal lattice is stored in "odd-r" layout: odd rows are shifted half a
+     * cell to the right, so neighbor offsets depend on the row's parity. With toroidal
+     * wrapping the lattice only closes seamlessly when the row count is even.
+     */
+    setNeighborhood(type, radius) {
+        this.neighborOffsets = neighborhoodOffsets(type, radius);
+        this.neighborhood = { type, radius };
+        this.neighborhoodSize = this.neighborOffsets[0].length;
+        this.kernel = KERNEL.DELTAS;
+        if (radius === 1 && type === NEIGHBORHOOD.MOORE) this.kernel = KERNEL.MOORE;
+        if (radius === 1 && type === NEIGHBORHOOD.VON_NEUMANN) this.kernel = KERNEL.VON_NEUMANN;
+        this.updateNeighborDeltas();
+        if (this.activity) this.activity.invalidate();
+    }
+
+    /**
+     * Precomputes the flat index offset (dy × columns + dx) of every neighbor.
+     * Must be refreshed whenever the neighborhood or the column count changes.
+     */
+    updateNeighborDeltas() {
+        this.neighborDeltas = this.neighborOffsets.map((offsets) =>
+            Int32Array.from(offsets, ([dx, dy]) => dy * this.columns + dx)
+        );
+    }
+
+    /**
+     * Changes how neighbors beyond the grid edges are resolved.
+     * 
+     * @param {string} boundary - One of the BOUNDARY values
+     * @throws {RangeError} If the boundary mode is unknown
+     * 
+     * Boundary modes:
+     * - torus: Both axes wrap around (the original behavior)
+     * - dead: Everything outside the grid counts as EMPTY
+     * - mirror: Edges reflect, so the cells just inside an edge are seen again outside it
+     * - klein: Columns wrap normally; crossing the top or bottom edge wraps the row
+     *   and flips the column (a Klein bottle)
+     * - cylinder: Columns wrap around; outside the top and bottom edges counts as EMPTY
+     */
+    setBoundary(boundary) {
+        if (!Object.values(BOUNDARY).includes(boundary)) {
+            throw new RangeError(`Unknown boundary "${boundary}", expected one of ${Object.values(BOUNDARY).join(', ')}`);
+        }
+        this.boundary = boundary;
+        if (this.activity) this.activity.invalidate();
+    }
+
+    /**
+     * Resolves possibly out-of-range coordinates to an array index under the boundary mode.
+     * 
+     * @param {number} x - The x coordinate, which may lie outside [0, columns-1]
+     * @param {number} y - The y coordinate, which may lie outside [0, rows-1]
+     * @returns {number} The index of the cell seen at (x, y), or -1 if it lies outside
+     *   a dead edge and should count as EMPTY
+     */
+    neighborIndex(x, y) {
+        const inside = x >= 0 && x < this.columns && y >= 0 && y < this.rows;
+        if (inside) return this.idx(x, y);
+
+        switch (this.boundary) {
+            case BOUNDARY.DEAD:
+                return -1;
+            case BOUNDARY.CYLINDER:
+                if (y < 0 || y >= this.rows) return -1;
+                return this.idx(this.wrap(x, this.columns), y);
+            case BOUNDARY.MIRROR:
+                return this.idx(this.mirror(x, this.columns), this.mirror(y, this.rows));
+            case BOUNDARY.KLEIN: {
+                const column = this.wrap(x, this.columns);
+                const flipped = Math.floor(y / this.rows) & 1;
+                return this.idx(flipped ? this.columns - 1 - column : column, this.wrap(y, this.rows));
+            }
+            default:
+                return this.idx(this.wrap(x, this.columns), this.wrap(y, this.rows));
+        }
+    }
+
+    /**
+     * Reflects a coordinate back into range, repeating the edge cell (…2 1 0 | 0 1 2…).
+     * 
+     * @param {number} x - The coordinate value to reflect
+     * @param {number} n - The dimension size (columns or rows)
+     * @returns {number} The reflected coordinate within [0, n-1] range
+     */
+    mirror(x, n) {
+        const m = this.wrap(x, 2 * n);
+        return m < n ? m : 2 * n - 1 - m;
+    }
+
+    /**
+     * Returns whether cells are laid out on a hexagonal lattice.
+     * 
+     * @returns {boolean} True when the hexagonal neighborhood is selected
+     */
+    isHexagonal() {
+        return this.neighborhood.type === NEIGHBORHOOD.HEX;
+    }
+
+    /**
+     * Horizontal pixel shift applied to a row when rendering.
+     * Odd rows of a hexagonal lattice are drawn half a cell to the right, rounded
+     * up to a whole pixel so every cell covers whole pixels.
+     * 
+     * @param {number} row - The row index
+     * @returns {number} The shift in pixels
+     */
+    rowOffset(row) {
+        return this.isHexagonal() && (row & 1) ? Math.ceil(this.cellSize / 2) : 0;
+    }
+
+    /**
+     * Width of the rendered grid in pixels, including the hexagonal row shift.
+     * 
+     * @returns {number} The canvas width needed to display the grid
+     */
+    pixelWidth() {
+        return this.columns * this.cellSize + (this.isHexagonal() ? Math.ceil(this.cellSize / 2) : 0);
+    }
+
+    /**
+     * Height of the rendered grid in pixels.
+     * 
+     * @returns {number} The canvas height needed to display the grid
+     */
+    pixelHeight() {
+        return this.rows * this.cellSize;
+    }
+
     /**
      * Initializes all grid arrays with the current dimensions.
      * Creates typed arrays for efficient memory usage and performance.
@@ -38,9 +225,15 @@ export class GridModel {
      * - grid: Main grid storing cell states (STATE.EMPTY, STATE.SPECIES_A, etc.)
      * - next: Double-buffer for calculating next generation without overwriting current
      * - gAge: Disease age tracker for infected cells (0-255 generations)
+     * - gSpecies: Disease origin tracker; species index + 1 of the infected cell
+     *   (0 when unknown, e.g. for hand-painted or randomly seeded disease)
      * - yAge: Contested age tracker for disputed territory (0-255 generations)
+     * - yMask: Contested species tracker; bit i is set when species i is fighting
+     *   over the cell (0 means all species, e.g. for hand-painted contested cells)
      * 
      * Uses Uint8Array for memory efficiency, limiting values to 0-255 range.
+     * Activity tracking starts afresh with every tile marked changed, and the
+     * generation count restarts at 0.
      */
     initializeGrids() {
         const size = this.columns * this.rows;
@@ -48,8 +241,19 @@ export class GridModel {
         this.next = new Uint8Array(size);
         // disease age
         this.gAge = new Uint8Array(size);
+        // disease origin species
+        this.gSpecies = new Uint8Array(size);
         // contested age
         this.yAge = new Uint8Array(size);
+        // contested species
+        this.yMask = new Uint8Array(size);
+        // genes, neutral until cells are born to parents with genomes
+        TRAITS.forEach((trait) => {
+            this[trait] = new Uint8Array(size).fill(GENE_NEUTRAL);
+        });
+        this.updateNeighborDeltas();
+        this.activity = new TileActivity(this);
+        this.generation = 0;
     }
 
     /**
@@ -97,7 +301,7 @@ export class GridModel {
      * @param {boolean} keepContent - Whether to preserve existing cell data (default: false)
      * 
      * When keepContent is true:
-     * - Preserves the overlapping region between old and new dimensions
+     * - Preserves the overlapping region between old and new dimensions (states and genes)
      * - Data outside the new bounds is discarded
      * - New areas are initialized to empty state
      * 
@@ -109,6 +313,7 @@ export class GridModel {
      */
     resize(newColumns, newRows, cellSize, keepContent = false) {
         const oldGrid = this.grid;
+        const oldGenes = TRAITS.map((trait) => this[trait]);
         const oldColumns = this.columns;
         const oldRows = this.rows;
 
@@ -128,11 +333,63 @@ export class GridModel {
                     const oldIdx = row * oldColumns + column;
                     const newIdx = this.idx(column, row);
                     this.grid[newIdx] = oldGrid[oldIdx];
+                    TRAITS.forEach((trait, t) => {
+                        this[trait][newIdx] = oldGenes[t][oldIdx];
+                    });
                 }
             }
         }
     }
 
+    /**
+     * Captures the complete simulation state of the grid.
+     * 
+     * @returns {Object} A self-contained copy of the state:
+     *   - columns, rows: Grid dimensions
+     *   - neighborhood: Neighborhood shape and radius ({ type, radius })
+     *   - boundary: Edge behavior
+     *   - generation: The generation count
+     *   - grid, gAge, gSpecies, yAge, yMask, fertility, resistance, vigor: Copies of the
+     *     per-cell arrays (CELL_LAYERS)
+     * 
+     * The copies share nothing with the grid, so their buffers can be transferred to
+     * a worker or kept while the grid moves on.
+     */
+    snapshot() {
+        const snapshot = {
+            columns: this.columns,
+            rows: this.rows,
+            neighborhood: { ...this.neighborhood },
+            boundary: this.boundary,
+            generation: this.generation
+        };
+        CELL_LAYERS.forEach((layer) => {
+            snapshot[layer] = this[layer].slice();
+        });
+        return snapshot;
+    }
+
+    /**
+     * Replaces the grid's state with a snapshot, resizing the grid if the dimensions differ.
+     * The cell size is left unchanged.
+     * 
+     * @param {Object} snapshot - A state captured by snapshot()
+     */
+    restore(snapshot) {
+        if (snapshot.columns !== this.columns || snapshot.rows !== this.rows) {
+            this.columns = snapshot.columns;
+            this.rows = snapshot.rows;
+            this.initializeGrids();
+        }
+        this.setNeighborhood(snapshot.neighborhood.type, snapshot.neighborhood.radius);
+        this.setBoundary(snapshot.boundary);
+        CELL_LAYERS.forEach((layer) => {
+            this[layer].set(snapshot[layer]);
+        });
+        this.generation = snapshot.generation || 0;
+        this.activity.markAll();
+    }
+
     /**
      * Sets the state of a cell at the specified coordinates.
      * Also manages the age counters for diseased and contested cells.
@@ -143,15 +400,21 @@ export class GridModel {
      * 
      * Age management logic:
      * - When a cell becomes non-diseased, its disease age is reset to 0
-     * - When a cell becomes non-contested, its contested age is reset to 0
+     * - When a cell is set (to any state), its disease origin and contested species
+     *   mask are reset to 0
+     *   so a painted contested cell is contested by all species
+     * - Its genes are reset to GENE_NEUTRAL, so painted cells have neutral traits
      * - This ensures age counters only track current state duration
+     * - The cell's tile is marked changed so the next step re-evaluates its surroundings
      * 
      * Valid state values are defined in STATE constants:
      * - STATE.EMPTY: No living cell
      * - STATE.SPECIES_A: Red species cell
      * - STATE.SPECIES_B: Blue species cell
+     * - STATE.SPECIES_C … STATE.SPECIES_H: Additional species cells
      * - STATE.DISEASED: Infected/diseased cell
      * - STATE.CONTESTED: Territory disputed between species
+     * - STATE.RECOVERED: Immune cell that survived the disease
      */
     setCell(column, row, value) {
         const index = this.idx(column, row);
@@ -163,6 +426,12 @@ export class GridModel {
         if (value !== STATE.CONTESTED) {
             this.yAge[index] = 0;
         }
+        this.gSpecies[index] = 0;
+        this.yMask[index] = 0;
+        TRAITS.forEach((trait) => {
+            this[trait][index] = GENE_NEUTRAL;
+        });
+        this.activity.markCell(column, row);
     }
 
     /**
@@ -184,67 +453,266 @@ export class GridModel {
      * 
      * This method provides a complete reset of the simulation state:
      * - All cells become STATE.EMPTY (value 0)
-     * - All disease ages reset to 0
-     * - All contested ages reset to 0
+     * - All disease ages and origins reset to 0
+     * - All contested ages and species masks reset to 0
+     * - All genes reset to GENE_NEUTRAL
+     * - Every tile is marked changed for the next step
+     * - The generation count restarts at 0
      * 
      * Useful for starting fresh simulations or clearing the board.
      */
     clear() {
         this.grid.fill(0);
         this.gAge.fill(0);
+        this.gSpecies.fill(0);
         this.yAge.fill(0);
+        this.yMask.fill(0);
+        TRAITS.forEach((trait) => {
+            this[trait].fill(GENE_NEUTRAL);
+        });
+        this.activity.markAll();
+        this.generation = 0;
+    }
+
+    /**
+     * Fills the grid with a random population, replacing any existing content.
+     *
+     * @param {number} density - Probability (0.0 to 1.0) that a cell is populated
+     * @param {number} gdensity - Probability (0.0 to 1.0) that a populated cell is diseased
+     * @param {Function} random - Source of uniform numbers in [0, 1) (default: Math.random)
+     * @param {number} speciesCount - Number of competing species, 2-8 (default: 2)
+     *
+     * Each populated cell is diseased with probability gdensity; otherwise it is
+     * assigned one of the first speciesCount species with equal probability.
+     */
+    randomize(density, gdensity, random = Math.random, speciesCount = MIN_SPECIES) {
+        this.clear();
+
+        for (let index = 0; index < this.grid.length; index++) {
+            if (random() < density) {
+                if (random() < gdensity) {
+                    this.grid[index] = STATE.DISEASED;
+                } else {
+                    this.grid[index] = SPECIES[Math.floor(random() * speciesCount)];
+                }
+            }
+        }
+    }
+
+    /**
+     * Counts how many cells are currently in each state.
+     *
+     * @returns {Object} Cell counts keyed by STATE name (EMPTY, SPECIES_A, ...)
+     */
+    countStates() {
+        const tally = new Uint32Array(STATE_SLOTS);
+        for (let index = 0; index < this.grid.length; index++) {
+            tally[this.grid[index]]++;
+        }
+
+        const counts = {};
+        Object.entries(STATE).forEach(([name, state]) => {
+            counts[name] = tally[state];
+        });
+        return counts;
+    }
+
+    /**
+     * Averages each trait over the cells of every species (see TRAITS).
+     *
+     * @returns {Object} Mean trait values keyed by trait name (0 when there are no species cells)
+     */
+    meanTraits() {
+        const sums = new Float64Array(TRAITS.length);
+        let cells = 0;
+        for (let index = 0; index < this.grid.length; index++) {
+            if (speciesIndex(this.grid[index]) < 0) continue;
+            cells++;
+            for (let t = 0; t < TRAITS.length; t++) {
+                sums[t] += this[TRAITS[t]][index];
+            }
+        }
+
+        const means = {};
+        TRAITS.forEach((trait, t) => {
+            means[trait] = cells ? traitValue(trait, sums[t] / cells) : 0;
+        });
+        return means;
     }
 
     /**
      * Counts the neighbors of each type surrounding a given cell.
-     * Uses Moore neighborhood (8 surrounding cells) with toroidal wrapping.
+     * Uses the configured neighborhood (Moore radius 1 by default) and boundary mode.
      * 
      * @param {number} x - The x coordinate of the center cell
      * @param {number} y - The y coordinate of the center cell
      * @returns {Object} An object containing counts for each cell type:
-     *   - A: Number of Species A neighbors
-     *   - B: Number of Species B neighbors
+     *   - species: Number of neighbors of each species, indexed by species index
+     *   - A: Number of Species A neighbors (same as species[0])
+     *   - B: Number of Species B neighbors (same as species[1])
      *   - G: Number of diseased neighbors (Green/Grey)
      *   - Y: Number of contested neighbors (Yellow)
+     *   - R: Number of recovered neighbors
      * 
-     * The Moore neighborhood includes all 8 cells surrounding the center:
+     * The default Moore neighborhood includes all 8 cells surrounding the center:
      * ```
      * NW  N  NE
      * W  [C]  E
      * SW  S  SE
      * ```
+     * Larger radii, the von Neumann diamond and the hexagonal lattice are described
+     * by neighborOffsets (see setNeighborhood).
      * 
-     * Toroidal wrapping ensures cells at grid edges have 8 neighbors by
-     * connecting to cells on the opposite edge of the grid.
+     * With the default toroidal boundary, cells at grid edges have a full neighborhood
+     * by connecting to cells on the opposite edge of the grid. Other boundary modes
+     * resolve edge neighbors through neighborIndex; neighbors beyond dead edges are
+     * not counted.
      * 
      * This information is critical for applying cellular automaton rules,
      * determining births, deaths, infections, and territorial disputes.
      */
     getNeighborCounts(x, y) {
-        let counts = {
-            A: 0,
-            B: 0,
-            G: 0,
-            Y: 0
+        const tally = this.countNeighbors(x, y, new Uint8Array(STATE_SLOTS));
+        const counts = {
+            species: SPECIES.map((state) => tally[state]),
+            G: tally[STATE.DISEASED],
+            Y: tally[STATE.CONTESTED],
+            R: tally[STATE.RECOVERED]
         };
 
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue;
+        counts.A = counts.species[0];
+        counts.B = counts.species[1];
+        return counts;
+    }
 
-                const nx = this.wrap(x + dx, this.columns);
-                const ny = this.wrap(y + dy, this.rows);
-                const state = this.grid[this.idx(nx, ny)];
+    /**
+     * Tallies the states of a cell's neighbors into a caller-supplied buffer.
+     * This is the allocation-free counterpart of getNeighborCounts used by the
+     * simulation's step kernel.
+     * 
+     * @param {number} x - The x coordinate of the center cell
+     * @param {number} y - The y coordinate of the center cell
+     * @param {Uint8Array} counts - Buffer of at least STATE_SLOTS entries; on return,
+     *   counts[state] is the number of neighbors in that state
+     * @returns {Uint8Array} The counts buffer
+     * 
+     * Cells at least one radius away from every edge read their neighbors at flat
+     * index offsets. For the radius-1 Moore and von Neumann neighborhoods the reads are
+     * unrolled and tallied in registers (see TALLY_LOW), then every count is written
+     * once; other neighborhoods clear the buffer and loop over neighborDeltas. Only
+     * cells near an edge pay for boundary resolution through neighborIndex.
+     */
+    countNeighbors(x, y, counts) {
+        const grid = this.grid;
+        const columns = this.columns;
+        const radius = this.neighborhood.radius;
+        const interior = x >= radius && x < columns - radius && y >= radius && y < this.rows - radius;
 
-                switch (state) {
-                    case STATE.SPECIES_A: counts.A++; break;
-                    case STATE.SPECIES_B: counts.B++; break;
-                    case STATE.DISEASED: counts.G++; break;
-                    case STATE.CONTESTED: counts.Y++; break;
-                }
+        if (interior && this.kernel !== KERNEL.DELTAS) {
+            const center = y * columns + x;
+            let low;
+            let high;
+            if (this.kernel === KERNEL.MOORE) {
+                const above = center - columns;
+                const below = center + columns;
+                const n0 = grid[above - 1];
+                const n1 = grid[above];
+                const n2 = grid[above + 1];
+                const n3 = grid[center - 1];
+                const n4 = grid[center + 1];
+                const n5 = grid[below - 1];
+                const n6 = grid[below];
+                const n7 = grid[below + 1];
+                low = TALLY_LOW[n0] + TALLY_LOW[n1] + TALLY_LOW[n2] + TALLY_LOW[n3] +
+                    TALLY_LOW[n4] + TALLY_LOW[n5] + TALLY_LOW[n6] + TALLY_LOW[n7];
+                high = TALLY_HIGH[n0] + TALLY_HIGH[n1] + TALLY_HIGH[n2] + TALLY_HIGH[n3] +
+                    TALLY_HIGH[n4] + TALLY_HIGH[n5] + TALLY_HIGH[n6] + TALLY_HIGH[n7];
+            } else {
+                const n0 = grid[center - columns];
+                const n1 = grid[center - 1];
+                const n2 = grid[center + 1];
+                const n3 = grid[center + columns];
+                low = TALLY_LOW[n0] + TALLY_LOW[n1] + TALLY_LOW[n2] + TALLY_LOW[n3];
+                high = TALLY_HIGH[n0] + TALLY_HIGH[n1] + TALLY_HIGH[n2] + TALLY_HIGH[n3];
+            }
+            for (let state = 0; state < 8; state++) {
+                counts[state] = (low >>> (4 * state)) & 15;
+            }
+            for (let state = 8; state < STATE_SLOTS; state++) {
+                counts[state] = (high >>> (4 * (state - 8))) & 15;
+            }
+            return counts;
+        }
+
+        for (let k = 0; k < STATE_SLOTS; k++) counts[k] = 0;
+        if (interior) {
+            const deltas = this.neighborDeltas[y & 1];
+            const center = y * columns + x;
+            for (let k = 0; k < deltas.length; k++) {
+                counts[grid[center + deltas[k]]]++;
+            }
+        } else {
+            const offsets = this.neighborOffsets[y & 1];
+            for (let k = 0; k < offsets.length; k++) {
+                const index = this.neighborIndex(x + offsets[k][0], y + offsets[k][1]);
+                if (index >= 0) counts[grid[index]]++;
             }
         }
 
         return counts;
     }
+
+    /**
+     * Sums a per-cell array over a cell's neighbors, separately for each neighbor state.
+     * The step kernel uses it to total the genes of a cell's neighbors by species.
+     * 
+     * @param {number} x - The x coordinate of the center cell
+     * @param {number} y - The y coordinate of the center cell
+     * @param {Uint8Array} values - The per-cell array to sum, e.g. a trait layer
+     * @param {Int32Array} sums - Buffer of at least STATE_SLOTS entries; on return,
+     *   sums[state] is the total of values over the neighbors in that state
+     * @returns {Int32Array} The sums buffer
+     * 
+     * Neighbors are visited exactly as in countNeighbors.
+     */
+    sumNeighbors(x, y, values, sums) {
+        for (let k = 0; k < STATE_SLOTS; k++) sums[k] = 0;
+        const grid = this.grid;
+        const columns = this.columns;
+        const radius = this.neighborhood.radius;
+
+        if (x >= radius && x < columns - radius && y >= radius && y < this.rows - radius) {
+            const center = y * columns + x;
+            if (this.kernel === KERNEL.MOORE) {
+                const above = center - columns;
+                const below = center + columns;
+                sums[grid[above - 1]] += values[above - 1];
+                sums[grid[above]] += values[above];
+                sums[grid[above + 1]] += values[above + 1];
+                sums[grid[center - 1]] += values[center - 1];
+                sums[grid[center + 1]] += values[center + 1];
+                sums[grid[below - 1]] += values[below - 1];
+                sums[grid[below]] += values[below];
+                sums[grid[below + 1]] += values[below + 1];
+            } else if (this.kernel === KERNEL.VON_NEUMANN) {
+                sums[grid[center - columns]] += values[center - columns];
+                sums[grid[center - 1]] += values[center - 1];
+                sums[grid[center + 1]] += values[center + 1];
+                sums[grid[center + columns]] += values[center + columns];
+            } else {
+                const deltas = this.neighborDeltas[y & 1];
+                for (let k = 0; k < deltas.length; k++) {
+                    sums[grid[center + deltas[k]]] += values[center + deltas[k]];
+                }
+            }
+        } else {
+            const offsets = this.neighborOffsets[y & 1];
+            for (let k = 0; k < offsets.length; k++) {
+                const index = this.neighborIndex(x + offsets[k][0], y + offsets[k][1]);
+                if (index >= 0) sums[grid[index]] += values[index];
+            }
+        }
+
+        return sums;
+    }
 }
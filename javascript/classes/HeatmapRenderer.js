@@ -0,0 +1,249 @@
+/**
+ * HeatmapRenderer class draws the occupancy counters of HistoryCounts on the heatmap
+ * overlay canvas, as a measured alternative to the blended history overlay. Each mode
+ * (see HEATMAP_MODES) colors every cell by one number:
+ *
+ * - A state's name (e.g. SPECIES_A): The fraction of time the cell spent in that state
+ * - infections: The number of times the cell was infected, relative to the most infected cell
+ * - dominant: The state the cell spent the most time in, in that state's color
+ *
+ * Fractions and infection counts are mapped through the selected colormap (see COLORMAPS),
+ * which the legend under the board shows with its range. The counters are updated after
+ * every step whether or not the heatmap is shown; it is only drawn while shown. They
+ * count the run from the generation shown: returning to a recorded generation (see
+ * AnimationController.seek) starts them over, since the generations after it are undone.
+ */
+
+import { STATE, STATE_SLOTS, speciesIndex, speciesLetter } from '../constants/state.js';
+import { COLORS, colorChannels } from '../constants/colors.js';
+import { COLORMAPS, COLORMAP_STEPS, colormapGradient } from '../constants/colormaps.js';
+import { HistoryCounts } from './HistoryCounts.js';
+import { packPixel } from './Renderer.js';
+
+const legend = document.getElementById('heatmap-legend');
+const legendScale = legend.querySelector('.heatmap-scale');
+const legendLow = document.getElementById('heatmap-low');
+const legendHigh = document.getElementById('heatmap-high');
+const legendCaption = document.getElementById('heatmap-caption');
+
+export const HEATMAP_MODES = [...Object.keys(STATE), 'infections', 'dominant'];
+
+export class HeatmapRenderer {
+    /**
+     * Creates a new HeatmapRenderer with empty counters. It starts out hidden.
+     *
+     * @param {HTMLCanvasElement} canvas - The heatmap overlay canvas
+     * @param {GridModel} gridModel - The grid model whose cells are counted
+     *
+     * @property {HTMLCanvasElement} canvas - Reference to the overlay canvas
+     * @property {CanvasRenderingContext2D} context - 2D rendering context of the canvas
+     * @property {GridModel} gridModel - Reference to the grid model
+     * @property {HistoryCounts} counts - The occupancy counters shown
+     * @property {string} mode - What cells are colored by, one of HEATMAP_MODES
+     * @property {string} colormap - The colormap of fractions and counts, one of COLORMAP_NAMES
+     * @property {boolean} shown - Whether the heatmap is shown (and so redrawn after every step)
+     * @property {ImageData|null} image - The canvas's pixels (null until the first draw)
+     */
+    constructor(canvas, gridModel) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.gridModel = gridModel;
+        this.counts = new HistoryCounts(gridModel);
+        this.mode = 'dominant';
+        this.colormap = 'viridis';
+        this.shown = false;
+        this.updateCanvasSize();
+    }
+
+    /**
+     * Updates the canvas dimensions to match the current grid size (see Renderer).
+     */
+    updateCanvasSize() {
+        this.canvas.width = this.gridModel.pixelWidth();
+        this.canvas.height = this.gridModel.pixelHeight();
+        this.image = null;
+    }
+
+    /**
+     * Takes the board about to be stepped as the counters' last sample, so changes made
+     * since the last step are not counted as transitions (see HistoryCounts.sync).
+     * This method should be called before each simulation step.
+     */
+    beginStep() {
+        this.counts.sync();
+    }
+
+    /**
+     * Takes a painted cell's state as its last sample, so the paint is not counted as a
+     * transition (e.g. an infection) by a step that is already being computed.
+     *
+     * @param {number} column - The column of the cell
+     * @param {number} row - The row of the cell
+     */
+    trackCell(column, row) {
+        this.counts.syncCell(this.gridModel.idx(column, row));
+    }
+
+    /**
+     * Counts the current generation and redraws the heatmap if it is shown.
+     * This method should be called after each simulation step.
+     */
+    trackChanges() {
+        this.counts.accumulate();
+        if (this.shown) {
+            this.draw();
+        }
+    }
+
+    /**
+     * Shows or hides the heatmap and its legend, drawing it when shown.
+     *
+     * @param {boolean} shown - Whether to show the heatmap
+     */
+    show(shown) {
+        this.shown = shown;
+        legend.hidden = !shown;
+        if (shown) {
+            this.draw();
+        }
+    }
+
+    /**
+     * Redraws the whole heatmap in the current mode and colormap, and its legend.
+     * Cells are laid out as on the primary view, hexagonal rows included.
+     */
+    draw() {
+        const grid = this.gridModel;
+        const { columns, rows, cellSize } = grid;
+        if (!this.image) {
+            this.image = this.context.createImageData(this.canvas.width, this.canvas.height);
+        }
+        const pixels = new Uint32Array(this.image.data.buffer);
+        const cellPixels = this.cellPixels();
+        const width = this.image.width;
+
+        for (let row = 0; row < rows; row++) {
+            const offset = grid.rowOffset(row);
+            for (let column = 0; column < columns; column++) {
+                const pixel = cellPixels[row * columns + column];
+                const x = column * cellSize + offset;
+                for (let line = row * cellSize; line < (row + 1) * cellSize; line++) {
+                    pixels.fill(pixel, line * width + x, line * width + x + cellSize);
+                }
+            }
+        }
+        this.context.putImageData(this.image, 0, 0);
+        this.updateLegend();
+    }
+
+    /**
+     * Colors every cell for the current mode and colormap.
+     *
+     * @returns {Uint32Array} One packed pixel per cell, in grid order
+     */
+    cellPixels() {
+        const { counts } = this;
+        const cells = counts.columns * counts.rows;
+        const pixels = new Uint32Array(cells);
+
+        if (this.mode === 'dominant') {
+            const palette = Array.from({ length: STATE_SLOTS }, (_, state) => {
+                return packPixel([...colorChannels(COLORS[state]), 255]);
+            });
+            for (let index = 0; index < cells; index++) {
+                pixels[index] = palette[Math.max(STATE.EMPTY, counts.dominant(index))];
+            }
+            return pixels;
+        }
+
+        const palette = COLORMAPS[this.colormap].map((channels) => packPixel([...channels, 255]));
+        const top = COLORMAP_STEPS - 1;
+        if (this.mode === 'infections') {
+            const most = counts.maxInfections();
+            for (let index = 0; index < cells; index++) {
+                pixels[index] = palette[most ? Math.round(counts.infections[index] / most * top) : 0];
+            }
+        } else {
+            const state = STATE[this.mode];
+            for (let index = 0; index < cells; index++) {
+                pixels[index] = palette[Math.round(counts.fraction(index, state) * top)];
+            }
+        }
+        return pixels;
+    }
+
+    /**
+     * The heatmap with one pixel per cell, hexagonal rows unshifted, e.g. for export.
+     *
+     * @returns {ImageData} An image of columns × rows pixels
+     */
+    cellImage() {
+        const { columns, rows } = this.counts;
+        const image = this.context.createImageData(columns, rows);
+        new Uint32Array(image.data.buffer).set(this.cellPixels());
+        return image;
+    }
+
+    /**
+     * Describes the current mode under the board: the colormap with its range, or for
+     * the dominant state a pointer to the state colors.
+     */
+    updateLegend() {
+        const { generations } = this.counts;
+        const dominant = this.mode === 'dominant';
+        legendScale.hidden = dominant;
+        legendLow.hidden = dominant;
+        legendHigh.hidden = dominant;
+        legendScale.style.background = colormapGradient(this.colormap);
+
+        if (dominant) {
+            legendCaption.textContent = `State each cell spent most of ${generations} generations in (colors as in the legend)`;
+        } else if (this.mode === 'infections') {
+            legendLow.textContent = '0';
+            legendHigh.textContent = String(this.counts.maxInfections());
+            legendCaption.textContent = `Times infected over ${generations} generations`;
+        } else {
+            legendLow.textContent = '0%';
+            legendHigh.textContent = '100%';
+            const state = STATE[this.mode];
+            const name = speciesIndex(state) >= 0 ? `as species ${speciesLetter(speciesIndex(state))}` : this.mode.toLowerCase();
+            legendCaption.textContent = `Share of ${generations} generations spent ${name}`;
+        }
+    }
+
+    /**
+     * Resets the counters, starting the heatmap afresh from the next step.
+     */
+    clearHistory() {
+        this.counts.reset();
+        if (this.shown) {
+            this.draw();
+        }
+    }
+
+    /**
+     * Redraws the heatmap after the state colors changed (they color the dominant state).
+     */
+    updateColors() {
+        if (this.shown) {
+            this.draw();
+        }
+    }
+
+    /**
+     * Sets the opacity of the overlay canvas.
+     *
+     * @param {number} opacity - Opacity value between 0 and 1
+     */
+    setOpacity(opacity) {
+        this.canvas.style.opacity = opacity;
+    }
+
+    /**
+     * Handles grid resize by updating canvas dimensions and resetting the counters.
+     */
+    handleResize() {
+        this.updateCanvasSize();
+        this.clearHistory();
+    }
+}
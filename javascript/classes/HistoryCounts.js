@@ -0,0 +1,158 @@
+/**
+ * HistoryCounts class keeps per-cell occupancy counters: for every cell, the number of
+ * generations it spent in each state and the number of times it was infected, since the
+ * counters were last reset. Unlike the blended history overlay these are exact, so they
+ * can be shown as heatmaps (see HeatmapRenderer) and exported for analysis.
+ *
+ * Only what steps do is counted: a generation is counted once per step, and a cell is
+ * infected when a step makes it diseased. Changes made between steps (painting, loading,
+ * undo and redo) are taken as the new last sample without being counted (see sync).
+ */
+
+import { STATE, STATE_SLOTS } from '../constants/state.js';
+
+export class HistoryCounts {
+    /**
+     * Creates new, empty counters for a grid.
+     *
+     * @param {GridModel} gridModel - The grid whose cells are counted
+     *
+     * @property {GridModel} gridModel - Reference to the grid model
+     * @property {number} columns - Number of columns the counters were sized for
+     * @property {number} rows - Number of rows the counters were sized for
+     * @property {Uint32Array} counts - Generations spent in each state, STATE_SLOTS per cell
+     *   (cell index × STATE_SLOTS + state)
+     * @property {Uint32Array} infections - Per cell: the number of times it became diseased
+     * @property {Uint8Array} previous - Per cell: its state at the last sample
+     * @property {number} generations - Number of generations sampled
+     */
+    constructor(gridModel) {
+        this.gridModel = gridModel;
+        this.reset();
+    }
+
+    /**
+     * Zeroes every counter and sizes the counters to the grid's current dimensions.
+     * Cells already diseased are not counted as infected until they are infected again.
+     */
+    reset() {
+        const { columns, rows, grid } = this.gridModel;
+        this.columns = columns;
+        this.rows = rows;
+        this.counts = new Uint32Array(columns * rows * STATE_SLOTS);
+        this.infections = new Uint32Array(columns * rows);
+        this.previous = Uint8Array.from(grid);
+        this.generations = 0;
+    }
+
+    /**
+     * Takes the grid's current states as the last sample without counting them, so the
+     * next accumulate() only sees what the step in between changed. Called before each
+     * step; the counters start over if the grid was resized since the last sample.
+     */
+    sync() {
+        const { columns, rows, grid } = this.gridModel;
+        if (columns !== this.columns || rows !== this.rows) {
+            this.reset();
+        } else {
+            this.previous.set(grid);
+        }
+    }
+
+    /**
+     * Takes one cell's current state as its last sample, like sync(), e.g. after the user
+     * painted it while a step was being computed.
+     *
+     * @param {number} index - The cell's index
+     */
+    syncCell(index) {
+        if (index < this.previous.length) {
+            this.previous[index] = this.gridModel.grid[index];
+        }
+    }
+
+    /**
+     * Counts the current generation. Called after each simulation step; the counters
+     * start over if the grid was resized since the last one.
+     */
+    accumulate() {
+        const { columns, rows, grid } = this.gridModel;
+        if (columns !== this.columns || rows !== this.rows) {
+            this.reset();
+        }
+
+        const { counts, infections, previous } = this;
+        for (let index = 0; index < grid.length; index++) {
+            const state = grid[index];
+            counts[index * STATE_SLOTS + state]++;
+            if (state === STATE.DISEASED && previous[index] !== STATE.DISEASED) {
+                infections[index]++;
+            }
+            previous[index] = state;
+        }
+        this.generations++;
+    }
+
+    /**
+     * The share of the sampled generations a cell spent in a state.
+     *
+     * @param {number} index - The cell's index
+     * @param {number} state - A STATE value
+     * @returns {number} The fraction (0-1), 0 before the first generation is counted
+     */
+    fraction(index, state) {
+        return this.generations ? this.counts[index * STATE_SLOTS + state] / this.generations : 0;
+    }
+
+    /**
+     * The state a cell spent the most generations in (the lowest state on ties).
+     *
+     * @param {number} index - The cell's index
+     * @returns {number} The dominant STATE value, or -1 before the first generation is counted
+     */
+    dominant(index) {
+        if (!this.generations) return -1;
+
+        const start = index * STATE_SLOTS;
+        let best = 0;
+        for (let state = 1; state < STATE_SLOTS; state++) {
+            if (this.counts[start + state] > this.counts[start + best]) {
+                best = state;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * The largest infection count of any cell.
+     *
+     * @returns {number} The most times a single cell was infected
+     */
+    maxInfections() {
+        let most = 0;
+        for (let index = 0; index < this.infections.length; index++) {
+            most = Math.max(most, this.infections[index]);
+        }
+        return most;
+    }
+
+    /**
+     * Formats the raw counters as CSV: one line per cell with its coordinates, the number
+     * of generations sampled, the generations spent in each state (columns named as in
+     * STATE) and its infection count.
+     *
+     * @returns {string} The CSV text, header line included
+     */
+    toCSV() {
+        const states = Object.values(STATE);
+        const lines = [['column', 'row', 'generations', ...Object.keys(STATE), 'infections'].join(',')];
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const index = row * this.columns + column;
+                const counts = states.map((state) => this.counts[index * STATE_SLOTS + state]);
+                lines.push([column, row, this.generations, ...counts, this.infections[index]].join(','));
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
@@ -4,9 +4,21 @@
  * for different cell states, creating a heat-map like visualization of activity.
  */
 
-import { STATE } from '../constants/state.js';
+import { STATE, SPECIES } from '../constants/state.js';
 import { COLORS } from '../constants/colors.js';
 
+// Opacity each generation lays over the history, by state. Every species shares the
+// same low weight; disease, recovery and contests stand out more.
+export const HISTORY_WEIGHTS = {
+    [STATE.EMPTY]: 0.007,
+    [STATE.CONTESTED]: 0.09,
+    [STATE.DISEASED]: 0.18,
+    [STATE.RECOVERED]: 0.09
+};
+SPECIES.forEach((state) => {
+    HISTORY_WEIGHTS[state] = 0.04;
+});
+
 export class HistoryRenderer {
     /**
      * Creates a new HistoryRenderer instance for tracking and rendering cell history.
@@ -55,38 +67,51 @@ export class HistoryRenderer {
      * Should be called when the grid is resized.
      */
     updateCanvasSize() {
-        this.canvas.width = this.gridModel.columns * this.gridModel.cellSize;
-        this.canvas.height = this.gridModel.rows * this.gridModel.cellSize;
+        this.canvas.width = this.gridModel.pixelWidth();
+        this.canvas.height = this.gridModel.pixelHeight();
     }
     
     /**
      * Tracks changes in the grid and updates the history overlay accordingly.
-     * This method should be called after each simulation step or user interaction.
+     * This method should be called after each simulation step or board change.
      */
     trackChanges() {
         const grid = this.gridModel;
         
         for (let row = 0; row < grid.rows; row++) {
             for (let column = 0; column < grid.columns; column++) {
-                const index = row * grid.columns + column;
-                const currentState = grid.grid[index];
-                const x = column * grid.cellSize;
-                const y = row * grid.cellSize;
-                this.context.fillStyle = this.colors[currentState];
-                this.context.fillRect(x, y, grid.cellSize, grid.cellSize);
+                this.trackCell(column, row);
             }
         }
     }
 
+    /**
+     * Blends the current state of a single cell into the history overlay, e.g. after
+     * the user painted it (other cells have not changed, so their history is left alone).
+     * 
+     * @param {number} column - The column of the cell
+     * @param {number} row - The row of the cell
+     */
+    trackCell(column, row) {
+        const grid = this.gridModel;
+        this.context.fillStyle = this.colors[grid.getCell(column, row)];
+        this.context.fillRect(
+            column * grid.cellSize + grid.rowOffset(row),
+            row * grid.cellSize,
+            grid.cellSize,
+            grid.cellSize
+        );
+    }
+
+    /**
+     * Rebuilds the translucent per-state colors used to accumulate history
+     * (see HISTORY_WEIGHTS).
+     */
     updateColors() {
-        this.colors = {
-            [STATE.SPECIES_A]: this.hexToRGBA(COLORS[STATE.SPECIES_A], 0.04),
-            [STATE.SPECIES_B]: this.hexToRGBA(COLORS[STATE.SPECIES_B], 0.04),
-            [STATE.EMPTY]: this.hexToRGBA(COLORS[STATE.EMPTY], 0.007),
-            [STATE.CONTESTED]: this.hexToRGBA(COLORS[STATE.CONTESTED], 0.09),
-            [STATE.DISEASED]: this.hexToRGBA(COLORS[STATE.DISEASED], 0.18),
-            clear: this.hexToRGBA(COLORS[STATE.EMPTY], 1)
-        };
+        this.colors = { clear: this.hexToRGBA(COLORS[STATE.EMPTY], 1) };
+        Object.entries(HISTORY_WEIGHTS).forEach(([state, weight]) => {
+            this.colors[state] = this.hexToRGBA(COLORS[state], weight);
+        });
     }
     
     /**
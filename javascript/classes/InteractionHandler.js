@@ -4,7 +4,7 @@
  * different cell types, and enables intuitive editing of the simulation state.
  */
 
-import { STATE } from '../constants/state.js';
+import { STATE, SPECIES, MIN_SPECIES } from '../constants/state.js';
 
 const brushSelect= document.getElementById('brush');
 
@@ -17,21 +17,32 @@ export class InteractionHandler {
      * @param {GridModel} gridModel - The grid model containing cell data
      * @param {Renderer} renderer - The renderer for updating the visual display
      * @param {HistoryRenderer} historyRenderer - The history renderer for tracking cell changes
+     * @param {HeatmapRenderer} heatmapRenderer - The heatmap renderer, whose counters skip painted cells
+     * @param {SimulationWorker} simulation - The simulation, which forwards painted cells to its worker
+     * @param {EditHistory} editHistory - The undo history, which records each stroke as one edit
      * 
      * @property {HTMLCanvasElement} canvas - Reference to the canvas element for event binding
-     * @property {GridModel} gridModel - Reference to the grid model for cell manipulation
+     * @property {GridModel} gridModel - Reference to the grid model for reading cells
+     * @property {SimulationWorker} simulation - Reference to the simulation for painting cells
      * @property {Renderer} renderer - Reference to the renderer for triggering redraws
      * @property {HistoryRenderer} historyRenderer - Reference to the history renderer for tracking changes
+     * @property {HeatmapRenderer} heatmapRenderer - Reference to the heatmap renderer for skipping painted cells
+     * @property {EditHistory} editHistory - Reference to the undo history
      * @property {boolean} painting - Flag indicating whether the user is actively painting
      * @property {number} brush - Current brush type (STATE value) for painting cells
+     * @property {number} speciesCount - Number of active species offered by the brush and cycle
      */
-    constructor(canvas, gridModel, renderer, historyRenderer) {
+    constructor(canvas, gridModel, renderer, historyRenderer, heatmapRenderer, simulation, editHistory) {
         this.canvas = canvas;
         this.gridModel = gridModel;
+        this.simulation = simulation;
         this.renderer = renderer;
         this.historyRenderer = historyRenderer;
+        this.heatmapRenderer = heatmapRenderer;
+        this.editHistory = editHistory;
         this.painting = false;
-        this.brush = brushSelect.value;
+        this.brush = parseInt(brushSelect.value, 10);
+        this.speciesCount = MIN_SPECIES;
 
         this.setupEventListeners();
     }
@@ -43,11 +54,11 @@ export class InteractionHandler {
      * Event handlers configured:
      * 
      * 1. Brush selection: Updates the active brush type when dropdown changes
-     *    - Available brushes: Species A (red), Species B (blue), Contested, Diseased
+     *    - Available brushes: Empty, each active species, Contested, Diseased
      * 
      * 2. Context menu: Prevents default right-click menu to enable custom right-click behavior
      * 
-     * 3. Pointer down: Initiates painting or state cycling
+     * 3. Pointer down: Initiates painting or state cycling, recording the board for undo
      *    - Left click: Paint with selected brush
      *    - Left click + Shift: Erase (set to empty)
      *    - Right click: Cycle through cell states
@@ -70,20 +81,22 @@ export class InteractionHandler {
 
         this.canvas.addEventListener('pointerdown', (event) => {
             this.painting = true;
+            this.editHistory.record();
             const [x, y] = this.eventToCell(event);
 
             if (event.button === 2) {
                 // Right click: cycle through states
                 const currentState = this.gridModel.getCell(x, y);
-                this.gridModel.setCell(x, y, this.cycleState(currentState));
+                this.simulation.setCell(x, y, this.cycleState(currentState));
             } else {
                 // Left click: paint with brush (shift to erase)
                 const value = event.shiftKey ? STATE.EMPTY : this.brush;
-                this.gridModel.setCell(x, y, value);
+                this.simulation.setCell(x, y, value);
             }
 
-            this.renderer.draw();
-            this.historyRenderer.trackChanges();
+            this.renderer.drawCell(x, y);
+            this.historyRenderer.trackCell(x, y);
+            this.heatmapRenderer.trackCell(x, y);
         });
 
         window.addEventListener('pointerup', () => {
@@ -97,9 +110,10 @@ export class InteractionHandler {
             const value = event.shiftKey ? STATE.EMPTY :
                 (event.buttons === 2 ? this.cycleState(this.gridModel.getCell(x, y)) : this.brush);
 
-            this.gridModel.setCell(x, y, value);
-            this.renderer.draw();
-            this.historyRenderer.trackChanges();
+            this.simulation.setCell(x, y, value);
+            this.renderer.drawCell(x, y);
+            this.historyRenderer.trackCell(x, y);
+            this.heatmapRenderer.trackCell(x, y);
         });
     }
 
@@ -113,7 +127,8 @@ export class InteractionHandler {
      * The conversion process:
      * 1. Gets the canvas bounding rectangle for accurate positioning
      * 2. Calculates relative position within the canvas
-     * 3. Scales the position to grid dimensions
+     * 3. Scales the position to canvas pixels, then to grid cells
+     *    (undoing the half-cell shift of odd rows on hexagonal lattices)
      * 4. Clamps coordinates to valid grid bounds [0, columns-1] and [0, rows-1]
      * 
      * This method handles edge cases where pointer events may occur slightly
@@ -121,12 +136,15 @@ export class InteractionHandler {
      * 
      * The scaling accounts for the canvas potentially being displayed at a different
      * size than the grid dimensions, maintaining accurate cell selection regardless
-     * of canvas scaling or CSS sizing.
+     * of canvas scaling or CSS sizing. The bounding rectangle includes the Viewport's
+     * zoom and pan transform, so cells are found the same way when zoomed in.
      */
     eventToCell(event) {
         const {left, top, width, height } = this.canvas.getBoundingClientRect();
-        const x = Math.floor((event.clientX - left) / width * this.gridModel.columns);
-        const y = Math.floor((event.clientY - top) / height * this.gridModel.rows);
+        const px = (event.clientX - left) / width * this.canvas.width;
+        const py = (event.clientY - top) / height * this.canvas.height;
+        const y = Math.floor(py / this.gridModel.cellSize);
+        const x = Math.floor((px - this.gridModel.rowOffset(y)) / this.gridModel.cellSize);
 
         return [
             Math.max(0, Math.min(this.gridModel.columns - 1, x)),
@@ -134,6 +152,20 @@ export class InteractionHandler {
         ];
     }
 
+    /**
+     * Sets the number of active species.
+     * If the brush paints a species that is no longer active, it falls back to Species A.
+     * 
+     * @param {number} count - Number of active species (2-8)
+     */
+    setSpeciesCount(count) {
+        this.speciesCount = count;
+        if (SPECIES.indexOf(this.brush) >= count) {
+            this.brush = STATE.SPECIES_A;
+            brushSelect.value = String(STATE.SPECIES_A);
+        }
+    }
+
     /**
      * Cycles a cell's state to the next state in the predefined sequence.
      * Provides a quick way to iterate through all possible cell states.
@@ -143,10 +175,10 @@ export class InteractionHandler {
      * 
      * State cycle sequence:
      * 1. Empty (black) - No living cell
-     * 2. Species A (red) - First species type
-     * 3. Species B (blue) - Second species type
-     * 4. Contested (yellow) - Territory disputed between species
-     * 5. Diseased (green/grey) - Infected or dying cell
+     * 2. Species A (red), Species B (blue), … - One step per active species
+     * 3. Contested (yellow) - Territory disputed between species
+     * 4. Diseased (green/grey) - Infected or dying cell
+     * 5. Recovered (grey) - Immune cell that survived the disease
      * → Returns to Empty, completing the cycle
      * 
      * This cycling behavior is particularly useful for:
@@ -158,9 +190,9 @@ export class InteractionHandler {
      * The modulo operation ensures the cycle wraps around seamlessly.
      */
     cycleState(state) {
-        // Cycle: Empty -> A -> B -> Contested -> Diseased -> Empty
-        const cycle = [STATE.EMPTY, STATE.SPECIES_A, STATE.SPECIES_B,
-        STATE.CONTESTED, STATE.DISEASED];
+        // Cycle: Empty -> A -> B -> … -> Contested -> Diseased -> Recovered -> Empty
+        const cycle = [STATE.EMPTY, ...SPECIES.slice(0, this.speciesCount),
+            STATE.CONTESTED, STATE.DISEASED, STATE.RECOVERED];
         const currentIndex = cycle.indexOf(state);
         return cycle[(currentIndex + 1) % cycle.length];
     }
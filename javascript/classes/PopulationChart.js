@@ -0,0 +1,143 @@
+/**
+ * PopulationChart class shows the population statistics panel: the current generation,
+ * the number of cells in each state and a rolling line chart of those counts over the
+ * last CHART_LENGTH generations, drawn on its own canvas. While cells carry genomes it
+ * also shows the mean trait values of the species cells.
+ */
+
+import { STATE } from '../constants/state.js';
+import { COLORS } from '../constants/colors.js';
+
+export const CHART_LENGTH = 300;
+
+// The empty color is the board's background (black by default), so its line is drawn gray
+const EMPTY_LINE_COLOR = '#8a8f9e';
+const CHART_BACKGROUND = '#0a0c10';
+
+const statsGeneration = document.getElementById('stats-generation');
+const countDisplays = document.querySelectorAll('[data-count]');
+const traitDisplays = document.querySelectorAll('[data-trait]');
+const traitPanel = document.querySelector('[data-genomes]');
+
+export class PopulationChart {
+    /**
+     * Creates a new PopulationChart drawing on a canvas.
+     *
+     * @param {HTMLCanvasElement} canvas - The canvas the chart is drawn on
+     * @param {GridModel} gridModel - The grid whose cells are counted
+     *
+     * @property {HTMLCanvasElement} canvas - Reference to the chart's canvas
+     * @property {CanvasRenderingContext2D} context - 2D rendering context of the canvas
+     * @property {GridModel} gridModel - Reference to the grid being counted
+     * @property {Array<Object>} samples - Counts of recent generations, oldest first:
+     *   { generation, counts } with counts keyed by STATE name (see GridModel.countStates)
+     * @property {boolean} showTraits - Whether the mean trait values are shown (see setShowTraits)
+     */
+    constructor(canvas, gridModel) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.gridModel = gridModel;
+        this.samples = [];
+        this.showTraits = false;
+    }
+
+    /**
+     * Shows or hides the mean trait values, e.g. when genomes are turned on or off.
+     *
+     * @param {boolean} show - Whether to show them
+     */
+    setShowTraits(show) {
+        this.showTraits = show;
+        traitPanel.hidden = !show;
+        if (show && this.samples.length) {
+            this.showCounts();
+        }
+    }
+
+    /**
+     * Forgets the charted generations, e.g. after the board was replaced.
+     */
+    reset() {
+        this.samples = [];
+    }
+
+    /**
+     * Counts the grid's cells, adds them to the chart and redraws the panel.
+     * Called after every step and whenever the board jumps to another generation.
+     *
+     * Samples at or after the current generation are dropped first, so stepping back
+     * or branching off from a past generation continues the chart from there.
+     */
+    update() {
+        const { generation } = this.gridModel;
+        while (this.samples.length && this.samples[this.samples.length - 1].generation >= generation) {
+            this.samples.pop();
+        }
+        this.samples.push({ generation, counts: this.gridModel.countStates() });
+        if (this.samples.length > CHART_LENGTH) {
+            this.samples.shift();
+        }
+
+        this.showCounts();
+        this.draw();
+    }
+
+    /**
+     * Writes the current generation and latest counts (and mean traits) into the panel.
+     */
+    showCounts() {
+        const { generation, counts } = this.samples[this.samples.length - 1];
+        statsGeneration.textContent = generation;
+        countDisplays.forEach((display) => {
+            display.querySelector('.mono').textContent = counts[display.dataset.count];
+        });
+
+        if (this.showTraits) {
+            const traits = this.gridModel.meanTraits();
+            traitDisplays.forEach((display) => {
+                display.querySelector('.mono').textContent = traits[display.dataset.trait].toFixed(2);
+            });
+        }
+    }
+
+    /**
+     * Draws one line per state over the charted generations.
+     *
+     * Generations run left to right across the full CHART_LENGTH width, so the chart
+     * fills up before it starts scrolling. The vertical scale runs from 0 to the largest
+     * count charted. States that had no cells in any charted generation are not drawn.
+     */
+    draw() {
+        const { context, samples } = this;
+        const { width, height } = this.canvas;
+
+        context.fillStyle = CHART_BACKGROUND;
+        context.fillRect(0, 0, width, height);
+        if (samples.length < 2) return;
+
+        let max = 1;
+        samples.forEach(({ counts }) => {
+            Object.values(counts).forEach((count) => {
+                max = Math.max(max, count);
+            });
+        });
+
+        const dx = width / (CHART_LENGTH - 1);
+        context.lineWidth = 1.5;
+        Object.entries(STATE).forEach(([name, state]) => {
+            if (!samples.some(({ counts }) => counts[name] > 0)) return;
+
+            context.strokeStyle = state === STATE.EMPTY ? EMPTY_LINE_COLOR : COLORS[state];
+            context.beginPath();
+            samples.forEach(({ counts }, index) => {
+                const y = height - 1 - (counts[name] / max) * (height - 2);
+                if (index === 0) {
+                    context.moveTo(0, y);
+                } else {
+                    context.lineTo(index * dx, y);
+                }
+            });
+            context.stroke();
+        });
+    }
+}
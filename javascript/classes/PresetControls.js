@@ -0,0 +1,164 @@
+/**
+ * PresetControls class binds the preset picker and its buttons to a RulePresets library.
+ * Choosing a preset applies it to the rule parameters and moves the sliders and their
+ * readouts; the buttons save the current sliders as a user preset, delete user presets
+ * and export or import the user presets as a JSON collection.
+ */
+
+import { downloadBlob } from '../download.js';
+
+const presetSelect = document.getElementById('preset');
+const savePresetBtn = document.getElementById('save-preset-button');
+const deletePresetBtn = document.getElementById('delete-preset-button');
+const exportPresetsBtn = document.getElementById('export-presets-button');
+const importPresetsBtn = document.getElementById('import-presets-button');
+const presetFileInput = document.getElementById('preset-file');
+
+export class PresetControls {
+    /**
+     * Creates a new PresetControls instance and fills the preset picker.
+     *
+     * @param {RulePresets} presets - The preset library
+     * @param {RuleParameters} ruleParams - The rules presets are applied to
+     * @param {RuleControls} ruleControls - The sliders, refreshed after a preset is applied
+     *
+     * @property {RulePresets} presets - Reference to the preset library
+     * @property {RuleParameters} ruleParams - Reference to the rule parameters
+     * @property {RuleControls} ruleControls - Reference to the slider bindings
+     */
+    constructor(presets, ruleParams, ruleControls) {
+        this.presets = presets;
+        this.ruleParams = ruleParams;
+        this.ruleControls = ruleControls;
+
+        this.setupControls();
+        this.populate();
+        this.ruleParams.onChange((values) => this.deselectIfChanged(values));
+    }
+
+    /**
+     * Binds the preset picker and buttons.
+     *
+     * - Preset select: Applies the chosen preset
+     * - Save: Asks for a name and saves the current rules as a user preset
+     * - Delete: Deletes the chosen user preset
+     * - Export / Import: Download the user presets as JSON and add presets from a JSON file
+     */
+    setupControls() {
+        presetSelect.addEventListener('change', () => {
+            if (presetSelect.value) {
+                this.apply(presetSelect.value);
+            }
+            deletePresetBtn.disabled = !presetSelect.value || this.presets.isBuiltIn(presetSelect.value);
+        });
+        savePresetBtn.addEventListener('click', () => this.saveCurrent());
+        deletePresetBtn.addEventListener('click', () => this.deleteSelected());
+        exportPresetsBtn.addEventListener('click', () => this.exportPresets());
+        importPresetsBtn.addEventListener('click', () => presetFileInput.click());
+        presetFileInput.addEventListener('change', () => {
+            if (presetFileInput.files.length) {
+                presetFileInput.files[0].text().then((text) => this.importPresets(text));
+            }
+            presetFileInput.value = '';
+        });
+    }
+
+    /**
+     * Rebuilds the picker's options: built-in presets and saved presets in two groups.
+     *
+     * @param {string} selected - Name of the preset to select (default: none)
+     */
+    populate(selected = '') {
+        presetSelect.replaceChildren(new Option('Presets…', ''));
+        [['Built-in', true], ['Saved', false]].forEach(([label, builtIn]) => {
+            const names = this.presets.list().filter((preset) => preset.builtIn === builtIn);
+            if (!names.length) return;
+
+            const group = document.createElement('optgroup');
+            group.label = label;
+            names.forEach(({ name }) => {
+                group.append(new Option(name, name));
+            });
+            presetSelect.append(group);
+        });
+        presetSelect.value = selected;
+        deletePresetBtn.disabled = !selected || this.presets.isBuiltIn(selected);
+    }
+
+    /**
+     * Applies a preset to the rules and moves the sliders and readouts to match.
+     *
+     * @param {string} name - The preset name
+     */
+    apply(name) {
+        const rules = this.presets.get(name);
+        if (!rules) return;
+        this.ruleParams.setValues(rules);
+        this.ruleControls.refresh();
+    }
+
+    /**
+     * Clears the picker once the rules no longer match the chosen preset,
+     * e.g. after a slider was moved.
+     *
+     * @param {Object} values - The current rule values
+     */
+    deselectIfChanged(values) {
+        if (!presetSelect.value) return;
+        if (JSON.stringify(values) !== JSON.stringify(this.presets.get(presetSelect.value))) {
+            presetSelect.value = '';
+            deletePresetBtn.disabled = true;
+        }
+    }
+
+    /**
+     * Asks for a name and saves the current rules as a user preset.
+     */
+    saveCurrent() {
+        const name = prompt('Save the current rules as preset:', presetSelect.value && !this.presets.isBuiltIn(presetSelect.value) ? presetSelect.value : '');
+        if (name === null) return;
+
+        try {
+            this.presets.save(name, this.ruleParams.getValues());
+        } catch (e) {
+            alert(`Could not save the preset: ${e.message}`);
+            return;
+        }
+        this.populate(name.trim());
+    }
+
+    /**
+     * Deletes the chosen user preset after confirmation.
+     */
+    deleteSelected() {
+        const name = presetSelect.value;
+        if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+        this.presets.remove(name);
+        this.populate();
+    }
+
+    /**
+     * Downloads the user presets as a JSON preset collection.
+     */
+    exportPresets() {
+        downloadBlob(new Blob([this.presets.stringify()], { type: 'application/json' }), 'darwinism-presets.json');
+    }
+
+    /**
+     * Adds the presets of a JSON preset collection to the saved presets.
+     * Invalid collections are reported to the user and change nothing.
+     *
+     * @param {string} text - The collection's JSON text
+     */
+    importPresets(text) {
+        let names;
+        try {
+            names = this.presets.importCollection(text);
+        } catch (e) {
+            alert(`Could not import the presets: ${e.message}`);
+            return;
+        }
+        this.populate(presetSelect.value);
+        alert(`Imported ${names.length} preset${names.length === 1 ? '' : 's'}: ${names.join(', ')}`);
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * RLEPattern class reads and writes patterns in Golly's run-length encoded (RLE) format,
+ * so patterns can be exchanged with other cellular-automaton tools and kept as text files.
+ *
+ * Cell states use Golly's multi-state symbols: '.' is EMPTY and 'A', 'B', 'C', … are the
+ * STATE values 1, 2, 3, … (so A = Species A, B = Species B, C = Diseased, D = Contested,
+ * E–J = Species C–H, K = Recovered). Two-state Life patterns ('b' dead, 'o' alive) import as Species A.
+ * The rules are embedded in the header's rule name, e.g.
+ * `rule = Darwinism-birth3-smin2-smax3-over4-cmin3-marg1-istr2-iweak1-tau2-immunity0-ydec2-species2`,
+ * and per-species values (when species are unlinked) in a `#C darwinism:perSpecies` comment.
+ */
+
+import { STATE, STATE_SLOTS } from '../constants/state.js';
+import { DEFAULT_RULES } from '../constants/rules.js';
+import { MAX_GRID_SIZE } from './GridModel.js';
+
+export const RLE_RULE_NAME = 'Darwinism';
+
+// Rules embedded in the rule name; density and gdensity only shape random fills
+const RLE_RULE_KEYS = Object.keys(DEFAULT_RULES).filter((key) => key !== 'density' && key !== 'gdensity');
+const PER_SPECIES_COMMENT = '#C darwinism:perSpecies ';
+const MAX_LINE_LENGTH = 70;
+
+/**
+ * Returns the multi-state RLE symbol of a state.
+ *
+ * @param {number} state - A STATE value
+ * @returns {string} '.' for EMPTY, otherwise 'A' + (state - 1)
+ */
+function stateSymbol(state) {
+    return state === STATE.EMPTY ? '.' : String.fromCharCode(64 + state);
+}
+
+/**
+ * Splits a block of cells into RLE tokens.
+ * Each row is written as runs of "<count><symbol>" (the count omitted when 1),
+ * rows end with '$' (or "<n>$" to skip empty rows), trailing empty cells of a row
+ * are dropped and the last token is '!'.
+ *
+ * @param {GridModel} gridModel - The grid to read
+ * @param {Object} bounds - The block to encode ({ left, top, width, height })
+ * @returns {Array<string>} The tokens, each a run or row end that must not be split
+ */
+function encodeRuns(gridModel, { left, top, width, height }) {
+    const tokens = [];
+    const right = left + width - 1;
+    let pendingRows = 0;
+    for (let row = top; row < top + height; row++) {
+        const runs = [];
+        for (let column = left; column <= right;) {
+            const state = gridModel.getCell(column, row);
+            let count = 1;
+            while (column + count <= right && gridModel.getCell(column + count, row) === state) {
+                count++;
+            }
+            runs.push([count, state]);
+            column += count;
+        }
+        if (runs.length && runs[runs.length - 1][1] === STATE.EMPTY) {
+            runs.pop();
+        }
+
+        if (runs.length) {
+            if (pendingRows) {
+                tokens.push((pendingRows > 1 ? pendingRows : '') + '$');
+                pendingRows = 0;
+            }
+            runs.forEach(([count, state]) => {
+                tokens.push((count > 1 ? count : '') + stateSymbol(state));
+            });
+        }
+        pendingRows++;
+    }
+    tokens.push('!');
+    return tokens;
+}
+
+export class RLEPattern {
+    /**
+     * Encodes the bounding box of all non-empty cells as RLE.
+     *
+     * @param {GridModel} gridModel - The grid to export
+     * @param {RuleParameters} ruleParams - The rules to embed in the header
+     * @returns {string} The RLE text (an empty 0 × 0 pattern if the grid is empty),
+     *   its body wrapped at 70 characters per line
+     */
+    static encode(gridModel, ruleParams) {
+        const bounds = RLEPattern.bounds(gridModel);
+        const values = ruleParams.getValues();
+        const rule = [RLE_RULE_NAME, ...RLE_RULE_KEYS.map((key) => key + values[key])].join('-');
+        const lines = ['#C Exported from Chuck\'s Game of Darwinism'];
+        if (!values.linked) {
+            lines.push(PER_SPECIES_COMMENT + JSON.stringify(values.perSpecies));
+        }
+        lines.push(`x = ${bounds.width}, y = ${bounds.height}, rule = ${rule}`);
+
+        let line = '';
+        encodeRuns(gridModel, bounds).forEach((token) => {
+            if (line.length + token.length > MAX_LINE_LENGTH) {
+                lines.push(line);
+                line = '';
+            }
+            line += token;
+        });
+        lines.push(line);
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Finds the bounding box of all non-empty cells.
+     *
+     * @param {GridModel} gridModel - The grid to search
+     * @returns {Object} { left, top, width, height }; width and height are 0 if the grid is empty
+     */
+    static bounds(gridModel) {
+        let left = gridModel.columns;
+        let top = gridModel.rows;
+        let right = -1;
+        let bottom = -1;
+        for (let row = 0; row < gridModel.rows; row++) {
+            for (let column = 0; column < gridModel.columns; column++) {
+                if (gridModel.getCell(column, row) === STATE.EMPTY) continue;
+                left = Math.min(left, column);
+                right = Math.max(right, column);
+                top = Math.min(top, row);
+                bottom = Math.max(bottom, row);
+            }
+        }
+        if (right < 0) {
+            return { left: 0, top: 0, width: 0, height: 0 };
+        }
+        return { left, top, width: right - left + 1, height: bottom - top + 1 };
+    }
+
+    /**
+     * Encodes a block of cells as an RLE body on a single line, without header.
+     *
+     * @param {GridModel} gridModel - The grid to read
+     * @param {Object} bounds - The block to encode ({ left, top, width, height })
+     * @returns {string} The RLE body, ending with '!'
+     */
+    static encodeCells(gridModel, bounds) {
+        return encodeRuns(gridModel, bounds).join('');
+    }
+
+    /**
+     * Decodes RLE text.
+     *
+     * @param {string} text - The RLE text
+     * @returns {Object} The pattern:
+     *   - width, height: Size of the pattern's bounding box
+     *   - cells: Uint8Array of width × height STATE values (row-major)
+     *   - rules: Rule values from a Darwinism rule name (null for other rules), including
+     *     perSpecies when the pattern carries per-species values
+     * @throws {SyntaxError} If the header is missing or the body contains unknown symbols
+     * @throws {RangeError} If the pattern is larger than MAX_GRID_SIZE, a run is longer
+     *   than the pattern or a cell's state is not a STATE value
+     */
+    static decode(text) {
+        const lines = text.split(/\r?\n/);
+        let header = null;
+        let perSpecies = null;
+        let body = '';
+
+        lines.forEach((line) => {
+            const trimmed = line.trim();
+            if (trimmed.startsWith(PER_SPECIES_COMMENT.trim())) {
+                perSpecies = JSON.parse(trimmed.slice(PER_SPECIES_COMMENT.trim().length));
+            } else if (trimmed.startsWith('#') || trimmed === '') {
+                return;
+            } else if (header === null) {
+                header = trimmed;
+            } else {
+                body += trimmed;
+            }
+        });
+
+        const size = header && header.match(/^x\s*=\s*(\d+)\s*,\s*y\s*=\s*(\d+)/);
+        if (!size) {
+            throw new SyntaxError('RLE header ("x = …, y = …") not found');
+        }
+        const width = parseInt(size[1], 10);
+        const height = parseInt(size[2], 10);
+        const cells = RLEPattern.decodeCells(body, width, height);
+
+        return { width, height, cells, rules: RLEPattern.parseRule(header, perSpecies) };
+    }
+
+    /**
+     * Decodes an RLE body (without header) into a block of cells.
+     *
+     * @param {string} body - The RLE body; whitespace is ignored and decoding stops at '!'
+     * @param {number} width - Width of the block, from 0 to MAX_GRID_SIZE
+     * @param {number} height - Height of the block, from 0 to MAX_GRID_SIZE
+     * @returns {Uint8Array} width × height STATE values (row-major); runs past the block are cut off
+     * @throws {SyntaxError} If the body contains unknown symbols
+     * @throws {RangeError} If the block is larger than MAX_GRID_SIZE, a run of cells is longer
+     *   than the width, a run of rows is longer than the height or a cell's state is not a STATE value
+     *
+     * The size and run lengths are checked before anything is allocated or filled, since
+     * patterns and links come from other people.
+     */
+    static decodeCells(body, width, height) {
+        [['width', width], ['height', height]].forEach(([name, value]) => {
+            if (!Number.isInteger(value) || value < 0 || value > MAX_GRID_SIZE) {
+                throw new RangeError(`Pattern ${name} must be an integer from 0 to ${MAX_GRID_SIZE}, got ${value}`);
+            }
+        });
+
+        const cells = new Uint8Array(width * height);
+        let x = 0;
+        let y = 0;
+        let count = '';
+        for (let i = 0; i < body.length; i++) {
+            const symbol = body[i];
+            if (symbol === '!') break;
+            if (/\s/.test(symbol)) continue;
+            if (/\d/.test(symbol)) {
+                count += symbol;
+                continue;
+            }
+
+            const run = count === '' ? 1 : parseInt(count, 10);
+            count = '';
+            if (symbol === '$') {
+                if (run > height) {
+                    throw new RangeError(`RLE run of ${run} rows is longer than the pattern's height of ${height}`);
+                }
+                y += run;
+                x = 0;
+                continue;
+            }
+
+            let state;
+            if (symbol === 'b' || symbol === '.') {
+                state = STATE.EMPTY;
+            } else if (symbol === 'o') {
+                state = STATE.SPECIES_A;
+            } else if (symbol >= 'A' && symbol <= 'X') {
+                state = symbol.charCodeAt(0) - 64;
+            } else if (symbol >= 'p' && symbol <= 'y' && body[i + 1] >= 'A' && body[i + 1] <= 'X') {
+                state = 24 * (symbol.charCodeAt(0) - 111) + body[++i].charCodeAt(0) - 64;
+            } else {
+                throw new SyntaxError(`Unexpected symbol "${symbol}" in RLE body`);
+            }
+            if (state >= STATE_SLOTS) {
+                throw new RangeError(`RLE state ${state} is not a known cell state`);
+            }
+
+            if (run > width) {
+                throw new RangeError(`RLE run of ${run} cells is longer than the pattern's width of ${width}`);
+            }
+            if (y < height) {
+                cells.fill(state, y * width + Math.min(x, width), y * width + Math.min(x + run, width));
+            }
+            x += run;
+        }
+        return cells;
+    }
+
+    /**
+     * Extracts rule values from a header's Darwinism rule name.
+     *
+     * @param {string} header - The RLE header line
+     * @param {Array<Object>|null} perSpecies - Per-species values from the pattern's comments
+     * @returns {Object|null} Rule values, or null if the pattern uses another rule
+     */
+    static parseRule(header, perSpecies) {
+        const match = header.match(/rule\s*=\s*([^\s,]+)/);
+        if (!match || !match[1].startsWith(RLE_RULE_NAME + '-')) return null;
+
+        const rules = {};
+        match[1].slice(RLE_RULE_NAME.length + 1).split('-').forEach((part) => {
+            const [, key, value] = part.match(/^([a-z]+)(\d+(?:\.\d+)?)$/) || [];
+            if (RLE_RULE_KEYS.includes(key)) {
+                rules[key] = Number(value);
+            }
+        });
+        if (perSpecies) {
+            rules.perSpecies = perSpecies;
+        }
+        return rules;
+    }
+}
@@ -4,8 +4,32 @@
  * into colored cells that display the current state of the simulation.
  */
 
-import { STATE } from '../constants/state.js';
-import { COLORS } from '../constants/colors.js';
+import { STATE, STATE_SLOTS, speciesIndex } from '../constants/state.js';
+import { COLORS, GENE_COLORS, colorChannels } from '../constants/colors.js';
+import { TRAITS } from '../constants/genome.js';
+import { TILE_SIZE } from './TileActivity.js';
+
+const ACTIVE_TILE_COLOR = 'rgba(255, 255, 255, 0.6)';
+
+// Ways of coloring cells: by state, or species cells by one of their genes
+export const COLOR_MODES = ['state', ...TRAITS];
+
+// Cells are drawn into an ImageData buffer, one 32-bit word per pixel (in the
+// platform's byte order, which the packing below follows)
+const pixelChannels = new Uint8ClampedArray(4);
+const pixelWord = new Uint32Array(pixelChannels.buffer);
+
+export function packPixel(channels) {
+    pixelChannels.set(channels);
+    return pixelWord[0];
+}
+
+// A cell's color key is its state, or GENE_KEYS + its gene when colored by a trait
+const GENE_KEYS = STATE_SLOTS;
+const GENE_PIXELS = GENE_COLORS.map((channels) => packPixel([...channels, 255]));
+
+// Color key of a cell not drawn yet
+const UNDRAWN = -1;
 
 export class Renderer {
     /**
@@ -18,6 +42,14 @@ export class Renderer {
      * @property {HTMLCanvasElement} canvas - Reference to the canvas element for drawing
      * @property {CanvasRenderingContext2D} context - 2D rendering context for drawing operations
      * @property {GridModel} gridModel - Reference to the grid model for accessing cell states
+     * @property {boolean} showActiveTiles - Whether to outline the tiles evaluated in the last step
+     * @property {string} colorBy - How cells are colored, one of COLOR_MODES (see draw)
+     * @property {ImageData|null} image - The canvas's pixels as last drawn (null until the first draw)
+     * @property {Uint32Array} pixels - The image's pixels, one word each
+     * @property {Int16Array} drawn - The color key each cell was last drawn with
+     * @property {Uint32Array} palette - Pixel of every color key
+     * @property {string} drawnColorBy - The colorBy of the last draw
+     * @property {boolean} tilesDrawn - Whether the last draw outlined active tiles
      * 
      * The renderer uses the HTML5 Canvas API for efficient 2D graphics rendering,
      * providing smooth visual updates as the simulation evolves.
@@ -26,6 +58,11 @@ export class Renderer {
         this.canvas = canvas;
         this.context = canvas.getContext('2d');
         this.gridModel = gridModel;
+        this.showActiveTiles = false;
+        this.colorBy = 'state';
+        this.image = null;
+        this.palette = new Uint32Array(GENE_KEYS + GENE_PIXELS.length);
+        this.palette.set(GENE_PIXELS, GENE_KEYS);
         this.updateCanvasSize();
     }
 
@@ -34,7 +71,7 @@ export class Renderer {
      * Ensures the canvas pixel dimensions align with the grid's cell count and size.
      * 
      * Canvas sizing calculation:
-     * - Width = number of columns × cell size in pixels
+     * - Width = number of columns × cell size in pixels (plus half a cell on hexagonal lattices)
      * - Height = number of rows × cell size in pixels
      * 
      * This method should be called whenever:
@@ -43,7 +80,8 @@ export class Renderer {
      * - Initial setup during construction
      * 
      * Note: Changing canvas width/height properties automatically clears the canvas,
-     * so a redraw is typically needed after calling this method.
+     * so a redraw is typically needed after calling this method. The pixel buffer is
+     * dropped with it, so that redraw repaints every cell.
      * 
      * The canvas size directly affects:
      * - Visual resolution and clarity of the grid
@@ -51,56 +89,190 @@ export class Renderer {
      * - User interaction accuracy (pointer event mapping)
      */
     updateCanvasSize() {
-        this.canvas.width = this.gridModel.columns * this.gridModel.cellSize;
-        this.canvas.height = this.gridModel.rows * this.gridModel.cellSize;
+        this.canvas.width = this.gridModel.pixelWidth();
+        this.canvas.height = this.gridModel.pixelHeight();
+        this.image = null;
     }
 
     /**
-     * Renders the entire grid to the canvas, drawing each cell with its appropriate color.
-     * Performs a complete redraw of the grid based on the current state of all cells.
+     * Renders the grid to the canvas, repainting only the cells whose color changed
+     * since the last draw.
      * 
      * Rendering process:
-     * 1. Clears the entire canvas to remove previous frame
-     * 2. Iterates through all grid positions (row by row, column by column)
-     * 3. Skips empty cells for performance (no need to draw black on black)
-     * 4. Draws filled rectangles for non-empty cells using state-specific colors
+     * 1. Compares the color of every cell with the one it was last drawn with
+     * 2. Paints the cells that differ into the ImageData buffer holding the canvas's pixels
+     * 3. Copies the rows that changed from the buffer to the canvas
+     * 
+     * Every cell is repainted when the canvas was resized, the colors were changed or
+     * colorBy was switched. Cells that did not change cost one comparison, so a frame
+     * costs little more than the cells that were born, died or changed state.
+     * 
+     * On hexagonal lattices every odd row is shifted half a cell to the right
+     * (offset-row layout), so each cell touches its six hexagonal neighbors.
      * 
      * Color mapping (defined in COLORS constant):
-     * - STATE.EMPTY: Not drawn (canvas background is black)
+     * - STATE.EMPTY: Left transparent (canvas background is black)
      * - STATE.SPECIES_A: Red cells representing first species
      * - STATE.SPECIES_B: Blue cells representing second species
      * - STATE.CONTESTED: Yellow cells for disputed territory
      * - STATE.DISEASED: Green/grey cells for infected/dying cells
+     * - STATE.RECOVERED: Grey cells for immune survivors of the disease
      * 
-     * Performance considerations:
-     * - Empty cells are skipped to reduce draw calls
-     * - Uses fillRect for efficient rectangle rendering
-     * - Batch operations by setting fillStyle once per state type would be more efficient
-     *   for very large grids, but current approach is simpler and sufficient
+     * When colorBy names a trait, species cells are instead colored by their gene for
+     * it: blue below neutral, gray at neutral and red above. Other states keep their colors.
      * 
      * This method is called:
      * - After each simulation step during animation
-     * - After user interactions (painting, erasing)
-     * - After grid modifications (clear, randomize)
+     * - After grid modifications (clear, randomize, undo, loading)
      * - When visualization needs to be refreshed
+     * Single-cell edits use drawCell instead.
      */
     draw() {
         const grid = this.gridModel;
-        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-        for (let row = 0; row < grid.rows; row++) {
-            for (let column = 0; column < grid.columns; column++) {
-                const state = grid.getCell(column, row);
-                if (state === STATE.EMPTY) continue;
-
-                this.context.fillStyle = COLORS[state];
-                this.context.fillRect(
-                    column * grid.cellSize,
-                    row * grid.cellSize,
-                    grid.cellSize,
-                    grid.cellSize
-                );
+        const { columns, rows, cellSize } = grid;
+        this.prepareFrame();
+        const genes = this.shownGenes();
+        const { drawn, palette } = this;
+        let firstRow = rows;
+        let lastRow = -1;
+
+        for (let row = 0; row < rows; row++) {
+            const offset = grid.rowOffset(row);
+            for (let column = 0; column < columns; column++) {
+                const index = row * columns + column;
+                const state = grid.grid[index];
+                const key = genes && speciesIndex(state) >= 0 ? GENE_KEYS + genes[index] : state;
+                if (key === drawn[index]) continue;
+
+                drawn[index] = key;
+                this.fillCell(column * cellSize + offset, row * cellSize, palette[key]);
+                firstRow = Math.min(firstRow, row);
+                lastRow = row;
+            }
+        }
+
+        if (this.showActiveTiles || this.tilesDrawn) {
+            // Outlines are drawn over the buffer, so the whole canvas is copied to move or erase them
+            this.context.putImageData(this.image, 0, 0);
+            if (this.showActiveTiles) {
+                this.drawActiveTiles();
             }
+            this.tilesDrawn = this.showActiveTiles;
+        } else if (lastRow >= 0) {
+            const top = firstRow * cellSize;
+            this.context.putImageData(this.image, 0, 0, 0, top, this.canvas.width, (lastRow + 1) * cellSize - top);
+        }
+    }
+
+    /**
+     * Renders a single cell, e.g. after the user painted it.
+     * Falls back to a full draw when the whole canvas needs repainting.
+     * 
+     * @param {number} column - The column of the cell
+     * @param {number} row - The row of the cell
+     */
+    drawCell(column, row) {
+        if (this.prepareFrame()) {
+            this.draw();
+            return;
+        }
+
+        const grid = this.gridModel;
+        const genes = this.shownGenes();
+        const index = grid.idx(column, row);
+        const state = grid.grid[index];
+        const key = genes && speciesIndex(state) >= 0 ? GENE_KEYS + genes[index] : state;
+        const x = column * grid.cellSize + grid.rowOffset(row);
+        const y = row * grid.cellSize;
+
+        this.drawn[index] = key;
+        this.fillCell(x, y, this.palette[key]);
+        this.context.putImageData(this.image, 0, 0, x, y, grid.cellSize, grid.cellSize);
+    }
+
+    /**
+     * Gets the buffer and the palette ready for drawing. Every cell is marked undrawn
+     * when the buffer was (re)created for the canvas, a color changed or colorBy switched.
+     * 
+     * @returns {boolean} True if every cell has to be repainted
+     */
+    prepareFrame() {
+        const grid = this.gridModel;
+        let repaint = false;
+
+        if (!this.image) {
+            this.image = this.context.createImageData(this.canvas.width, this.canvas.height);
+            this.pixels = new Uint32Array(this.image.data.buffer);
+            this.drawn = new Int16Array(grid.columns * grid.rows);
+            this.tilesDrawn = false;
+            repaint = true;
+        }
+        if (this.drawnColorBy !== this.colorBy) {
+            this.drawnColorBy = this.colorBy;
+            repaint = true;
+        }
+        for (let state = 0; state < STATE_SLOTS; state++) {
+            const pixel = state === STATE.EMPTY ? 0 : packPixel([...colorChannels(COLORS[state]), 255]);
+            if (pixel !== this.palette[state]) {
+                this.palette[state] = pixel;
+                repaint = true;
+            }
+        }
+
+        if (repaint) {
+            this.drawn.fill(UNDRAWN);
+        }
+        return repaint;
+    }
+
+    /**
+     * The gene layer selected by colorBy.
+     * 
+     * @returns {Uint8Array|null} The gene layer species cells are colored by, or null
+     *   when cells are colored by state
+     */
+    shownGenes() {
+        return this.colorBy === 'state' ? null : this.gridModel[this.colorBy];
+    }
+
+    /**
+     * Fills a cell's square in the buffer.
+     * 
+     * @param {number} x - Left edge of the cell in pixels
+     * @param {number} y - Top edge of the cell in pixels
+     * @param {number} pixel - The packed color (0 leaves the cell transparent)
+     */
+    fillCell(x, y, pixel) {
+        const { cellSize } = this.gridModel;
+        const width = this.image.width;
+        for (let line = y; line < y + cellSize; line++) {
+            const start = line * width + x;
+            this.pixels.fill(pixel, start, start + cellSize);
+        }
+    }
+
+    /**
+     * Outlines the tiles the simulation evaluated in the last step (a debugging aid).
+     * Tiles left out were skipped because nothing around them changed; see TileActivity.
+     */
+    drawActiveTiles() {
+        const grid = this.gridModel;
+        const { evaluated, tileColumns } = grid.activity;
+        const tilePixels = TILE_SIZE * grid.cellSize;
+
+        this.context.strokeStyle = ACTIVE_TILE_COLOR;
+        this.context.lineWidth = 1;
+        for (let tile = 0; tile < evaluated.length; tile++) {
+            if (!evaluated[tile]) continue;
+
+            const x = (tile % tileColumns) * tilePixels;
+            const y = Math.floor(tile / tileColumns) * tilePixels;
+            this.context.strokeRect(
+                x + 0.5,
+                y + 0.5,
+                Math.min(tilePixels, this.canvas.width - x) - 1,
+                Math.min(tilePixels, this.canvas.height - y) - 1
+            );
         }
     }
 }
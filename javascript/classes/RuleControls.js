@@ -0,0 +1,261 @@
+/**
+ * RuleControls class binds the HTML rule sliders to a RuleParameters instance.
+ * This class is the browser-side counterpart of RuleParameters: it keeps each range
+ * input, its display output and the underlying rule value in sync in both directions.
+ * It also drives the "Link species" toggle and the selector choosing which species
+ * the per-species sliders edit while species are unlinked, and disables the genome
+ * controls while a rule script replaces the built-in rules (see genomesEnabled).
+ */
+
+import { SPECIES_RULE_KEYS } from '../constants/rules.js';
+
+const linkSpeciesToggle = document.getElementById('link-species');
+const ruleTargetSelect = document.getElementById('rule-target');
+const genomesToggle = document.getElementById('GENOMES');
+const mutationSlider = document.getElementById('MUTATION');
+const genomesScriptNote = document.getElementById('genomes-script-note');
+
+// Slider ranges in the HTML are authored for the 8-cell Moore neighborhood
+const BASE_NEIGHBORHOOD_SIZE = 8;
+
+export class RuleControls {
+    /**
+     * Creates a new RuleControls instance and binds all parameter sliders.
+     * The current slider positions are pushed into the rule parameters on creation.
+     *
+     * @param {RuleParameters} ruleParams - The rule parameters the sliders should drive
+     *
+     * @property {RuleParameters} ruleParams - Reference to the bound rule parameters
+     * @property {Array<Object>} bindings - Slider bindings ({ key, element, scale, sync, baseMax, countBased })
+     * @property {Array<Object>} toggles - Checkbox bindings ({ key, element }) of on/off rules
+     * @property {number} target - Species index edited by per-species sliders (-1 for all species)
+     */
+    constructor(ruleParams) {
+        this.ruleParams = ruleParams;
+        this.bindings = [];
+        this.toggles = [];
+        this.target = -1;
+        this.setupSliders();
+        this.setupSpeciesLink();
+        this.ruleParams.onChange((values) => this.updateGenomeControls(values));
+        this.updateGenomeControls(this.ruleParams.getValues());
+    }
+
+    /**
+     * Disables the Genomes checkbox and the mutation slider, and says why, while a rule
+     * script is in use: genomes are then off whatever the checkbox says. The checkbox
+     * keeps its value, so genomes come back on with the built-in rules.
+     *
+     * @param {Object} values - The current rule values
+     */
+    updateGenomeControls(values) {
+        const scripted = values.script !== null;
+        genomesToggle.disabled = scripted;
+        mutationSlider.disabled = scripted;
+        genomesScriptNote.hidden = !scripted;
+    }
+
+    /**
+     * Binds the "Link species" checkbox and the species selector.
+     * 
+     * - Linked: every species shares one set of values and the selector is disabled
+     * - Unlinked: the selector picks a species whose values the sliders show and edit;
+     *   "All species" writes a value to every species at once
+     */
+    setupSpeciesLink() {
+        linkSpeciesToggle.checked = this.ruleParams.linked;
+        ruleTargetSelect.disabled = this.ruleParams.linked;
+
+        linkSpeciesToggle.addEventListener('change', () => {
+            this.ruleParams.setLinked(linkSpeciesToggle.checked);
+            ruleTargetSelect.disabled = linkSpeciesToggle.checked;
+            if (linkSpeciesToggle.checked) {
+                ruleTargetSelect.value = '-1';
+                this.target = -1;
+            }
+            this.refresh();
+        });
+
+        ruleTargetSelect.addEventListener('change', () => {
+            this.target = parseInt(ruleTargetSelect.value, 10);
+            this.refresh();
+        });
+    }
+
+    /**
+     * Falls back to editing all species when the selected species is no longer active.
+     * 
+     * @param {number} count - Number of active species (2-8)
+     */
+    setSpeciesCount(count) {
+        if (this.target >= count) {
+            this.target = -1;
+            ruleTargetSelect.value = '-1';
+            this.refresh();
+        }
+    }
+
+    /**
+     * Writes a slider value into the rule parameters.
+     * Per-species rules go to the selected species, or to every species (and the shared
+     * values) when "All species" is selected; other rules are always shared.
+     * 
+     * @param {string} key - The RuleParameters key
+     * @param {number} value - The new value
+     */
+    commit(key, value) {
+        const perSpecies = SPECIES_RULE_KEYS.includes(key);
+
+        if (perSpecies && this.target >= 0) {
+            this.ruleParams.setSpeciesValues(this.target, { [key]: value });
+            return;
+        }
+
+        this.ruleParams.setValues({ [key]: value });
+        if (perSpecies && !this.ruleParams.linked) {
+            this.ruleParams.overrides.forEach((override, index) => {
+                this.ruleParams.setSpeciesValues(index, { [key]: value });
+            });
+        }
+    }
+
+    /**
+     * Initializes and binds all simulation parameter sliders to their display elements.
+     * Each parameter controls a specific aspect of the cellular automaton's behavior:
+     * - BIRTH: Minimum number of neighbors required for a dead cell to become alive
+     * - Smin / Smax: Range of same-species neighbors a living cell needs to survive
+     * - OVER: Number of neighbors above which a cell dies from overcrowding
+     * - Cmin: Minimum strength required to claim or contest territory
+     * - MARG: Advantage margin required to win a contest
+     * - Istrict / Iweak: Diseased neighbor thresholds for strong and weak infection
+     * - TAU: Lifetime of diseased cells
+     * - IMMUNITY: Generations recovered cells stay immune (0: diseased cells die instead)
+     * - Ydec: Maximum age of contested cells
+     * - SPECIES: Number of competing species (2-8)
+     * - GENOMES: Whether cells carry heritable genomes (a checkbox)
+     * - MUTATION: Chance that a newborn's gene mutates (percent)
+     * - dens / gdens: Random fill density and the diseased share of it (percent)
+     * 
+     * The first eight are neighbor-count thresholds whose ranges follow the
+     * neighborhood size (see setNeighborhoodSize).
+     */
+    setupSliders() {
+        this.bindRange('BIRTH', 'BIRTHv', 'birth', 1, undefined, true);
+        this.bindRange('Smin', 'Sminv', 'smin', 1, undefined, true);
+        this.bindRange('Smax', 'Smaxv', 'smax', 1, undefined, true);
+        this.bindRange('OVER', 'OVERv', 'over', 1, undefined, true);
+        this.bindRange('Cmin', 'Cminv', 'cmin', 1, undefined, true);
+        this.bindRange('MARG', 'MARGv', 'marg', 1, undefined, true);
+        this.bindRange('Istrict', 'Istrictv', 'istr', 1, undefined, true);
+        this.bindRange('Iweak', 'Iweakv', 'iweak', 1, undefined, true);
+        this.bindRange('TAU', 'TAUv', 'tau');
+        this.bindRange('IMMUNITY', 'IMMUNITYv', 'immunity');
+        this.bindRange('Ydec', 'Ydecv', 'ydec');
+        this.bindRange('SPECIES', 'SPECIESv', 'species');
+        this.bindToggle('GENOMES', 'genomes');
+        this.bindRange('MUTATION', 'MUTATIONv', 'mutation', 100, (v) => v + '%');
+        this.bindRange('dens', 'densv', 'density', 100, (v) => v + '%');
+        this.bindRange('gdens', 'gdensv', 'gdensity', 100, (v) => v + '%');
+    }
+
+    /**
+     * Binds a range input slider to its output display element and a rule value.
+     *
+     * @param {string} id - The HTML ID of the range input element
+     * @param {string} outputId - The HTML ID of the output display element
+     * @param {string} key - The RuleParameters key the slider controls
+     * @param {number} scale - Divisor applied to the slider value (e.g. 100 for percentages)
+     * @param {Function} formatter - Optional function to format the displayed value
+     * @param {boolean} countBased - Whether the slider range scales with the neighborhood size
+     */
+    bindRange(id, outputId, key, scale = 1, formatter = (v) => v, countBased = false) {
+        const element = document.getElementById(id);
+        const output = document.getElementById(outputId);
+
+        const sync = () => {
+            output.textContent = formatter(element.value);
+        };
+
+        element.addEventListener('input', () => {
+            sync();
+            this.commit(key, parseInt(element.value, 10) / scale);
+        });
+
+        this.bindings.push({ key, element, scale, sync, baseMax: parseInt(element.max, 10), countBased });
+        sync();
+        this.commit(key, parseInt(element.value, 10) / scale);
+    }
+
+    /**
+     * Binds a checkbox to an on/off rule value (1 when checked, 0 when not).
+     *
+     * @param {string} id - The HTML ID of the checkbox
+     * @param {string} key - The RuleParameters key the checkbox controls
+     */
+    bindToggle(id, key) {
+        const element = document.getElementById(id);
+
+        element.addEventListener('change', () => {
+            this.commit(key, element.checked ? 1 : 0);
+        });
+
+        this.toggles.push({ key, element });
+        this.commit(key, element.checked ? 1 : 0);
+    }
+
+    /**
+     * Rescales the ranges of the neighbor-count sliders to a neighborhood size.
+     * Each maximum grows in proportion to the size (relative to the 8-cell Moore
+     * neighborhood), capped at the size itself. Shared and per-species values beyond
+     * a reduced maximum are clamped.
+     *
+     * @param {number} size - Number of neighbors per cell
+     */
+    setNeighborhoodSize(size) {
+        this.bindings.forEach(({ key, element, baseMax, countBased }) => {
+            if (!countBased) return;
+
+            const scaledMax = Math.min(size, Math.ceil(baseMax * size / BASE_NEIGHBORHOOD_SIZE));
+            const max = Math.max(parseInt(element.min, 10), scaledMax);
+            element.max = max;
+
+            const values = this.ruleParams.getValues();
+            if (values[key] > max) {
+                this.ruleParams.setValues({ [key]: max });
+            }
+            if (!values.linked) {
+                values.perSpecies.forEach((speciesValues, index) => {
+                    if (speciesValues[key] > max) {
+                        this.ruleParams.setSpeciesValues(index, { [key]: max });
+                    }
+                });
+            }
+        });
+        this.refresh();
+    }
+
+    /**
+     * Moves every slider, checkbox and readout to match the current rule values
+     * (those of the selected species while species are unlinked).
+     * Call this after rule values are changed from outside the sliders.
+     */
+    refresh() {
+        linkSpeciesToggle.checked = this.ruleParams.linked;
+        ruleTargetSelect.disabled = this.ruleParams.linked;
+        if (this.ruleParams.linked) {
+            this.target = -1;
+            ruleTargetSelect.value = '-1';
+        }
+
+        const values = this.target >= 0
+            ? { ...this.ruleParams.getValues(), ...this.ruleParams.getSpeciesValues(this.target) }
+            : this.ruleParams.getValues();
+        this.bindings.forEach(({ key, element, scale, sync }) => {
+            element.value = Math.round(values[key] * scale);
+            sync();
+        });
+        this.toggles.forEach(({ key, element }) => {
+            element.checked = Boolean(values[key]);
+        });
+    }
+}
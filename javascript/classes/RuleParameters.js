@@ -1,114 +1,257 @@
 /**
  * RuleParameters class manages the simulation parameters for the cellular automaton.
- * This class binds HTML range slider inputs to their corresponding display outputs
- * and provides methods to retrieve the current parameter values for the simulation engine.
+ * This class holds the rule values as a plain object with no DOM or storage access,
+ * so the simulation core can be driven from the browser UI, scripts, or Node alike.
+ *
+ * Species are "linked" by default and share one set of rule values. Once unlinked,
+ * each species can override the SPECIES_RULE_KEYS values for itself, which allows
+ * asymmetric competition (e.g. a fast breeder against a disease-resistant incumbent).
+ *
+ * The values parameterize the built-in transition rules, or a rule script (see RuleScript)
+ * that replaces them.
  */
+
+import { DEFAULT_RULES, SPECIES_RULE_KEYS } from '../constants/rules.js';
+import { MAX_SPECIES } from '../constants/state.js';
+import { RuleScript } from './RuleScript.js';
+
 export class RuleParameters {
     /**
-     * Creates a new RuleParameters instance and initializes all parameter sliders.
+     * Creates a new RuleParameters instance seeded from the default rule values.
+     *
+     * @param {Object} values - Optional rule values overriding the defaults (see setValues)
+     *
+     * @property {Object} values - Current shared rule values keyed by parameter name
+     * @property {boolean} linked - Whether every species uses the shared values
+     * @property {Array<Object>} overrides - Per-species rule values, used while unlinked
+     * @property {string|null} script - Source of the rule script replacing the built-in rules, or null
+     * @property {Set<Function>} listeners - Callbacks notified whenever values change
      */
-    constructor() {
-        this.setupSliders();
+    constructor(values = {}) {
+        this.values = { ...DEFAULT_RULES };
+        this.linked = true;
+        this.overrides = Array.from({ length: MAX_SPECIES }, () => ({}));
+        this.script = null;
+        this.listeners = new Set();
+        this.setValues(values);
     }
 
     /**
-     * Initializes and binds all simulation parameter sliders to their display elements.
-     * Each parameter controls a specific aspect of the cellular automaton's behavior:
-     * @property {HTMLElement} BIRTH - Birth threshold
-     * Minimum number of neighbors required for a dead cell to become alive (reproduction rule)
-     * @property {HTMLElement} Smin - Survival minimum
-     * Minimum number of neighbors required for a living cell to survive to the next generation
-     * @property {HTMLElement} Smax - Survival maximum
-     * Maximum number of neighbors a living cell can have and still survive (prevents overcrowding)
-     * @property {HTMLElement} OVER - Overpopulation threshold
-     * Number of neighbors above which a cell dies from overcrowding/resource depletion
-     * @property {HTMLElement} Cmin - Cell minimum
-     * Minimum cell count or density threshold for certain behaviors to activate in the simulation
-     * @property {HTMLElement} MARG - Margin parameter
-     * Buffer zone or tolerance value used in cell state transitions and boundary conditions
-     * @property {HTMLElement} Istrict - Strict interaction range
-     * Distance/strength for strong cell-to-cell interactions (immediate neighbors)
-     * @property {HTMLElement} Iweak - Weak interaction range
-     * Distance/strength for weaker cell-to-cell interactions (extended neighborhood)
-     * @property {HTMLElement} TAU - Time constant
-     * Controls the speed of state transitions or decay rates in the cellular automaton dynamics
-     * @property {HTMLElement} Ydec - Y-axis decay
-     * Rate at which influence or effects decay along the vertical axis of the grid
-     * @property {HTMLElement} dens - Initial density
-     * Percentage of cells that are alive when randomly initializing the grid (0-100%)
-     * @property {HTMLElement} gdens - Growth density
-     * Target density percentage for cell growth patterns or secondary initialization (0-100%)
+     * Coerces a rule value to a number.
+     *
+     * @param {string} key - The rule name, used in error messages
+     * @param {*} raw - The supplied value
+     * @returns {number} The numeric value
+     * @throws {TypeError} If the value is not a finite number
      */
-    setupSliders() {
-        this.BIRTH = this.bindRange('BIRTH', 'BIRTHv');
-        this.Smin = this.bindRange('Smin', 'Sminv');
-        this.Smax = this.bindRange('Smax', 'Smaxv');
-        this.OVER = this.bindRange('OVER', 'OVERv');
-        this.Cmin = this.bindRange('Cmin', 'Cminv');
-        this.MARG = this.bindRange('MARG', 'MARGv');
-        this.Istrict = this.bindRange('Istrict', 'Istrictv');
-        this.Iweak = this.bindRange('Iweak', 'Iweakv');
-        this.TAU = this.bindRange('TAU', 'TAUv');
-        this.Ydec = this.bindRange('Ydec', 'Ydecv');
-        this.dens = this.bindRange('dens', 'densv', (v) => v + '%');
-        this.gdens = this.bindRange('gdens', 'gdensv', (v) => v + '%');
+    coerce(key, raw) {
+        const value = Number(raw);
+        if (!Number.isFinite(value)) {
+            throw new TypeError(`Rule "${key}" must be a finite number, got ${raw}`);
+        }
+        return value;
     }
 
     /**
-     * Binds a range input slider to its corresponding output display element.
-     * Creates a two-way synchronization between the slider and its displayed value.
-     * 
-     * @param {string} id - The HTML ID of the range input element
-     * @param {string} outputId - The HTML ID of the output display element
-     * @param {Function} formatter - Optional function to format the displayed value (e.g., adding "%" symbol for percentage values)
-     * @returns {HTMLElement} The range input element for further reference
+     * Updates one or more rule values.
+     * Unknown keys are ignored and every accepted value is coerced to a number.
+     *
+     * @param {Object} values - Rule values keyed by parameter name
+     * @throws {TypeError} If a supplied value is not a finite number
+     * @throws {SyntaxError} If a supplied rule script is not valid (see RuleScript)
+     *
+     * Accepted keys are those of DEFAULT_RULES:
+     *   - birth, smin, smax, over, cmin, marg, istr, iweak, tau, immunity, ydec: integer thresholds
+     *   - species: number of competing species (2-8)
+     *   - genomes: 1 to give every cell a heritable genome (see TRAITS), 0 for none
+     *   - mutation, density, gdensity: fractions between 0.0 and 1.0
+     * plus, for asymmetric rules:
+     *   - linked: boolean; false gives each species its own values
+     *   - perSpecies: array of per-species rule objects (index 0 is Species A). Supplying
+     *     it unlinks the species unless linked is given explicitly.
+     * and script: the source of a rule script, or null for the built-in rules.
      */
-    bindRange(id, outputId, formatter = (v) => v) {
-        const element = document.getElementById(id);
-        const output = document.getElementById(outputId);
+    setValues(values) {
+        let changed = false;
 
-        const sync = () => {
-            output.textContent = formatter(element.value);
-        };
+        if ('script' in values && values.script !== null) {
+            // Parse first, so an invalid script changes nothing
+            new RuleScript(values.script);
+        }
+
+        Object.keys(DEFAULT_RULES).forEach((key) => {
+            if (!(key in values)) return;
+
+            const value = this.coerce(key, values[key]);
+            if (this.values[key] !== value) {
+                this.values[key] = value;
+                changed = true;
+            }
+        });
+
+
+        if ('script' in values) {
+            const script = values.script === null ? null : String(values.script);
+            if (this.script !== script) {
+                this.script = script;
+                changed = true;
+            }
+        }
+
+        // Per-species values only apply to unlinked species, so linked ones keep none to go stale
+        const linked = 'linked' in values ? Boolean(values.linked) : (Array.isArray(values.perSpecies) ? false : this.linked);
+        if (Array.isArray(values.perSpecies) && !linked) {
+            values.perSpecies.slice(0, MAX_SPECIES).forEach((speciesValues, index) => {
+                changed = this.applySpeciesValues(index, speciesValues || {}) || changed;
+            });
+        }
+        changed = this.applyLinked(linked) || changed;
+
+        if (changed) {
+            this.notify();
+        }
+    }
 
-        element.addEventListener('input', sync);
-        sync();
+    /**
+     * Updates rule values for a single species.
+     * Only SPECIES_RULE_KEYS are accepted; other keys are ignored.
+     *
+     * @param {number} index - Species index (0 for A, 1 for B, …)
+     * @param {Object} values - Rule values keyed by parameter name
+     * @throws {TypeError} If a supplied value is not a finite number
+     */
+    setSpeciesValues(index, values) {
+        if (this.applySpeciesValues(index, values)) {
+            this.notify();
+        }
+    }
+
+    /**
+     * Links or unlinks the species.
+     * Unlinking starts every species from the current shared values.
+     *
+     * @param {boolean} linked - True to make every species use the shared values
+     */
+    setLinked(linked) {
+        if (this.applyLinked(Boolean(linked))) {
+            this.notify();
+        }
+    }
+
+    /**
+     * Stores per-species values without notifying listeners.
+     *
+     * @param {number} index - Species index
+     * @param {Object} values - Rule values keyed by parameter name
+     * @returns {boolean} True if any value changed
+     */
+    applySpeciesValues(index, values) {
+        let changed = false;
 
-        return element;
+        SPECIES_RULE_KEYS.forEach((key) => {
+            if (!(key in values)) return;
+
+            const value = this.coerce(key, values[key]);
+            if (this.overrides[index][key] !== value) {
+                this.overrides[index][key] = value;
+                changed = true;
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * Stores the linked flag without notifying listeners.
+     * Linking drops the per-species values; unlinking fills in any per-species value
+     * not yet set from the shared values, so species start from the values shared then.
+     *
+     * @param {boolean} linked - The new linked flag
+     * @returns {boolean} True if the flag changed
+     */
+    applyLinked(linked) {
+        if (this.linked === linked) return false;
+
+        this.linked = linked;
+        if (linked) {
+            this.overrides = Array.from({ length: MAX_SPECIES }, () => ({}));
+        } else {
+            this.overrides.forEach((override) => {
+                SPECIES_RULE_KEYS.forEach((key) => {
+                    if (!(key in override)) override[key] = this.values[key];
+                });
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Calls every registered listener with a snapshot of the current values.
+     */
+    notify() {
+        const snapshot = this.getValues();
+        this.listeners.forEach((listener) => {
+            listener(snapshot);
+        });
+    }
+
+    /**
+     * Registers a callback invoked with the new values whenever a rule changes.
+     *
+     * @param {Function} listener - Callback receiving the updated values object
+     * @returns {Function} A function that unregisters the listener
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Retrieves the effective rule values of one species.
+     *
+     * @param {number} index - Species index (0 for A, 1 for B, …)
+     * @returns {Object} The SPECIES_RULE_KEYS values that apply to that species
+     */
+    getSpeciesValues(index) {
+        const resolved = {};
+        SPECIES_RULE_KEYS.forEach((key) => {
+            resolved[key] = this.linked || !(key in this.overrides[index])
+                ? this.values[key]
+                : this.overrides[index][key];
+        });
+        return resolved;
     }
 
     /**
      * Retrieves the current values of all simulation parameters.
-     * Converts slider values to appropriate data types and scales for the simulation engine.
-     * 
-     * @returns {Object} An object containing all parameter values:
+     *
+     * @returns {Object} A copy of the current values:
      *   - birth: Birth threshold for cell reproduction
      *   - smin: Minimum neighbors for survival
-     *   - smax: Maximum neighbors for survival  
+     *   - smax: Maximum neighbors for survival
      *   - over: Overpopulation death threshold
      *   - cmin: Minimum cell count threshold
      *   - marg: Margin/buffer parameter
      *   - istr: Strict interaction strength
      *   - iweak: Weak interaction strength
      *   - tau: Time constant for transitions
+     *   - immunity: Generations a recovered cell stays immune (0 for no recovery)
      *   - ydec: Vertical decay rate
+     *   - species: Number of competing species (2 to 8)
+     *   - genomes: 1 if cells carry heritable genomes, 0 if not
+     *   - mutation: Chance that a newborn cell's gene mutates (0.0 to 1.0)
      *   - density: Initial cell density (0.0 to 1.0)
      *   - gdensity: Growth density target (0.0 to 1.0)
+     *   - linked: Whether all species share the values above
+     *   - perSpecies: Effective birth … immunity values of each species, indexed by species
+     *   - script: Source of the rule script in use, or null for the built-in rules
      */
     getValues() {
         return {
-            birth: parseInt(this.BIRTH.value, 10),
-            smin: parseInt(this.Smin.value, 10),
-            smax: parseInt(this.Smax.value, 10),
-            over: parseInt(this.OVER.value, 10),
-            cmin: parseInt(this.Cmin.value, 10),
-            marg: parseInt(this.MARG.value, 10),
-            istr: parseInt(this.Istrict.value, 10),
-            iweak: parseInt(this.Iweak.value, 10),
-            tau: parseInt(this.TAU.value, 10),
-            ydec: parseInt(this.Ydec.value, 10),
-            density: parseInt(this.dens.value, 10) / 100,
-            gdensity: parseInt(this.gdens.value, 10) / 100
+            ...this.values,
+            linked: this.linked,
+            perSpecies: this.overrides.map((override, index) => this.getSpeciesValues(index)),
+            script: this.script
         };
     }
 }
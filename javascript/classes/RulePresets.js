@@ -0,0 +1,184 @@
+/**
+ * RulePresets class manages named sets of rule values: the BUILT_IN_PRESETS plus presets
+ * saved by the user, which are kept in a Storage (localStorage in the browser) and can be
+ * exported to and imported from JSON preset collections.
+ */
+
+import { RuleParameters } from './RuleParameters.js';
+import { BUILT_IN_PRESETS } from '../constants/presets.js';
+
+export const PRESET_STORAGE_KEY = 'rulePresets';
+export const PRESET_FILE_FORMAT = 'darwinism-presets';
+export const PRESET_FILE_VERSION = 1;
+
+export class RulePresets {
+    /**
+     * Creates a new RulePresets instance and loads the user's saved presets.
+     *
+     * @param {Storage|null} storage - Where user presets are kept (null keeps them in memory only)
+     *
+     * @property {Storage|null} storage - Reference to the preset storage
+     * @property {Map<string, Object>} userPresets - Saved presets by name, as complete rule values
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.userPresets = new Map();
+        this.load();
+    }
+
+    /**
+     * Expands rule values to a complete set, as returned by RuleParameters.getValues().
+     * Missing rules take their default values; missing per-species values take the
+     * preset's shared ones.
+     *
+     * @param {Object} rules - Rule values (possibly partial)
+     * @returns {Object} The complete rule values
+     * @throws {TypeError} If a rule value is not a number
+     */
+    static normalize(rules) {
+        return new RuleParameters(rules).getValues();
+    }
+
+    /**
+     * Lists every preset, built-in ones first.
+     *
+     * @returns {Array<Object>} Presets as { name, builtIn }
+     */
+    list() {
+        return [
+            ...BUILT_IN_PRESETS.map(({ name }) => ({ name, builtIn: true })),
+            ...[...this.userPresets.keys()].map((name) => ({ name, builtIn: false }))
+        ];
+    }
+
+    /**
+     * Whether a name belongs to a built-in preset.
+     *
+     * @param {string} name - The preset name
+     * @returns {boolean} True for built-in presets
+     */
+    isBuiltIn(name) {
+        return BUILT_IN_PRESETS.some((preset) => preset.name === name);
+    }
+
+    /**
+     * Looks up a preset's rule values.
+     *
+     * @param {string} name - The preset name
+     * @returns {Object|null} The complete rule values, or null if there is no such preset
+     */
+    get(name) {
+        const builtIn = BUILT_IN_PRESETS.find((preset) => preset.name === name);
+        if (builtIn) return RulePresets.normalize(builtIn.rules);
+        return this.userPresets.has(name) ? RulePresets.normalize(this.userPresets.get(name)) : null;
+    }
+
+    /**
+     * Saves rule values as a user preset, replacing any user preset of the same name.
+     *
+     * @param {string} name - The preset name
+     * @param {Object} rules - The rule values, e.g. from RuleParameters.getValues()
+     * @throws {RangeError} If the name is empty or belongs to a built-in preset
+     * @throws {TypeError} If a rule value is not a number
+     */
+    save(name, rules) {
+        const trimmed = String(name).trim();
+        if (!trimmed) {
+            throw new RangeError('A preset needs a name');
+        }
+        if (this.isBuiltIn(trimmed)) {
+            throw new RangeError(`"${trimmed}" is a built-in preset`);
+        }
+        this.userPresets.set(trimmed, RulePresets.normalize(rules));
+        this.store();
+    }
+
+    /**
+     * Deletes a user preset. Built-in presets cannot be deleted.
+     *
+     * @param {string} name - The preset name
+     * @returns {boolean} True if a user preset was deleted
+     */
+    remove(name) {
+        const removed = this.userPresets.delete(name);
+        if (removed) this.store();
+        return removed;
+    }
+
+    /**
+     * Serializes the user presets as a preset collection.
+     *
+     * @returns {string} JSON text: { format, version, presets: [{ name, rules }] }
+     */
+    stringify() {
+        return JSON.stringify({
+            format: PRESET_FILE_FORMAT,
+            version: PRESET_FILE_VERSION,
+            presets: [...this.userPresets].map(([name, rules]) => ({ name, rules }))
+        }, null, 2);
+    }
+
+    /**
+     * Adds the presets of a preset collection to the user presets.
+     * Presets named like a built-in one are saved with " (imported)" appended;
+     * user presets of the same name are replaced.
+     *
+     * @param {string} text - JSON text of a preset collection (see stringify)
+     * @returns {Array<string>} Names under which the presets were saved
+     * @throws {TypeError} If the text is not a preset collection or a rule value is not a number
+     *
+     * The whole collection is validated before any preset is saved.
+     */
+    importCollection(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new TypeError(`Not a preset collection: ${e.message}`);
+        }
+        if (!data || data.format !== PRESET_FILE_FORMAT || !Array.isArray(data.presets)) {
+            throw new TypeError('Not a preset collection');
+        }
+        if (data.version !== PRESET_FILE_VERSION) {
+            throw new TypeError(`Unsupported preset collection version ${data.version}, expected ${PRESET_FILE_VERSION}`);
+        }
+
+        const presets = data.presets.map((preset) => {
+            const name = String(preset && preset.name || '').trim();
+            if (!name) {
+                throw new TypeError('Every preset needs a name');
+            }
+            return [this.isBuiltIn(name) ? `${name} (imported)` : name, RulePresets.normalize(preset.rules || {})];
+        });
+        presets.forEach(([name, rules]) => {
+            this.userPresets.set(name, rules);
+        });
+        this.store();
+        return presets.map(([name]) => name);
+    }
+
+    /**
+     * Reads the user presets from storage, logging an error if they cannot be read.
+     */
+    load() {
+        if (!this.storage) return;
+
+        const saved = this.storage.getItem(PRESET_STORAGE_KEY);
+        if (!saved) return;
+        try {
+            Object.entries(JSON.parse(saved)).forEach(([name, rules]) => {
+                this.userPresets.set(name, RulePresets.normalize(rules));
+            });
+        } catch (e) {
+            console.error('Failed to load saved presets:', e);
+        }
+    }
+
+    /**
+     * Writes the user presets to storage.
+     */
+    store() {
+        if (!this.storage) return;
+        this.storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(Object.fromEntries(this.userPresets)));
+    }
+}
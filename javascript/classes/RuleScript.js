@@ -0,0 +1,934 @@
+/**
+ * RuleScript class parses, checks and compiles rule scripts: user-defined transition
+ * rules written in a small expression language instead of JavaScript.
+ *
+ * A script is a list of statements:
+ * - `let <name> = <expression>`: Names a value, computed at most once per cell and only
+ *   if a rule needs it
+ * - `when <condition> -> <next state>`: A rule. For every cell the rules are tried from
+ *   top to bottom and the first whose condition holds gives the cell's next state;
+ *   a cell that matches no rule keeps its state
+ *
+ * Expressions read the cell's state, its neighbor counts, its disease or contest age
+ * and the rule parameters; see README.md for the full list of names and functions.
+ * Scripts are type-checked when they are parsed, so every error (unknown names, wrong
+ * argument types, a condition that is not true/false, …) is reported with its line and
+ * column before anything runs. A checked script is compiled into a JavaScript function
+ * that only contains code generated from the syntax tree: names become fixed reads of the
+ * cell and rule table, numbers are re-formatted, and the only loops run over the species.
+ * Scripts cannot reach anything else and always terminate.
+ */
+
+import { STATE, STATE_SLOTS, SPECIES, MAX_SPECIES } from '../constants/state.js';
+import { SPECIES_RULE_KEYS } from '../constants/rules.js';
+
+// Slot of the rule table's per-species arrays holding the shared value (see SimulationEngine)
+const SHARED = MAX_SPECIES;
+
+const ALL_SPECIES_MASK = (1 << MAX_SPECIES) - 1;
+
+// Lookups by state used by compiled scripts: rule table slot (species index, or SHARED
+// for other states) and species set bit (0 for other states)
+const SPECIES_SLOT = new Int8Array(STATE_SLOTS).fill(SHARED);
+const SPECIES_BIT = new Uint8Array(STATE_SLOTS);
+SPECIES.forEach((state, index) => {
+    SPECIES_SLOT[state] = index;
+    SPECIES_BIT[state] = 1 << index;
+});
+
+// The default rule file: the built-in rules written as a rule script
+export const DEFAULT_RULE_SCRIPT_URL = new URL('../../rules/darwinism.rules', import.meta.url);
+
+/**
+ * Offset added to a species set by a `CONTESTED(<set>)` rule's result, so the compiled
+ * function can return the next state and the contestants as one number.
+ */
+export const CONTESTED_WITH = 256;
+
+const TYPE = {
+    NUMBER: 'number',
+    BOOLEAN: 'true/false',
+    STATE: 'state',
+    SET: 'species set'
+};
+
+const KEYWORDS = ['let', 'when', 'and', 'or', 'not', 'in', 'true', 'false'];
+
+// Operators, longest first so '->' and '<=' win over '-' and '<'
+const OPERATORS = ['->', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '(', ')', ',', '='];
+
+/**
+ * Values a script can read by name, with their type and compiled code.
+ * Code may use the per-cell variables of the compiled function (see RuleScript.compile).
+ */
+const VALUES = {
+    state: { type: TYPE.STATE, code: 'state' },
+    age: { type: TYPE.NUMBER, code: 'cellAge(state, index, grid)' },
+    origin: { type: TYPE.STATE, code: 'cellOrigin(state, index, grid)' },
+    contestants: { type: TYPE.SET, code: 'cellContestants(state, index, grid, rules)' },
+    A: { type: TYPE.NUMBER, code: `counts[${STATE.SPECIES_A}]` },
+    B: { type: TYPE.NUMBER, code: `counts[${STATE.SPECIES_B}]` },
+    G: { type: TYPE.NUMBER, code: `counts[${STATE.DISEASED}]` },
+    Y: { type: TYPE.NUMBER, code: `counts[${STATE.CONTESTED}]` },
+    R: { type: TYPE.NUMBER, code: `counts[${STATE.RECOVERED}]` },
+    ALL: { type: TYPE.SET, code: String(ALL_SPECIES_MASK) },
+    ACTIVE: { type: TYPE.SET, code: '((1 << rules.species) - 1)' },
+    ydec: { type: TYPE.NUMBER, code: 'rules.ydec' },
+    species: { type: TYPE.NUMBER, code: 'rules.species' }
+};
+Object.entries(STATE).forEach(([name, value]) => {
+    VALUES[name] = { type: TYPE.STATE, code: String(value) };
+});
+SPECIES_RULE_KEYS.forEach((key) => {
+    VALUES[key] = { type: TYPE.NUMBER, code: `rules.${key}[${SHARED}]` };
+});
+
+/**
+ * Functions a script can call: parameter types (or rest, for any number of arguments
+ * of one type), result type and a code builder receiving the compiled arguments.
+ * Some also have a faster builder for an argument bound by an aggregate, which is
+ * always a species: it receives the binder's id, whose loop variables are s<id>
+ * (the species' state) and i<id> (its species index).
+ */
+const FUNCTIONS = {
+    n: { params: [TYPE.STATE], type: TYPE.NUMBER, code: ([s]) => `counts[${s}]` },
+    S: { params: [TYPE.STATE], type: TYPE.NUMBER, code: ([s]) => `strength(${s}, counts, boost)`, bound: (id) => `(counts[s${id}] * boost)` },
+    isSpecies: { params: [TYPE.STATE], type: TYPE.BOOLEAN, code: ([s]) => `(SPECIES_BIT[${s}] !== 0)`, bound: () => 'true' },
+    size: { params: [TYPE.SET], type: TYPE.NUMBER, code: ([set]) => `setSize(${set})` },
+    first: { params: [TYPE.SET], type: TYPE.STATE, code: ([set]) => `firstSpecies(${set})` },
+    strongest: { params: [TYPE.SET], type: TYPE.STATE, code: ([set]) => `rankedSpecies(${set}, counts, 0)` },
+    runnerUp: { params: [TYPE.SET], type: TYPE.STATE, code: ([set]) => `rankedSpecies(${set}, counts, 1)` },
+    has: { params: [TYPE.SET, TYPE.STATE], type: TYPE.BOOLEAN, code: ([set, s]) => `((${set} & SPECIES_BIT[${s}]) !== 0)` },
+    without: { params: [TYPE.SET, TYPE.STATE], type: TYPE.SET, code: ([set, s]) => `(${set} & ~SPECIES_BIT[${s}])` },
+    set: { rest: TYPE.STATE, type: TYPE.SET, code: (states) => `(${states.map((s) => `SPECIES_BIT[${s}]`).join(' | ') || '0'})` },
+    min: { params: [TYPE.NUMBER, TYPE.NUMBER], type: TYPE.NUMBER, code: ([a, b]) => `Math.min(${a}, ${b})` },
+    max: { params: [TYPE.NUMBER, TYPE.NUMBER], type: TYPE.NUMBER, code: ([a, b]) => `Math.max(${a}, ${b})` },
+    abs: { params: [TYPE.NUMBER], type: TYPE.NUMBER, code: ([a]) => `Math.abs(${a})` }
+};
+SPECIES_RULE_KEYS.forEach((key) => {
+    FUNCTIONS[key] = {
+        params: [TYPE.STATE],
+        type: TYPE.NUMBER,
+        code: ([s]) => `rules.${key}[SPECIES_SLOT[${s}]]`,
+        bound: (id) => `rules.${key}[i${id}]`
+    };
+});
+
+/**
+ * Functions that loop over a species set, written `any(s in <set>, <expression>)`:
+ * the expression is evaluated with the bound name standing for each species in turn.
+ * Each lists the expression's type, the result type and the code of its loop:
+ * the result's initial value, its update for one species and its final value.
+ */
+const AGGREGATES = {
+    any: { body: TYPE.BOOLEAN, type: TYPE.BOOLEAN, init: 'false', update: (body) => `if (${body}) return true;`, result: 'result' },
+    all: { body: TYPE.BOOLEAN, type: TYPE.BOOLEAN, init: 'true', update: (body) => `if (!(${body})) return false;`, result: 'result' },
+    sum: { body: TYPE.NUMBER, type: TYPE.NUMBER, init: '0', update: (body) => `result += ${body};`, result: 'result' },
+    max: { body: TYPE.NUMBER, type: TYPE.NUMBER, init: '-Infinity', update: (body) => `result = Math.max(result, ${body});`, result: 'result === -Infinity ? 0 : result' },
+    select: { body: TYPE.BOOLEAN, type: TYPE.SET, init: '0', update: (body, id) => `if (${body}) result |= 1 << i${id};`, result: 'result' }
+};
+
+/**
+ * Looks a script name up in one of the built-in tables (VALUES, FUNCTIONS, AGGREGATES).
+ * Only the table's own entries count, so names like "toString" or "constructor" that
+ * every object inherits are not mistaken for built-ins.
+ *
+ * @param {Object} table - The table
+ * @param {string} name - The name used in the script
+ * @returns {Object|undefined} The entry, or undefined if the table has none by that name
+ */
+function builtIn(table, name) {
+    return Object.hasOwn(table, name) ? table[name] : undefined;
+}
+
+/**
+ * Creates an error pointing at a position in the script.
+ *
+ * @param {Object} token - The token the error refers to ({ line, column })
+ * @param {string} message - What is wrong
+ * @returns {SyntaxError} The error, with line and column properties
+ */
+function scriptError(token, message) {
+    const error = new SyntaxError(`Line ${token.line}, column ${token.column}: ${message}`);
+    error.line = token.line;
+    error.column = token.column;
+    return error;
+}
+
+/**
+ * Finds the first token of an expression, where errors about the whole expression point.
+ *
+ * @param {Object} node - The expression
+ * @returns {Object} Its first token
+ */
+function firstToken(node) {
+    return node.kind === 'binary' ? firstToken(node.left) : node.token;
+}
+
+/**
+ * Finds the known name closest to a misspelled one.
+ *
+ * @param {string} name - The unknown name
+ * @param {Array<string>} candidates - The names that would have been valid
+ * @returns {string|null} The closest candidate within two edits, or null
+ */
+function closestName(name, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    candidates.forEach((candidate) => {
+        // Levenshtein distance, one row at a time
+        let previous = Array.from({ length: candidate.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= name.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= candidate.length; j++) {
+                const substitution = previous[j - 1] + (name[i - 1].toLowerCase() === candidate[j - 1].toLowerCase() ? 0 : 1);
+                current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+            }
+            previous = current;
+        }
+        if (previous[candidate.length] < bestDistance) {
+            best = candidate;
+            bestDistance = previous[candidate.length];
+        }
+    });
+    return best;
+}
+
+/**
+ * Splits a script into tokens.
+ *
+ * @param {string} source - The script text
+ * @returns {Array<Object>} Tokens ({ kind: 'number' | 'name' | 'operator' | 'end', text, line, column })
+ * @throws {SyntaxError} If the script contains a character that starts no token
+ */
+function tokenize(source) {
+    const tokens = [];
+    let line = 1;
+    let lineStart = 0;
+    let position = 0;
+
+    while (position < source.length) {
+        const char = source[position];
+        const column = position - lineStart + 1;
+
+        if (char === '\n') {
+            line++;
+            lineStart = position + 1;
+            position++;
+        } else if (/\s/.test(char)) {
+            position++;
+        } else if (char === '#') {
+            while (position < source.length && source[position] !== '\n') position++;
+        } else {
+            const rest = source.slice(position);
+            const number = /^\d+(\.\d+)?/.exec(rest);
+            const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+            const operator = OPERATORS.find((op) => rest.startsWith(op));
+            const match = number ? ['number', number[0]] : name ? ['name', name[0]] : operator ? ['operator', operator] : null;
+            if (!match) {
+                throw scriptError({ line, column }, `Unexpected character "${char}"`);
+            }
+            tokens.push({ kind: match[0], text: match[1], line, column });
+            position += match[1].length;
+        }
+    }
+
+    tokens.push({ kind: 'end', text: 'end of script', line, column: position - lineStart + 1 });
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser producing the script's syntax tree.
+ *
+ * Grammar (lowest precedence first):
+ *   statement  := 'let' name '=' expression | 'when' expression '->' target
+ *   target     := 'CONTESTED' '(' expression ')' | expression
+ *   expression := and ('or' and)*
+ *   and        := not ('and' not)*
+ *   not        := 'not' not | comparison
+ *   comparison := sum (('==' | '!=' | '<' | '<=' | '>' | '>=') sum)?
+ *   sum        := product (('+' | '-') product)*
+ *   product    := unary (('*' | '/') unary)*
+ *   unary      := '-' unary | primary
+ *   primary    := number | 'true' | 'false' | name | name '(' arguments? ')' | '(' expression ')'
+ *   arguments  := name 'in' expression ',' expression | expression (',' expression)*
+ */
+class Parser {
+    /**
+     * Creates a parser positioned at the first token.
+     *
+     * @param {Array<Object>} tokens - The script's tokens (see tokenize)
+     *
+     * @property {Array<Object>} tokens - Reference to the tokens
+     * @property {number} position - Index of the current token
+     */
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    /**
+     * The current token.
+     *
+     * @returns {Object} The token at the current position
+     */
+    get token() {
+        return this.tokens[this.position];
+    }
+
+    /**
+     * Whether the current token is the given operator or keyword.
+     *
+     * @param {string} text - The operator or keyword
+     * @returns {boolean} True if it is
+     */
+    at(text) {
+        return this.token.kind !== 'number' && this.token.kind !== 'end' && this.token.text === text;
+    }
+
+    /**
+     * Consumes the current token if it is the given operator or keyword.
+     *
+     * @param {string} text - The operator or keyword
+     * @returns {Object|null} The consumed token, or null
+     */
+    accept(text) {
+        return this.at(text) ? this.tokens[this.position++] : null;
+    }
+
+    /**
+     * Consumes the current token if it is any of the given operators or keywords.
+     *
+     * @param {Array<string>} texts - The operators or keywords
+     * @returns {Object|null} The consumed token, or null
+     */
+    acceptAny(texts) {
+        const text = texts.find((candidate) => this.at(candidate));
+        return text ? this.accept(text) : null;
+    }
+
+    /**
+     * Consumes the given operator or keyword, or fails.
+     *
+     * @param {string} text - The expected operator or keyword
+     * @param {string} context - What it is expected for, used in the error message
+     * @returns {Object} The consumed token
+     * @throws {SyntaxError} If the current token is something else
+     */
+    expect(text, context) {
+        const token = this.accept(text);
+        if (!token) {
+            throw scriptError(this.token, `Expected "${text}" ${context}, found "${this.token.text}"`);
+        }
+        return token;
+    }
+
+    /**
+     * Consumes a name that is not a keyword, or fails.
+     *
+     * @param {string} context - What the name is for, used in the error message
+     * @returns {Object} The consumed token
+     * @throws {SyntaxError} If the current token is not a name
+     */
+    expectName(context) {
+        const token = this.token;
+        if (token.kind !== 'name' || KEYWORDS.includes(token.text)) {
+            throw scriptError(token, `Expected ${context}, found "${token.text}"`);
+        }
+        this.position++;
+        return token;
+    }
+
+    /**
+     * Parses the whole script.
+     *
+     * @returns {Array<Object>} The statements
+     */
+    parseScript() {
+        const statements = [];
+        while (this.token.kind !== 'end') {
+            statements.push(this.parseStatement());
+        }
+        return statements;
+    }
+
+    /**
+     * Parses one `let` or `when` statement.
+     *
+     * @returns {Object} The statement ({ kind: 'let', name, value } or { kind: 'when', condition, target })
+     */
+    parseStatement() {
+        const token = this.token;
+        if (this.accept('let')) {
+            const name = this.expectName('a name after "let"');
+            this.expect('=', `after "let ${name.text}"`);
+            return { kind: 'let', token: name, name: name.text, value: this.parseExpression() };
+        }
+        if (this.accept('when')) {
+            const condition = this.parseExpression();
+            this.expect('->', 'between the condition and the next state');
+            return { kind: 'when', token, condition, target: this.parseTarget() };
+        }
+        throw scriptError(token, `Expected "let" or "when" to start a statement, found "${token.text}"`);
+    }
+
+    /**
+     * Parses a rule's next state: `CONTESTED(<contestants>)` or any expression.
+     *
+     * @returns {Object} The target ({ kind: 'contested', contestants } or an expression)
+     */
+    parseTarget() {
+        const token = this.token;
+        if (this.at('CONTESTED') && this.tokens[this.position + 1].text === '(') {
+            this.position += 2;
+            const contestants = this.parseExpression();
+            this.expect(')', 'after the contestants');
+            return { kind: 'contested', token, contestants };
+        }
+        return this.parseExpression();
+    }
+
+    /**
+     * Parses an expression. The parse* methods below each handle one precedence
+     * level of the grammar and return the expression's node:
+     * { kind: 'number' | 'boolean' | 'name' | 'unary' | 'binary' | 'call', token, … }.
+     *
+     * @returns {Object} The expression
+     */
+    parseExpression() {
+        return this.parseBinary(['or'], () => this.parseAnd());
+    }
+
+    /**
+     * Parses `not ('and' not)*`.
+     *
+     * @returns {Object} The expression
+     */
+    parseAnd() {
+        return this.parseBinary(['and'], () => this.parseNot());
+    }
+
+    /**
+     * Parses `'not' not | comparison`.
+     *
+     * @returns {Object} The expression
+     */
+    parseNot() {
+        const token = this.accept('not');
+        return token ? { kind: 'unary', token, operator: 'not', operand: this.parseNot() } : this.parseComparison();
+    }
+
+    /**
+     * Parses `sum (comparison-operator sum)?`. Comparisons do not chain.
+     *
+     * @returns {Object} The expression
+     */
+    parseComparison() {
+        const left = this.parseSum();
+        const token = this.acceptAny(['==', '!=', '<=', '>=', '<', '>']);
+        return token ? { kind: 'binary', token, operator: token.text, left, right: this.parseSum() } : left;
+    }
+
+    /**
+     * Parses `product (('+' | '-') product)*`.
+     *
+     * @returns {Object} The expression
+     */
+    parseSum() {
+        return this.parseBinary(['+', '-'], () => this.parseProduct());
+    }
+
+    /**
+     * Parses `unary (('*' | '/') unary)*`.
+     *
+     * @returns {Object} The expression
+     */
+    parseProduct() {
+        return this.parseBinary(['*', '/'], () => this.parseUnary());
+    }
+
+    /**
+     * Parses a left-associative chain of operands joined by any of the given operators.
+     *
+     * @param {Array<string>} operators - The operators of this precedence level
+     * @param {Function} parseOperand - Parses one operand
+     * @returns {Object} The expression
+     */
+    parseBinary(operators, parseOperand) {
+        let left = parseOperand();
+        for (let token = this.acceptAny(operators); token; token = this.acceptAny(operators)) {
+            left = { kind: 'binary', token, operator: token.text, left, right: parseOperand() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.accept('-');
+        return token ? { kind: 'unary', token, operator: '-', operand: this.parseUnary() } : this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.token;
+        if (token.kind === 'number') {
+            this.position++;
+            return { kind: 'number', token, value: Number(token.text) };
+        }
+        if (this.accept('true') || this.accept('false')) {
+            return { kind: 'boolean', token, value: token.text === 'true' };
+        }
+        if (this.accept('(')) {
+            const expression = this.parseExpression();
+            this.expect(')', 'to close "("');
+            return expression;
+        }
+
+        const name = this.expectName('a number, a name or "("');
+        if (!this.accept('(')) {
+            return { kind: 'name', token: name, name: name.text };
+        }
+
+        const call = { kind: 'call', token: name, name: name.text, binder: null, args: [] };
+        if (this.token.kind === 'name' && this.tokens[this.position + 1].text === 'in') {
+            const binder = this.expectName('a name');
+            this.position++;
+            call.binder = { token: binder, name: binder.text, set: this.parseExpression() };
+            this.expect(',', `after "${binder.text} in …"`);
+            call.args.push(this.parseExpression());
+        } else if (!this.at(')')) {
+            do {
+                call.args.push(this.parseExpression());
+            } while (this.accept(','));
+        }
+        this.expect(')', `to close the call to "${name.text}"`);
+        return call;
+    }
+}
+
+/**
+ * Returns the type of a value with an article, for error messages.
+ *
+ * @param {string} type - A TYPE value
+ * @returns {string} e.g. "a number"
+ */
+function describe(type) {
+    return type === TYPE.BOOLEAN ? 'true/false' : `a ${type}`;
+}
+
+/**
+ * Number of species in a species set.
+ *
+ * @param {number} mask - The species set (bit i = species i)
+ * @returns {number} The number of species
+ */
+function setSize(mask) {
+    let size = 0;
+    for (let bits = mask; bits; bits &= bits - 1) size++;
+    return size;
+}
+
+/**
+ * The first species (lowest index) of a species set.
+ *
+ * @param {number} mask - The species set
+ * @returns {number} The species' state, or EMPTY if the set is empty
+ */
+function firstSpecies(mask) {
+    for (let i = 0; i < MAX_SPECIES; i++) {
+        if (mask & (1 << i)) return SPECIES[i];
+    }
+    return STATE.EMPTY;
+}
+
+/**
+ * The strongest or second-strongest species of a species set.
+ * Ties go to the species with the lower index, as in SimulationEngine.rankSpecies.
+ * Every species' strength is its count times the same boost, so ranking by count
+ * gives the same order.
+ *
+ * @param {number} mask - The species set
+ * @param {Uint8Array} counts - Neighbor counts indexed by state
+ * @param {number} place - 0 for the strongest, 1 for the runner-up
+ * @returns {number} The species' state, or EMPTY if the set has too few species
+ */
+function rankedSpecies(mask, counts, place) {
+    let leader = -1;
+    let runnerUp = -1;
+    let leaderCount = 0;
+    let runnerUpCount = 0;
+    for (let i = 0; i < MAX_SPECIES; i++) {
+        if (!(mask & (1 << i))) continue;
+
+        const count = counts[SPECIES[i]];
+        if (leader < 0 || count > leaderCount) {
+            runnerUp = leader;
+            runnerUpCount = leaderCount;
+            leader = i;
+            leaderCount = count;
+        } else if (runnerUp < 0 || count > runnerUpCount) {
+            runnerUp = i;
+            runnerUpCount = count;
+        }
+    }
+    const ranked = place === 0 ? leader : runnerUp;
+    return ranked < 0 ? STATE.EMPTY : SPECIES[ranked];
+}
+
+/**
+ * Effective strength of a species: its neighbor count boosted by contested neighbors.
+ *
+ * @param {number} state - A species state (other states have no strength)
+ * @param {Uint8Array} counts - Neighbor counts indexed by state
+ * @param {number} boost - 1 + 0.5 × contested neighbors
+ * @returns {number} The strength
+ */
+function strength(state, counts, boost) {
+    return SPECIES_BIT[state] === 0 ? 0 : counts[state] * boost;
+}
+
+/**
+ * The age of a cell: its disease age while diseased, the generations since it recovered
+ * while recovered, its contest age while contested.
+ *
+ * @param {number} state - The cell's state
+ * @param {number} index - The cell's index
+ * @param {GridModel} grid - The grid
+ * @returns {number} The age (0 for other states)
+ */
+function cellAge(state, index, grid) {
+    if (state === STATE.DISEASED || state === STATE.RECOVERED) return grid.gAge[index];
+    return state === STATE.CONTESTED ? grid.yAge[index] : 0;
+}
+
+/**
+ * The species a diseased or recovered cell belonged to before infection.
+ *
+ * @param {number} state - The cell's state
+ * @param {number} index - The cell's index
+ * @param {GridModel} grid - The grid
+ * @returns {number} The species' state, or EMPTY if unknown or the cell is neither
+ *   diseased nor recovered
+ */
+function cellOrigin(state, index, grid) {
+    const origin = state === STATE.DISEASED || state === STATE.RECOVERED ? grid.gSpecies[index] : 0;
+    return origin ? SPECIES[origin - 1] : STATE.EMPTY;
+}
+
+/**
+ * The species a cell belongs to: its own species, or the species contesting it.
+ *
+ * @param {number} state - The cell's state
+ * @param {number} index - The cell's index
+ * @param {GridModel} grid - The grid
+ * @param {Object} rules - The rule table
+ * @returns {number} The species set (all active species for a contested cell with none recorded)
+ */
+function cellContestants(state, index, grid, rules) {
+    if (state === STATE.CONTESTED) return grid.yMask[index] || ((1 << rules.species) - 1);
+    return SPECIES_BIT[state];
+}
+
+// Helpers handed to compiled scripts
+const RUNTIME = {
+    SPECIES, SPECIES_SLOT, SPECIES_BIT, setSize, firstSpecies, rankedSpecies, strength, cellAge, cellOrigin, cellContestants
+};
+
+export class RuleScript {
+    /**
+     * Parses and checks a rule script.
+     *
+     * @param {string} source - The script text
+     * @throws {SyntaxError} If the script is not valid; the message starts with the line
+     *   and column of the problem, which are also set as the error's line and column
+     *
+     * @property {string} source - The script text
+     * @property {Array<Object>} statements - The checked syntax tree, one node per statement
+     */
+    constructor(source) {
+        this.source = String(source);
+        this.statements = new Parser(tokenize(this.source)).parseScript();
+        this.check();
+    }
+
+    /**
+     * Resolves every name and checks the type of every expression, recording the
+     * results on the syntax tree for compile().
+     *
+     * @throws {SyntaxError} On the first problem found
+     */
+    check() {
+        const lets = new Map();
+        this.statements.forEach((statement) => {
+            if (statement.kind === 'let') {
+                if (builtIn(VALUES, statement.name) || builtIn(FUNCTIONS, statement.name) || lets.has(statement.name)) {
+                    throw scriptError(statement.token, `"${statement.name}" is already defined`);
+                }
+                const type = this.checkExpression(statement.value, lets, new Map());
+                lets.set(statement.name, { type, id: lets.size });
+                statement.id = lets.get(statement.name).id;
+                return;
+            }
+
+            this.expectType(statement.condition, TYPE.BOOLEAN, lets, new Map(), 'A rule\'s condition');
+            if (statement.target.kind === 'contested') {
+                this.expectType(statement.target.contestants, TYPE.SET, lets, new Map(), 'CONTESTED(…)\'s contestants');
+            } else {
+                this.expectType(statement.target, TYPE.STATE, lets, new Map(), 'A rule\'s next state');
+            }
+        });
+    }
+
+    /**
+     * Checks an expression and fails unless it has the given type.
+     *
+     * @param {Object} node - The expression
+     * @param {string} type - The required TYPE
+     * @param {Map} lets - The let names defined so far
+     * @param {Map} binders - The names bound by enclosing aggregates
+     * @param {string} what - What the expression is, used in the error message
+     * @throws {SyntaxError} If the expression is invalid or has another type
+     */
+    expectType(node, type, lets, binders, what) {
+        const actual = this.checkExpression(node, lets, binders);
+        if (actual !== type) {
+            throw scriptError(firstToken(node), `${what} must be ${describe(type)}, got ${describe(actual)}`);
+        }
+    }
+
+    /**
+     * Checks an expression and records its type on the node.
+     *
+     * @param {Object} node - The expression
+     * @param {Map} lets - The let names defined so far ({ type, id } by name)
+     * @param {Map} binders - The names bound by enclosing aggregates ({ id } by name)
+     * @returns {string} The expression's TYPE
+     * @throws {SyntaxError} If the expression is invalid
+     */
+    checkExpression(node, lets, binders) {
+        node.type = this.typeOf(node, lets, binders);
+        return node.type;
+    }
+
+    /**
+     * Works out the type of an expression, checking its parts (see checkExpression).
+     * Names are resolved in the order binders, lets, built-in values; a resolved
+     * binder or let records its id on the node.
+     */
+    typeOf(node, lets, binders) {
+        switch (node.kind) {
+            case 'number':
+                return TYPE.NUMBER;
+            case 'boolean':
+                return TYPE.BOOLEAN;
+            case 'name': {
+                if (binders.has(node.name)) {
+                    node.binder = binders.get(node.name).id;
+                    return TYPE.STATE;
+                }
+                if (lets.has(node.name)) {
+                    node.let = lets.get(node.name).id;
+                    return lets.get(node.name).type;
+                }
+                if (builtIn(VALUES, node.name)) return VALUES[node.name].type;
+                if (builtIn(FUNCTIONS, node.name)) {
+                    throw scriptError(node.token, `"${node.name}" is a function; call it as ${node.name}(…)`);
+                }
+                if (this.statements.some((statement) => statement.kind === 'let' && statement.name === node.name)) {
+                    throw scriptError(node.token, `"${node.name}" is used before its "let"`);
+                }
+                const suggestion = closestName(node.name, [...binders.keys(), ...lets.keys(), ...Object.keys(VALUES)]);
+                throw scriptError(node.token, `Unknown name "${node.name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+            }
+            case 'unary':
+                if (node.operator === 'not') {
+                    this.expectType(node.operand, TYPE.BOOLEAN, lets, binders, '"not"\'s operand');
+                    return TYPE.BOOLEAN;
+                }
+                this.expectType(node.operand, TYPE.NUMBER, lets, binders, '"-"\'s operand');
+                return TYPE.NUMBER;
+            case 'binary':
+                return this.typeOfBinary(node, lets, binders);
+            case 'call':
+                return node.binder ? this.typeOfAggregate(node, lets, binders) : this.typeOfCall(node, lets, binders);
+        }
+    }
+
+    /**
+     * Type of `and`/`or` (true/false operands), `==`/`!=` (operands of one type),
+     * comparisons (numbers, giving true/false) and arithmetic (numbers).
+     */
+    typeOfBinary(node, lets, binders) {
+        const { operator } = node;
+        if (operator === 'and' || operator === 'or') {
+            this.expectType(node.left, TYPE.BOOLEAN, lets, binders, `"${operator}"'s left side`);
+            this.expectType(node.right, TYPE.BOOLEAN, lets, binders, `"${operator}"'s right side`);
+            return TYPE.BOOLEAN;
+        }
+        if (operator === '==' || operator === '!=') {
+            const left = this.checkExpression(node.left, lets, binders);
+            const right = this.checkExpression(node.right, lets, binders);
+            if (left !== right) {
+                throw scriptError(node.token, `"${operator}" compares ${describe(left)} with ${describe(right)}`);
+            }
+            return TYPE.BOOLEAN;
+        }
+
+        this.expectType(node.left, TYPE.NUMBER, lets, binders, `"${operator}"'s left side`);
+        this.expectType(node.right, TYPE.NUMBER, lets, binders, `"${operator}"'s right side`);
+        return ['<', '<=', '>', '>='].includes(operator) ? TYPE.BOOLEAN : TYPE.NUMBER;
+    }
+
+    /**
+     * Type of a call to one of the FUNCTIONS, checking the number and types of its arguments.
+     */
+    typeOfCall(node, lets, binders) {
+        const fn = builtIn(FUNCTIONS, node.name);
+        if (!fn) {
+            if (builtIn(AGGREGATES, node.name)) {
+                throw scriptError(node.token, `${node.name}() loops over species: write ${node.name}(s in <species set>, <expression>)`);
+            }
+            const suggestion = closestName(node.name, [...Object.keys(FUNCTIONS), ...Object.keys(AGGREGATES)]);
+            throw scriptError(node.token, `Unknown function "${node.name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+        }
+
+        const params = fn.rest ? node.args.map(() => fn.rest) : fn.params;
+        if (node.args.length !== params.length) {
+            throw scriptError(node.token, `${node.name}() takes ${params.length} argument${params.length === 1 ? '' : 's'}, got ${node.args.length}`);
+        }
+        node.args.forEach((arg, i) => {
+            this.expectType(arg, params[i], lets, binders, `Argument ${i + 1} of ${node.name}()`);
+        });
+        return fn.type;
+    }
+
+    /**
+     * Type of one of the AGGREGATES. The bound name must be new; it has the state type
+     * inside the aggregate's expression and gets an id (its nesting depth) for compile().
+     */
+    typeOfAggregate(node, lets, binders) {
+        const aggregate = builtIn(AGGREGATES, node.name);
+        if (!aggregate) {
+            throw scriptError(node.token, `"${node.name}" cannot loop over species; use one of ${Object.keys(AGGREGATES).join(', ')}`);
+        }
+        const { binder } = node;
+        if (binders.has(binder.name) || lets.has(binder.name) || builtIn(VALUES, binder.name)) {
+            throw scriptError(binder.token, `"${binder.name}" is already defined; pick another name for the species`);
+        }
+
+        this.expectType(binder.set, TYPE.SET, lets, binders, `The set ${node.name}() loops over`);
+        binder.id = binders.size;
+        const inner = new Map(binders).set(binder.name, { id: binder.id });
+        this.expectType(node.args[0], aggregate.body, lets, inner, `${node.name}()'s expression`);
+        return aggregate.type;
+    }
+
+    /**
+     * Generates the JavaScript source of the compiled script (see compile).
+     *
+     * @returns {string} The body of a function taking the RUNTIME helpers and returning
+     *   the per-cell decide function
+     *
+     * Every let becomes a function caching its value in a pair of variables (computed
+     * flag and value) that are reset for each cell, so it is computed on first use only. Every aggregate becomes a function
+     * looping over the species, taking the enclosing aggregates' species as arguments.
+     */
+    toJavaScript() {
+        const functions = [];
+        const lets = [];
+
+        const emit = (node) => {
+            switch (node.kind) {
+                case 'number':
+                    return String(node.value);
+                case 'boolean':
+                    return String(node.value);
+                case 'name':
+                    if (node.binder !== undefined) return `s${node.binder}`;
+                    if (node.let !== undefined) return `let${node.let}()`;
+                    return VALUES[node.name].code;
+                case 'unary':
+                    return node.operator === 'not' ? `!(${emit(node.operand)})` : `(-${emit(node.operand)})`;
+                case 'binary': {
+                    const operator = { and: '&&', or: '||', '==': '===', '!=': '!==' }[node.operator] || node.operator;
+                    return `(${emit(node.left)} ${operator} ${emit(node.right)})`;
+                }
+                case 'call': {
+                    if (!node.binder) {
+                        const fn = FUNCTIONS[node.name];
+                        const [arg] = node.args;
+                        return fn.bound && arg.kind === 'name' && arg.binder !== undefined
+                            ? fn.bound(arg.binder)
+                            : fn.code(node.args.map(emit));
+                    }
+
+                    const aggregate = AGGREGATES[node.name];
+                    const outer = Array.from({ length: node.binder.id }, (_, i) => `s${i}, i${i}`);
+                    const name = `aggregate${functions.length}`;
+                    // Reserve the slot first: aggregates nested in the expression add their own
+                    const slot = functions.push('') - 1;
+                    const id = node.binder.id;
+                    functions[slot] = [
+                        `function ${name}(mask${outer.map((s) => `, ${s}`).join('')}) {`,
+                        `    let result = ${aggregate.init};`,
+                        `    for (let i${id} = 0; i${id} < ${MAX_SPECIES}; i${id}++) {`,
+                        `        if (!(mask & (1 << i${id}))) continue;`,
+                        `        const s${id} = SPECIES[i${id}];`,
+                        `        ${aggregate.update(emit(node.args[0]), id)}`,
+                        '    }',
+                        `    return ${aggregate.result};`,
+                        '}'
+                    ].join('\n');
+                    return `${name}(${[emit(node.binder.set), ...outer].join(', ')})`;
+                }
+            }
+        };
+
+        const rules = [];
+        this.statements.forEach((statement) => {
+            if (statement.kind === 'let') {
+                const id = lets.length;
+                lets.push([
+                    `let k${id} = false, v${id} = 0;`,
+                    `function let${id}() {`,
+                    `    if (!k${id}) {`,
+                    `        k${id} = true;`,
+                    `        v${id} = ${emit(statement.value)};`,
+                    '    }',
+                    `    return v${id};`,
+                    '}'
+                ].join('\n'));
+                return;
+            }
+            const next = statement.target.kind === 'contested'
+                ? `${CONTESTED_WITH} + ${emit(statement.target.contestants)}`
+                : emit(statement.target);
+            rules.push(`    if (${emit(statement.condition)}) return ${next};`);
+        });
+
+        return [
+            '\'use strict\';',
+            `const { ${Object.keys(RUNTIME).join(', ')} } = runtime;`,
+            'let state = 0, index = 0, counts = null, rules = null, grid = null, boost = 1;',
+            ...lets,
+            ...functions,
+            'return function decide(cellState, cellIndex, cellCounts, cellRules, cellGrid) {',
+            '    state = cellState; index = cellIndex; counts = cellCounts; rules = cellRules; grid = cellGrid;',
+            `    boost = 1 + 0.5 * counts[${STATE.CONTESTED}];`,
+            ...lets.map((_, i) => `    k${i} = false;`),
+            ...rules,
+            '    return state;',
+            '};'
+        ].join('\n');
+    }
+
+    /**
+     * Compiles the script into a function deciding the next state of one cell.
+     *
+     * @returns {Function} decide(state, index, counts, rules, grid), where counts holds the
+     *   cell's neighbor counts indexed by state and rules is SimulationEngine's rule table.
+     *   It returns the next state, or CONTESTED_WITH plus a species set for a
+     *   `CONTESTED(<set>)` rule. It only reads the grid; SimulationEngine applies the result.
+     */
+    compile() {
+        return new Function('runtime', this.toJavaScript())(RUNTIME);
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * RuleScriptEditor class binds the rule script panel to a RuleParameters instance.
+ * The script is checked as it is typed, with any error shown under the editor and
+ * pointing at the offending line and column; Apply runs the script in place of the
+ * built-in rules. The editor starts out with the default rule file, which reproduces
+ * the built-in rules, so they can be forked from the page.
+ */
+
+import { RuleScript, DEFAULT_RULE_SCRIPT_URL } from './RuleScript.js';
+import { downloadBlob } from '../download.js';
+
+const scriptEditor = document.getElementById('rule-script');
+const scriptStatus = document.getElementById('rule-script-status');
+const scriptErrorDisplay = document.getElementById('rule-script-error');
+const applyScriptBtn = document.getElementById('apply-script-button');
+const builtInRulesBtn = document.getElementById('built-in-rules-button');
+const openScriptBtn = document.getElementById('open-script-button');
+const downloadScriptBtn = document.getElementById('download-script-button');
+const scriptFileInput = document.getElementById('script-file');
+
+export class RuleScriptEditor {
+    /**
+     * Creates a new RuleScriptEditor and fills the editor with the script in use,
+     * or with the default rule file while the built-in rules are in use.
+     *
+     * @param {RuleParameters} ruleParams - The rules whose script is edited
+     *
+     * @property {RuleParameters} ruleParams - Reference to the rule parameters
+     * @property {string|null} applied - The script in use when the editor was last filled
+     * @property {string} defaultScript - Text of the default rule file (empty until loaded)
+     */
+    constructor(ruleParams) {
+        this.ruleParams = ruleParams;
+        this.applied = ruleParams.script;
+        this.defaultScript = '';
+
+        this.setupControls();
+        this.ruleParams.onChange((values) => {
+            // Other rule changes leave unapplied edits alone
+            if (values.script !== this.applied) {
+                this.applied = values.script;
+                this.showScript(values.script);
+            }
+        });
+        this.showScript(this.applied);
+        this.loadDefaultScript();
+    }
+
+    /**
+     * Binds the editor and its buttons.
+     *
+     * - Editor: Checks the script on every change
+     * - Apply: Runs the script instead of the built-in rules
+     * - Built-in rules: Goes back to the built-in rules and the default rule file
+     * - Open… / Download: Read a rule script file into the editor, save the editor's script
+     */
+    setupControls() {
+        scriptEditor.addEventListener('input', () => this.check());
+        applyScriptBtn.addEventListener('click', () => this.apply());
+        builtInRulesBtn.addEventListener('click', () => this.ruleParams.setValues({ script: null }));
+        downloadScriptBtn.addEventListener('click', () => this.download());
+        openScriptBtn.addEventListener('click', () => scriptFileInput.click());
+        scriptFileInput.addEventListener('change', () => {
+            if (scriptFileInput.files.length) {
+                scriptFileInput.files[0].text().then((text) => {
+                    scriptEditor.value = text;
+                    this.check();
+                });
+            }
+            scriptFileInput.value = '';
+        });
+    }
+
+    /**
+     * Fetches the default rule file. If the built-in rules are in use and the editor
+     * is still empty, it becomes the editor's text.
+     */
+    loadDefaultScript() {
+        fetch(DEFAULT_RULE_SCRIPT_URL)
+            .then((response) => {
+                if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+                return response.text();
+            })
+            .then((text) => {
+                this.defaultScript = text;
+                if (this.ruleParams.script === null && !scriptEditor.value) {
+                    this.showScript(null);
+                }
+            })
+            .catch((e) => {
+                console.error('Failed to load the default rule script:', e);
+            });
+    }
+
+    /**
+     * Replaces the editor's text with the script in use.
+     *
+     * @param {string|null} script - The script in use, or null for the built-in rules
+     *   (shown as the default rule file)
+     */
+    showScript(script) {
+        const text = script === null ? this.defaultScript : script;
+        // Assigning the same text would still move the cursor
+        if (scriptEditor.value !== text) {
+            scriptEditor.value = text;
+        }
+        this.check();
+    }
+
+    /**
+     * Checks the editor's script, shows the first error (if any) and updates the
+     * status and the Apply button.
+     *
+     * @returns {boolean} True if the script is valid
+     */
+    check() {
+        const text = scriptEditor.value;
+        let error = null;
+        try {
+            new RuleScript(text);
+        } catch (e) {
+            error = e;
+        }
+
+        scriptErrorDisplay.hidden = !error;
+        scriptErrorDisplay.textContent = error ? this.describeError(error, text) : '';
+
+        const applied = this.ruleParams.script;
+        applyScriptBtn.disabled = Boolean(error) || text === applied;
+        builtInRulesBtn.disabled = applied === null;
+        if (applied === null) {
+            scriptStatus.textContent = 'built-in rules';
+        } else {
+            scriptStatus.textContent = text === applied ? 'script running' : 'script running (edited, not applied)';
+        }
+        return !error;
+    }
+
+    /**
+     * Formats a script error with the offending line and a caret under its column.
+     *
+     * @param {SyntaxError} error - The error thrown by RuleScript
+     * @param {string} text - The script text
+     * @returns {string} The message to display
+     */
+    describeError(error, text) {
+        if (!error.line) return error.message;
+        const line = text.split('\n')[error.line - 1] || '';
+        return `${error.message}\n${line}\n${' '.repeat(error.column - 1)}^`;
+    }
+
+    /**
+     * Runs the editor's script instead of the built-in rules.
+     */
+    apply() {
+        if (!this.check()) return;
+        try {
+            this.ruleParams.setValues({ script: scriptEditor.value });
+        } catch (e) {
+            alert(`Could not apply the rule script: ${e.message}`);
+        }
+    }
+
+    /**
+     * Downloads the editor's script as a rule file.
+     */
+    download() {
+        downloadBlob(new Blob([scriptEditor.value], { type: 'text/plain' }), 'darwinism.rules');
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * SeededRandom class provides a small, fast, seedable pseudo-random number generator.
+ * Runs seeded with the same value produce the same sequence on every platform, which
+ * makes randomized boards (and anything else stochastic) reproducible.
+ *
+ * The generator is Mulberry32: a 32-bit state advanced by a Weyl sequence and mixed
+ * with multiply/xor-shift steps. It is not cryptographically secure.
+ */
+
+export class SeededRandom {
+    /**
+     * Creates a new generator seeded with the given value.
+     *
+     * @param {number} seed - Unsigned 32-bit integer seed (default: a fresh random seed)
+     *
+     * @property {number} seed - The seed the generator was last reset to
+     * @property {number} state - The internal 32-bit generator state
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.reseed(seed);
+    }
+
+    /**
+     * Produces a fresh seed from Math.random for runs that do not specify one.
+     *
+     * @returns {number} An unsigned 32-bit integer seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Resets the generator so its sequence starts over from the given seed.
+     *
+     * @param {number} seed - Unsigned 32-bit integer seed
+     * @throws {RangeError} If the seed is not an integer in [0, 2^32 - 1]
+     */
+    reseed(seed) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+            throw new RangeError(`Seed must be an integer between 0 and 4294967295, got ${seed}`);
+        }
+        this.seed = seed;
+        this.state = seed;
+    }
+
+    /**
+     * Returns the next number in the sequence.
+     *
+     * @returns {number} A uniformly distributed number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+}
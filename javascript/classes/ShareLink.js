@@ -0,0 +1,200 @@
+/**
+ * ShareLink class converts a simulation setup to and from a URL hash, so a link
+ * reproduces it exactly: grid size, cell size, neighborhood, edges, every rule value,
+ * the random seed and, when it is small enough, the pattern on the board.
+ *
+ * The hash is a query string, e.g.
+ * `#cols=400&rows=180&cellPx=3&neighborhood=moore&radius=1&boundary=torus&seed=1234&birth=3&…`
+ * - cols, rows, cellPx: Grid dimensions and cell size in pixels
+ * - neighborhood, radius, boundary: Neighborhood type and radius, and edge behavior
+ * - seed: Seed of the random fill
+ * - birth … gdensity: The shared rule values (keys of DEFAULT_RULES)
+ * - linked: 1 if all species share the rule values, 0 if not
+ * - birth.b, tau.c, …: Per-species values that differ from the shared ones
+ *   (key, dot, lowercase species letter) when species are unlinked
+ * - script: The rule script replacing the built-in rules, if any (see RuleScript)
+ * - pattern: "left,top,width,height,<RLE body>" (see RLEPattern); the board is cleared
+ *   and the pattern placed instead of filling it from the seed
+ */
+
+import { RLEPattern } from './RLEPattern.js';
+import { MAX_GRID_SIZE } from './GridModel.js';
+import { RuleParameters } from './RuleParameters.js';
+import { DEFAULT_RULES, SPECIES_RULE_KEYS } from '../constants/rules.js';
+import { NEIGHBORHOOD, neighborhoodOffsets } from '../constants/neighborhoods.js';
+import { BOUNDARY } from '../constants/boundaries.js';
+import { MAX_SPECIES, speciesLetter } from '../constants/state.js';
+
+// Longest RLE body embedded in a link; bigger boards are shared by seed alone
+export const MAX_LINK_PATTERN = 2000;
+
+export class ShareLink {
+    /**
+     * Encodes the current setup as a URL hash.
+     *
+     * @param {GridModel} gridModel - The grid whose dimensions, neighborhood, edges and cells are shared
+     * @param {RuleParameters} ruleParams - The rules to share
+     * @param {number} seed - Seed of the board's random fill
+     * @returns {string} The hash, starting with '#'. The board's live cells are included
+     *   as a pattern unless their RLE body is longer than MAX_LINK_PATTERN.
+     */
+    static stringify(gridModel, ruleParams, seed) {
+        const values = ruleParams.getValues();
+        const params = new URLSearchParams({
+            cols: gridModel.columns,
+            rows: gridModel.rows,
+            cellPx: gridModel.cellSize,
+            neighborhood: gridModel.neighborhood.type,
+            radius: gridModel.neighborhood.radius,
+            boundary: gridModel.boundary,
+            seed
+        });
+        Object.keys(DEFAULT_RULES).forEach((key) => {
+            params.set(key, values[key]);
+        });
+
+        params.set('linked', values.linked ? 1 : 0);
+        if (!values.linked) {
+            values.perSpecies.forEach((speciesValues, index) => {
+                SPECIES_RULE_KEYS.forEach((key) => {
+                    if (speciesValues[key] !== values[key]) {
+                        params.set(`${key}.${speciesLetter(index).toLowerCase()}`, speciesValues[key]);
+                    }
+                });
+            });
+        }
+
+        if (values.script !== null) {
+            params.set('script', values.script);
+        }
+
+        const bounds = RLEPattern.bounds(gridModel);
+        const cells = RLEPattern.encodeCells(gridModel, bounds);
+        if (cells.length <= MAX_LINK_PATTERN) {
+            params.set('pattern', [bounds.left, bounds.top, bounds.width, bounds.height, cells].join(','));
+        }
+
+        return '#' + params.toString();
+    }
+
+    /**
+     * Parses and validates a URL hash.
+     *
+     * @param {string} hash - The hash, with or without its leading '#'
+     * @returns {Object} The setup; each field is present only if the link supplies it:
+     *   - columns, rows, cellSize: Grid dimensions and cell size
+     *   - neighborhood: { type, radius }; boundary: Edge behavior
+     *   - seed: Seed of the random fill
+     *   - rules: Rule values for RuleParameters.setValues(), with a complete perSpecies
+     *     list when the link unlinks the species
+     *   - pattern: { left, top, width, height, cells } with cells as STATE values
+     * @throws {TypeError} If a rule value is not a number
+     * @throws {RangeError} If a dimension, the neighborhood, the boundary, the seed or the pattern is invalid
+     * @throws {SyntaxError} If the pattern's cells are not a valid RLE body or the rule script is invalid
+     *
+     * Everything is validated here, so a setup that parses can be applied without
+     * failing halfway through. Links are opened on page load, so the pattern's position
+     * and size are bounded by MAX_GRID_SIZE before its cells are decoded, and its runs
+     * by its size while they are (see RLEPattern.decodeCells()).
+     */
+    static parse(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const setup = {};
+
+        [['cols', 'columns'], ['rows', 'rows'], ['cellPx', 'cellSize']].forEach(([key, name]) => {
+            if (!params.has(key)) return;
+            const value = Number(params.get(key));
+            if (!Number.isInteger(value) || value < 1) {
+                throw new RangeError(`${key} must be a positive integer, got ${params.get(key)}`);
+            }
+            setup[name] = value;
+        });
+
+        if (params.has('neighborhood') || params.has('radius')) {
+            const type = params.get('neighborhood') || NEIGHBORHOOD.MOORE;
+            const radius = Number(params.get('radius') || 1);
+            neighborhoodOffsets(type, radius);
+            setup.neighborhood = { type, radius };
+        }
+        if (params.has('boundary')) {
+            if (!Object.values(BOUNDARY).includes(params.get('boundary'))) {
+                throw new RangeError(`Unknown boundary "${params.get('boundary')}", expected one of ${Object.values(BOUNDARY).join(', ')}`);
+            }
+            setup.boundary = params.get('boundary');
+        }
+        if (params.has('seed')) {
+            const seed = Number(params.get('seed'));
+            if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+                throw new RangeError(`seed must be an integer from 0 to 4294967295, got ${params.get('seed')}`);
+            }
+            setup.seed = seed;
+        }
+
+        setup.rules = ShareLink.parseRules(params);
+
+        if (params.has('pattern')) {
+            const [left, top, width, height, cells] = params.get('pattern').split(',');
+            const numbers = [left, top, width, height].map(Number);
+            if (cells === undefined || !numbers.every((value) => Number.isInteger(value) && value >= 0 && value <= MAX_GRID_SIZE)) {
+                throw new RangeError(`pattern must be "left,top,width,height,<RLE body>" with numbers from 0 to ${MAX_GRID_SIZE}`);
+            }
+            setup.pattern = {
+                left: numbers[0],
+                top: numbers[1],
+                width: numbers[2],
+                height: numbers[3],
+                cells: RLEPattern.decodeCells(cells, numbers[2], numbers[3])
+            };
+        }
+
+        return setup;
+    }
+
+    /**
+     * Collects the rule values of a link.
+     *
+     * @param {URLSearchParams} params - The link's parameters
+     * @returns {Object} Rule values for RuleParameters.setValues()
+     * @throws {TypeError} If a rule value is not a number
+     * @throws {SyntaxError} If the rule script is invalid
+     *
+     * Per-species values missing from an unlinked link fall back to the link's shared
+     * values, not to whatever the species had before, so the link alone decides them.
+     * Likewise a link listing its rules in full (any link with `linked`, as every copied
+     * link has) but no script runs the built-in rules.
+     */
+    static parseRules(params) {
+        const rules = {};
+        Object.keys(DEFAULT_RULES).forEach((key) => {
+            if (params.has(key)) {
+                rules[key] = params.get(key);
+            }
+        });
+
+        if (params.get('linked') === '0') {
+            const shared = new RuleParameters(rules).getValues();
+            rules.perSpecies = [];
+            for (let index = 0; index < MAX_SPECIES; index++) {
+                const letter = speciesLetter(index).toLowerCase();
+                const speciesValues = {};
+                SPECIES_RULE_KEYS.forEach((key) => {
+                    const value = params.get(`${key}.${letter}`);
+                    speciesValues[key] = value === null ? shared[key] : value;
+                });
+                rules.perSpecies.push(speciesValues);
+            }
+        } else if (params.has('linked')) {
+            rules.linked = true;
+        }
+
+        if (params.has('script')) {
+            rules.script = params.get('script');
+        } else if (params.has('linked')) {
+            rules.script = null;
+        }
+
+        // Throws if a rule value is not a number or the script is invalid
+        new RuleParameters(rules);
+        return rules;
+    }
+}
@@ -4,9 +4,59 @@
  * cell birth, death, survival, infection, and species competition dynamics.
  */
 
-import { STATE } from '../constants/state.js';
+import { STATE, STATE_SLOTS, SPECIES, MAX_SPECIES, speciesIndex, speciesLetter } from '../constants/state.js';
+import { SPECIES_RULE_KEYS } from '../constants/rules.js';
+import { TRAITS, TRAIT_SCALE, GENE_NEUTRAL, MUTATION_STEP, traitValue, genomesEnabled } from '../constants/genome.js';
+import { TILE_SIZE } from './TileActivity.js';
+import { RuleScript, CONTESTED_WITH } from './RuleScript.js';
 
-const SPECIES_ACTIVE = [STATE.SPECIES_A, STATE.SPECIES_B, STATE.CONTESTED];
+const ALL_SPECIES_MASK = (1 << MAX_SPECIES) - 1;
+
+// Slot of the rule table's per-species arrays holding the shared (linked) value
+const SHARED = MAX_SPECIES;
+
+/**
+ * Creates an empty rule table: the flat, fixed-shape form of the rule values read by
+ * the step kernel. Every per-species rule is a Float64Array indexed by species index,
+ * with one extra SHARED slot for the shared value used by contested cells and by
+ * disease of unknown origin.
+ *
+ * @returns {Object} The rule table ({ species, ydec, genomes, mutation, birth, smin, ..., immunity })
+ */
+function createRuleTable() {
+    const table = { species: 0, ydec: 0, genomes: false, mutation: 0 };
+    SPECIES_RULE_KEYS.forEach((key) => {
+        table[key] = new Float64Array(MAX_SPECIES + 1);
+    });
+    return table;
+}
+
+/**
+ * Returns a pseudo-random number for a decision made about a cell during a step.
+ * The number depends only on its arguments, so a run with genomes is reproduced
+ * exactly, whichever thread steps it and however often it is replayed.
+ *
+ * @param {number} generation - The generation being computed from
+ * @param {number} index - The cell's index
+ * @param {number} draw - Which of the cell's decisions this is
+ * @returns {number} A number in [0, 1)
+ */
+function cellRandom(generation, index, draw) {
+    let hash = Math.imul(index, 0x9e3779b1) ^ Math.imul(generation + 1, 0x85ebca6b) ^ Math.imul(draw + 1, 0xc2b2ae35);
+    hash = Math.imul(hash ^ (hash >>> 16), 0x7feb352d);
+    hash = Math.imul(hash ^ (hash >>> 15), 0x846ca68b);
+    return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Formats a count, strength or threshold for a rule explanation (at most two decimals).
+ *
+ * @param {number} value - The value
+ * @returns {string} The formatted value
+ */
+function formatValue(value) {
+    return String(Math.round(value * 100) / 100);
+}
 
 export class SimulationEngine {
     /**
@@ -18,10 +68,115 @@ export class SimulationEngine {
      * 
      * @property {GridModel} gridModel - Reference to the grid for accessing and updating cell states
      * @property {RuleParameters} ruleParams - Reference to parameters that define rule thresholds
+     * @property {Float64Array} strength - Scratch buffer of effective strengths, one per species
+     * @property {Uint8Array} counts - Scratch buffer of neighbor counts indexed by state
+     * @property {Int32Array} geneSums - Scratch buffer of neighbor gene totals indexed by state
+     * @property {Object} neighbors - Scratch neighbor counts ({ species, G, Y }) reused for every cell
+     * @property {Int8Array} ranking - Scratch [leader, runnerUp] result of rankSpecies
+     * @property {number} span - Number of species, from A, that the per-cell loops cover
+     *   (see speciesSpan); the strength and neighbor counts of the others stay zero
+     * @property {Object} rules - Rule table compiled from ruleParams at the start of each step
+     * @property {string|null} script - Source of the rule script in use, or null for the built-in rules
+     * @property {Function|null} decide - The compiled rule script (see RuleScript.compile)
+     * 
+     * The scratch buffers keep the step kernel free of per-cell allocations; their
+     * contents are only valid while the current cell is being updated.
      */
     constructor(gridModel, ruleParams) {
         this.gridModel = gridModel;
         this.ruleParams = ruleParams;
+        this.strength = new Float64Array(MAX_SPECIES);
+        this.counts = new Uint8Array(STATE_SLOTS);
+        this.geneSums = new Int32Array(STATE_SLOTS);
+        this.neighbors = { species: new Uint8Array(MAX_SPECIES), G: 0, Y: 0 };
+        this.ranking = new Int8Array(2);
+        this.span = MAX_SPECIES;
+        this.rules = createRuleTable();
+        this.script = null;
+        this.decide = null;
+    }
+
+    /**
+     * Copies the current rule values into the rule table.
+     * The table keeps one object shape for the lifetime of the engine, so the per-cell
+     * handlers read plain typed arrays instead of a fresh parameter snapshot each step.
+     * A new rule script is compiled here too (only when its source changed).
+     * Any rule change can wake up quiet regions, so it marks every tile changed.
+     *
+     * @param {Object} params - Rule values as returned by RuleParameters.getValues()
+     * @returns {Object} The compiled rule table
+     */
+    compileRules(params) {
+        const rules = this.rules;
+        const genomes = genomesEnabled(params);
+        let changed = rules.species !== params.species || rules.ydec !== params.ydec ||
+            rules.genomes !== genomes || rules.mutation !== params.mutation;
+        const script = params.script === undefined ? null : params.script;
+        if (script !== this.script) {
+            this.decide = script === null ? null : new RuleScript(script).compile();
+            this.script = script;
+            changed = true;
+        }
+        rules.species = params.species;
+        rules.ydec = params.ydec;
+        rules.genomes = genomes;
+        rules.mutation = params.mutation;
+        SPECIES_RULE_KEYS.forEach((key) => {
+            params.perSpecies.forEach((speciesValues, i) => {
+                changed = changed || rules[key][i] !== speciesValues[key];
+                rules[key][i] = speciesValues[key];
+            });
+            changed = changed || rules[key][SHARED] !== params[key];
+            rules[key][SHARED] = params[key];
+        });
+
+        if (changed) this.gridModel.activity.markAll();
+        return rules;
+    }
+
+    /**
+     * Finds the strongest and second-strongest species among a set of species.
+     * 
+     * @param {Float64Array} strength - Effective strength of each species
+     * @param {number} mask - Bitmask of the species to consider (bit i = species i)
+     * @returns {Int8Array} [leader, runnerUp] species indices; runnerUp is -1
+     *   when fewer than two species are considered. The array is the shared ranking
+     *   buffer and is overwritten by the next call.
+     * 
+     * Ties go to the species with the lower index, so with two species a tie is
+     * resolved in favor of Species A, as the original two-species rules did.
+     */
+    rankSpecies(strength, mask) {
+        let leader = -1;
+        let runnerUp = -1;
+
+        // Stops after the highest species in the mask
+        for (let i = 0; mask >> i; i++) {
+            if (!(mask & (1 << i))) continue;
+
+            if (leader < 0 || strength[i] > strength[leader]) {
+                runnerUp = leader;
+                leader = i;
+            } else if (runnerUp < 0 || strength[i] > strength[runnerUp]) {
+                runnerUp = i;
+            }
+        }
+
+        this.ranking[0] = leader;
+        this.ranking[1] = runnerUp;
+        return this.ranking;
+    }
+
+    /**
+     * Returns the species fighting over a contested cell.
+     * 
+     * @param {number} index - The 1D array index of the contested cell
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @returns {number} Bitmask of contesting species. Cells with no recorded species
+     *   (e.g. hand-painted ones) are contested by all rules.species active species.
+     */
+    contestMask(index, rules) {
+        return this.gridModel.yMask[index] || ((1 << rules.species) - 1);
     }
 
     /**
@@ -29,25 +184,73 @@ export class SimulationEngine {
      * Diseased cells have a limited lifespan controlled by the tau parameter.
      * 
      * @param {number} index - The 1D array index of the diseased cell
-     * @param {Object} params - The current simulation parameters
+     * @param {Object} rules - The compiled rule table (see compileRules)
      * 
      * Disease progression:
      * - Each generation increments the disease age counter
-     * - When age reaches tau threshold, the cell dies (becomes empty)
+     * - When age reaches tau threshold, the cell dies (becomes empty), or recovers if
+     *   its species has a non-zero immunity (see ageRecoveredCell)
      * - Otherwise, the cell remains diseased for another generation
      * 
      * The tau parameter acts as a time-to-live for infected cells:
      * - Lower tau values: Diseases clear quickly, less spreading
      * - Higher tau values: Diseases persist longer, more contagion potential
      * 
+     * When species are unlinked, the lifetime is the tau of the species the cell
+     * belonged to before infection (recorded in gSpecies); disease of unknown origin
+     * uses the shared tau. Disease of unknown origin never recovers, as there is no
+     * species to recover to.
+     * 
      * This mechanism prevents permanent infection zones and allows
      * populations to recover from disease outbreaks over time.
      */
-    ageDiseasedCell(index, params) {
+    ageDiseasedCell(index, rules) {
+        const grid = this.gridModel;
+        const origin = grid.gSpecies[index];
+        const tau = rules.tau[origin ? origin - 1 : SHARED];
+        if (grid.gAge[index] < tau) {
+            grid.next[index] = STATE.DISEASED;
+            grid.gAge[index] = (grid.gAge[index] + 1) | 0;
+        } else if (origin && rules.immunity[origin - 1] > 0) {
+            // Recovers: the origin stays recorded and the age now counts immunity
+            grid.next[index] = STATE.RECOVERED;
+            grid.gAge[index] = 0;
+        } else {
+            grid.next[index] = STATE.EMPTY;
+            grid.gAge[index] = 0;
+            grid.gSpecies[index] = 0;
+        }
+    }
+
+    /**
+     * Ages a recovered cell and returns it to its species once its immunity wears off.
+     * 
+     * @param {number} index - The 1D array index of the recovered cell
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * 
+     * Recovered cells have survived the disease: they hold their ground and cannot be
+     * infected for the immunity of the species they belong to (recorded in gSpecies,
+     * as for diseased cells). They do not count as neighbors of their species, take no
+     * part in births, survival or contests, and are not challenged. When their age
+     * reaches the immunity they rejoin their species as ordinary, susceptible cells;
+     * painted recovered cells, whose species is unknown, use the shared immunity and
+     * then empty.
+     * 
+     * Immunity turns the disease into an SIR-style epidemic: a wave of infection
+     * leaves a band of immune cells behind it, which the next wave cannot cross until
+     * their immunity has worn off.
+     */
+    ageRecoveredCell(index, rules) {
         const grid = this.gridModel;
-        const isStale = grid.gAge[index] >= params.tau;
-        grid.next[index] = isStale ? STATE.EMPTY : STATE.DISEASED;
-        grid.gAge[index] = isStale ? 0 : (grid.gAge[index] + 1) | 0;
+        const origin = grid.gSpecies[index];
+        if (grid.gAge[index] < rules.immunity[origin ? origin - 1 : SHARED]) {
+            grid.next[index] = STATE.RECOVERED;
+            grid.gAge[index] = (grid.gAge[index] + 1) | 0;
+        } else {
+            grid.next[index] = origin ? SPECIES[origin - 1] : STATE.EMPTY;
+            grid.gAge[index] = 0;
+            grid.gSpecies[index] = 0;
+        }
     }
 
     /**
@@ -55,8 +258,9 @@ export class SimulationEngine {
      * Implements both strong and weak infection mechanisms for disease spread.
      * 
      * @param {number} state - The current state of the cell being checked
-     * @param {Object} neighbors - Count of each neighbor type (A, B, G, Y)
-     * @param {Object} params - The current simulation parameters
+     * @param {Object} neighbors - Count of each neighbor type (species, G, Y)
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @param {number} index - The 1D array index of the cell (used for contested species)
      * @returns {boolean} True if the cell should become infected, false otherwise
      * 
      * Infection mechanisms:
@@ -71,52 +275,62 @@ export class SimulationEngine {
      *    - Requires fewer diseased neighbors than strong infection
      *    - Simulates vulnerability of isolated individuals
      * 
-     * Only living cells (Species A, B, or Contested) can be infected.
-     * Empty and already diseased cells are immune to infection.
+     * Only living cells (any species, or Contested) can be infected.
+     * Empty, already diseased and recovered cells are immune to infection.
+     * 
+     * Species cells use the istr/iweak susceptibility of their own species;
+     * contested cells use the shared values. With genomes, a species cell's
+     * resistance trait raises both thresholds.
      * 
      * This dual-threshold system creates realistic disease dynamics where:
      * - Dense populations resist disease better (herd immunity)
      * - Isolated cells are more vulnerable (lack of support)
      * - Disease spreads in waves through populations
      */
-    checkInfection(state, neighbors, params) {
-        if (!SPECIES_ACTIVE.includes(state)) {
+    checkInfection(state, neighbors, rules, index) {
+        if (state !== STATE.CONTESTED && speciesIndex(state) < 0) {
             return false;
         }
 
-        const isWeak = this.isWeakCell(state, neighbors);
-        const strongInfection = neighbors.G >= params.istr;
-        const weakInfection = params.iweak > 0 && neighbors.G >= params.iweak && isWeak;
+        const own = speciesIndex(state);
+        const slot = own >= 0 ? own : SHARED;
+        const istr = rules.istr[slot];
+        const iweak = rules.iweak[slot];
+        const resistance = rules.genomes && own >= 0 ? traitValue('resistance', this.gridModel.resistance[index]) : 0;
+        const isWeak = this.isWeakCell(state, neighbors, index, rules);
+        const strongInfection = neighbors.G >= istr + resistance;
+        const weakInfection = iweak > 0 && neighbors.G >= iweak + resistance && isWeak;
 
         return strongInfection || weakInfection;
     }
 
     /**
      * Resolves the fate of contested cells based on neighboring species dominance.
-     * Contested cells represent disputed territory that can be claimed by either species.
+     * Contested cells represent disputed territory that can be claimed by any of the
+     * species fighting over it (recorded in the grid's yMask).
      * 
      * @param {number} index - The 1D array index of the contested cell
-     * @param {Object} neighbors - Raw neighbor counts (A, B, G, Y)
-     * @param {number} SA - Effective Species A strength (includes contested boost)
-     * @param {number} SB - Effective Species B strength (includes contested boost)
-     * @param {Object} params - The current simulation parameters
-     * 
-     * Resolution rules:
+     * @param {Object} neighbors - Raw neighbor counts (species, G, Y)
+     * @param {Float64Array} strength - Effective strength of each species (includes contested boost)
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @param {number} column - The x coordinate of the cell (used to inherit genes)
+     * @param {number} row - The y coordinate of the cell
      * 
-     * 1. Species A claims: If SA ≥ cmin AND SA - SB ≥ marg
-     *    - Species A has minimum presence (cmin)
-     *    - Species A advantage exceeds margin (marg)
+     * Resolution rules (leader = strongest contesting species, runner-up = second strongest):
      * 
-     * 2. Species B claims: If SB ≥ cmin AND SB - SA ≥ marg
-     *    - Species B has minimum presence (cmin)
-     *    - Species B advantage exceeds margin (marg)
+     * 1. Leader claims: If S(leader) ≥ cmin AND S(leader) - S(runner-up) ≥ marg
+     *    (using the leader's own cmin and marg)
+     *    - The leader has minimum presence (cmin)
+     *    - The leader's advantage over the runner-up exceeds margin (marg)
+     *    - With two species this is "SA ≥ cmin AND SA - SB ≥ marg" (or vice versa)
+     *    - With genomes, the claimed cell is born to the leader's neighbors (see inheritGenes)
      * 
-     * 3. Decay to empty: If insufficient neighbors OR age ≥ ydec
-     *    - Too few total neighbors (isolation)
+     * 2. Decay to empty: If insufficient neighbors OR age ≥ ydec
+     *    - Fewer than 2 species neighbors in total (isolation)
      *    - Contested too long without resolution (ydec threshold)
      * 
-     * 4. Remain contested: Otherwise
-     *    - Neither species has clear dominance
+     * 3. Remain contested: Otherwise
+     *    - No species has clear dominance
      *    - Continues aging toward eventual decay
      * 
      * Parameters:
@@ -126,16 +340,28 @@ export class SimulationEngine {
      * 
      * This creates dynamic border regions where species compete for territory.
      */
-    handleContestedCell(index, neighbors, SA, SB, params) {
+    handleContestedCell(index, neighbors, strength, rules, column, row) {
         const grid = this.gridModel;
+        const ranking = this.rankSpecies(strength, this.contestMask(index, rules));
+        const leader = ranking[0];
+        const runnerUp = ranking[1];
+        const leaderStrength = strength[leader];
+        const runnerUpStrength = runnerUp < 0 ? 0 : strength[runnerUp];
+        let speciesNeighbors = 0;
+        for (let i = 0; i < this.span; i++) {
+            speciesNeighbors += neighbors.species[i];
+        }
+        const cmin = rules.cmin[leader];
+        const marg = rules.marg[leader];
 
-        if ((SA >= params.cmin) && (SA - SB >= params.marg)) {
-            grid.next[index] = STATE.SPECIES_A;
-        } else if ((SB >= params.cmin) && (SB - SA >= params.marg)) {
-            grid.next[index] = STATE.SPECIES_B;
-        } else if ((neighbors.A + neighbors.B < 2) || (grid.yAge[index] + 1 >= params.ydec)) {
+        if ((leaderStrength >= cmin) && (leaderStrength - runnerUpStrength >= marg)) {
+            grid.next[index] = SPECIES[leader];
+            grid.yMask[index] = 0;
+            if (rules.genomes) this.inheritGenes(column, row, index, leader, rules);
+        } else if ((speciesNeighbors < 2) || (grid.yAge[index] + 1 >= rules.ydec)) {
             grid.next[index] = STATE.EMPTY;
             grid.yAge[index] = 0;
+            grid.yMask[index] = 0;
         } else {
             grid.next[index] = STATE.CONTESTED;
             grid.yAge[index] = (grid.yAge[index] + 1) | 0;
@@ -147,23 +373,27 @@ export class SimulationEngine {
      * Implements reproduction rules based on neighboring species populations.
      * 
      * @param {number} index - The 1D array index of the empty cell
-     * @param {number} SA - Effective Species A strength (includes contested boost)
-     * @param {number} SB - Effective Species B strength (includes contested boost)
-     * @param {Object} params - The current simulation parameters
+     * @param {Float64Array} strength - Effective strength of each species (includes contested boost)
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @param {number} column - The x coordinate of the cell (used with genomes)
+     * @param {number} row - The y coordinate of the cell
      * 
      * Birth outcomes:
      * 
-     * 1. Contested birth: Both species meet birth threshold
-     *    - Creates disputed territory when both can reproduce
-     *    - Represents competition for the same ecological niche
+     * Each species is measured against its own birth threshold. With genomes the
+     * threshold is lowered by the mean fertility of the species' neighbors (its
+     * parents), a species needs at least one parent, and a species birth inherits
+     * the parents' genes (see inheritGenes).
      * 
-     * 2. Species A birth: Only Species A meets threshold
-     *    - Uncontested reproduction for Species A
+     * 1. Contested birth: Two or more species meet the birth threshold
+     *    - Creates disputed territory when several species can reproduce
+     *    - Represents competition for the same ecological niche
+     *    - The qualifying species are recorded as the cell's contestants
      * 
-     * 3. Species B birth: Only Species B meets threshold
-     *    - Uncontested reproduction for Species B
+     * 2. Species birth: Exactly one species meets the threshold
+     *    - Uncontested reproduction for that species
      * 
-     * 4. Remain empty: Neither species meets threshold
+     * 3. Remain empty: No species meets threshold
      *    - Insufficient neighbors for reproduction
      * 
      * The birth parameter sets the minimum neighbor count for reproduction:
@@ -173,41 +403,61 @@ export class SimulationEngine {
      * Contested births create interesting dynamics at species boundaries,
      * leading to complex patterns and territorial disputes.
      */
-    handleEmptyCell(index, SA, SB, params) {
+    handleEmptyCell(index, strength, rules, column, row) {
         const grid = this.gridModel;
-        if (SA >= params.birth && SB >= params.birth) {
+        const fertility = rules.genomes ? grid.sumNeighbors(column, row, grid.fertility, this.geneSums) : null;
+        let mask = 0;
+        let born = -1;
+        let qualifying = 0;
+
+        for (let i = 0; i < this.span; i++) {
+            let birth = rules.birth[i];
+            if (fertility) {
+                const parents = this.counts[SPECIES[i]];
+                if (!parents) continue;
+                birth -= traitValue('fertility', fertility[SPECIES[i]] / parents);
+            }
+            if (strength[i] >= birth) {
+                mask |= 1 << i;
+                born = i;
+                qualifying++;
+            }
+        }
+
+        if (qualifying >= 2) {
             grid.next[index] = STATE.CONTESTED;
             grid.yAge[index] = 0;
-        } else if (SA >= params.birth && SB < params.birth) {
-            grid.next[index] = STATE.SPECIES_A;
-        } else if (SB >= params.birth && SA < params.birth) {
-            grid.next[index] = STATE.SPECIES_B;
+            grid.yMask[index] = mask;
+        } else if (qualifying === 1) {
+            grid.next[index] = SPECIES[born];
+            if (rules.genomes) this.inheritGenes(column, row, index, born, rules);
         } else {
             grid.next[index] = STATE.EMPTY;
         }
     }
 
     /**
-     * Processes survival and competition for species cells (A or B).
+     * Processes survival and competition for species cells.
      * Determines if a living cell survives, dies, or becomes contested.
      * 
      * @param {number} index - The 1D array index of the species cell
-     * @param {number} state - Current cell state (SPECIES_A or SPECIES_B)
-     * @param {Object} neighbors - Raw neighbor counts (A, B, G, Y)
-     * @param {number} SA - Effective Species A strength
-     * @param {number} SB - Effective Species B strength
-     * @param {Object} params - The current simulation parameters
+     * @param {number} state - Current cell state (one of the SPECIES states)
+     * @param {Object} neighbors - Raw neighbor counts (species, G, Y)
+     * @param {Float64Array} strength - Effective strength of each species
+     * @param {Object} rules - The compiled rule table (see compileRules)
      * 
      * Survival conditions (all must be met):
      * 1. Same-species neighbors ≥ smin (minimum for survival)
      * 2. Same-species neighbors ≤ smax (maximum before overcrowding)
      * 3. Same-species neighbors < over (overpopulation threshold)
-     * 4. Opposite-species neighbors < over (competitive pressure)
+     * 4. Neighbors of every other species < over (competitive pressure)
      * 
-     * Competition check:
-     * - If opposite species has sufficient strength (≥ cmin)
-     * - AND advantage margin (≥ marg)
-     * - Cell becomes contested (territorial dispute)
+     * Survival uses the cell's own species values (smin, smax, over).
+     * 
+     * Competition check (against the strongest other species, the challenger):
+     * - If the challenger has sufficient strength (≥ the challenger's cmin)
+     * - AND advantage margin (≥ the challenger's marg)
+     * - Cell becomes contested between its species and the challenger
      * 
      * Outcomes:
      * 1. Contested: Strong opposition challenges territory
@@ -224,22 +474,33 @@ export class SimulationEngine {
      * - Death from isolation or overcrowding
      * - Territorial battles at species boundaries
      */
-    handleSpeciesCell(index, state, neighbors, SA, SB, params) {
+    handleSpeciesCell(index, state, neighbors, strength, rules) {
         const grid = this.gridModel;
-        const isSpeciesA = state === STATE.SPECIES_A;
+        const own = speciesIndex(state);
+        const challenger = this.rankSpecies(strength, ((1 << this.span) - 1) & ~(1 << own))[0];
+
+        const nSame = neighbors.species[own];
+        let nOpp = 0;
+        for (let i = 0; i < this.span; i++) {
+            if (i !== own && neighbors.species[i] > nOpp) nOpp = neighbors.species[i];
+        }
+        const Ssame = strength[own];
+        const Sopp = strength[challenger];
 
-        const nSame = isSpeciesA ? neighbors.A : neighbors.B;
-        const nOpp = isSpeciesA ? neighbors.B : neighbors.A;
-        const Ssame = isSpeciesA ? SA : SB;
-        const Sopp = isSpeciesA ? SB : SA;
+        const smin = rules.smin[own];
+        const smax = rules.smax[own];
+        const over = rules.over[own];
+        const cmin = rules.cmin[challenger];
+        const marg = rules.marg[challenger];
 
-        const survives = (nSame >= params.smin && nSame <= params.smax) &&
-            (nSame < params.over) && (nOpp < params.over);
-        const contested = (Sopp >= params.cmin) && (Sopp - Ssame >= params.marg);
+        const survives = (nSame >= smin && nSame <= smax) &&
+            (nSame < over) && (nOpp < over);
+        const contested = (Sopp >= cmin) && (Sopp - Ssame >= marg);
 
         if (contested) {
             grid.next[index] = STATE.CONTESTED;
             grid.yAge[index] = 0;
+            grid.yMask[index] = (1 << own) | (1 << challenger);
         } else if (survives) {
             grid.next[index] = state;
         } else {
@@ -253,12 +514,13 @@ export class SimulationEngine {
      * 
      * @param {number} state - The current state of the cell
      * @param {Object} neighbors - Count of each neighbor type
+     * @param {number} index - The 1D array index of the cell (used for contested species)
+     * @param {Object} rules - The compiled rule table (see compileRules)
      * @returns {boolean} True if the cell is weak/isolated, false otherwise
      * 
      * Weakness criteria by cell type:
-     * - Species A: Weak if ≤1 Species A neighbors (isolated red cells)
-     * - Species B: Weak if ≤1 Species B neighbors (isolated blue cells)
-     * - Contested: Weak if either species has ≤1 neighbors (unstable dispute)
+     * - Species cell: Weak if ≤1 neighbors of its own species (isolated cells)
+     * - Contested: Weak if any contesting species has ≤1 neighbors (unstable dispute)
      * - Others: Never considered weak
      * 
      * Weak cells represent:
@@ -270,13 +532,87 @@ export class SimulationEngine {
      * encouraging clustering behavior and creating natural selection pressure
      * for cells to maintain connections with their species.
      */
-    isWeakCell(state, neighbors) {
-        if (state === STATE.SPECIES_A) return neighbors.A <= 1;
-        if (state === STATE.SPECIES_B) return neighbors.B <= 1;
-        if (state === STATE.CONTESTED) return Math.min(neighbors.A, neighbors.B) <= 1;
+    isWeakCell(state, neighbors, index, rules) {
+        const own = speciesIndex(state);
+        if (own >= 0) return neighbors.species[own] <= 1;
+
+        if (state === STATE.CONTESTED) {
+            const mask = this.contestMask(index, rules);
+            for (let i = 0; i < MAX_SPECIES; i++) {
+                if ((mask & (1 << i)) && neighbors.species[i] <= 1) return true;
+            }
+        }
         return false;
     }
 
+    /**
+     * Gives a cell born to a species the genes of its parents: its neighbors of that species.
+     * 
+     * @param {number} column - The x coordinate of the cell
+     * @param {number} row - The y coordinate of the cell
+     * @param {number} index - The 1D array index of the cell
+     * @param {number} species - Index of the species the cell is born to
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * 
+     * Each gene is the parents' mean, rounded up or down at random in proportion to its
+     * fraction, so inheritance alone does not drift a trait. With probability `mutation`
+     * it then moves by a random step of up to MUTATION_STEP either way (within 0-255).
+     * A cell without parents (e.g. a contest won with cmin 0) gets neutral genes.
+     * 
+     * Genes are written in place rather than double buffered: only cells that are not
+     * species cells in this generation are born, and only the genes of species cells are
+     * read, so no cell reads a gene written during the same step.
+     */
+    inheritGenes(column, row, index, species, rules) {
+        const grid = this.gridModel;
+        const state = SPECIES[species];
+        const parents = this.counts[state];
+
+        for (let t = 0; t < TRAITS.length; t++) {
+            const genes = grid[TRAITS[t]];
+            let gene = GENE_NEUTRAL;
+            if (parents) {
+                const mean = grid.sumNeighbors(column, row, genes, this.geneSums)[state] / parents;
+                gene = Math.floor(mean + cellRandom(grid.generation, index, 2 * t));
+            }
+
+            const mutation = cellRandom(grid.generation, index, 2 * t + 1);
+            if (mutation < rules.mutation) {
+                // mutation / rules.mutation is again uniform in [0, 1)
+                const step = Math.floor(mutation / rules.mutation * (2 * MUTATION_STEP + 1)) - MUTATION_STEP;
+                gene = Math.min(255, Math.max(0, gene + step));
+            }
+            genes[index] = gene;
+        }
+    }
+
+    /**
+     * Weights the strength buffer by the neighbors' vigor: with genomes, every neighbor
+     * lends its species 1 + its vigor trait instead of 1 (still boosted by contested
+     * neighbors).
+     * 
+     * @param {number} column - The x coordinate of the cell
+     * @param {number} row - The y coordinate of the cell
+     * @returns {boolean} False if the cell has no species neighbors (nothing to weight)
+     */
+    addVigor(column, row) {
+        const counts = this.counts;
+        let speciesNeighbors = 0;
+        for (let i = 0; i < this.span; i++) {
+            speciesNeighbors += counts[SPECIES[i]];
+        }
+        if (!speciesNeighbors) return false;
+
+        const grid = this.gridModel;
+        const vigor = grid.sumNeighbors(column, row, grid.vigor, this.geneSums);
+        const boost = 1 + 0.5 * counts[STATE.CONTESTED];
+        for (let i = 0; i < this.span; i++) {
+            const state = SPECIES[i];
+            this.strength[i] = (counts[state] + (vigor[state] - GENE_NEUTRAL * counts[state]) / TRAIT_SCALE.vigor) * boost;
+        }
+        return true;
+    }
+
     /**
      * Executes one generation step of the cellular automaton simulation.
      * Processes all cells according to the rule system and advances the grid state.
@@ -285,7 +621,7 @@ export class SimulationEngine {
      * 1. Retrieves current parameter values from rule settings
      * 2. Iterates through every cell in the grid
      * 3. Applies rules to determine each cell's next state
-     * 4. Swaps the current and next grid buffers
+     * 4. Swaps the current and next grid buffers and counts the generation
      * 
      * Double buffering technique:
      * - Current state read from grid.grid
@@ -294,21 +630,40 @@ export class SimulationEngine {
      * - Ensures all cells update simultaneously (synchronous CA)
      * 
      * This method is called:
-     * - Automatically by AnimationController during playback
+     * - Automatically during playback (in the simulation worker)
      * - Manually when user clicks step button
      * - By any system needing to advance the simulation
      * 
      * The synchronous update ensures that all cells see the same
      * neighborhood state when computing their next state, which is
      * essential for proper cellular automaton behavior.
+     * 
+     * Performance: cells are visited in memory order and every per-cell buffer
+     * (neighbor counts, strengths, ranking) is reused, so a step allocates nothing
+     * beyond the parameter snapshot. Neighbor counting reads flat typed-array offsets
+     * for interior cells and only resolves boundaries near the edges
+     * (see GridModel.countNeighbors).
+     * 
+     * Active regions: only tiles whose surroundings changed in the last step (or were
+     * edited since) are evaluated; see TileActivity. A skipped tile is known not to
+     * change, and its cells in the next buffer already hold the current generation,
+     * so skipping gives exactly the same result as a full sweep.
+     * 
+     * Per-species loops only cover the species that can matter in this step (see
+     * speciesSpan); usually just the active ones.
      */
     step() {
-        const params = this.ruleParams.getValues();
+        const rules = this.compileRules(this.ruleParams.getValues());
         const grid = this.gridModel;
+        const activity = grid.activity;
+        const evaluated = activity.beginStep();
+        this.span = this.speciesSpan(rules);
+        this.strength.fill(0, this.span);
+        this.neighbors.species.fill(0, this.span);
 
-        for (let row = 0; row < grid.rows; row++) {
-            for (let column = 0; column < grid.columns; column++) {
-                this.updateCell(column, row, params);
+        for (let tile = 0; tile < evaluated.length; tile++) {
+            if (evaluated[tile]) {
+                this.stepTile(tile, rules);
             }
         }
 
@@ -316,6 +671,150 @@ export class SimulationEngine {
         const temp = grid.grid;
         grid.grid = grid.next;
         grid.next = temp;
+        grid.generation++;
+    }
+
+    /**
+     * Counts the species, from A, that the per-cell loops of a step must cover: the
+     * active species, every species with cells on the grid, and, without genomes, every
+     * species born without neighbors (a birth threshold of 0 or less). The species
+     * beyond them have no cells, so their neighbor counts and strengths are zero and
+     * cannot decide a birth, a survival or a challenge.
+     *
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @returns {number} The span, from rules.species up to MAX_SPECIES
+     */
+    speciesSpan(rules) {
+        let span = rules.species;
+        if (!rules.genomes) {
+            for (let i = span; i < MAX_SPECIES; i++) {
+                if (rules.birth[i] <= 0) span = i + 1;
+            }
+        }
+
+        const grid = this.gridModel.grid;
+        for (let index = 0; index < grid.length && span < MAX_SPECIES; index++) {
+            const own = speciesIndex(grid[index]);
+            if (own >= span) span = own + 1;
+        }
+        return span;
+    }
+
+    /**
+     * Updates every cell of one tile and records whether any of them changed.
+     * 
+     * @param {number} tile - The tile index (see TileActivity)
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * 
+     * A cell counts as changed when its state changes, and also while it stays
+     * diseased, recovered or contested, since its age still advances.
+     */
+    stepTile(tile, rules) {
+        const grid = this.gridModel;
+        const activity = grid.activity;
+        const x0 = (tile % activity.tileColumns) * TILE_SIZE;
+        const y0 = Math.floor(tile / activity.tileColumns) * TILE_SIZE;
+        const x1 = Math.min(x0 + TILE_SIZE, grid.columns);
+        const y1 = Math.min(y0 + TILE_SIZE, grid.rows);
+        let changed = 0;
+
+        for (let row = y0; row < y1; row++) {
+            for (let column = x0, index = row * grid.columns + x0; column < x1; column++, index++) {
+                if (this.decide) {
+                    this.updateScriptedCell(column, row, rules, index);
+                } else {
+                    this.updateCell(column, row, rules, index);
+                }
+                const state = grid.next[index];
+                if (state !== grid.grid[index] || state === STATE.DISEASED || state === STATE.CONTESTED || state === STATE.RECOVERED) {
+                    changed = 1;
+                }
+            }
+        }
+
+        if (changed) activity.changed[tile] = 1;
+    }
+
+    /**
+     * Counts a cell's neighbors into the reusable neighbors object and fills the
+     * strength buffer with each species' effective strength.
+     * 
+     * @param {number} column - The x coordinate of the cell
+     * @param {number} row - The y coordinate of the cell
+     * @returns {Object} The shared neighbors object ({ species, G, Y }), valid until the next call
+     * 
+     * Effective strength, for every species i: S(i) = n(i) × (1 + 0.5 × Y), which
+     * equals n(i) + 0.5 × Y × n(i) exactly (all terms are small integers or halves).
+     */
+    countNeighbors(column, row) {
+        const counts = this.gridModel.countNeighbors(column, row, this.counts);
+        const neighbors = this.neighbors;
+
+        const strength = this.strength;
+        const boost = 1 + 0.5 * counts[STATE.CONTESTED];
+        for (let i = 0; i < this.span; i++) {
+            const count = counts[SPECIES[i]];
+            neighbors.species[i] = count;
+            strength[i] = count * boost;
+        }
+        neighbors.G = counts[STATE.DISEASED];
+        neighbors.Y = counts[STATE.CONTESTED];
+        return neighbors;
+    }
+
+    /**
+     * Updates a single cell according to the rule script.
+     *
+     * @param {number} column - The x coordinate of the cell
+     * @param {number} row - The y coordinate of the cell
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @param {number} index - The 1D array index of the cell
+     *
+     * The script only decides the next state; the cell's disease and contest records
+     * are kept here, exactly as the built-in rules keep them:
+     * - Becoming diseased or recovered starts the age at 0 and records the species the
+     *   cell belonged to (kept when a diseased cell recovers, or a recovered one is
+     *   infected again); staying diseased or recovered ages it; leaving clears both
+     * - Becoming contested starts the contest age at 0 and records the contestants (from
+     *   CONTESTED(<set>), otherwise the cell's own species); staying contested ages it
+     *   and keeps the contestants unless the rule names new ones
+     * - Leaving contested (other than by infection) clears the contestants, and the
+     *   contest age too when the cell empties
+     *
+     * Genomes are a feature of the built-in rules: scripts neither read nor pass on genes,
+     * and genomes are off while a script is in use (see genomesEnabled).
+     */
+    updateScriptedCell(column, row, rules, index) {
+        const grid = this.gridModel;
+        const state = grid.grid[index];
+        const result = this.decide(state, index, grid.countNeighbors(column, row, this.counts), rules, grid);
+        const next = result >= CONTESTED_WITH ? STATE.CONTESTED : result;
+        grid.next[index] = next;
+
+        const wasInfected = state === STATE.DISEASED || state === STATE.RECOVERED;
+        if (next === STATE.DISEASED || next === STATE.RECOVERED) {
+            if (state === next) {
+                grid.gAge[index] = (grid.gAge[index] + 1) | 0;
+            } else {
+                grid.gAge[index] = 0;
+                if (!wasInfected) grid.gSpecies[index] = speciesIndex(state) + 1;
+            }
+        } else if (wasInfected) {
+            grid.gAge[index] = 0;
+            grid.gSpecies[index] = 0;
+        }
+
+        if (next === STATE.CONTESTED) {
+            if (result >= CONTESTED_WITH) {
+                grid.yMask[index] = result - CONTESTED_WITH;
+            } else if (state !== STATE.CONTESTED) {
+                grid.yMask[index] = speciesIndex(state) < 0 ? 0 : 1 << speciesIndex(state);
+            }
+            grid.yAge[index] = state === STATE.CONTESTED ? (grid.yAge[index] + 1) | 0 : 0;
+        } else if (state === STATE.CONTESTED && next !== STATE.DISEASED) {
+            grid.yMask[index] = 0;
+            if (next === STATE.EMPTY) grid.yAge[index] = 0;
+        }
     }
 
     /**
@@ -324,7 +823,8 @@ export class SimulationEngine {
      * 
      * @param {number} column - The x coordinate of the cell
      * @param {number} row - The y coordinate of the cell
-     * @param {Object} params - The current simulation parameters
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @param {number} index - The 1D array index of the cell (computed from column and row if omitted)
      * 
      * Rule evaluation hierarchy (in order of precedence):
      * 
@@ -332,15 +832,16 @@ export class SimulationEngine {
      *    - Living cells near disease become infected
      *    - Overrides all other state transitions
      * 
-     * 2. **Disease Progression** - For diseased cells
-     *    - Ages the disease, potentially clearing it
-     *    - Diseased cells cannot transition to other states
+     * 2. **Disease Progression** - For diseased and recovered cells
+     *    - Ages the disease, potentially clearing it or letting the cell recover
+     *    - Ages the immunity of recovered cells, returning them to their species
+     *    - Neither can transition to other states
      * 
      * 3. **Birth Rules** - For empty cells
      *    - Determines if new life should spawn
      *    - Can create new species cells or contested zones
      * 
-     * 4. **Survival Rules** - For species cells
+     * 4. **Survival Rules** - For species cells (A through H)
      *    - Checks survival conditions
      *    - Handles competition and territorial disputes
      * 
@@ -348,9 +849,10 @@ export class SimulationEngine {
      *    - Resolves territorial disputes
      *    - Can award territory or decay to empty
      * 
-     * Effective strength calculation:
-     * - SA = A neighbors + 0.5 × Y × A (contested cells boost by 50%)
-     * - SB = B neighbors + 0.5 × Y × B (contested cells boost by 50%)
+     * Effective strength calculation, for every species i:
+     * - S(i) = i neighbors + 0.5 × Y × i neighbors (contested cells boost by 50%)
+     * - With two species this is the familiar SA and SB
+     * - With genomes, each neighbor counts 1 + its vigor trait (see addVigor)
      * 
      * This boost represents contested cells lending partial support
      * to both species, creating interesting dynamics at boundaries.
@@ -359,45 +861,310 @@ export class SimulationEngine {
      * conflicting state transitions. Disease takes precedence to
      * model its disruptive effect on populations.
      */
-    updateCell(column, row, params) {
+    updateCell(column, row, rules, index = this.gridModel.idx(column, row)) {
         const grid = this.gridModel;
-        const index = grid.idx(column, row);
         const state = grid.grid[index];
-        const neighbors = grid.getNeighborCounts(column, row);
+        const neighbors = this.countNeighbors(column, row);
 
         // 1 Check for infection
-        if (this.checkInfection(state, neighbors, params)) {
+        if (this.checkInfection(state, neighbors, rules, index)) {
             grid.next[index] = STATE.DISEASED;
             grid.gAge[index] = 0;
+            grid.gSpecies[index] = speciesIndex(state) + 1;
             return;
         }
 
-        // 2 If currently diseased, age the cell
+        // 2 If currently diseased or recovered, age the cell
         if (state === STATE.DISEASED) {
-            return this.ageDiseasedCell(index, params);
+            return this.ageDiseasedCell(index, rules);
+        }
+        if (state === STATE.RECOVERED) {
+            return this.ageRecoveredCell(index, rules);
         }
 
-        // Calculate effective counts
+        // Effective counts were filled in by countNeighbors:
         // contested cells bolster each neighbor by an additional 0.5
-        const SA = neighbors.A + 0.5 * neighbors.Y * neighbors.A;
-        const SB = neighbors.B + 0.5 * neighbors.Y * neighbors.B;
+        const strength = this.strength;
+        const hasParents = rules.genomes && this.addVigor(column, row);
 
         // 3 For empty cells, determine species birth
         if (state === STATE.EMPTY) {
-            return this.handleEmptyCell(index, SA, SB, params);
+            if (rules.genomes && !hasParents) {
+                // Nothing can be born without parents
+                grid.next[index] = STATE.EMPTY;
+                return;
+            }
+            return this.handleEmptyCell(index, strength, rules, column, row);
         }
 
         // 4 For occupied cells, determine survival
-        if (state === STATE.SPECIES_A || state === STATE.SPECIES_B) {
-            return this.handleSpeciesCell(index, state, neighbors, SA, SB, params);
+        if (speciesIndex(state) >= 0) {
+            return this.handleSpeciesCell(index, state, neighbors, strength, rules);
         }
 
         // 5 Resolve contested cells
         if (state === STATE.CONTESTED) {
-            return this.handleContestedCell(index, neighbors, SA, SB, params);
+            return this.handleContestedCell(index, neighbors, strength, rules, column, row);
         }
 
         // Fallback to empty
         grid.next[index] = STATE.EMPTY;
     }
+
+    /**
+     * Explains what the next step will do with a cell, for the cell inspector.
+     * Nothing is written to the grid: the conditions of updateCell and its handlers are
+     * evaluated in the same order on the current generation with the current rules, and
+     * the one that decides is reported with its values. The two must be changed
+     * together; test/SimulationEngine.test.js checks every prediction against step().
+     *
+     * @param {number} column - The x coordinate of the cell
+     * @param {number} row - The y coordinate of the cell
+     * @returns {Object} The explanation:
+     *   - next: the state the cell will have in the next generation
+     *   - reason: the deciding condition, e.g. "contested: SB − SA ≥ MARG (3 − 1 ≥ 1)"
+     *   - counts: the cell's neighbors by state (indexed by STATE value)
+     *   - strength: the effective strength of every active species (see countNeighbors)
+     *
+     * With a rule script the reason only says that the script decided.
+     */
+    explainCell(column, row) {
+        const rules = this.compileRules(this.ruleParams.getValues());
+        const grid = this.gridModel;
+        const index = grid.idx(column, row);
+        const state = grid.grid[index];
+        // The grid may have been edited since the last step, so every species is counted
+        this.span = MAX_SPECIES;
+        const neighbors = this.countNeighbors(column, row);
+        const hasParents = rules.genomes && this.addVigor(column, row);
+        const explanation = {
+            counts: Array.from(this.counts),
+            strength: Array.from(this.strength.subarray(0, rules.species))
+        };
+
+        if (this.decide) {
+            const result = this.decide(state, index, this.counts, rules, grid);
+            return Object.assign(explanation, {
+                next: result >= CONTESTED_WITH ? STATE.CONTESTED : result,
+                reason: 'decided by the rule script'
+            });
+        }
+
+        const infection = this.explainInfection(state, neighbors, rules, index);
+        if (infection) {
+            return Object.assign(explanation, { next: STATE.DISEASED, reason: infection });
+        }
+        if (state === STATE.DISEASED || state === STATE.RECOVERED) {
+            return Object.assign(explanation, this.explainInfectedCell(state, index, rules));
+        }
+        if (state === STATE.EMPTY) {
+            if (rules.genomes && !hasParents) {
+                return Object.assign(explanation, { next: STATE.EMPTY, reason: 'stays empty: no species neighbors to be born to' });
+            }
+            return Object.assign(explanation, this.explainEmptyCell(column, row, rules));
+        }
+        if (speciesIndex(state) >= 0) {
+            return Object.assign(explanation, this.explainSpeciesCell(state, neighbors, rules));
+        }
+        if (state === STATE.CONTESTED) {
+            return Object.assign(explanation, this.explainContestedCell(index, neighbors, rules));
+        }
+        return Object.assign(explanation, { next: STATE.EMPTY, reason: 'empties: unknown state' });
+    }
+
+    /**
+     * Explains an infection (see checkInfection).
+     *
+     * @param {number} state - The current state of the cell
+     * @param {Object} neighbors - Raw neighbor counts (species, G, Y)
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @param {number} index - The 1D array index of the cell
+     * @returns {string|null} Why the cell is infected, or null if it is not
+     */
+    explainInfection(state, neighbors, rules, index) {
+        if (!this.checkInfection(state, neighbors, rules, index)) return null;
+
+        const own = speciesIndex(state);
+        const slot = own >= 0 ? own : SHARED;
+        const resistance = rules.genomes && own >= 0 ? traitValue('resistance', this.gridModel.resistance[index]) : 0;
+        const plus = resistance ? ' + resistance' : '';
+        const istr = rules.istr[slot] + resistance;
+        if (neighbors.G >= istr) {
+            return `infected: G ≥ ISTR${plus} (${neighbors.G} ≥ ${formatValue(istr)})`;
+        }
+        return `infected: weak cell and G ≥ IWEAK${plus} (${neighbors.G} ≥ ${formatValue(rules.iweak[slot] + resistance)})`;
+    }
+
+    /**
+     * Explains the aging of a diseased or recovered cell (see ageDiseasedCell and ageRecoveredCell).
+     *
+     * @param {number} state - STATE.DISEASED or STATE.RECOVERED
+     * @param {number} index - The 1D array index of the cell
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @returns {Object} { next, reason }
+     */
+    explainInfectedCell(state, index, rules) {
+        const grid = this.gridModel;
+        const origin = grid.gSpecies[index];
+        const slot = origin ? origin - 1 : SHARED;
+        const age = grid.gAge[index];
+
+        if (state === STATE.DISEASED) {
+            const tau = rules.tau[slot];
+            if (age < tau) {
+                return { next: STATE.DISEASED, reason: `stays diseased: age < TAU (${age} < ${tau})` };
+            }
+            if (origin && rules.immunity[slot] > 0) {
+                return { next: STATE.RECOVERED, reason: `recovers: age ≥ TAU (${age} ≥ ${tau}) and IMMUNITY > 0` };
+            }
+            return { next: STATE.EMPTY, reason: `dies of the disease: age ≥ TAU (${age} ≥ ${tau})` };
+        }
+
+        const immunity = rules.immunity[slot];
+        if (age < immunity) {
+            return { next: STATE.RECOVERED, reason: `stays immune: age < IMMUNITY (${age} < ${immunity})` };
+        }
+        return {
+            next: origin ? SPECIES[slot] : STATE.EMPTY,
+            reason: `immunity wears off: age ≥ IMMUNITY (${age} ≥ ${immunity}), ` +
+                (origin ? `rejoins species ${speciesLetter(slot)}` : 'species unknown')
+        };
+    }
+
+    /**
+     * Explains a birth, or why there is none (see handleEmptyCell).
+     * Expects the neighbor counts and strengths of the cell to be filled in.
+     *
+     * @param {number} column - The x coordinate of the cell
+     * @param {number} row - The y coordinate of the cell
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @returns {Object} { next, reason }
+     */
+    explainEmptyCell(column, row, rules) {
+        const grid = this.gridModel;
+        const threshold = rules.genomes ? 'BIRTH − fertility' : 'BIRTH';
+        const fertility = rules.genomes ? grid.sumNeighbors(column, row, grid.fertility, this.geneSums) : null;
+        const met = [];
+        const missed = [];
+        let born = -1;
+
+        for (let i = 0; i < MAX_SPECIES; i++) {
+            const letter = speciesLetter(i);
+            let birth = rules.birth[i];
+            if (fertility) {
+                const parents = this.counts[SPECIES[i]];
+                if (!parents) {
+                    if (i < rules.species) missed.push(`no ${letter} parents`);
+                    continue;
+                }
+                birth -= traitValue('fertility', fertility[SPECIES[i]] / parents);
+            }
+            const values = `(${formatValue(this.strength[i])} ${this.strength[i] >= birth ? '≥' : '<'} ${formatValue(birth)})`;
+            if (this.strength[i] >= birth) {
+                met.push(`S${letter} ≥ ${threshold} ${values}`);
+                born = i;
+            } else if (i < rules.species) {
+                missed.push(`S${letter} < ${threshold} ${values}`);
+            }
+        }
+
+        if (met.length >= 2) {
+            return { next: STATE.CONTESTED, reason: `contested birth: ${met.join(' and ')}` };
+        }
+        if (met.length === 1) {
+            return { next: SPECIES[born], reason: `born to species ${speciesLetter(born)}: ${met[0]}` };
+        }
+        return { next: STATE.EMPTY, reason: `stays empty: ${missed.join(', ')}` };
+    }
+
+    /**
+     * Explains the survival, death or challenge of a species cell (see handleSpeciesCell).
+     *
+     * @param {number} state - Current cell state (one of the SPECIES states)
+     * @param {Object} neighbors - Raw neighbor counts (species, G, Y)
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @returns {Object} { next, reason }
+     */
+    explainSpeciesCell(state, neighbors, rules) {
+        const own = speciesIndex(state);
+        const challenger = this.rankSpecies(this.strength, ALL_SPECIES_MASK & ~(1 << own))[0];
+        const O = speciesLetter(own);
+        const C = speciesLetter(challenger);
+        const nSame = neighbors.species[own];
+        let crowder = -1;
+        for (let i = 0; i < MAX_SPECIES; i++) {
+            if (i !== own && neighbors.species[i] > (crowder < 0 ? 0 : neighbors.species[crowder])) crowder = i;
+        }
+        const nOpp = crowder < 0 ? 0 : neighbors.species[crowder];
+        const Ssame = formatValue(this.strength[own]);
+        const Sopp = formatValue(this.strength[challenger]);
+        const smin = rules.smin[own];
+        const smax = rules.smax[own];
+        const over = rules.over[own];
+        const cmin = rules.cmin[challenger];
+        const marg = rules.marg[challenger];
+
+        if ((this.strength[challenger] >= cmin) && (this.strength[challenger] - this.strength[own] >= marg)) {
+            return {
+                next: STATE.CONTESTED,
+                reason: `contested: S${C} − S${O} ≥ MARG (${Sopp} − ${Ssame} ≥ ${marg}) and S${C} ≥ CMIN (${Sopp} ≥ ${cmin})`
+            };
+        }
+        if (nSame < smin) {
+            return { next: STATE.EMPTY, reason: `dies of isolation: ${O} < SMIN (${nSame} < ${smin})` };
+        }
+        if (nSame > smax) {
+            return { next: STATE.EMPTY, reason: `dies of overcrowding: ${O} > SMAX (${nSame} > ${smax})` };
+        }
+        if (nSame >= over) {
+            return { next: STATE.EMPTY, reason: `dies of overcrowding: ${O} ≥ OVER (${nSame} ≥ ${over})` };
+        }
+        if (nOpp >= over) {
+            return { next: STATE.EMPTY, reason: `crowded out: ${speciesLetter(crowder)} ≥ OVER (${nOpp} ≥ ${over})` };
+        }
+        return { next: state, reason: `survives: SMIN ≤ ${O} ≤ SMAX (${smin} ≤ ${nSame} ≤ ${smax}), every species < OVER (${over})` };
+    }
+
+    /**
+     * Explains how a contested cell is resolved (see handleContestedCell).
+     *
+     * @param {number} index - The 1D array index of the contested cell
+     * @param {Object} neighbors - Raw neighbor counts (species, G, Y)
+     * @param {Object} rules - The compiled rule table (see compileRules)
+     * @returns {Object} { next, reason }
+     */
+    explainContestedCell(index, neighbors, rules) {
+        const ranking = this.rankSpecies(this.strength, this.contestMask(index, rules));
+        const leader = ranking[0];
+        const runnerUp = ranking[1];
+        const L = `S${speciesLetter(leader)}`;
+        const R = runnerUp < 0 ? '0' : `S${speciesLetter(runnerUp)}`;
+        const leaderStrength = this.strength[leader];
+        const runnerUpStrength = runnerUp < 0 ? 0 : this.strength[runnerUp];
+        const lead = `${formatValue(leaderStrength)} − ${formatValue(runnerUpStrength)}`;
+        const cmin = rules.cmin[leader];
+        const marg = rules.marg[leader];
+        let speciesNeighbors = 0;
+        for (let i = 0; i < MAX_SPECIES; i++) {
+            speciesNeighbors += neighbors.species[i];
+        }
+        const age = this.gridModel.yAge[index];
+
+        if ((leaderStrength >= cmin) && (leaderStrength - runnerUpStrength >= marg)) {
+            return {
+                next: SPECIES[leader],
+                reason: `claimed by species ${speciesLetter(leader)}: ${L} ≥ CMIN (${formatValue(leaderStrength)} ≥ ${cmin}) and ${L} − ${R} ≥ MARG (${lead} ≥ ${marg})`
+            };
+        }
+        if (speciesNeighbors < 2) {
+            return { next: STATE.EMPTY, reason: `empties: fewer than 2 species neighbors (${speciesNeighbors})` };
+        }
+        if (age + 1 >= rules.ydec) {
+            return { next: STATE.EMPTY, reason: `empties: contested too long, age + 1 ≥ YDEC (${age + 1} ≥ ${rules.ydec})` };
+        }
+        const unmet = leaderStrength < cmin
+            ? `${L} < CMIN (${formatValue(leaderStrength)} < ${cmin})`
+            : `${L} − ${R} < MARG (${lead} < ${marg})`;
+        return { next: STATE.CONTESTED, reason: `stays contested: ${unmet}` };
+    }
 }
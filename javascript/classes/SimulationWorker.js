@@ -0,0 +1,208 @@
+/**
+ * SimulationWorker class runs the simulation engine in a Web Worker (see worker.js) so
+ * long steps on big grids never block painting, sliders or the page.
+ * The main thread's GridModel stays the source of truth for rendering and editing: the
+ * worker holds a mirror that is refreshed with sync() after bulk changes, receives brush
+ * edits and rule changes as messages, and hands back every new generation in transferred
+ * buffers. The arrays a generation replaces are sent back with the next step request
+ * for the worker to fill, so the two sides pass the same buffers back and forth instead
+ * of allocating new ones every step. Where workers are unavailable the engine runs on
+ * the main thread instead.
+ */
+
+import { CELL_LAYERS } from './GridModel.js';
+import { SimulationEngine } from './SimulationEngine.js';
+
+export class SimulationWorker {
+    /**
+     * Creates a new SimulationWorker and starts its worker.
+     *
+     * @param {GridModel} gridModel - The main thread's grid, updated after every step
+     * @param {RuleParameters} ruleParams - The rules; changes are forwarded to the worker
+     *
+     * @property {GridModel} gridModel - Reference to the grid being simulated
+     * @property {RuleParameters} ruleParams - Reference to the rules driving the simulation
+     * @property {SimulationEngine} engine - Main-thread engine used when no worker is available
+     * @property {Worker|null} worker - The worker stepping the grid, or null when stepping locally
+     * @property {Object|null} inFlight - The unanswered step request ({ id, resolve, edits, stale })
+     * @property {number} nextId - Identifier of the next step request
+     * @property {Object|null} spare - Arrays of the generation before the current one (one
+     *   per CELL_LAYERS entry, and activeTiles), handed to the worker with the next step
+     *   request to hold its result; null when there are none to reuse
+     */
+    constructor(gridModel, ruleParams) {
+        this.gridModel = gridModel;
+        this.ruleParams = ruleParams;
+        this.engine = new SimulationEngine(gridModel, ruleParams);
+        this.worker = null;
+        this.inFlight = null;
+        this.nextId = 1;
+        this.spare = null;
+
+        this.startWorker();
+        this.ruleParams.onChange((values) => this.post({ type: 'rules', rules: values }));
+    }
+
+    /**
+     * Starts the worker and loads the current grid into it.
+     * Leaves stepping on the main thread if the browser cannot create module workers.
+     */
+    startWorker() {
+        if (typeof Worker === 'undefined') return;
+
+        try {
+            this.worker = new Worker(new URL('../worker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            console.error('Simulation worker unavailable, stepping on the main thread:', e);
+            return;
+        }
+
+        this.worker.addEventListener('message', ({ data }) => this.handleMessage(data));
+        this.worker.addEventListener('error', (event) => this.fallBack(event));
+        this.sync();
+    }
+
+    /**
+     * Whether a step has been requested and not yet answered.
+     *
+     * @returns {boolean} True while the worker is computing a generation
+     */
+    get busy() {
+        return this.inFlight !== null;
+    }
+
+    /**
+     * Sends a message to the worker, if there is one.
+     *
+     * @param {Object} message - The message to send
+     * @param {Array<ArrayBuffer>} transfer - Buffers to transfer along with the message
+     */
+    post(message, transfer = []) {
+        if (this.worker) {
+            this.worker.postMessage(message, transfer);
+        }
+    }
+
+    /**
+     * Copies the whole grid (cells, dimensions, neighborhood and boundary) and the rules
+     * to the worker. Call this after any change made directly to the grid model, such as
+     * clearing, randomizing, resizing or switching neighborhood or boundary.
+     *
+     * A step already in flight was computed from the old grid, so its result is dropped.
+     */
+    sync() {
+        if (!this.worker) return;
+
+        if (this.inFlight) {
+            this.inFlight.stale = true;
+        }
+        // The grid may have changed size; spare arrays are only worth keeping if it did not
+        this.spare = null;
+        const state = this.gridModel.snapshot();
+        this.post(
+            { type: 'load', state, rules: this.ruleParams.getValues() },
+            CELL_LAYERS.map((layer) => state[layer].buffer)
+        );
+    }
+
+    /**
+     * Paints a cell on the main thread's grid and forwards the edit to the worker.
+     *
+     * @param {number} column - The x coordinate of the cell
+     * @param {number} row - The y coordinate of the cell
+     * @param {number} state - The new state value from STATE constants
+     *
+     * An edit made while a step is in flight reaches the worker after that step, so it
+     * is replayed onto the step's result when the result arrives.
+     */
+    setCell(column, row, state) {
+        this.gridModel.setCell(column, row, state);
+        if (!this.worker) return;
+
+        this.post({ type: 'cells', cells: [column, row, state] });
+        if (this.inFlight) {
+            this.inFlight.edits.push([column, row, state]);
+        }
+    }
+
+    /**
+     * Advances the simulation by one generation.
+     *
+     * @returns {Promise<boolean>} Resolves once the main thread's grid holds the new
+     *   generation; false if the result was dropped because the grid was replaced meanwhile.
+     *   While a step is in flight, further calls return the pending promise.
+     */
+    step() {
+        if (this.inFlight) return this.inFlight.promise;
+
+        if (!this.worker) {
+            this.engine.step();
+            return Promise.resolve(true);
+        }
+
+        const request = { id: this.nextId++, edits: [], stale: false };
+        request.promise = new Promise((resolve) => {
+            request.resolve = resolve;
+        });
+        this.inFlight = request;
+        const { spare } = this;
+        this.spare = null;
+        this.post({ type: 'step', id: request.id, spare }, spare ? Object.values(spare).map((array) => array.buffer) : []);
+        return request.promise;
+    }
+
+    /**
+     * Handles a message from the worker.
+     * A step result replaces the grid's per-cell arrays with the transferred ones
+     * and replays any brush edits made while it was being computed. The replaced arrays
+     * become the spare ones for the next step request.
+     * The worker's record of evaluated tiles is copied for the active tiles display;
+     * the main thread's own activity is reset, since its next buffer is now out of date.
+     *
+     * @param {Object} data - The message ({ type: 'stepped', id, generation, layers, activeTiles })
+     */
+    handleMessage(data) {
+        const request = this.inFlight;
+        if (data.type !== 'stepped' || !request || data.id !== request.id) return;
+
+        this.inFlight = null;
+        if (request.stale) {
+            request.resolve(false);
+            return;
+        }
+
+        const spare = { activeTiles: data.activeTiles };
+        CELL_LAYERS.forEach((layer) => {
+            spare[layer] = this.gridModel[layer];
+            this.gridModel[layer] = data.layers[layer];
+        });
+        this.gridModel.generation = data.generation;
+        this.gridModel.activity.markAll();
+        this.gridModel.activity.evaluated.set(data.activeTiles);
+        request.edits.forEach(([column, row, state]) => {
+            this.gridModel.setCell(column, row, state);
+        });
+        this.spare = spare;
+        request.resolve(true);
+    }
+
+    /**
+     * Abandons the worker after an error and continues on the main thread.
+     * The main thread's grid still holds the last completed generation, so a pending
+     * step is simply computed locally.
+     *
+     * @param {ErrorEvent} event - The worker's error event
+     */
+    fallBack(event) {
+        console.error('Simulation worker failed, stepping on the main thread:', event.message || event);
+        this.worker.terminate();
+        this.worker = null;
+
+        const request = this.inFlight;
+        this.inFlight = null;
+        if (request) {
+            this.engine.step();
+            request.resolve(true);
+        }
+    }
+}
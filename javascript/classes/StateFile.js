@@ -0,0 +1,160 @@
+/**
+ * StateFile class converts a complete simulation state to and from a versioned JSON file.
+ * A state file records everything needed to continue a run exactly where it was saved:
+ * the grid's dimensions, cell size, neighborhood and boundary, every per-cell array
+ * (including disease and contest ages), all rule values (and the rule script, if any),
+ * the generation count and the seed of the random fill.
+ */
+
+import { CELL_LAYERS } from './GridModel.js';
+import { RuleParameters } from './RuleParameters.js';
+import { neighborhoodOffsets } from '../constants/neighborhoods.js';
+import { BOUNDARY } from '../constants/boundaries.js';
+import { TRAITS, GENE_NEUTRAL } from '../constants/genome.js';
+
+export const STATE_FILE_FORMAT = 'darwinism-state';
+export const STATE_FILE_VERSION = 1;
+
+/**
+ * Encodes bytes as a base64 string.
+ *
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} The base64 text
+ */
+function encodeBytes(bytes) {
+    let binary = '';
+    // Chunked so String.fromCharCode never receives too many arguments
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string to bytes.
+ *
+ * @param {string} text - The base64 text
+ * @returns {Uint8Array} The decoded bytes
+ */
+function decodeBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+export class StateFile {
+    /**
+     * Serializes the current simulation state.
+     *
+     * @param {GridModel} gridModel - The grid to save
+     * @param {RuleParameters} ruleParams - The rules to save
+     * @param {number} seed - Seed of the board's random fill
+     * @returns {string} The state file's JSON text
+     *
+     * File layout (version 1):
+     * - format, version: Identify the file (STATE_FILE_FORMAT, STATE_FILE_VERSION)
+     * - columns, rows, cellSize: Grid dimensions and cell size in pixels
+     * - neighborhood, boundary: Neighborhood ({ type, radius }) and edge behavior
+     * - generation, seed: Generation count and random fill seed
+     * - rules: Rule values as returned by RuleParameters.getValues()
+     * - layers: One base64 string per CELL_LAYERS entry (grid, gAge, gSpecies, yAge, yMask
+     *   and one gene layer per trait)
+     */
+    static stringify(gridModel, ruleParams, seed) {
+        const snapshot = gridModel.snapshot();
+        const layers = {};
+        CELL_LAYERS.forEach((layer) => {
+            layers[layer] = encodeBytes(snapshot[layer]);
+        });
+
+        return JSON.stringify({
+            format: STATE_FILE_FORMAT,
+            version: STATE_FILE_VERSION,
+            columns: snapshot.columns,
+            rows: snapshot.rows,
+            cellSize: gridModel.cellSize,
+            neighborhood: snapshot.neighborhood,
+            boundary: snapshot.boundary,
+            generation: snapshot.generation,
+            seed,
+            rules: ruleParams.getValues(),
+            layers
+        });
+    }
+
+    /**
+     * Parses and validates a state file.
+     *
+     * @param {string} text - The state file's JSON text
+     * @returns {Object} The saved state: { snapshot, cellSize, seed, rules }, where
+     *   snapshot can be passed to GridModel.restore()
+     * @throws {TypeError} If the text is not a state file of a supported version,
+     *   or a rule value is not a number
+     * @throws {RangeError} If the dimensions, neighborhood, boundary or a layer's size are invalid
+     * @throws {SyntaxError} If the rules include an invalid rule script
+     * 
+     * Everything is validated here, so a state that parses can be applied without
+     * failing halfway through. Files saved before genomes existed have no gene layers;
+     * their cells get neutral genes.
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new TypeError(`Not a state file: ${e.message}`);
+        }
+        if (!data || data.format !== STATE_FILE_FORMAT) {
+            throw new TypeError('Not a state file');
+        }
+        if (data.version !== STATE_FILE_VERSION) {
+            throw new TypeError(`Unsupported state file version ${data.version}, expected ${STATE_FILE_VERSION}`);
+        }
+
+        [['columns', data.columns], ['rows', data.rows], ['cellSize', data.cellSize]].forEach(([name, value]) => {
+            if (!Number.isInteger(value) || value < 1) {
+                throw new RangeError(`${name} must be a positive integer, got ${value}`);
+            }
+        });
+
+        if (!data.neighborhood) {
+            throw new TypeError('State file is missing the neighborhood');
+        }
+        neighborhoodOffsets(data.neighborhood.type, data.neighborhood.radius);
+        if (!Object.values(BOUNDARY).includes(data.boundary)) {
+            throw new RangeError(`Unknown boundary "${data.boundary}", expected one of ${Object.values(BOUNDARY).join(', ')}`);
+        }
+        // Throws if a rule value is not a number or the rule script is invalid
+        new RuleParameters(data.rules || {});
+
+        const snapshot = {
+            columns: data.columns,
+            rows: data.rows,
+            neighborhood: data.neighborhood,
+            boundary: data.boundary,
+            generation: Number.isInteger(data.generation) ? data.generation : 0
+        };
+        CELL_LAYERS.forEach((layer) => {
+            if (TRAITS.includes(layer) && !(data.layers && layer in data.layers)) {
+                snapshot[layer] = new Uint8Array(data.columns * data.rows).fill(GENE_NEUTRAL);
+                return;
+            }
+            if (typeof (data.layers && data.layers[layer]) !== 'string') {
+                throw new TypeError(`State file is missing the ${layer} layer`);
+            }
+            try {
+                snapshot[layer] = decodeBytes(data.layers[layer]);
+            } catch {
+                throw new TypeError(`The ${layer} layer is not valid base64`);
+            }
+            if (snapshot[layer].length !== data.columns * data.rows) {
+                throw new RangeError(`The ${layer} layer has ${snapshot[layer].length} cells, expected ${data.columns * data.rows}`);
+            }
+        });
+
+        return { snapshot, cellSize: data.cellSize, seed: data.seed, rules: data.rules || {} };
+    }
+}
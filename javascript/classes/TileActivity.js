@@ -0,0 +1,173 @@
+/**
+ * TileActivity class tracks which parts of a grid can change in the next generation.
+ * The grid is divided into square tiles; a tile needs evaluating only if some tile its
+ * cells read from (itself included) changed during the last step or was edited since.
+ * Everywhere else the next generation is known to equal the current one, so the
+ * simulation engine can skip those tiles entirely.
+ */
+
+export const TILE_SIZE = 16;
+
+export class TileActivity {
+    /**
+     * Creates a new TileActivity for a grid. Every tile starts out changed.
+     *
+     * @param {GridModel} gridModel - The grid whose tiles are tracked
+     *
+     * @property {GridModel} gridModel - Reference to the tracked grid
+     * @property {number} tileColumns - Number of tile columns
+     * @property {number} tileRows - Number of tile rows
+     * @property {Uint8Array} changed - Per tile: 1 if it changed in the last step or was edited since
+     * @property {Uint8Array} evaluated - Per tile: 1 if it was evaluated in the last step
+     * @property {Int32Array} readStart - For tile t, readTiles[readStart[t] … readStart[t + 1]]
+     *   lists the tiles its cells read from
+     * @property {Int32Array} readTiles - Concatenated read lists of all tiles
+     * @property {boolean} stale - Whether the read lists must be rebuilt before the next step
+     */
+    constructor(gridModel) {
+        this.gridModel = gridModel;
+        this.resize();
+    }
+
+    /**
+     * Sizes the tile arrays to the grid's dimensions and marks every tile changed.
+     * Called whenever the grid's arrays are reallocated.
+     */
+    resize() {
+        this.tileColumns = Math.ceil(this.gridModel.columns / TILE_SIZE);
+        this.tileRows = Math.ceil(this.gridModel.rows / TILE_SIZE);
+        this.changed = new Uint8Array(this.tileColumns * this.tileRows).fill(1);
+        this.evaluated = new Uint8Array(this.tileColumns * this.tileRows);
+        this.stale = true;
+    }
+
+    /**
+     * Marks every tile changed and schedules the read lists to be rebuilt.
+     * Called when the neighborhood or boundary changes which cells read which.
+     */
+    invalidate() {
+        this.markAll();
+        this.stale = true;
+    }
+
+    /**
+     * Marks every tile changed, e.g. after the whole grid was replaced or the rules changed.
+     */
+    markAll() {
+        this.changed.fill(1);
+    }
+
+    /**
+     * Marks the tile containing a cell changed, e.g. after the cell was painted.
+     *
+     * @param {number} column - The x coordinate of the cell
+     * @param {number} row - The y coordinate of the cell
+     */
+    markCell(column, row) {
+        this.changed[this.tileIndex(column, row)] = 1;
+    }
+
+    /**
+     * Returns the index of the tile containing a cell.
+     *
+     * @param {number} column - The x coordinate of the cell
+     * @param {number} row - The y coordinate of the cell
+     * @returns {number} The tile index (row-major)
+     */
+    tileIndex(column, row) {
+        return Math.floor(row / TILE_SIZE) * this.tileColumns + Math.floor(column / TILE_SIZE);
+    }
+
+    /**
+     * Rebuilds the list of tiles each tile reads from under the grid's current
+     * neighborhood and boundary.
+     *
+     * Tiles lying at least one neighborhood radius away from every grid edge read from
+     * the block of tiles around them. Only tiles near an edge, where the boundary mode
+     * decides what lies beyond, are resolved cell by cell through neighborIndex.
+     */
+    rebuild() {
+        const grid = this.gridModel;
+        const radius = grid.neighborhood.radius;
+        const readStart = new Int32Array(this.tileColumns * this.tileRows + 1);
+        const readTiles = [];
+
+        for (let ty = 0, tile = 0; ty < this.tileRows; ty++) {
+            for (let tx = 0; tx < this.tileColumns; tx++, tile++) {
+                const x0 = tx * TILE_SIZE;
+                const y0 = ty * TILE_SIZE;
+                const x1 = Math.min(x0 + TILE_SIZE, grid.columns) - 1;
+                const y1 = Math.min(y0 + TILE_SIZE, grid.rows) - 1;
+                const reads = new Set([tile]);
+
+                if (x0 - radius >= 0 && y0 - radius >= 0 && x1 + radius < grid.columns && y1 + radius < grid.rows) {
+                    const lastRow = Math.floor((y1 + radius) / TILE_SIZE);
+                    const lastColumn = Math.floor((x1 + radius) / TILE_SIZE);
+                    for (let ry = Math.floor((y0 - radius) / TILE_SIZE); ry <= lastRow; ry++) {
+                        for (let rx = Math.floor((x0 - radius) / TILE_SIZE); rx <= lastColumn; rx++) {
+                            reads.add(ry * this.tileColumns + rx);
+                        }
+                    }
+                } else {
+                    for (let y = y0; y <= y1; y++) {
+                        const offsets = grid.neighborOffsets[y & 1];
+                        for (let x = x0; x <= x1; x++) {
+                            for (let k = 0; k < offsets.length; k++) {
+                                const index = grid.neighborIndex(x + offsets[k][0], y + offsets[k][1]);
+                                if (index >= 0) {
+                                    reads.add(this.tileIndex(index % grid.columns, Math.floor(index / grid.columns)));
+                                }
+                            }
+                        }
+                    }
+                }
+
+                reads.forEach((read) => {
+                    readTiles.push(read);
+                });
+                readStart[tile + 1] = readTiles.length;
+            }
+        }
+
+        this.readStart = readStart;
+        this.readTiles = Int32Array.from(readTiles);
+        this.stale = false;
+    }
+
+    /**
+     * Decides which tiles the coming step must evaluate and resets the change flags,
+     * which the step then sets again for every tile whose cells change.
+     *
+     * @returns {Uint8Array} The evaluated flags (1 = evaluate the tile this step)
+     */
+    beginStep() {
+        if (this.stale) this.rebuild();
+
+        const { changed, evaluated, readStart, readTiles } = this;
+        for (let tile = 0; tile < evaluated.length; tile++) {
+            let active = 0;
+            for (let k = readStart[tile]; k < readStart[tile + 1]; k++) {
+                if (changed[readTiles[k]]) {
+                    active = 1;
+                    break;
+                }
+            }
+            evaluated[tile] = active;
+        }
+        changed.fill(0);
+        return evaluated;
+    }
+
+    /**
+     * Counts the tiles evaluated in the last step.
+     *
+     * @returns {number} The number of evaluated tiles
+     */
+    countEvaluated() {
+        let count = 0;
+        for (let tile = 0; tile < this.evaluated.length; tile++) {
+            count += this.evaluated[tile];
+        }
+        return count;
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * Timeline class keeps a bounded history of past generations so the simulation can
+ * step backward and be scrubbed to any recorded generation.
+ * The board is recorded before every step. Every KEYFRAME_INTERVAL generations (or
+ * whenever most cells changed) a full copy is kept; in between, only the cells that
+ * changed since the previous generation. The oldest keyframe and its deltas are dropped
+ * once the history exceeds its memory limit.
+ *
+ * Recording a generation discards every later one, so stepping on from a past
+ * generation (with edited cells or rules) branches off a new future.
+ */
+
+import { CELL_LAYERS } from './GridModel.js';
+
+export const KEYFRAME_INTERVAL = 32;
+export const TIMELINE_MEMORY_LIMIT = 128 * 1024 * 1024;
+
+export class Timeline {
+    /**
+     * Creates a new, empty Timeline for a grid.
+     *
+     * @param {GridModel} gridModel - The grid whose generations are recorded
+     * @param {number} memoryLimit - Maximum bytes of recorded keyframes and deltas
+     *
+     * @property {GridModel} gridModel - Reference to the recorded grid
+     * @property {number} memoryLimit - Maximum bytes of recorded keyframes and deltas
+     * @property {Array<Object>} entries - Recorded generations, oldest first:
+     *   { generation, keyframe, indices, values, bytes } where keyframe holds copies of the
+     *   CELL_LAYERS arrays, or indices (Int32Array) and values (one Uint8Array per layer)
+     *   list the cells that differ from the previous entry
+     * @property {number} bytes - Total bytes held by the entries
+     * @property {Object|null} base - Copies of the CELL_LAYERS arrays at baseGeneration,
+     *   the reference deltas are computed against
+     * @property {number} baseGeneration - Generation held by base (-1 if none)
+     */
+    constructor(gridModel, memoryLimit = TIMELINE_MEMORY_LIMIT) {
+        this.gridModel = gridModel;
+        this.memoryLimit = memoryLimit;
+        this.reset();
+    }
+
+    /**
+     * Forgets every recorded generation, e.g. after the board was replaced.
+     */
+    reset() {
+        this.entries = [];
+        this.bytes = 0;
+        this.base = null;
+        this.baseGeneration = -1;
+    }
+
+    /**
+     * The earliest generation that can be returned to.
+     *
+     * @returns {number} The first recorded generation, or the grid's generation if none
+     */
+    get first() {
+        return this.entries.length ? this.entries[0].generation : this.gridModel.generation;
+    }
+
+    /**
+     * The latest generation that can be returned to.
+     *
+     * @returns {number} The last recorded generation or the grid's own, whichever is later
+     */
+    get last() {
+        const recorded = this.entries.length ? this.entries[this.entries.length - 1].generation : -1;
+        return Math.max(recorded, this.gridModel.generation);
+    }
+
+    /**
+     * Records the grid's current generation. Called before every step.
+     * Any recorded generation at or after the current one is discarded first.
+     */
+    record() {
+        const grid = this.gridModel;
+        const generation = grid.generation;
+        const cells = grid.columns * grid.rows;
+
+        if (this.base && this.base.grid.length !== cells) {
+            this.reset();
+        }
+        while (this.entries.length && this.entries[this.entries.length - 1].generation >= generation) {
+            this.bytes -= this.entries.pop().bytes;
+        }
+
+        const previous = this.entries[this.entries.length - 1];
+        let entry = null;
+        if (previous && previous.generation === generation - 1 && this.baseGeneration === generation - 1 &&
+            this.sinceKeyframe() < KEYFRAME_INTERVAL) {
+            entry = this.diff(generation);
+        }
+        if (!entry) {
+            const keyframe = {};
+            CELL_LAYERS.forEach((layer) => {
+                keyframe[layer] = grid[layer].slice();
+            });
+            entry = { generation, keyframe, bytes: cells * CELL_LAYERS.length };
+        }
+
+        this.entries.push(entry);
+        this.bytes += entry.bytes;
+        this.copyToBase(generation);
+        this.trim();
+    }
+
+    /**
+     * Counts the entries recorded since the most recent keyframe.
+     *
+     * @returns {number} The number of delta entries after the last keyframe
+     */
+    sinceKeyframe() {
+        let count = 0;
+        for (let i = this.entries.length - 1; i >= 0 && !this.entries[i].keyframe; i--) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Builds a delta entry from the cells that differ between base and the grid.
+     *
+     * @param {number} generation - The generation being recorded
+     * @returns {Object|null} The delta entry, or null if a keyframe would be smaller
+     */
+    diff(generation) {
+        const grid = this.gridModel;
+        const { base } = this;
+        const cells = base.grid.length;
+        // A cell is in the delta if any of its CELL_LAYERS differs
+        const differs = new Uint8Array(cells);
+        CELL_LAYERS.forEach((layer) => {
+            const current = grid[layer];
+            const previous = base[layer];
+            for (let i = 0; i < cells; i++) {
+                if (current[i] !== previous[i]) differs[i] = 1;
+            }
+        });
+        const changed = [];
+        for (let i = 0; i < cells; i++) {
+            if (differs[i]) changed.push(i);
+        }
+
+        // Each changed cell costs a 4-byte index plus one byte per layer
+        const bytes = changed.length * (4 + CELL_LAYERS.length);
+        if (bytes >= cells * CELL_LAYERS.length) return null;
+
+        const indices = Int32Array.from(changed);
+        const values = {};
+        CELL_LAYERS.forEach((layer) => {
+            const source = grid[layer];
+            const target = new Uint8Array(indices.length);
+            for (let k = 0; k < indices.length; k++) {
+                target[k] = source[indices[k]];
+            }
+            values[layer] = target;
+        });
+        return { generation, indices, values, bytes };
+    }
+
+    /**
+     * Copies the grid's arrays into base.
+     *
+     * @param {number} generation - The generation the grid holds
+     */
+    copyToBase(generation) {
+        if (!this.base) {
+            this.base = {};
+            CELL_LAYERS.forEach((layer) => {
+                this.base[layer] = new Uint8Array(this.gridModel[layer].length);
+            });
+        }
+        CELL_LAYERS.forEach((layer) => {
+            this.base[layer].set(this.gridModel[layer]);
+        });
+        this.baseGeneration = generation;
+    }
+
+    /**
+     * Drops the oldest keyframe with its deltas until the entries fit the memory limit.
+     * The segment holding the latest generation is always kept.
+     */
+    trim() {
+        while (this.bytes > this.memoryLimit) {
+            let end = 1;
+            while (end < this.entries.length && !this.entries[end].keyframe) end++;
+            if (end >= this.entries.length) break;
+
+            this.entries.splice(0, end).forEach((entry) => {
+                this.bytes -= entry.bytes;
+            });
+        }
+    }
+
+    /**
+     * Returns the grid to a recorded generation.
+     * If the grid is ahead of everything recorded, its generation is recorded first so
+     * it can be returned to. Edits made at a past generation are only kept once a step
+     * records them.
+     *
+     * @param {number} generation - The generation to return to
+     * @returns {boolean} True if the grid now holds that generation, false if it is not recorded
+     */
+    seek(generation) {
+        const grid = this.gridModel;
+        if (generation === grid.generation) return true;
+
+        const recorded = this.entries.length ? this.entries[this.entries.length - 1].generation : -1;
+        if (grid.generation > recorded) {
+            this.record();
+        }
+
+        const target = this.entries.findIndex((entry) => entry.generation === generation);
+        if (target < 0) return false;
+
+        let start = target;
+        while (!this.entries[start].keyframe) start--;
+        CELL_LAYERS.forEach((layer) => {
+            this.base[layer].set(this.entries[start].keyframe[layer]);
+        });
+        for (let i = start + 1; i <= target; i++) {
+            const { indices, values } = this.entries[i];
+            CELL_LAYERS.forEach((layer) => {
+                const array = this.base[layer];
+                const source = values[layer];
+                for (let k = 0; k < indices.length; k++) {
+                    array[indices[k]] = source[k];
+                }
+            });
+        }
+        this.baseGeneration = generation;
+
+        grid.restore({
+            ...this.base,
+            columns: grid.columns,
+            rows: grid.rows,
+            neighborhood: grid.neighborhood,
+            boundary: grid.boundary,
+            generation
+        });
+        return true;
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Viewport class lets the board be zoomed and panned inside its frame, so a part of a
+ * grid larger than the screen can be looked at closely without shrinking the whole grid.
+ * Both canvases sit on a stage that is scaled and moved with a CSS transform: they keep
+ * drawing every cell at its full size, and pointer positions still map to cells through
+ * the transformed canvas (see InteractionHandler.eventToCell).
+ *
+ * - Mouse wheel: Zooms in or out around the cursor
+ * - Middle button drag, or left button drag with Space held: Pans
+ * - Fit button (or F): Zooms out to show the whole board
+ */
+
+const frame = document.querySelector('.canvas-container');
+const stage = document.querySelector('.canvas-stage');
+const fitBtn = document.getElementById('fit-button');
+const zoomLevel = document.getElementById('zoom-level');
+
+// Largest zoom, in screen pixels per canvas pixel
+const MAX_ZOOM = 32;
+
+// Zoom factor per pixel scrolled with the wheel (as an exponent, so zooming in and out cancel)
+const WHEEL_ZOOM = 0.002;
+
+// Pixels per line, for wheels that scroll by lines
+const LINE_PIXELS = 16;
+
+export class Viewport {
+    /**
+     * Creates a new Viewport and fits the board in its frame.
+     *
+     * @param {GridModel} gridModel - The grid, whose pixel size is the size of the stage
+     *
+     * @property {GridModel} gridModel - Reference to the grid model
+     * @property {number} zoom - Screen pixels per canvas pixel
+     * @property {number} x - Left edge of the stage in the frame, in screen pixels
+     * @property {number} y - Top edge of the stage in the frame, in screen pixels
+     * @property {Object|null} pan - The pan in progress ({ pointerId, x, y }), or null
+     * @property {boolean} spaceHeld - Whether Space is held (left drags then pan)
+     * @property {boolean} spacePanned - Whether the board was panned since Space was
+     *   pressed, in which case releasing it should not also start or pause playback
+     */
+    constructor(gridModel) {
+        this.gridModel = gridModel;
+        this.zoom = 1;
+        this.x = 0;
+        this.y = 0;
+        this.pan = null;
+        this.spaceHeld = false;
+        this.spacePanned = false;
+
+        this.setupEventListeners();
+        this.fit();
+    }
+
+    /**
+     * Binds the wheel, pan gestures, Space and the Fit button.
+     * Pointer events are caught on the frame before they reach the canvas, so a pan
+     * never paints cells.
+     */
+    setupEventListeners() {
+        fitBtn.addEventListener('click', () => this.fit());
+
+        frame.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            const pixels = event.deltaMode === 1 ? event.deltaY * LINE_PIXELS : event.deltaY;
+            const [x, y] = this.framePoint(event);
+            this.zoomAt(this.zoom * Math.exp(-pixels * WHEEL_ZOOM), x, y);
+        }, { passive: false });
+
+        frame.addEventListener('pointerdown', (event) => {
+            if (event.button !== 1 && !(event.button === 0 && this.spaceHeld)) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+            frame.setPointerCapture(event.pointerId);
+            frame.classList.add('panning');
+            this.pan = { pointerId: event.pointerId, x: event.clientX, y: event.clientY };
+            this.spacePanned = this.spaceHeld;
+        }, true);
+
+        frame.addEventListener('pointermove', (event) => {
+            if (!this.pan || event.pointerId !== this.pan.pointerId) return;
+
+            event.stopPropagation();
+            this.moveTo(this.x + event.clientX - this.pan.x, this.y + event.clientY - this.pan.y);
+            this.pan.x = event.clientX;
+            this.pan.y = event.clientY;
+        }, true);
+
+        const endPan = (event) => {
+            if (!this.pan || event.pointerId !== this.pan.pointerId) return;
+
+            this.pan = null;
+            frame.classList.remove('panning');
+        };
+        frame.addEventListener('pointerup', endPan, true);
+        frame.addEventListener('pointercancel', endPan, true);
+
+        window.addEventListener('keydown', (event) => {
+            if (event.key !== ' ' || ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+            if (!event.repeat) {
+                this.spacePanned = false;
+            }
+            this.spaceHeld = true;
+            frame.classList.add('grab');
+        });
+        const releaseSpace = () => {
+            this.spaceHeld = false;
+            frame.classList.remove('grab');
+        };
+        window.addEventListener('keyup', (event) => {
+            if (event.key === ' ') {
+                releaseSpace();
+            }
+        });
+        window.addEventListener('blur', releaseSpace);
+
+        // The frame shrinks and grows with the window; keep the board in view
+        window.addEventListener('resize', () => this.moveTo(this.x, this.y));
+    }
+
+    /**
+     * Zooms out until the whole board is in view (never beyond its full size) and centers it.
+     * Called when the page loads and whenever the canvases change size.
+     */
+    fit() {
+        this.zoom = this.minZoom();
+        this.moveTo(0, 0);
+    }
+
+    /**
+     * Zooms while keeping one point of the frame over the same spot of the board.
+     * The zoom is limited to between fit() and MAX_ZOOM.
+     *
+     * @param {number} zoom - The new zoom, in screen pixels per canvas pixel
+     * @param {number} x - Horizontal position of the fixed point in the frame, in screen pixels
+     * @param {number} y - Vertical position of the fixed point in the frame, in screen pixels
+     */
+    zoomAt(zoom, x, y) {
+        const clamped = Math.max(this.minZoom(), Math.min(MAX_ZOOM, zoom));
+        const ratio = clamped / this.zoom;
+        this.zoom = clamped;
+        this.moveTo(x - (x - this.x) * ratio, y - (y - this.y) * ratio);
+    }
+
+    /**
+     * Moves the stage. A board wider (or taller) than the frame is kept covering it, so
+     * no empty margin can be dragged into view; a smaller one is centered.
+     *
+     * @param {number} x - Requested left edge of the stage in the frame, in screen pixels
+     * @param {number} y - Requested top edge of the stage in the frame, in screen pixels
+     */
+    moveTo(x, y) {
+        const [frameWidth, frameHeight] = this.frameSize();
+        const width = this.gridModel.pixelWidth() * this.zoom;
+        const height = this.gridModel.pixelHeight() * this.zoom;
+
+        this.x = width <= frameWidth ? (frameWidth - width) / 2 : Math.min(0, Math.max(frameWidth - width, x));
+        this.y = height <= frameHeight ? (frameHeight - height) / 2 : Math.min(0, Math.max(frameHeight - height, y));
+        stage.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.zoom})`;
+        zoomLevel.textContent = `${Math.round(this.zoom * 100)}%`;
+    }
+
+    /**
+     * The zoom at which the whole board fits in the frame, at most 1.
+     *
+     * @returns {number} The smallest zoom allowed
+     */
+    minZoom() {
+        const [frameWidth, frameHeight] = this.frameSize();
+        if (!frameWidth || !frameHeight) return 1;
+
+        return Math.min(1, frameWidth / this.gridModel.pixelWidth(), frameHeight / this.gridModel.pixelHeight());
+    }
+
+    /**
+     * The inside of the frame (its border excluded). The frame is as large as the board
+     * at full size, up to the room the page gives it.
+     *
+     * @returns {Array<number>} [width, height] in screen pixels
+     */
+    frameSize() {
+        return [frame.clientWidth, frame.clientHeight];
+    }
+
+    /**
+     * The position of a pointer event inside the frame.
+     *
+     * @param {MouseEvent} event - The event
+     * @returns {Array<number>} [x, y] in screen pixels from the frame's inner top left corner
+     */
+    framePoint(event) {
+        const { left, top } = frame.getBoundingClientRect();
+        return [event.clientX - left - frame.clientLeft, event.clientY - top - frame.clientTop];
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * WebGLCanvas class wraps a canvas's WebGL context with the few pieces the WebGL
+ * renderers share: compiling shader programs, byte and color textures, and drawing a
+ * quad over the whole target. The vertex shader only covers the target, so the fragment
+ * shaders do all the work, one pixel at a time.
+ */
+
+const QUAD_VERTEX_SHADER = `
+attribute vec2 position;
+
+void main() {
+    gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+/**
+ * GLSL shared by the fragment shaders: locating the cell under a canvas pixel the way
+ * Renderer lays cells out (odd rows of hexagonal lattices shifted half a cell right,
+ * see GridModel.rowOffset),
+ * and reading a cell's byte from a texture holding one byte per cell.
+ */
+export const CELL_LOOKUP_GLSL = `
+uniform vec2 uGridSize;
+uniform float uCellSize;
+uniform float uHexagonal;
+
+// The (column, row) of the cell under a pixel measured from the top left, or (-1, -1)
+vec2 cellAt(vec2 pixel) {
+    float row = floor(pixel.y / uCellSize);
+    float shift = uHexagonal * mod(row, 2.0) * ceil(uCellSize * 0.5);
+    float column = floor((pixel.x - shift) / uCellSize);
+    if (column < 0.0 || column >= uGridSize.x || row >= uGridSize.y) return vec2(-1.0);
+    return vec2(column, row);
+}
+
+float byteAt(sampler2D bytes, vec2 cell) {
+    return floor(texture2D(bytes, (cell + 0.5) / uGridSize).r * 255.0 + 0.5);
+}`;
+
+export class WebGLCanvas {
+    /**
+     * Gets a WebGL context for a canvas.
+     *
+     * @param {HTMLCanvasElement} canvas - The canvas to draw on
+     * @returns {WebGLCanvas|null} The wrapped context, or null if the browser has no WebGL
+     */
+    static create(canvas) {
+        const gl = canvas.getContext('webgl', { antialias: false, depth: false });
+        return gl ? new WebGLCanvas(canvas, gl) : null;
+    }
+
+    /**
+     * Creates a new WebGLCanvas around a canvas's WebGL context.
+     *
+     * @param {HTMLCanvasElement} canvas - The canvas drawn on
+     * @param {WebGLRenderingContext} gl - Its WebGL context
+     *
+     * @property {HTMLCanvasElement} canvas - Reference to the canvas
+     * @property {WebGLRenderingContext} gl - The WebGL context
+     * @property {WebGLBuffer} quad - Corners of a quad covering the whole target
+     */
+    constructor(canvas, gl) {
+        this.canvas = canvas;
+        this.gl = gl;
+
+        this.quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        // Rows of byte textures are as wide as the grid, not padded to 4 bytes
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    }
+
+    /**
+     * Compiles a fragment shader into a program drawn over a quad.
+     *
+     * @param {string} fragmentSource - GLSL source of the fragment shader
+     * @param {Array<string>} uniformNames - Uniforms to look up
+     * @returns {Object} { program, uniforms } with the uniform locations keyed by name
+     * @throws {Error} If the shaders fail to compile or link
+     */
+    createProgram(fragmentSource, uniformNames) {
+        const { gl } = this;
+        const program = gl.createProgram();
+        gl.attachShader(program, this.compileShader(gl.VERTEX_SHADER, QUAD_VERTEX_SHADER));
+        gl.attachShader(program, this.compileShader(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.bindAttribLocation(program, 0, 'position');
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader program failed to link: ${gl.getProgramInfoLog(program)}`);
+        }
+
+        const uniforms = {};
+        uniformNames.forEach((name) => {
+            uniforms[name] = gl.getUniformLocation(program, name);
+        });
+        return { program, uniforms };
+    }
+
+    /**
+     * Compiles one shader.
+     *
+     * @param {number} type - gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+     * @param {string} source - GLSL source
+     * @returns {WebGLShader} The compiled shader
+     * @throws {Error} If it fails to compile
+     */
+    compileShader(type, source) {
+        const { gl } = this;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error(`Shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+        }
+        return shader;
+    }
+
+    /**
+     * Creates a texture read texel by texel (no filtering, no wrapping), as the
+     * renderers' grid-sized textures need.
+     *
+     * @returns {WebGLTexture} The texture, still empty
+     */
+    createTexture() {
+        const { gl } = this;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    /**
+     * Fills a texture with one byte per texel, e.g. a layer of the grid (row 0 first).
+     *
+     * @param {WebGLTexture} texture - The texture to fill
+     * @param {number} width - Texels per row
+     * @param {number} height - Number of rows
+     * @param {Uint8Array} bytes - width × height bytes
+     */
+    uploadBytes(texture, width, height, bytes) {
+        const { gl } = this;
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, width, height, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, bytes);
+    }
+
+    /**
+     * Fills a texture with a single row of colors.
+     *
+     * @param {WebGLTexture} texture - The texture to fill
+     * @param {Array<Array<number>>} colors - [r, g, b, a] channels (0-255) of every texel
+     */
+    uploadColors(texture, colors) {
+        const { gl } = this;
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, colors.length, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(colors.flat()));
+    }
+
+    /**
+     * Binds textures to consecutive texture units (the first to unit 0).
+     *
+     * @param {Array<WebGLTexture>} textures - The textures, in the order of their units
+     */
+    bindTextures(textures) {
+        const { gl } = this;
+        textures.forEach((texture, unit) => {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+        });
+    }
+
+    /**
+     * Runs a program over the whole of the current target.
+     * Uniforms are set by the caller after useProgram() and before drawing.
+     *
+     * @param {number} width - Width of the target in pixels
+     * @param {number} height - Height of the target in pixels
+     */
+    drawQuad(width, height) {
+        const { gl } = this;
+        gl.viewport(0, 0, width, height);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+}
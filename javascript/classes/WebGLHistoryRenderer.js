@@ -0,0 +1,239 @@
+/**
+ * WebGLHistoryRenderer class keeps the history overlay with WebGL instead of the Canvas 2D API.
+ * History accumulates in a framebuffer holding one texel per cell: every tracked
+ * generation blends each cell's state color over it with the state's weight from
+ * HISTORY_WEIGHTS, as HistoryRenderer does, in a single pass. The framebuffer is then
+ * drawn onto the overlay canvas with the cell layout of the primary view. It has the
+ * same interface as HistoryRenderer, which remains the fallback where WebGL is unavailable.
+ */
+
+import { STATE, STATE_SLOTS } from '../constants/state.js';
+import { COLORS, colorChannels } from '../constants/colors.js';
+import { HISTORY_WEIGHTS } from './HistoryRenderer.js';
+import { WebGLCanvas, CELL_LOOKUP_GLSL } from './WebGLCanvas.js';
+
+// Blends the color of every cell's state into the history (one fragment per cell)
+const ACCUMULATE_SHADER = `
+precision highp float;
+
+uniform sampler2D uGrid;
+uniform vec4 uColors[${STATE_SLOTS}];
+${CELL_LOOKUP_GLSL}
+
+void main() {
+    float state = byteAt(uGrid, floor(gl_FragCoord.xy));
+    // Uniform arrays can only be indexed by loop counters
+    vec4 color = uColors[0];
+    for (int i = 1; i < ${STATE_SLOTS}; i++) {
+        if (float(i) == state) color = uColors[i];
+    }
+    gl_FragColor = color;
+}`;
+
+// Draws the history onto the canvas; pixels beside the cells keep the clear color
+const PRESENT_SHADER = `
+precision highp float;
+
+uniform sampler2D uHistory;
+uniform vec2 uCanvasSize;
+uniform vec2 uBufferSize;
+uniform vec4 uClearColor;
+${CELL_LOOKUP_GLSL}
+
+void main() {
+    vec2 pixel = vec2(gl_FragCoord.x, uBufferSize.y - gl_FragCoord.y) * uCanvasSize / uBufferSize;
+    vec2 cell = cellAt(pixel);
+    gl_FragColor = cell.x >= 0.0 ? texture2D(uHistory, (cell + 0.5) / uGridSize) : uClearColor;
+}`;
+
+export class WebGLHistoryRenderer {
+    /**
+     * Creates a WebGLHistoryRenderer if the browser supports WebGL.
+     *
+     * @param {HTMLCanvasElement} canvas - The overlay canvas element for history rendering
+     * @param {GridModel} gridModel - The grid model to track changes from
+     * @returns {WebGLHistoryRenderer|null} The renderer, or null if WebGL is unavailable
+     */
+    static create(canvas, gridModel) {
+        const surface = WebGLCanvas.create(canvas);
+        return surface ? new WebGLHistoryRenderer(surface, gridModel) : null;
+    }
+
+    /**
+     * Creates a new WebGLHistoryRenderer drawing on a WebGL canvas (see create).
+     *
+     * @param {WebGLCanvas} surface - The overlay canvas and its WebGL context
+     * @param {GridModel} gridModel - The grid model to track changes from
+     *
+     * @property {HTMLCanvasElement} canvas - Reference to the overlay canvas
+     * @property {WebGLCanvas} surface - The canvas's WebGL context and helpers
+     * @property {GridModel} gridModel - Reference to the grid being tracked
+     * @property {Object} accumulate - Program blending a generation into the history
+     * @property {Object} present - Program drawing the history onto the canvas
+     * @property {Object} textures - Textures of the grid and the history
+     * @property {WebGLFramebuffer} framebuffer - Framebuffer rendering into the history texture
+     * @property {Float32Array} colors - RGBA (0-1) of every state, its alpha the state's weight
+     * @property {Array<number>} clearColor - RGBA (0-1) of untouched history: the empty color
+     */
+    constructor(surface, gridModel) {
+        this.canvas = surface.canvas;
+        this.surface = surface;
+        this.gridModel = gridModel;
+
+        this.accumulate = surface.createProgram(ACCUMULATE_SHADER, ['uGrid', 'uColors', 'uGridSize']);
+        this.present = surface.createProgram(PRESENT_SHADER, [
+            'uHistory', 'uCanvasSize', 'uBufferSize', 'uClearColor', 'uGridSize', 'uCellSize', 'uHexagonal'
+        ]);
+        this.textures = {
+            grid: surface.createTexture(),
+            history: surface.createTexture()
+        };
+        this.framebuffer = surface.gl.createFramebuffer();
+
+        const { gl } = surface;
+        gl.useProgram(this.accumulate.program);
+        gl.uniform1i(this.accumulate.uniforms.uGrid, 0);
+        gl.useProgram(this.present.program);
+        gl.uniform1i(this.present.uniforms.uHistory, 0);
+
+        this.updateColors();
+        this.initializeHistory();
+    }
+
+    /**
+     * Sizes the canvas and the history to the grid and fills the history with the clear color.
+     */
+    initializeHistory() {
+        this.updateCanvasSize();
+        this.clearHistory();
+    }
+
+    /**
+     * Updates the canvas dimensions to match the current grid size, and gives the history
+     * one texel per cell. The history's contents are lost; clearHistory() starts it afresh.
+     */
+    updateCanvasSize() {
+        const { gl } = this.surface;
+        const { columns, rows } = this.gridModel;
+        this.canvas.width = this.gridModel.pixelWidth();
+        this.canvas.height = this.gridModel.pixelHeight();
+
+        gl.bindTexture(gl.TEXTURE_2D, this.textures.history);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, columns, rows, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.textures.history, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Blends the current generation into the history and redraws the overlay.
+     * This method should be called after each simulation step or board change.
+     */
+    trackChanges() {
+        this.accumulateCells();
+        this.draw();
+    }
+
+    /**
+     * Blends the current state of a single cell into the history and redraws the overlay
+     * (see HistoryRenderer.trackCell).
+     *
+     * @param {number} column - The column of the cell
+     * @param {number} row - The row of the cell
+     */
+    trackCell(column, row) {
+        const { gl } = this.surface;
+        // The history's rows are stored top row first, like the grid
+        gl.enable(gl.SCISSOR_TEST);
+        gl.scissor(column, row, 1, 1);
+        this.accumulateCells();
+        gl.disable(gl.SCISSOR_TEST);
+        this.draw();
+    }
+
+    /**
+     * Blends the color of every cell's state into the history framebuffer (only the
+     * cells inside the scissor box when the scissor test is on).
+     */
+    accumulateCells() {
+        const grid = this.gridModel;
+        const { surface, textures } = this;
+        const { gl } = surface;
+
+        surface.uploadBytes(textures.grid, grid.columns, grid.rows, grid.grid);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.useProgram(this.accumulate.program);
+        gl.uniform2f(this.accumulate.uniforms.uGridSize, grid.columns, grid.rows);
+        gl.uniform4fv(this.accumulate.uniforms.uColors, this.colors);
+        surface.bindTextures([textures.grid]);
+        // Source-over, as on a 2D canvas; the history itself stays opaque
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ZERO, gl.ONE);
+        surface.drawQuad(grid.columns, grid.rows);
+        gl.disable(gl.BLEND);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Draws the history onto the overlay canvas.
+     */
+    draw() {
+        const grid = this.gridModel;
+        const { gl } = this.surface;
+        const { uniforms } = this.present;
+
+        gl.useProgram(this.present.program);
+        gl.uniform2f(uniforms.uCanvasSize, this.canvas.width, this.canvas.height);
+        gl.uniform2f(uniforms.uBufferSize, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.uniform4fv(uniforms.uClearColor, this.clearColor);
+        gl.uniform2f(uniforms.uGridSize, grid.columns, grid.rows);
+        gl.uniform1f(uniforms.uCellSize, grid.cellSize);
+        gl.uniform1f(uniforms.uHexagonal, grid.isHexagonal() ? 1 : 0);
+        this.surface.bindTextures([this.textures.history]);
+        this.surface.drawQuad(gl.drawingBufferWidth, gl.drawingBufferHeight);
+    }
+
+    /**
+     * Rebuilds the translucent per-state colors used to accumulate history
+     * (see HISTORY_WEIGHTS) and the clear color.
+     */
+    updateColors() {
+        this.colors = new Float32Array(STATE_SLOTS * 4);
+        for (let state = 0; state < STATE_SLOTS; state++) {
+            const channels = colorChannels(COLORS[state]).map((channel) => channel / 255);
+            this.colors.set([...channels, HISTORY_WEIGHTS[state]], state * 4);
+        }
+        this.clearColor = [...colorChannels(COLORS[STATE.EMPTY]).map((channel) => channel / 255), 1];
+    }
+
+    /**
+     * Clears the history overlay, resetting it to the empty color.
+     * This does not affect the main simulation canvas.
+     */
+    clearHistory() {
+        const { gl } = this.surface;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, this.gridModel.columns, this.gridModel.rows);
+        gl.clearColor(...this.clearColor);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.draw();
+    }
+
+    /**
+     * Sets the opacity of the overlay canvas.
+     *
+     * @param {number} opacity - Opacity value between 0 and 1
+     */
+    setOpacity(opacity) {
+        this.canvas.style.opacity = opacity;
+    }
+
+    /**
+     * Handles grid resize by updating canvas dimensions and clearing history.
+     */
+    handleResize() {
+        this.updateCanvasSize();
+        this.clearHistory();
+    }
+}
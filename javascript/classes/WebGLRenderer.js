@@ -0,0 +1,197 @@
+/**
+ * WebGLRenderer class draws the grid with WebGL instead of the Canvas 2D API.
+ * The grid is uploaded as a texture with one byte per cell, and a fragment shader looks
+ * up the cell under every pixel and maps its state to its color, so a frame costs the
+ * same however many cells are alive. It draws what Renderer draws (hexagonal rows, gene
+ * colors and active tiles included) and has the same interface; Renderer remains the
+ * fallback where WebGL is unavailable.
+ */
+
+import { STATE, STATE_SLOTS, SPECIES } from '../constants/state.js';
+import { COLORS, GENE_COLORS, colorChannels } from '../constants/colors.js';
+import { TILE_SIZE } from './TileActivity.js';
+import { WebGLCanvas, CELL_LOOKUP_GLSL } from './WebGLCanvas.js';
+
+// Premultiplied form of Renderer's active tile outline, rgba(255, 255, 255, 0.6)
+const ACTIVE_TILE_COLOR = [0.6, 0.6, 0.6, 0.6];
+
+const IS_SPECIES_GLSL = SPECIES.map((state) => `state == ${state}.0`).join(' || ');
+
+const FRAGMENT_SHADER = `
+precision highp float;
+
+uniform sampler2D uGrid;
+uniform sampler2D uGenes;
+uniform sampler2D uStateColors;
+uniform sampler2D uGeneColors;
+uniform sampler2D uTiles;
+uniform vec2 uCanvasSize;
+uniform vec2 uBufferSize;
+uniform bool uColorByGene;
+uniform bool uShowTiles;
+uniform vec2 uTileGridSize;
+uniform float uTilePixels;
+uniform vec4 uTileColor;
+${CELL_LOOKUP_GLSL}
+
+bool isSpecies(float state) {
+    return ${IS_SPECIES_GLSL};
+}
+
+// Renderer's outline of an evaluated tile: the first and last pixel row and column
+bool onTileOutline(vec2 pixel) {
+    vec2 tile = floor(pixel / uTilePixels);
+    if (tile.x >= uTileGridSize.x || tile.y >= uTileGridSize.y) return false;
+    if (texture2D(uTiles, (tile + 0.5) / uTileGridSize).r < 0.5) return false;
+
+    vec2 inside = pixel - tile * uTilePixels;
+    vec2 extent = min(vec2(uTilePixels), uCanvasSize - tile * uTilePixels);
+    return inside.x < 1.0 || inside.y < 1.0 || inside.x > extent.x - 1.0 || inside.y > extent.y - 1.0;
+}
+
+void main() {
+    vec2 pixel = vec2(gl_FragCoord.x, uBufferSize.y - gl_FragCoord.y) * uCanvasSize / uBufferSize;
+    vec4 color = vec4(0.0);
+
+    vec2 cell = cellAt(pixel);
+    if (cell.x >= 0.0) {
+        float state = byteAt(uGrid, cell);
+        // Empty cells are left clear, as Renderer leaves them undrawn
+        if (state != ${STATE.EMPTY}.0) {
+            color = uColorByGene && isSpecies(state)
+                ? texture2D(uGeneColors, vec2((byteAt(uGenes, cell) + 0.5) / 256.0, 0.5))
+                : texture2D(uStateColors, vec2((state + 0.5) / ${STATE_SLOTS}.0, 0.5));
+        }
+    }
+
+    if (uShowTiles && onTileOutline(pixel)) {
+        color = uTileColor + color * (1.0 - uTileColor.a);
+    }
+    gl_FragColor = color;
+}`;
+
+const UNIFORMS = [
+    'uGrid', 'uGenes', 'uStateColors', 'uGeneColors', 'uTiles', 'uCanvasSize', 'uBufferSize',
+    'uGridSize', 'uCellSize', 'uHexagonal', 'uColorByGene', 'uShowTiles', 'uTileGridSize',
+    'uTilePixels', 'uTileColor'
+];
+
+export class WebGLRenderer {
+    /**
+     * Creates a WebGLRenderer if the browser supports WebGL.
+     *
+     * @param {HTMLCanvasElement} canvas - The HTML canvas element for rendering
+     * @param {GridModel} gridModel - The grid model containing cell data to render
+     * @returns {WebGLRenderer|null} The renderer, or null if WebGL is unavailable
+     *   (the canvas is then left free for a 2D context)
+     */
+    static create(canvas, gridModel) {
+        const surface = WebGLCanvas.create(canvas);
+        return surface ? new WebGLRenderer(surface, gridModel) : null;
+    }
+
+    /**
+     * Creates a new WebGLRenderer drawing on a WebGL canvas (see create).
+     *
+     * @param {WebGLCanvas} surface - The canvas and its WebGL context
+     * @param {GridModel} gridModel - The grid model containing cell data to render
+     *
+     * @property {HTMLCanvasElement} canvas - Reference to the canvas element for drawing
+     * @property {WebGLCanvas} surface - The canvas's WebGL context and helpers
+     * @property {GridModel} gridModel - Reference to the grid model for accessing cell states
+     * @property {boolean} showActiveTiles - Whether to outline the tiles evaluated in the last step
+     * @property {string} colorBy - How cells are colored, one of COLOR_MODES (see Renderer.draw)
+     * @property {Object} shader - The compiled program ({ program, uniforms })
+     * @property {Object} textures - Textures of the grid, the genes shown, the state and
+     *   gene palettes and the evaluated tiles
+     */
+    constructor(surface, gridModel) {
+        this.canvas = surface.canvas;
+        this.surface = surface;
+        this.gridModel = gridModel;
+        this.showActiveTiles = false;
+        this.colorBy = 'state';
+
+        this.shader = surface.createProgram(FRAGMENT_SHADER, UNIFORMS);
+        this.textures = {
+            grid: surface.createTexture(),
+            genes: surface.createTexture(),
+            stateColors: surface.createTexture(),
+            geneColors: surface.createTexture(),
+            tiles: surface.createTexture()
+        };
+        surface.uploadColors(this.textures.geneColors, GENE_COLORS.map((channels) => [...channels, 255]));
+        // Textures without data cannot be sampled, even by branches not taken
+        surface.uploadBytes(this.textures.genes, 1, 1, new Uint8Array(1));
+        surface.uploadBytes(this.textures.tiles, 1, 1, new Uint8Array(1));
+
+        const { gl } = surface;
+        const { uniforms } = this.shader;
+        gl.useProgram(this.shader.program);
+        ['uGrid', 'uGenes', 'uStateColors', 'uGeneColors', 'uTiles'].forEach((name, unit) => {
+            gl.uniform1i(uniforms[name], unit);
+        });
+        gl.uniform4fv(uniforms.uTileColor, ACTIVE_TILE_COLOR);
+
+        this.updateCanvasSize();
+    }
+
+    /**
+     * Updates the canvas dimensions to match the current grid size (see Renderer).
+     * The drawing buffer follows the canvas, up to the browser's size limit.
+     */
+    updateCanvasSize() {
+        this.canvas.width = this.gridModel.pixelWidth();
+        this.canvas.height = this.gridModel.pixelHeight();
+    }
+
+    /**
+     * Renders the entire grid: uploads the cell states (and the genes shown when
+     * coloring by a trait) and draws every pixel in a single pass.
+     * The palette is uploaded on every draw, so color changes show up at once.
+     */
+    draw() {
+        const grid = this.gridModel;
+        const { surface, textures } = this;
+        const { gl } = surface;
+        const { uniforms } = this.shader;
+        const colorByGene = this.colorBy !== 'state';
+
+        surface.uploadBytes(textures.grid, grid.columns, grid.rows, grid.grid);
+        if (colorByGene) {
+            surface.uploadBytes(textures.genes, grid.columns, grid.rows, grid[this.colorBy]);
+        }
+        surface.uploadColors(textures.stateColors, Array.from({ length: STATE_SLOTS }, (_, state) => {
+            return [...colorChannels(COLORS[state]), 255];
+        }));
+        if (this.showActiveTiles) {
+            const { evaluated, tileColumns, tileRows } = grid.activity;
+            surface.uploadBytes(textures.tiles, tileColumns, tileRows, evaluated.map((value) => value * 255));
+        }
+
+        gl.useProgram(this.shader.program);
+        gl.uniform2f(uniforms.uCanvasSize, this.canvas.width, this.canvas.height);
+        gl.uniform2f(uniforms.uBufferSize, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.uniform2f(uniforms.uGridSize, grid.columns, grid.rows);
+        gl.uniform1f(uniforms.uCellSize, grid.cellSize);
+        gl.uniform1f(uniforms.uHexagonal, grid.isHexagonal() ? 1 : 0);
+        gl.uniform1i(uniforms.uColorByGene, colorByGene ? 1 : 0);
+        gl.uniform1i(uniforms.uShowTiles, this.showActiveTiles ? 1 : 0);
+        gl.uniform2f(uniforms.uTileGridSize, grid.activity.tileColumns, grid.activity.tileRows);
+        gl.uniform1f(uniforms.uTilePixels, TILE_SIZE * grid.cellSize);
+
+        surface.bindTextures([textures.grid, textures.genes, textures.stateColors, textures.geneColors, textures.tiles]);
+        surface.drawQuad(gl.drawingBufferWidth, gl.drawingBufferHeight);
+    }
+
+    /**
+     * Renders after a single cell changed (see Renderer.drawCell). A full draw is a
+     * single pass here, so it simply draws everything.
+     *
+     * @param {number} column - The column of the cell
+     * @param {number} row - The row of the cell
+     */
+    drawCell(column, row) {
+        this.draw();
+    }
+}
@@ -0,0 +1,7 @@
+export const BOUNDARY = {
+    TORUS: 'torus',
+    DEAD: 'dead',
+    MIRROR: 'mirror',
+    KLEIN: 'klein',
+    CYLINDER: 'cylinder'
+};
@@ -0,0 +1,45 @@
+import { colorChannels } from './colors.js';
+
+// Colors sampled at even steps along each colormap, from its low end to its high end
+const COLORMAP_STOPS = {
+    viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+    inferno: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'],
+    grayscale: ['#000000', '#ffffff']
+};
+
+export const COLORMAP_NAMES = Object.keys(COLORMAP_STOPS);
+
+// Number of colors in each colormap's lookup table
+export const COLORMAP_STEPS = 256;
+
+/**
+ * Builds a colormap's lookup table by interpolating between its stops.
+ *
+ * @param {Array<string>} stops - Hex colors at even steps along the colormap
+ * @returns {Array<Array<number>>} COLORMAP_STEPS [r, g, b] channels (0-255), low to high
+ */
+function colormapTable(stops) {
+    const channels = stops.map(colorChannels);
+    return Array.from({ length: COLORMAP_STEPS }, (_, step) => {
+        const position = step / (COLORMAP_STEPS - 1) * (stops.length - 1);
+        const from = Math.min(Math.floor(position), stops.length - 2);
+        const t = position - from;
+        return channels[from].map((value, i) => Math.round(value + (channels[from + 1][i] - value) * t));
+    });
+}
+
+// Lookup tables of every colormap, keyed by name
+export const COLORMAPS = {};
+COLORMAP_NAMES.forEach((name) => {
+    COLORMAPS[name] = colormapTable(COLORMAP_STOPS[name]);
+});
+
+/**
+ * Describes a colormap as a left-to-right CSS gradient, e.g. for a legend.
+ *
+ * @param {string} name - One of COLORMAP_NAMES
+ * @returns {string} A CSS linear-gradient() value
+ */
+export function colormapGradient(name) {
+    return `linear-gradient(to right, ${COLORMAP_STOPS[name].join(', ')})`;
+}
@@ -1,13 +1,55 @@
-import { STATE } from './state.js';
+import { STATE, SPECIES, speciesLetter } from './state.js';
+import { GENE_NEUTRAL } from './genome.js';
 
-export let COLORS = {
+const DEFAULT_COLORS = {
     [STATE.EMPTY]: '#000000',
     [STATE.SPECIES_A]: '#e74c3c',
     [STATE.SPECIES_B]: '#3498db',
     [STATE.DISEASED]: '#2ecc71',
-    [STATE.CONTESTED]: '#f1c40f'
+    [STATE.CONTESTED]: '#f1c40f',
+    [STATE.SPECIES_C]: '#9b59b6',
+    [STATE.SPECIES_D]: '#e67e22',
+    [STATE.SPECIES_E]: '#1abc9c',
+    [STATE.SPECIES_F]: '#ecf0f1',
+    [STATE.SPECIES_G]: '#e84393',
+    [STATE.SPECIES_H]: '#a0522d',
+    [STATE.RECOVERED]: '#95a5a6'
 };
 
+export let COLORS = { ...DEFAULT_COLORS };
+
+// Gene colors run from blue (lowest) through gray (neutral) to red (highest)
+const GENE_LOW = [41, 98, 255];
+const GENE_MID = [128, 128, 128];
+const GENE_HIGH = [255, 59, 48];
+
+/**
+ * Builds the color of every gene value (0-255).
+ *
+ * @returns {Array<Array<number>>} [r, g, b] channels (0-255) indexed by gene
+ */
+function genePalette() {
+    return Array.from({ length: 256 }, (_, gene) => {
+        const [from, to, t] = gene < GENE_NEUTRAL
+            ? [GENE_LOW, GENE_MID, gene / GENE_NEUTRAL]
+            : [GENE_MID, GENE_HIGH, (gene - GENE_NEUTRAL) / (255 - GENE_NEUTRAL)];
+        return from.map((value, i) => Math.round(value + (to[i] - value) * t));
+    });
+}
+
+export const GENE_COLORS = genePalette();
+
+/**
+ * Splits a hex color into its channels.
+ *
+ * @param {string} hex - Hex color string (e.g., '#e74c3c')
+ * @returns {Array<number>} [r, g, b] channels (0-255)
+ */
+export function colorChannels(hex) {
+    const digits = hex.replace('#', '');
+    return [0, 2, 4].map((start) => parseInt(digits.substring(start, start + 2), 16));
+}
+
 /**
  * Updates the color for a specific state
  * @param {number} state - The state to update (from STATE constants)
@@ -15,10 +57,10 @@ export let COLORS = {
  */
 export function updateColor(state, color) {
     COLORS[state] = color;
-    
+
     // Save to localStorage
     localStorage.setItem('cellColors', JSON.stringify(COLORS));
-    
+
     // Update CSS variables for legend
     updateCSSColors();
 }
@@ -50,23 +92,19 @@ export function loadColors() {
 function updateCSSColors() {
     const root = document.documentElement;
     root.style.setProperty('--color-empty', COLORS[STATE.EMPTY]);
-    root.style.setProperty('--color-species-a', COLORS[STATE.SPECIES_A]);
-    root.style.setProperty('--color-species-b', COLORS[STATE.SPECIES_B]);
+    SPECIES.forEach((state, index) => {
+        root.style.setProperty(`--color-species-${speciesLetter(index).toLowerCase()}`, COLORS[state]);
+    });
     root.style.setProperty('--color-diseased', COLORS[STATE.DISEASED]);
     root.style.setProperty('--color-contested', COLORS[STATE.CONTESTED]);
+    root.style.setProperty('--color-recovered', COLORS[STATE.RECOVERED]);
 }
 
 /**
  * Resets colors to defaults
  */
 export function resetColors() {
-    Object.assign(COLORS, {
-        [STATE.EMPTY]: '#000000',
-        [STATE.SPECIES_A]: '#e74c3c',
-        [STATE.SPECIES_B]: '#3498db',
-        [STATE.DISEASED]: '#2ecc71',
-        [STATE.CONTESTED]: '#f1c40f'
-    });
+    Object.assign(COLORS, DEFAULT_COLORS);
     localStorage.removeItem('cellColors');
     updateCSSColors();
 }
@@ -0,0 +1,46 @@
+/**
+ * Heritable traits of the optional per-cell genomes (see SimulationEngine).
+ * Every trait is a gene stored in a Uint8Array layer of GridModel named after the trait.
+ * A gene of GENE_NEUTRAL leaves the built-in rules unchanged; every step above or
+ * below it shifts the trait by 1 / TRAIT_SCALE[trait]:
+ * - fertility: Lowers the birth threshold of the cell's offspring, in neighbors
+ *   (a birth uses the mean fertility of the parents)
+ * - resistance: Raises the number of diseased neighbors needed to infect the cell
+ * - vigor: Added to the weight (normally 1) the cell lends its species' strength,
+ *   which decides births, takeovers and contests
+ */
+export const TRAITS = ['fertility', 'resistance', 'vigor'];
+
+export const TRAIT_SCALE = {
+    fertility: 64,
+    resistance: 64,
+    vigor: 128
+};
+
+export const GENE_NEUTRAL = 128;
+
+// Largest change a single mutation makes to a gene
+export const MUTATION_STEP = 8;
+
+/**
+ * Converts a gene to the trait value it encodes.
+ *
+ * @param {string} trait - One of the TRAITS
+ * @param {number} gene - The gene (0-255)
+ * @returns {number} The trait value, 0 for GENE_NEUTRAL
+ */
+export function traitValue(trait, gene) {
+    return (gene - GENE_NEUTRAL) / TRAIT_SCALE[trait];
+}
+
+/**
+ * Tells whether cells carry genomes under a set of rule values. Genomes are a feature
+ * of the built-in rules: rule scripts neither read nor pass on genes, so they are off
+ * while a script replaces the built-in rules, whatever the genomes rule says.
+ *
+ * @param {Object} values - Rule values as returned by RuleParameters.getValues()
+ * @returns {boolean} True if genomes are on and no rule script is in use
+ */
+export function genomesEnabled(values) {
+    return Boolean(values.genomes) && (values.script === null || values.script === undefined);
+}
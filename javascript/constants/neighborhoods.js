@@ -0,0 +1,82 @@
+export const NEIGHBORHOOD = {
+    MOORE: 'moore',
+    VON_NEUMANN: 'von-neumann',
+    HEX: 'hex'
+};
+
+export const MIN_RADIUS = 1;
+export const MAX_RADIUS = 5;
+
+/**
+ * Distance between two cells of a hexagonal lattice stored in "odd-r" offset layout,
+ * where every odd row is shifted half a cell to the right.
+ *
+ * @param {number} x1 - Column of the first cell
+ * @param {number} y1 - Row of the first cell
+ * @param {number} x2 - Column of the second cell
+ * @param {number} y2 - Row of the second cell
+ * @returns {number} The number of hex steps between the two cells
+ */
+function hexDistance(x1, y1, x2, y2) {
+    // Convert offset coordinates to axial coordinates (q, r)
+    const q1 = x1 - (y1 - (y1 & 1)) / 2;
+    const q2 = x2 - (y2 - (y2 & 1)) / 2;
+    const dq = q2 - q1;
+    const dr = y2 - y1;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+/**
+ * Builds the relative neighbor offsets for a neighborhood shape and radius.
+ *
+ * @param {string} type - One of the NEIGHBORHOOD values
+ * @param {number} radius - Neighborhood radius, from MIN_RADIUS to MAX_RADIUS
+ * @returns {Array<Array<Array<number>>>} Two lists of [dx, dy] offsets: the first for
+ *   even rows, the second for odd rows. Square lattices use the same list for both;
+ *   the hexagonal lattice needs separate lists because odd rows are shifted.
+ * @throws {RangeError} If the type is unknown or the radius is out of range
+ *
+ * Neighborhood sizes for radius r:
+ * - Moore: (2r + 1)² - 1 (8 for r = 1)
+ * - von Neumann: 2r(r + 1) (4 for r = 1)
+ * - Hexagonal: 3r(r + 1) (6 for r = 1)
+ */
+export function neighborhoodOffsets(type, radius) {
+    if (!Number.isInteger(radius) || radius < MIN_RADIUS || radius > MAX_RADIUS) {
+        throw new RangeError(`Neighborhood radius must be an integer from ${MIN_RADIUS} to ${MAX_RADIUS}, got ${radius}`);
+    }
+
+    const square = (include) => {
+        const offsets = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if ((dx !== 0 || dy !== 0) && include(dx, dy)) {
+                    offsets.push([dx, dy]);
+                }
+            }
+        }
+        return [offsets, offsets];
+    };
+
+    switch (type) {
+        case NEIGHBORHOOD.MOORE:
+            return square(() => true);
+        case NEIGHBORHOOD.VON_NEUMANN:
+            return square((dx, dy) => Math.abs(dx) + Math.abs(dy) <= radius);
+        case NEIGHBORHOOD.HEX:
+            return [0, 1].map((parity) => {
+                const offsets = [];
+                for (let dy = -radius; dy <= radius; dy++) {
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const distance = hexDistance(0, parity, dx, parity + dy);
+                        if (distance >= 1 && distance <= radius) {
+                            offsets.push([dx, dy]);
+                        }
+                    }
+                }
+                return offsets;
+            });
+        default:
+            throw new RangeError(`Unknown neighborhood "${type}", expected one of ${Object.values(NEIGHBORHOOD).join(', ')}`);
+    }
+}
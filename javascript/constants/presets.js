@@ -0,0 +1,29 @@
+/**
+ * Built-in rule presets. Each preset lists only the rules it changes; everything else
+ * takes its DEFAULT_RULES value. Thresholds are tuned for the 8-cell Moore neighborhood.
+ *
+ * - Stable coexistence: Both species quickly settle into still territories side by side
+ * - Pandemic: Easy births keep about a quarter of the board diseased, yet both species survive
+ * - A dominance: Species A wins contests by any margin while B needs a margin of 2,
+ *   so A takes over the board within a couple of hundred generations
+ * - Chaotic front: Low contest thresholds and long-lived contested cells make the
+ *   populations boom and crash as fronts sweep across the board
+ */
+export const BUILT_IN_PRESETS = [
+    {
+        name: 'Stable coexistence',
+        rules: { birth: 4, smin: 1, density: 0.4 }
+    },
+    {
+        name: 'Pandemic',
+        rules: { birth: 2 }
+    },
+    {
+        name: 'A dominance',
+        rules: { perSpecies: [{ marg: 0 }, { marg: 2 }] }
+    },
+    {
+        name: 'Chaotic front',
+        rules: { cmin: 2, ydec: 5 }
+    }
+];
@@ -0,0 +1,28 @@
+/**
+ * Default rule values used by the simulation when no explicit value is supplied.
+ * These mirror the initial positions of the rule sliders in the browser UI.
+ */
+export const DEFAULT_RULES = {
+    birth: 3,
+    smin: 2,
+    smax: 3,
+    over: 4,
+    cmin: 3,
+    marg: 1,
+    istr: 2,
+    iweak: 1,
+    tau: 2,
+    immunity: 0,
+    ydec: 2,
+    species: 2,
+    genomes: 0,
+    mutation: 0.05,
+    density: 0.18,
+    gdensity: 0.02
+};
+
+/**
+ * Rule keys that can be set per species when species are unlinked.
+ * The remaining rules (ydec, species, genomes, mutation, density, gdensity) are always shared.
+ */
+export const SPECIES_RULE_KEYS = ['birth', 'smin', 'smax', 'over', 'cmin', 'marg', 'istr', 'iweak', 'tau', 'immunity'];
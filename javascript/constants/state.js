@@ -3,5 +3,75 @@ export const STATE = {
     SPECIES_A: 1,
     SPECIES_B: 2,
     DISEASED: 3,
-    CONTESTED: 4
+    CONTESTED: 4,
+    SPECIES_C: 5,
+    SPECIES_D: 6,
+    SPECIES_E: 7,
+    SPECIES_F: 8,
+    SPECIES_G: 9,
+    SPECIES_H: 10,
+    RECOVERED: 11
 };
+
+/**
+ * Species states in species order (A, B, C, …).
+ * Species A and B keep their original state values; later species follow CONTESTED.
+ */
+export const SPECIES = [
+    STATE.SPECIES_A,
+    STATE.SPECIES_B,
+    STATE.SPECIES_C,
+    STATE.SPECIES_D,
+    STATE.SPECIES_E,
+    STATE.SPECIES_F,
+    STATE.SPECIES_G,
+    STATE.SPECIES_H
+];
+
+// Size of a lookup table indexed by state value
+export const STATE_SLOTS = Math.max(...Object.values(STATE)) + 1;
+
+export const MIN_SPECIES = 2;
+export const MAX_SPECIES = SPECIES.length;
+
+// Lookup from state value to species index (-1 for non-species states)
+const SPECIES_INDEX = new Int8Array(STATE_SLOTS).fill(-1);
+SPECIES.forEach((state, index) => {
+    SPECIES_INDEX[state] = index;
+});
+
+/**
+ * Returns the species index (0 for A, 1 for B, …) of a state.
+ *
+ * @param {number} state - A STATE value
+ * @returns {number} The species index, or -1 if the state is not a species
+ */
+export function speciesIndex(state) {
+    return SPECIES_INDEX[state];
+}
+
+/**
+ * Returns the display letter of a species (A, B, C, …).
+ *
+ * @param {number} index - The species index
+ * @returns {string} The species letter
+ */
+export function speciesLetter(index) {
+    return String.fromCharCode(65 + index);
+}
+
+// Lookup from state value to its name in STATE
+const STATE_NAMES = [];
+Object.entries(STATE).forEach(([name, state]) => {
+    STATE_NAMES[state] = name;
+});
+
+/**
+ * Returns the name of a state as in STATE (EMPTY, SPECIES_A, …).
+ *
+ * @param {number} state - A STATE value
+ * @returns {string} The state's name
+ */
+export function stateName(state) {
+    return STATE_NAMES[state];
+}
@@ -0,0 +1,20 @@
+/**
+ * Saves data as a file through the browser's download mechanism.
+ * Used by every export and download button, so downloads behave the same everywhere.
+ */
+
+/**
+ * Offers a blob to the user as a download.
+ * The object URL is revoked on the next task, once the browser has started the download.
+ *
+ * @param {Blob} blob - The file's contents
+ * @param {string} filename - The suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url));
+}
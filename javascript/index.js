@@ -0,0 +1,25 @@
+/**
+ * Headless entry point for the simulation core.
+ * Everything exported here is free of DOM and storage access, so it can be imported
+ * from Node scripts, command-line tools and tests as well as from the browser UI.
+ */
+
+export { STATE } from './constants/state.js';
+export { DEFAULT_RULES } from './constants/rules.js';
+export { TRAITS, TRAIT_SCALE, GENE_NEUTRAL, traitValue } from './constants/genome.js';
+export { NEIGHBORHOOD, MIN_RADIUS, MAX_RADIUS } from './constants/neighborhoods.js';
+export { BOUNDARY } from './constants/boundaries.js';
+export { GridModel } from './classes/GridModel.js';
+export { RuleParameters } from './classes/RuleParameters.js';
+export { SimulationEngine } from './classes/SimulationEngine.js';
+export { BatchRunner, OUTPUT_FORMATS } from './classes/BatchRunner.js';
+export { SeededRandom } from './classes/SeededRandom.js';
+export { Benchmark, BENCHMARK_SIZES } from './classes/Benchmark.js';
+export { StateFile, STATE_FILE_FORMAT, STATE_FILE_VERSION } from './classes/StateFile.js';
+export { RLEPattern, RLE_RULE_NAME } from './classes/RLEPattern.js';
+export { ShareLink, MAX_LINK_PATTERN } from './classes/ShareLink.js';
+export { EditHistory, UNDO_MEMORY_LIMIT } from './classes/EditHistory.js';
+export { Timeline, KEYFRAME_INTERVAL, TIMELINE_MEMORY_LIMIT } from './classes/Timeline.js';
+export { RulePresets, PRESET_FILE_FORMAT, PRESET_FILE_VERSION } from './classes/RulePresets.js';
+export { BUILT_IN_PRESETS } from './constants/presets.js';
+export { RuleScript, CONTESTED_WITH, DEFAULT_RULE_SCRIPT_URL } from './classes/RuleScript.js';
@@ -0,0 +1,78 @@
+/**
+ * Web Worker entry point that steps the simulation off the main thread.
+ * The worker keeps its own GridModel and RuleParameters, kept in sync by messages
+ * from SimulationWorker, and answers every step request with copies of the new
+ * per-cell arrays whose buffers are transferred back without copying. The copies are
+ * written into the spare arrays the request brings along (the page's arrays of the
+ * generation before), so after the first steps no generation allocates new buffers.
+ *
+ * Messages received (processed strictly in order):
+ * - { type: 'load', state, rules }: Replace the grid with a GridModel snapshot and the rules
+ * - { type: 'rules', rules }: Replace the rule values (as from RuleParameters.getValues())
+ * - { type: 'cells', cells }: Paint cells, given as a flat [x, y, state, x, y, state, …] list
+ * - { type: 'step', id, spare }: Advance one generation. spare is null or holds arrays to
+ *   reuse for the answer, one per CELL_LAYERS entry and activeTiles; any that do not
+ *   match the grid's size are replaced by new ones
+ *
+ * Messages sent:
+ * - { type: 'stepped', id, generation, layers, activeTiles }: The state after step `id`, one
+ *   array per CELL_LAYERS entry, and the tiles the step evaluated (TileActivity.evaluated)
+ */
+
+import { GridModel, CELL_LAYERS } from './classes/GridModel.js';
+import { RuleParameters } from './classes/RuleParameters.js';
+import { SimulationEngine } from './classes/SimulationEngine.js';
+
+const ruleParams = new RuleParameters();
+let gridModel = null;
+let simulation = null;
+
+/**
+ * Copies an array into a spare one of the same length, or into a new one.
+ *
+ * @param {Uint8Array} source - The array to copy
+ * @param {Uint8Array|undefined} spare - An array that may be overwritten
+ * @returns {Uint8Array} The copy
+ */
+function copyInto(source, spare) {
+    if (!spare || spare.length !== source.length) {
+        return source.slice();
+    }
+    spare.set(source);
+    return spare;
+}
+
+self.addEventListener('message', ({ data }) => {
+    switch (data.type) {
+        case 'load':
+            if (!gridModel) {
+                gridModel = new GridModel(data.state.columns, data.state.rows, 1, data.state.neighborhood, data.state.boundary);
+                simulation = new SimulationEngine(gridModel, ruleParams);
+            }
+            gridModel.restore(data.state);
+            ruleParams.setValues(data.rules);
+            break;
+        case 'rules':
+            ruleParams.setValues(data.rules);
+            break;
+        case 'cells':
+            for (let k = 0; k < data.cells.length; k += 3) {
+                gridModel.setCell(data.cells[k], data.cells[k + 1], data.cells[k + 2]);
+            }
+            break;
+        case 'step': {
+            simulation.step();
+            const spare = data.spare || {};
+            const layers = {};
+            CELL_LAYERS.forEach((layer) => {
+                layers[layer] = copyInto(gridModel[layer], spare[layer]);
+            });
+            const activeTiles = copyInto(gridModel.activity.evaluated, spare.activeTiles);
+            self.postMessage(
+                { type: 'stepped', id: data.id, generation: gridModel.generation, layers, activeTiles },
+                [...Object.values(layers).map((layer) => layer.buffer), activeTiles.buffer]
+            );
+            break;
+        }
+    }
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditHistory } from '../javascript/classes/EditHistory.js';
+import { CELL_LAYERS, GridModel } from '../javascript/classes/GridModel.js';
+import { RLEPattern } from '../javascript/classes/RLEPattern.js';
+import { RuleParameters } from '../javascript/classes/RuleParameters.js';
+import { SeededRandom } from '../javascript/classes/SeededRandom.js';
+import { SimulationEngine } from '../javascript/classes/SimulationEngine.js';
+import { STATE } from '../javascript/constants/state.js';
+
+// Each edit the application records, made to the grid the way the application makes it
+const EDITS = {
+    stroke: (grid) => {
+        for (let column = 3; column < 12; column++) {
+            grid.setCell(column, 7, column % 3 ? STATE.SPECIES_B : STATE.EMPTY);
+        }
+    },
+    clear: (grid) => grid.clear(),
+    randomize: (grid) => {
+        const random = new SeededRandom(11);
+        grid.randomize(0.4, 0.05, () => random.next(), 3);
+    },
+    resize: (grid) => grid.resize(30, 24, 3),
+    // Placed across the right edge, so some of the pattern falls outside the grid
+    pattern: (grid) => {
+        const { width, height, cells } = RLEPattern.decode('x = 4, y = 3\nABCD$2D.A$4C!');
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (26 + x < grid.columns) grid.setCell(26 + x, 5 + y, cells[y * width + x]);
+            }
+        }
+    }
+};
+
+/**
+ * Creates a grid whose generations have filled every cell layer, with a history and
+ * an engine to step it between edits.
+ *
+ * @returns {Object} The grid, its EditHistory and its SimulationEngine
+ */
+function evolvedGrid() {
+    const grid = new GridModel(40, 30, 2);
+    const random = new SeededRandom(9);
+    grid.randomize(0.35, 0.05, () => random.next(), 3);
+    const engine = new SimulationEngine(grid, new RuleParameters({ species: 3, genomes: 1, immunity: 3 }));
+    for (let generation = 0; generation < 10; generation++) {
+        engine.step();
+    }
+    return { grid, history: new EditHistory(grid), engine };
+}
+
+/**
+ * Captures a grid's board: its size, cell size, generation and every cell layer.
+ *
+ * @param {GridModel} grid - The grid
+ * @returns {Object} A snapshot plus cellSize
+ */
+function board(grid) {
+    return { ...grid.snapshot(), cellSize: grid.cellSize };
+}
+
+/**
+ * Asserts that a grid holds a captured board.
+ *
+ * @param {GridModel} grid - The grid
+ * @param {Object} expected - A board returned by board()
+ * @param {string} message - Prefix for failure messages
+ */
+function assertBoard(grid, expected, message) {
+    ['columns', 'rows', 'cellSize', 'generation'].forEach((key) => {
+        assert.equal(grid[key], expected[key], `${message}: ${key}`);
+    });
+    CELL_LAYERS.forEach((layer) => {
+        assert.deepEqual(grid[layer], expected[layer], `${message}: ${layer}`);
+    });
+}
+
+test('every kind of edit undoes and redoes to the exact board', () => {
+    const { grid, history, engine } = evolvedGrid();
+    const boards = [];
+
+    Object.values(EDITS).forEach((edit) => {
+        const before = board(grid);
+        history.record();
+        edit(grid);
+        engine.step();
+        boards.push({ before, after: board(grid) });
+    });
+
+    const names = Object.keys(EDITS);
+    for (let i = names.length - 1; i >= 0; i--) {
+        assert.equal(history.undo(), true);
+        assertBoard(grid, boards[i].before, `undo ${names[i]}`);
+    }
+    assert.equal(history.canUndo, false);
+    assert.equal(history.undo(), false);
+
+    names.forEach((name, i) => {
+        assert.equal(history.redo(), true);
+        assertBoard(grid, boards[i].after, `redo ${name}`);
+    });
+    assert.equal(history.canRedo, false);
+    assert.equal(history.redo(), false);
+});
+
+test('an edit after undo drops the undone edits', () => {
+    const { grid, history } = evolvedGrid();
+    const original = board(grid);
+
+    history.record();
+    EDITS.stroke(grid);
+    history.record();
+    EDITS.clear(grid);
+    history.undo();
+    history.undo();
+    assert.equal(history.canRedo, true);
+
+    history.record();
+    EDITS.pattern(grid);
+    const patterned = board(grid);
+    assert.equal(history.canRedo, false);
+    assert.equal(history.redo(), false);
+    assertBoard(grid, patterned, 'redo after the new edit');
+
+    assert.equal(history.undo(), true);
+    assertBoard(grid, original, 'undo the new edit');
+    assert.equal(history.canUndo, false);
+});
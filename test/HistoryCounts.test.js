@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridModel } from '../javascript/classes/GridModel.js';
+import { HistoryCounts } from '../javascript/classes/HistoryCounts.js';
+import { STATE } from '../javascript/constants/state.js';
+
+test('only infections made by a step are counted', () => {
+    const grid = new GridModel(4, 3, 1);
+    const counts = new HistoryCounts(grid);
+
+    // Painted between steps, then a step that leaves it diseased
+    grid.setCell(0, 0, STATE.DISEASED);
+    counts.sync();
+    counts.accumulate();
+    assert.equal(counts.infections[0], 0);
+
+    // Made diseased by a step
+    counts.sync();
+    grid.grid[1] = STATE.DISEASED;
+    counts.accumulate();
+    assert.equal(counts.infections[1], 1);
+
+    // Painted while a step was being computed
+    counts.sync();
+    grid.setCell(2, 0, STATE.DISEASED);
+    counts.syncCell(2);
+    counts.accumulate();
+    assert.equal(counts.infections[2], 0);
+    assert.equal(counts.generations, 3);
+    assert.equal(counts.dominant(0), STATE.DISEASED);
+});
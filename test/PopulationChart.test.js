@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridModel } from '../javascript/classes/GridModel.js';
+import { RuleParameters } from '../javascript/classes/RuleParameters.js';
+import { SeededRandom } from '../javascript/classes/SeededRandom.js';
+import { SimulationEngine } from '../javascript/classes/SimulationEngine.js';
+import { STATE } from '../javascript/constants/state.js';
+
+// The panel elements PopulationChart looks up when it is loaded, and a canvas that
+// ignores drawing
+globalThis.document = {
+    getElementById: () => ({ textContent: '' }),
+    querySelector: () => ({ hidden: true }),
+    querySelectorAll: () => []
+};
+const canvas = {
+    width: 300,
+    height: 80,
+    getContext: () => new Proxy({}, { get: () => () => {} })
+};
+const { PopulationChart, CHART_LENGTH } = await import('../javascript/classes/PopulationChart.js');
+
+/**
+ * Counts the cells in each state one by one.
+ *
+ * @param {GridModel} grid - The grid
+ * @returns {Object} Cell counts keyed by STATE name
+ */
+function tally(grid) {
+    const counts = {};
+    Object.entries(STATE).forEach(([name, state]) => {
+        counts[name] = 0;
+        for (let row = 0; row < grid.rows; row++) {
+            for (let column = 0; column < grid.columns; column++) {
+                if (grid.getCell(column, row) === state) counts[name]++;
+            }
+        }
+    });
+    return counts;
+}
+
+test('every state is counted after steps and edits', () => {
+    const grid = new GridModel(50, 40, 1);
+    const random = new SeededRandom(3);
+    grid.randomize(0.4, 0.05, () => random.next(), 8);
+    const engine = new SimulationEngine(grid, new RuleParameters({ species: 8, immunity: 3 }));
+    const seen = new Set();
+
+    for (let generation = 1; generation <= 30; generation++) {
+        engine.step();
+        if (generation % 10 === 0) {
+            grid.setCell(generation, 5, STATE.CONTESTED);
+            grid.setCell(generation, 6, STATE.RECOVERED);
+        }
+        const counts = grid.countStates();
+        assert.deepEqual(counts, tally(grid), `generation ${generation}`);
+        assert.equal(Object.values(counts).reduce((sum, count) => sum + count, 0), grid.columns * grid.rows);
+        Object.keys(counts).forEach((name) => {
+            if (counts[name] > 0) seen.add(name);
+        });
+    }
+    assert.deepEqual([...seen].sort(), Object.keys(STATE).sort(), 'not every state had cells');
+});
+
+test('the chart keeps one sample per generation and continues from a past generation', () => {
+    const grid = new GridModel(30, 30, 1);
+    const random = new SeededRandom(4);
+    grid.randomize(0.35, 0.05, () => random.next(), 3);
+    const engine = new SimulationEngine(grid, new RuleParameters({ species: 3 }));
+    const chart = new PopulationChart(canvas, grid);
+    const counts = [];
+
+    for (let generation = 0; generation <= 20; generation++) {
+        chart.update();
+        counts.push(grid.countStates());
+        engine.step();
+    }
+    assert.deepEqual(chart.samples.map((sample) => sample.generation), counts.map((count, generation) => generation));
+    assert.deepEqual(chart.samples.map((sample) => sample.counts), counts);
+
+    // Back to generation 12, e.g. through the timeline, then a different generation 13
+    grid.generation = 12;
+    chart.update();
+    const rewound = grid.countStates();
+    grid.clear();
+    grid.generation = 13;
+    chart.update();
+    assert.equal(chart.samples.length, 14);
+    assert.deepEqual(chart.samples[11].counts, counts[11]);
+    assert.deepEqual(chart.samples[12].counts, rewound);
+    assert.equal(chart.samples[13].counts.EMPTY, grid.columns * grid.rows);
+
+    // Only the last CHART_LENGTH generations are charted
+    for (let generation = 14; generation < CHART_LENGTH + 50; generation++) {
+        grid.generation = generation;
+        chart.update();
+    }
+    assert.equal(chart.samples.length, CHART_LENGTH);
+    assert.equal(chart.samples[0].generation, 50);
+
+    chart.reset();
+    chart.update();
+    assert.equal(chart.samples.length, 1);
+});
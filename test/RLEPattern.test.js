@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridModel } from '../javascript/classes/GridModel.js';
+import { RuleParameters } from '../javascript/classes/RuleParameters.js';
+import { RLEPattern } from '../javascript/classes/RLEPattern.js';
+import { SeededRandom } from '../javascript/classes/SeededRandom.js';
+import { STATE } from '../javascript/constants/state.js';
+
+test('encode and decode round-trip the live cells and the rules', () => {
+    const grid = new GridModel(40, 30, 1);
+    const random = new SeededRandom(7);
+    grid.randomize(0.3, 0.05, () => random.next(), 4);
+    const rules = new RuleParameters({ birth: 2, tau: 5, species: 4 });
+
+    const pattern = RLEPattern.decode(RLEPattern.encode(grid, rules));
+    const bounds = RLEPattern.bounds(grid);
+    assert.equal(pattern.width, bounds.width);
+    assert.equal(pattern.height, bounds.height);
+    for (let row = 0; row < bounds.height; row++) {
+        for (let column = 0; column < bounds.width; column++) {
+            assert.equal(pattern.cells[row * bounds.width + column], grid.getCell(bounds.left + column, bounds.top + row));
+        }
+    }
+    assert.equal(pattern.rules.birth, 2);
+    assert.equal(pattern.rules.tau, 5);
+    assert.equal(pattern.rules.species, 4);
+});
+
+test('two-state Life patterns import as species A', () => {
+    const pattern = RLEPattern.decode('x = 3, y = 3, rule = B3/S23\nbo$2bo$3o!');
+    assert.deepEqual(Array.from(pattern.cells), [0, 1, 0, 0, 0, 1, 1, 1, 1].map((alive) => alive && STATE.SPECIES_A));
+    assert.equal(pattern.rules, null);
+});
+
+test('malformed patterns are rejected', () => {
+    assert.throws(() => RLEPattern.decode('bo$obo!'), SyntaxError);
+    assert.throws(() => RLEPattern.decode('x = 2, y = 1\n2M!'), RangeError);
+    assert.throws(() => RLEPattern.decode('x = 2, y = 1\n2?!'), SyntaxError);
+});
+
+test('oversized patterns and runs are rejected before decoding', () => {
+    assert.throws(() => RLEPattern.decode('x = 100000, y = 100000\no!'), RangeError);
+    assert.throws(() => RLEPattern.decode('x = 3, y = 1\n999999999A!'), RangeError);
+    assert.throws(() => RLEPattern.decode('x = 3, y = 2\n3$A!'), RangeError);
+    assert.throws(() => RLEPattern.decodeCells('A!', -1, 1), RangeError);
+    assert.deepEqual(Array.from(RLEPattern.decodeCells('2A2B!', 3, 1)), [STATE.SPECIES_A, STATE.SPECIES_A, STATE.SPECIES_B]);
+    assert.equal(RLEPattern.decode('x = 0, y = 0\n!').cells.length, 0);
+});
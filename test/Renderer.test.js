@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridModel } from '../javascript/classes/GridModel.js';
+import { HistoryRenderer } from '../javascript/classes/HistoryRenderer.js';
+import { Renderer, packPixel } from '../javascript/classes/Renderer.js';
+import { RuleParameters } from '../javascript/classes/RuleParameters.js';
+import { SeededRandom } from '../javascript/classes/SeededRandom.js';
+import { SimulationEngine } from '../javascript/classes/SimulationEngine.js';
+import { COLORS, GENE_COLORS, colorChannels } from '../javascript/constants/colors.js';
+import { STATE, speciesIndex } from '../javascript/constants/state.js';
+
+/**
+ * Creates a stand-in for a canvas and its 2D context that keeps the regions copied from
+ * image buffers and the rectangles filled.
+ *
+ * @returns {Object} The canvas; its context has puts ([x, y, width, height] of each copy) and fills
+ */
+function recordingCanvas() {
+    const context = {
+        puts: [],
+        fills: [],
+        createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+        putImageData: (image, dx, dy, ...region) => context.puts.push(region.length ? region : [0, 0, image.width, image.height]),
+        fillRect: (...rect) => context.fills.push([context.fillStyle, ...rect]),
+        strokeRect: () => {}
+    };
+    return { width: 0, height: 0, style: {}, getContext: () => context };
+}
+
+/**
+ * Paints the grid pixel by pixel the way it should look: empty cells transparent, the
+ * others in their state's color, or species cells in their gene's color.
+ *
+ * @param {GridModel} grid - The grid
+ * @param {string} colorBy - 'state' or a trait
+ * @returns {Uint32Array} The pixels, a row of the canvas at a time
+ */
+function expectedPixels(grid, colorBy) {
+    const width = grid.pixelWidth();
+    let changes = 0;
+    const pixels = new Uint32Array(width * grid.pixelHeight());
+    for (let row = 0; row < grid.rows; row++) {
+        for (let column = 0; column < grid.columns; column++) {
+            const state = grid.getCell(column, row);
+            if (state === STATE.EMPTY) continue;
+            const channels = colorBy !== 'state' && speciesIndex(state) >= 0
+                ? GENE_COLORS[grid[colorBy][grid.idx(column, row)]]
+                : colorChannels(COLORS[state]);
+            const x = column * grid.cellSize + grid.rowOffset(row);
+            for (let y = row * grid.cellSize; y < (row + 1) * grid.cellSize; y++) {
+                pixels.fill(packPixel([...channels, 255]), y * width + x, y * width + x + grid.cellSize);
+            }
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Creates a hexagonal grid with genomes and an engine to step it, and a renderer that
+ * counts the cells it paints.
+ *
+ * @returns {Object} { grid, engine, renderer, context, painted } with painted() counting and resetting
+ */
+function scene() {
+    const grid = new GridModel(30, 20, 3, { type: 'hex', radius: 1 });
+    const random = new SeededRandom(6);
+    grid.randomize(0.35, 0.05, () => random.next(), 3);
+    const engine = new SimulationEngine(grid, new RuleParameters({ species: 3, genomes: 1, mutation: 0.5 }));
+    const canvas = recordingCanvas();
+    const renderer = new Renderer(canvas, grid);
+    let count = 0;
+    const fillCell = renderer.fillCell.bind(renderer);
+    renderer.fillCell = (...args) => {
+        count++;
+        fillCell(...args);
+    };
+    const painted = () => {
+        const cells = count;
+        count = 0;
+        return cells;
+    };
+    return { grid, engine, renderer, context: canvas.getContext(), painted };
+}
+
+test('a draw repaints the cells that changed and copies only their rows', () => {
+    const { grid, engine, renderer, context, painted } = scene();
+    const width = grid.pixelWidth();
+    let changes = 0;
+
+    renderer.draw();
+    assert.equal(painted(), grid.columns * grid.rows);
+    assert.deepEqual(renderer.pixels, expectedPixels(grid, 'state'));
+
+    for (let generation = 1; generation <= 10; generation++) {
+        const before = grid.grid.slice();
+        engine.step();
+        const changed = [];
+        grid.grid.forEach((state, index) => {
+            if (state !== before[index]) changed.push(Math.floor(index / grid.columns));
+        });
+
+        changes += changed.length;
+
+        context.puts.length = 0;
+        renderer.draw();
+        assert.equal(painted(), changed.length, `generation ${generation}`);
+        assert.deepEqual(renderer.pixels, expectedPixels(grid, 'state'), `generation ${generation}`);
+        const top = Math.min(...changed) * grid.cellSize;
+        const bottom = (Math.max(...changed) + 1) * grid.cellSize;
+        assert.deepEqual(context.puts, changed.length ? [[0, top, width, bottom - top]] : []);
+    }
+    assert.ok(changes > 0, 'no cell changed');
+
+    context.puts.length = 0;
+    renderer.draw();
+    assert.equal(painted(), 0);
+    assert.deepEqual(context.puts, []);
+
+    // Everything is repainted for another coloring, another palette or another canvas size
+    renderer.colorBy = 'fertility';
+    renderer.draw();
+    assert.equal(painted(), grid.columns * grid.rows);
+    assert.deepEqual(renderer.pixels, expectedPixels(grid, 'fertility'));
+
+    const color = COLORS[STATE.DISEASED];
+    try {
+        COLORS[STATE.DISEASED] = '#123456';
+        renderer.draw();
+        assert.equal(painted(), grid.columns * grid.rows);
+        assert.deepEqual(renderer.pixels, expectedPixels(grid, 'fertility'));
+    } finally {
+        COLORS[STATE.DISEASED] = color;
+    }
+
+    grid.resize(24, 18, 4);
+    renderer.updateCanvasSize();
+    renderer.draw();
+    assert.equal(painted(), 24 * 18);
+    assert.deepEqual(renderer.pixels, expectedPixels(grid, 'fertility'));
+});
+
+test('a painted cell repaints and copies just that cell', () => {
+    const { grid, renderer, context, painted } = scene();
+    renderer.drawCell(0, 0);
+    assert.equal(painted(), grid.columns * grid.rows, 'the first draw paints every cell');
+
+    [[4, 3, STATE.SPECIES_B], [29, 19, STATE.RECOVERED], [0, 7, STATE.EMPTY]].forEach(([column, row, state]) => {
+        grid.setCell(column, row, state);
+        context.puts.length = 0;
+        renderer.drawCell(column, row);
+        assert.equal(painted(), 1);
+        assert.deepEqual(context.puts, [[column * 3 + grid.rowOffset(row), row * 3, 3, 3]]);
+        assert.deepEqual(renderer.pixels, expectedPixels(grid, 'state'));
+    });
+
+    // The drawn cells are up to date, so the next draw has nothing to repaint
+    renderer.draw();
+    assert.equal(painted(), 0);
+});
+
+test('a painted cell is blended into its own square of the history', () => {
+    const grid = new GridModel(12, 8, 5, { type: 'hex', radius: 1 });
+    const canvas = recordingCanvas();
+    const history = new HistoryRenderer(canvas, grid);
+    const { fills } = canvas.getContext();
+    fills.length = 0;
+
+    grid.setCell(3, 5, STATE.DISEASED);
+    history.trackCell(3, 5);
+    assert.deepEqual(fills, [[history.colors[STATE.DISEASED], 3 * 5 + grid.rowOffset(5), 25, 5, 5]]);
+});
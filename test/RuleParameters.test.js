@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RuleParameters } from '../javascript/classes/RuleParameters.js';
+import { StateFile } from '../javascript/classes/StateFile.js';
+import { GridModel } from '../javascript/classes/GridModel.js';
+
+test('unlinking starts every species from the values shared at that time', () => {
+    const rules = new RuleParameters({ tau: 2 });
+    rules.setLinked(false);
+    rules.setSpeciesValues(0, { birth: 4 });
+    rules.setLinked(true);
+    rules.setValues({ tau: 5 });
+    rules.setLinked(false);
+
+    rules.getValues().perSpecies.forEach((speciesValues) => {
+        assert.equal(speciesValues.tau, 5);
+        assert.equal(speciesValues.birth, rules.values.birth);
+    });
+});
+
+test('loading linked rules leaves no per-species values behind', () => {
+    const saved = new RuleParameters({ tau: 2 });
+    const grid = new GridModel(20, 10, 1);
+    const state = StateFile.parse(StateFile.stringify(grid, saved, 1));
+
+    const rules = new RuleParameters();
+    rules.setValues(state.rules);
+    rules.setValues({ tau: 6 });
+    rules.setLinked(false);
+    rules.getValues().perSpecies.forEach((speciesValues) => {
+        assert.equal(speciesValues.tau, 6);
+    });
+});
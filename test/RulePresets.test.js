@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PRESET_STORAGE_KEY, RulePresets } from '../javascript/classes/RulePresets.js';
+import { RuleParameters } from '../javascript/classes/RuleParameters.js';
+import { BUILT_IN_PRESETS } from '../javascript/constants/presets.js';
+
+/**
+ * Creates an in-memory Storage, as localStorage is in the browser.
+ *
+ * @returns {Object} getItem and setItem over a Map, and the Map as items
+ */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('an exported collection imports with the same rules, and saved presets reload', () => {
+    const presets = new RulePresets();
+    const unlinked = new RuleParameters({ species: 3, tau: 4 });
+    unlinked.setLinked(false);
+    unlinked.setSpeciesValues(1, { birth: 2, smax: 6 });
+    presets.save('  Unlinked  ', unlinked.getValues());
+    presets.save('Partial', { birth: 4 });
+
+    const storage = memoryStorage();
+    const imported = new RulePresets(storage);
+    const builtIn = BUILT_IN_PRESETS[0];
+    imported.save('Partial', { birth: 1 });
+    const names = imported.importCollection(presets.stringify().replace('"Partial"', JSON.stringify(builtIn.name)));
+
+    // Named like a built-in preset: kept apart from it
+    assert.deepEqual(names, ['Unlinked', `${builtIn.name} (imported)`]);
+    assert.deepEqual(imported.get('Unlinked'), unlinked.getValues());
+    assert.deepEqual(imported.get(`${builtIn.name} (imported)`), presets.get('Partial'));
+    assert.deepEqual(imported.get(builtIn.name), RulePresets.normalize(builtIn.rules));
+    assert.equal(imported.get('Partial').birth, 1);
+
+    const reloaded = new RulePresets(storage);
+    assert.deepEqual(reloaded.list(), imported.list());
+    reloaded.list().forEach(({ name }) => {
+        assert.deepEqual(reloaded.get(name), imported.get(name), name);
+    });
+    assert.equal(reloaded.remove(builtIn.name), false);
+    assert.equal(reloaded.remove('Unlinked'), true);
+    assert.equal(new RulePresets(storage).get('Unlinked'), null);
+});
+
+test('invalid presets and collections are rejected, saving nothing', () => {
+    const storage = memoryStorage();
+    const presets = new RulePresets(storage);
+    presets.save('Kept', { birth: 3 });
+    const stored = storage.items.get(PRESET_STORAGE_KEY);
+    const collection = (fields) => JSON.stringify({ format: 'darwinism-presets', version: 1, ...fields });
+    const valid = { name: 'Valid', rules: { tau: 3 } };
+
+    assert.throws(() => presets.save('  ', { birth: 3 }), RangeError);
+    assert.throws(() => presets.save(BUILT_IN_PRESETS[1].name, { birth: 3 }), RangeError);
+    assert.throws(() => presets.save('Text', { birth: 'three' }), TypeError);
+    [
+        '{"format": "darwinism-presets",',
+        JSON.stringify({ version: 1, presets: [valid] }),
+        collection({ presets: { Valid: valid.rules } }),
+        collection({ version: 2, presets: [valid] }),
+        collection({ presets: [valid, { rules: { tau: 3 } }] }),
+        collection({ presets: [valid, null] }),
+        collection({ presets: [valid, { name: 'Text', rules: { birth: 'three' } }] }),
+        collection({ presets: [valid, { name: 'Infinite', rules: { perSpecies: [{ tau: 'Infinity' }] } }] })
+    ].forEach((text) => {
+        assert.throws(() => presets.importCollection(text), TypeError, text);
+    });
+
+    assert.deepEqual(presets.list().filter(({ builtIn }) => !builtIn), [{ name: 'Kept', builtIn: false }]);
+    assert.equal(storage.items.get(PRESET_STORAGE_KEY), stored);
+});
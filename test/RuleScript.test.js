@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { RuleScript, DEFAULT_RULE_SCRIPT_URL } from '../javascript/classes/RuleScript.js';
+
+/**
+ * Compiles a script and returns the error it is rejected with.
+ *
+ * @param {string} source - The rule script
+ * @returns {SyntaxError} The error
+ */
+function compileError(source) {
+    try {
+        new RuleScript(source);
+    } catch (e) {
+        return e;
+    }
+    assert.fail(`Script was accepted: ${source}`);
+}
+
+test('the built-in rules script compiles', () => {
+    assert.doesNotThrow(() => new RuleScript(readFileSync(DEFAULT_RULE_SCRIPT_URL, 'utf8')));
+});
+
+test('errors name the line and column', () => {
+    [
+        ['when A > -> EMPTY', 1, 10],
+        ['\nwhen A > 1 -> PURPLE', 2, 15],
+        ['when A > 1 and -> EMPTY', 1, 16],
+        ['let x = 1\nlet x = 2', 2, 5],
+        ['when unknown > 1 -> EMPTY', 1, 6],
+        ['when A -> EMPTY', 1, 6]
+    ].forEach(([source, line, column]) => {
+        const error = compileError(source);
+        assert.ok(error instanceof SyntaxError, `${source}: ${error}`);
+        assert.equal(error.line, line, `${source}: ${error.message}`);
+        assert.equal(error.column, column, `${source}: ${error.message}`);
+    });
+});
+
+test('names every object inherits are not built-ins', () => {
+    assert.match(compileError('when toString(A) > 1 -> EMPTY').message, /Unknown function "toString"/);
+    assert.match(compileError('when constructor > 1 -> EMPTY').message, /Unknown name "constructor"/);
+    assert.match(compileError('when any(s in ALL, hasOwnProperty(s)) -> EMPTY').message, /Unknown function "hasOwnProperty"/);
+    assert.match(compileError('when __proto__(s in ALL, true) -> EMPTY').message, /cannot loop over species/);
+    assert.doesNotThrow(() => new RuleScript('let valueOf = 1\nlet toString = valueOf + 1\nwhen A > toString -> EMPTY'));
+    assert.doesNotThrow(() => new RuleScript('when any(constructor in ALL, n(constructor) > 2) -> EMPTY'));
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridModel } from '../javascript/classes/GridModel.js';
+import { RuleParameters } from '../javascript/classes/RuleParameters.js';
+import { ShareLink } from '../javascript/classes/ShareLink.js';
+import { STATE } from '../javascript/constants/state.js';
+
+test('a link round-trips the setup, the rules and a small pattern', () => {
+    const grid = new GridModel(50, 20, 4, { type: 'hex', radius: 1 }, 'mirror');
+    grid.setCell(3, 4, STATE.SPECIES_A);
+    grid.setCell(5, 4, STATE.DISEASED);
+    grid.setCell(6, 9, STATE.SPECIES_B);
+    const rules = new RuleParameters({ birth: 2, species: 3 });
+    rules.setLinked(false);
+    rules.setSpeciesValues(1, { tau: 4 });
+
+    const setup = ShareLink.parse(ShareLink.stringify(grid, rules, 1234));
+    assert.equal(setup.columns, 50);
+    assert.equal(setup.rows, 20);
+    assert.equal(setup.cellSize, 4);
+    assert.deepEqual(setup.neighborhood, { type: 'hex', radius: 1 });
+    assert.equal(setup.boundary, 'mirror');
+    assert.equal(setup.seed, 1234);
+    assert.deepEqual(new RuleParameters(setup.rules).getValues(), rules.getValues());
+
+    const { left, top, width, cells } = setup.pattern;
+    assert.equal(cells[(4 - top) * width + 3 - left], STATE.SPECIES_A);
+    assert.equal(cells[(4 - top) * width + 5 - left], STATE.DISEASED);
+    assert.equal(cells[(9 - top) * width + 6 - left], STATE.SPECIES_B);
+});
+
+test('invalid links are rejected', () => {
+    assert.throws(() => ShareLink.parse('#cols=0'), RangeError);
+    assert.throws(() => ShareLink.parse('#boundary=sphere'), RangeError);
+    assert.throws(() => ShareLink.parse('#birth=x'), TypeError);
+    assert.throws(() => ShareLink.parse('#pattern=0,0,2'), RangeError);
+    assert.throws(() => ShareLink.parse('#pattern=0,0,100000,100000,o!'), RangeError);
+    assert.throws(() => ShareLink.parse('#pattern=0,0,3,1,999999999A!'), RangeError);
+    assert.throws(() => ShareLink.parse('#pattern=99999999,0,1,1,A!'), RangeError);
+    assert.throws(() => ShareLink.parse('#script=when'), SyntaxError);
+});
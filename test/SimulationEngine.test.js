@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { BatchRunner } from '../javascript/classes/BatchRunner.js';
+import { CELL_LAYERS } from '../javascript/classes/GridModel.js';
+import { SeededRandom } from '../javascript/classes/SeededRandom.js';
+import { GENE_NEUTRAL, MUTATION_STEP, TRAITS } from '../javascript/constants/genome.js';
+import { MAX_SPECIES, STATE, speciesIndex } from '../javascript/constants/state.js';
+import { BOUNDARY } from '../javascript/constants/boundaries.js';
+import { DEFAULT_RULE_SCRIPT_URL } from '../javascript/classes/RuleScript.js';
+
+test('explainCell predicts the state step() gives every cell', () => {
+    [
+        { rules: {} },
+        { rules: { species: 4, density: 0.4 } },
+        { rules: { genomes: 1, mutation: 0.2, gdensity: 0.05, density: 0.3 } },
+        { rules: { immunity: 6, gdensity: 0.05 } },
+        { rules: { species: 3, genomes: 1, immunity: 4, marg: 0, cmin: 1 }, neighborhood: { type: 'hex', radius: 1 } },
+        { rules: { iweak: 1, istr: 3, ydec: 3 }, neighborhood: { type: 'von-neumann', radius: 2 }, boundary: 'dead' },
+        { rules: { species: 3, script: readFileSync(DEFAULT_RULE_SCRIPT_URL, 'utf8') } }
+    ].forEach((setup) => {
+        const { gridModel, simulation } = new BatchRunner({ columns: 32, rows: 24, generations: 0, seed: 11, ...setup });
+        for (let generation = 0; generation < 20; generation++) {
+            const explained = [];
+            for (let row = 0; row < gridModel.rows; row++) {
+                for (let column = 0; column < gridModel.columns; column++) {
+                    explained.push(simulation.explainCell(column, row));
+                }
+            }
+            simulation.step();
+            explained.forEach(({ next, reason }, index) => {
+                assert.equal(gridModel.grid[index], next, `${JSON.stringify(setup.rules)}, generation ${generation}, cell ${index}: ${reason}`);
+            });
+        }
+    });
+});
+
+/**
+ * Seeds a grid like a batch run. The reference run replaces the step kernel's shortcuts
+ * with their definitions: every neighbor is resolved through neighborIndex, and the
+ * per-cell loops cover every species.
+ *
+ * @param {Object} setup - BatchRunner options, plus then: rule values set after seeding
+ * @param {boolean} reference - Whether to replace the kernel
+ * @returns {BatchRunner} The runner
+ */
+function seeded(setup, reference) {
+    const runner = new BatchRunner({ columns: 24, rows: 20, generations: 0, seed: 5, ...setup });
+    if (setup.then) runner.ruleParams.setValues(setup.then);
+    if (!reference) return runner;
+
+    const grid = runner.gridModel;
+    const tally = (x, y, buffer, add) => {
+        buffer.fill(0);
+        grid.neighborOffsets[y & 1].forEach(([dx, dy]) => {
+            const index = grid.neighborIndex(x + dx, y + dy);
+            if (index >= 0) add(buffer, index);
+        });
+        return buffer;
+    };
+    grid.countNeighbors = (x, y, counts) => tally(x, y, counts, (buffer, index) => buffer[grid.grid[index]]++);
+    grid.sumNeighbors = (x, y, values, sums) => tally(x, y, sums, (buffer, index) => {
+        buffer[grid.grid[index]] += values[index];
+    });
+    runner.simulation.speciesSpan = () => MAX_SPECIES;
+    return runner;
+}
+
+test('the step kernel matches stepping every neighbor and species the long way', () => {
+    const setups = [
+        { rules: { species: 3 }, then: { species: 2 } },
+        { rules: { species: 6 }, then: { species: 2 } },
+        { rules: { species: 2, perSpecies: [{}, {}, {}, {}, { birth: 0 }] } },
+        { rules: { species: 3, genomes: 1, mutation: 0.2, gdensity: 0.05, immunity: 4 } }
+    ];
+    Object.values(BOUNDARY).forEach((boundary) => {
+        [['moore', 1], ['von-neumann', 1], ['hex', 1], ['moore', 2]].forEach(([type, radius]) => {
+            setups.push({ rules: { species: 3, genomes: 1 }, neighborhood: { type, radius }, boundary });
+        });
+    });
+
+    setups.forEach((setup) => {
+        const fast = seeded(setup, false);
+        const slow = seeded(setup, true);
+        for (let generation = 1; generation <= 12; generation++) {
+            fast.simulation.step();
+            slow.simulation.step();
+            CELL_LAYERS.forEach((layer) => {
+                assert.deepEqual(fast.gridModel[layer], slow.gridModel[layer], `${JSON.stringify(setup)}, generation ${generation}, ${layer}`);
+            });
+        }
+    });
+});
+
+/**
+ * Seeds a grid with genomes whose genes vary from cell to cell.
+ *
+ * @param {number} mutation - The mutation rate
+ * @returns {BatchRunner} The runner
+ */
+function evolving(mutation) {
+    const runner = new BatchRunner({ columns: 64, rows: 64, generations: 0, seed: 8, rules: { species: 3, genomes: 1, mutation } });
+    const random = new SeededRandom(12);
+    TRAITS.forEach((trait) => {
+        const genes = runner.gridModel[trait];
+        for (let index = 0; index < genes.length; index++) {
+            genes[index] = GENE_NEUTRAL - 64 + Math.floor(random.next() * 129);
+        }
+    });
+    return runner;
+}
+
+/**
+ * Finds the cells a step gave birth to: empty or contested cells that became species
+ * cells. Their parents are their neighbors of that species before the step.
+ *
+ * @param {GridModel} grid - The grid after the step
+ * @param {Object} before - A snapshot of the grid before the step
+ * @returns {Array<Object>} Births as { index, parents } with parents the neighbors' indices
+ */
+function births(grid, before) {
+    const born = [];
+    for (let y = 0; y < grid.rows; y++) {
+        for (let x = 0; x < grid.columns; x++) {
+            const index = grid.idx(x, y);
+            const state = grid.grid[index];
+            const previous = before.grid[index];
+            if (speciesIndex(state) < 0 || (previous !== STATE.EMPTY && previous !== STATE.CONTESTED)) continue;
+
+            const parents = [];
+            grid.neighborOffsets[y & 1].forEach(([dx, dy]) => {
+                const neighbor = grid.neighborIndex(x + dx, y + dy);
+                if (neighbor >= 0 && before.grid[neighbor] === state) parents.push(neighbor);
+            });
+            born.push({ index, parents });
+        }
+    }
+    return born;
+}
+
+test('newborn cells inherit the mean of their parents\' genes, without drift', () => {
+    const { gridModel, simulation } = evolving(0);
+    let count = 0;
+    let drift = 0;
+
+    for (let generation = 1; generation <= 15; generation++) {
+        const before = gridModel.snapshot();
+        simulation.step();
+        const born = births(gridModel, before);
+        const bornCells = new Set(born.map(({ index }) => index));
+
+        TRAITS.forEach((trait) => {
+            born.forEach(({ index, parents }) => {
+                const gene = gridModel[trait][index];
+                if (!parents.length) {
+                    assert.equal(gene, GENE_NEUTRAL, `generation ${generation}, ${trait} of orphan ${index}`);
+                    return;
+                }
+                const mean = parents.reduce((sum, parent) => sum + before[trait][parent], 0) / parents.length;
+                assert.ok(gene === Math.floor(mean) || gene === Math.ceil(mean), `generation ${generation}, ${trait} of ${index}: ${gene} from a mean of ${mean}`);
+                count++;
+                drift += gene - mean;
+            });
+            for (let index = 0; index < gridModel.grid.length; index++) {
+                if (!bornCells.has(index)) {
+                    assert.equal(gridModel[trait][index], before[trait][index], `generation ${generation}, ${trait} of unborn ${index}`);
+                }
+            }
+        });
+    }
+    assert.ok(count > 3000, `only ${count} genes were inherited`);
+    assert.ok(Math.abs(drift / count) < 0.03, `inherited genes drift by ${drift / count} on average`);
+});
+
+test('mutations move newborn genes by up to MUTATION_STEP, at the mutation rate', () => {
+    const mutation = 0.3;
+    const { gridModel, ruleParams, simulation } = evolving(mutation);
+    let count = 0;
+    let mutated = 0;
+    let drift = 0;
+
+    for (let generation = 1; generation <= 15; generation++) {
+        // The same step without mutations: the same births and the same rounding
+        const before = gridModel.snapshot();
+        ruleParams.setValues({ mutation: 0 });
+        simulation.step();
+        const inherited = gridModel.snapshot();
+        gridModel.restore(before);
+        ruleParams.setValues({ mutation });
+        simulation.step();
+        assert.deepEqual(gridModel.grid, inherited.grid);
+
+        births(gridModel, before).forEach(({ index }) => {
+            TRAITS.forEach((trait) => {
+                const change = gridModel[trait][index] - inherited[trait][index];
+                assert.ok(Math.abs(change) <= MUTATION_STEP, `generation ${generation}, ${trait} of ${index} moved by ${change}`);
+                count++;
+                if (change) mutated++;
+                drift += change;
+            });
+        });
+    }
+    // A mutation by a step of 0 leaves the gene as it was
+    const expected = mutation * (2 * MUTATION_STEP) / (2 * MUTATION_STEP + 1);
+    assert.ok(count > 3000, `only ${count} genes were inherited`);
+    assert.ok(Math.abs(mutated / count - expected) < 0.03, `${mutated / count} of the genes mutated, expected ${expected}`);
+    assert.ok(Math.abs(drift / count) < 0.2, `mutations drift genes by ${drift / count} on average`);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker as ThreadWorker } from 'node:worker_threads';
+import { BatchRunner } from '../javascript/classes/BatchRunner.js';
+import { CELL_LAYERS } from '../javascript/classes/GridModel.js';
+import { SimulationWorker } from '../javascript/classes/SimulationWorker.js';
+import { STATE } from '../javascript/constants/state.js';
+
+// Runs a worker script in a worker thread, behind the part of the Web Worker API that
+// worker.js and SimulationWorker use
+const BOOTSTRAP = `
+const { parentPort, workerData } = require('node:worker_threads');
+globalThis.self = {
+    addEventListener: (type, listener) => parentPort.on(type, (data) => listener({ data })),
+    postMessage: (message, transfer) => parentPort.postMessage(message, transfer)
+};
+import(workerData);
+`;
+
+globalThis.Worker = class {
+    constructor(url) {
+        this.thread = new ThreadWorker(BOOTSTRAP, { eval: true, workerData: url.href });
+    }
+
+    addEventListener(type, listener) {
+        this.thread.on(type, (data) => listener(type === 'message' ? { data } : data));
+    }
+
+    postMessage(message, transfer) {
+        this.thread.postMessage(message, transfer);
+    }
+
+    terminate() {
+        this.thread.terminate();
+    }
+};
+
+const SETUP = { columns: 40, rows: 30, generations: 0, seed: 9, rules: { species: 3, genomes: 1, immunity: 3, gdensity: 0.05 } };
+
+/**
+ * Asserts that two grids hold the same generation.
+ *
+ * @param {GridModel} actual - The grid stepped through the worker
+ * @param {GridModel} expected - The grid stepped on this thread
+ * @param {string} message - Prefix for failure messages
+ */
+function assertSameGrid(actual, expected, message) {
+    assert.equal(actual.generation, expected.generation, `${message}: generation`);
+    CELL_LAYERS.forEach((layer) => {
+        assert.deepEqual(actual[layer], expected[layer], `${message}: ${layer}`);
+    });
+}
+
+/**
+ * Starts a SimulationWorker that is stopped when the test ends, however it ends.
+ *
+ * @param {TestContext} t - The test
+ * @param {BatchRunner} runner - Holds the grid and rules to simulate
+ * @returns {SimulationWorker} The started worker
+ */
+function startWorker(t, { gridModel, ruleParams }) {
+    const simulation = new SimulationWorker(gridModel, ruleParams);
+    t.after(() => simulation.worker?.terminate());
+    assert.ok(simulation.worker, 'the worker did not start');
+    return simulation;
+}
+
+test('a step through the worker gives the same grid as SimulationEngine.step', { timeout: 20000 }, async (t) => {
+    const runner = new BatchRunner(SETUP);
+    const reference = new BatchRunner(SETUP);
+    const simulation = startWorker(t, runner);
+
+    for (let generation = 1; generation <= 12; generation++) {
+        const stepped = simulation.step();
+        reference.simulation.step();
+        if (generation === 4) {
+            // Painted while the step is in flight: replayed onto its result
+            simulation.setCell(5, 6, STATE.SPECIES_B);
+            reference.gridModel.setCell(5, 6, STATE.SPECIES_B);
+        }
+        assert.equal(await stepped, true);
+        if (generation === 8) {
+            runner.ruleParams.setValues({ birth: 2 });
+            reference.ruleParams.setValues({ birth: 2 });
+        }
+        assertSameGrid(runner.gridModel, reference.gridModel, `generation ${generation}`);
+    }
+});
+
+test('a step result for a grid replaced during the step is dropped', { timeout: 20000 }, async (t) => {
+    const runner = new BatchRunner(SETUP);
+    const { gridModel } = runner;
+    const simulation = startWorker(t, runner);
+    const replacements = {
+        resize: () => gridModel.resize(24, 20, 1),
+        load: () => gridModel.restore(new BatchRunner({ ...SETUP, seed: 10 }).gridModel.snapshot())
+    };
+
+    for (const [name, replace] of Object.entries(replacements)) {
+        const stepped = simulation.step();
+        replace();
+        simulation.sync();
+        const replaced = gridModel.snapshot();
+        assert.equal(await stepped, false, `${name}: the step was not dropped`);
+        assertSameGrid(gridModel, replaced, `${name}: the dropped result was drawn`);
+
+        // The next step starts from the replaced grid
+        const reference = new BatchRunner({ ...SETUP, columns: replaced.columns, rows: replaced.rows });
+        reference.gridModel.restore(replaced);
+        reference.simulation.step();
+        assert.equal(await simulation.step(), true);
+        assertSameGrid(gridModel, reference.gridModel, `${name}: the next step`);
+    }
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridModel, CELL_LAYERS } from '../javascript/classes/GridModel.js';
+import { RuleParameters } from '../javascript/classes/RuleParameters.js';
+import { SimulationEngine } from '../javascript/classes/SimulationEngine.js';
+import { SeededRandom } from '../javascript/classes/SeededRandom.js';
+import { StateFile } from '../javascript/classes/StateFile.js';
+
+test('a saved state restores every layer, the rules and the generation', () => {
+    const grid = new GridModel(32, 24, 2, { type: 'von-neumann', radius: 2 }, 'klein');
+    const rules = new RuleParameters({ genomes: 1, immunity: 3 });
+    const random = new SeededRandom(11);
+    grid.randomize(0.3, 0.05, () => random.next());
+    const engine = new SimulationEngine(grid, rules);
+    for (let i = 0; i < 5; i++) engine.step();
+
+    const saved = StateFile.parse(StateFile.stringify(grid, rules, 99));
+    const restored = new GridModel(1, 1, 1);
+    restored.restore(saved.snapshot);
+    CELL_LAYERS.forEach((layer) => {
+        assert.deepEqual(restored[layer], grid[layer], layer);
+    });
+    assert.equal(restored.generation, 5);
+    assert.equal(restored.boundary, 'klein');
+    assert.equal(saved.cellSize, 2);
+    assert.equal(saved.seed, 99);
+    assert.deepEqual(new RuleParameters(saved.rules).getValues(), rules.getValues());
+});
+
+test('invalid state files are rejected', () => {
+    const text = StateFile.stringify(new GridModel(4, 4, 1), new RuleParameters(), 1);
+    assert.throws(() => StateFile.parse('{'), TypeError);
+    assert.throws(() => StateFile.parse(text.replace('"version":1', '"version":2')), TypeError);
+    assert.throws(() => StateFile.parse(text.replace('"columns":4', '"columns":5')), RangeError);
+});
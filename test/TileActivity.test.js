@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CELL_LAYERS, GridModel } from '../javascript/classes/GridModel.js';
+import { RuleParameters } from '../javascript/classes/RuleParameters.js';
+import { SeededRandom } from '../javascript/classes/SeededRandom.js';
+import { SimulationEngine } from '../javascript/classes/SimulationEngine.js';
+import { BOUNDARY } from '../javascript/constants/boundaries.js';
+import { DEFAULT_RULES } from '../javascript/constants/rules.js';
+import { STATE } from '../javascript/constants/state.js';
+
+// Blob centers on every grid edge and just inside tile corners (tiles are 16 cells), so
+// changes spread into tiles that were not painted and, with wrapping boundaries, around
+// the grid
+const BLOBS = [[0, 40], [50, 0], [127, 95], [34, 34]];
+// Blobs painted into the running grids, every few generations
+const EDITS = [[127, 20], [16, 95], [93, 61], [0, 0], [98, 66]];
+const SPECIES_PAINTS = [STATE.SPECIES_A, STATE.SPECIES_B, STATE.SPECIES_C];
+
+/**
+ * Scales the default neighbor thresholds to a neighborhood's size, so that larger
+ * neighborhoods do not simply fill the grid and leave no tile quiet.
+ *
+ * @param {number} size - The number of neighbors each cell has
+ * @returns {Object} Rule values
+ */
+function scaledRules(size) {
+    const rules = { species: 3, immunity: 3 };
+    ['birth', 'smin', 'smax', 'over', 'cmin', 'istr', 'iweak'].forEach((key) => {
+        rules[key] = Math.round(DEFAULT_RULES[key] * Math.max(size, 8) / 8);
+    });
+    return rules;
+}
+
+/**
+ * Paints a random blob of cells around a center: mostly one species, some disease.
+ *
+ * @param {GridModel} grid - The grid to paint
+ * @param {SeededRandom} random - The generator choosing the states
+ * @param {number} x - The x coordinate of the center
+ * @param {number} y - The y coordinate of the center
+ */
+function paintBlob(grid, random, x, y) {
+    const species = SPECIES_PAINTS[Math.floor(random.next() * SPECIES_PAINTS.length)];
+    for (let row = Math.max(0, y - 2); row <= Math.min(grid.rows - 1, y + 2); row++) {
+        for (let column = Math.max(0, x - 2); column <= Math.min(grid.columns - 1, x + 2); column++) {
+            const draw = random.next();
+            grid.setCell(column, row, draw < 0.6 ? species : draw < 0.65 ? STATE.DISEASED : STATE.EMPTY);
+        }
+    }
+}
+
+test('stepping only the active tiles gives the same grid as a full sweep', () => {
+    Object.values(BOUNDARY).forEach((boundary) => {
+        [['moore', 1], ['moore', 5], ['von-neumann', 1], ['von-neumann', 3], ['hex', 1], ['hex', 2]].forEach(([type, radius]) => {
+            const setup = `${boundary}, ${type} ${radius}`;
+            const runs = [0, 1].map(() => {
+                const grid = new GridModel(128, 96, 1, { type, radius }, boundary);
+                const random = new SeededRandom(7);
+                BLOBS.forEach(([x, y]) => {
+                    paintBlob(grid, random, x, y);
+                });
+                const rules = new RuleParameters(scaledRules(grid.neighborhoodSize));
+                return { grid, random, simulation: new SimulationEngine(grid, rules) };
+            });
+            const [tracked, full] = runs;
+            let skipped = 0;
+
+            for (let generation = 1; generation <= 20; generation++) {
+                if (generation % 4 === 0) {
+                    // Edits wake up the tiles around them, e.g. in a quiet corner
+                    const [x, y] = EDITS[generation / 4 - 1];
+                    runs.forEach(({ grid, random }) => {
+                        paintBlob(grid, random, x, y);
+                    });
+                }
+                full.grid.activity.markAll();
+                runs.forEach(({ simulation }) => {
+                    simulation.step();
+                });
+                skipped += tracked.grid.activity.evaluated.length - tracked.grid.activity.countEvaluated();
+
+                CELL_LAYERS.forEach((layer) => {
+                    assert.deepEqual(tracked.grid[layer], full.grid[layer], `${setup}, generation ${generation}, ${layer}`);
+                });
+            }
+            assert.ok(skipped > 0, `${setup}: no tile was ever skipped`);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridModel, CELL_LAYERS } from '../javascript/classes/GridModel.js';
+import { RuleParameters } from '../javascript/classes/RuleParameters.js';
+import { SimulationEngine } from '../javascript/classes/SimulationEngine.js';
+import { SeededRandom } from '../javascript/classes/SeededRandom.js';
+import { Timeline, KEYFRAME_INTERVAL } from '../javascript/classes/Timeline.js';
+
+test('seek returns to any recorded generation, across keyframes', () => {
+    const grid = new GridModel(40, 40, 1);
+    const random = new SeededRandom(5);
+    grid.randomize(0.35, 0.04, () => random.next());
+    const engine = new SimulationEngine(grid, new RuleParameters());
+    const timeline = new Timeline(grid);
+    const snapshots = [];
+
+    for (let i = 0; i <= KEYFRAME_INTERVAL + 10; i++) {
+        snapshots.push(grid.snapshot());
+        timeline.record();
+        engine.step();
+    }
+
+    [KEYFRAME_INTERVAL + 5, 3, KEYFRAME_INTERVAL, 0, KEYFRAME_INTERVAL + 10].forEach((generation) => {
+        assert.equal(timeline.seek(generation), true);
+        assert.equal(grid.generation, generation);
+        CELL_LAYERS.forEach((layer) => {
+            assert.deepEqual(grid[layer], snapshots[generation][layer], `${layer} at ${generation}`);
+        });
+    });
+    assert.equal(timeline.seek(KEYFRAME_INTERVAL + 50), false);
+});
+
+test('deltas record a change in any cell layer', () => {
+    const grid = new GridModel(20, 20, 1);
+    const timeline = new Timeline(grid);
+    timeline.record();
+    const snapshots = [grid.snapshot()];
+
+    CELL_LAYERS.forEach((layer, i) => {
+        grid[layer][i * 7] = 200 + i;
+        grid.generation++;
+        timeline.record();
+        snapshots.push(grid.snapshot());
+    });
+
+    [0, 3, CELL_LAYERS.length, 1].forEach((generation) => {
+        assert.equal(timeline.seek(generation), true);
+        CELL_LAYERS.forEach((layer) => {
+            assert.deepEqual(grid[layer], snapshots[generation][layer], `${layer} at ${generation}`);
+        });
+    });
+});
@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridModel } from '../javascript/classes/GridModel.js';
+
+/**
+ * Creates a stand-in for a page element that keeps its event listeners, so events can be
+ * dispatched to it.
+ *
+ * @param {Object} properties - The element's other properties
+ * @returns {Object} The element, with dispatch(type, event) calling its listeners
+ */
+function element(properties = {}) {
+    const listeners = {};
+    return {
+        style: {},
+        classList: { add: () => {}, remove: () => {} },
+        setPointerCapture: () => {},
+        addEventListener: (type, listener) => {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        dispatch: (type, event = {}) => {
+            (listeners[type] || []).forEach((listener) => {
+                listener({ preventDefault: () => {}, stopPropagation: () => {}, ...event });
+            });
+        },
+        ...properties
+    };
+}
+
+// The frame sits 30 pixels from the left of the page and 50 from the top, inside a 2 pixel border
+const frame = element({
+    clientWidth: 400,
+    clientHeight: 300,
+    clientLeft: 2,
+    clientTop: 2,
+    getBoundingClientRect: () => ({ left: 30, top: 50 })
+});
+const elements = { 'fit-button': element(), 'zoom-level': element() };
+globalThis.document = {
+    querySelector: (selector) => (selector === '.canvas-container' ? frame : element()),
+    getElementById: (id) => elements[id] || element()
+};
+globalThis.window = element();
+const { Viewport } = await import('../javascript/classes/Viewport.js');
+const { InteractionHandler } = await import('../javascript/classes/InteractionHandler.js');
+
+/**
+ * Where a point of the frame is on the board.
+ *
+ * @param {Viewport} viewport - The viewport
+ * @param {number} x - Horizontal position in the frame, in screen pixels
+ * @param {number} y - Vertical position in the frame, in screen pixels
+ * @returns {Array<number>} [x, y] in canvas pixels
+ */
+function boardPoint(viewport, x, y) {
+    return [(x - viewport.x) / viewport.zoom, (y - viewport.y) / viewport.zoom];
+}
+
+/**
+ * Dispatches a pointer event at a point of the frame.
+ *
+ * @param {string} type - The event type
+ * @param {number} x - Horizontal position in the frame, in screen pixels
+ * @param {number} y - Vertical position in the frame, in screen pixels
+ * @param {Object} event - Other properties of the event
+ */
+function pointer(type, x, y, event = {}) {
+    frame.dispatch(type, { pointerId: 1, button: 0, clientX: 32 + x, clientY: 52 + y, ...event });
+}
+
+/**
+ * Asserts that two points are the same, up to rounding.
+ *
+ * @param {Array<number>} actual - [x, y]
+ * @param {Array<number>} expected - [x, y]
+ * @param {string} message - Failure message
+ */
+function assertSamePoint(actual, expected, message) {
+    assert.ok(Math.hypot(actual[0] - expected[0], actual[1] - expected[1]) < 1e-9, `${message}: ${actual} is not ${expected}`);
+}
+
+test('the wheel zooms around the cursor, between fitting the board and the largest zoom', () => {
+    // 1000 × 600 canvas pixels in a 400 × 300 frame
+    const viewport = new Viewport(new GridModel(250, 150, 4));
+    assert.equal(viewport.zoom, 0.4);
+    assert.deepEqual([viewport.x, viewport.y], [0, 30]);
+    assert.equal(elements['zoom-level'].textContent, '40%');
+
+    [[-600, 0, 120, 90], [-3, 1, 300, 20], [100, 0, 200, 150]].forEach(([deltaY, deltaMode, x, y]) => {
+        const before = boardPoint(viewport, x, y);
+        const zoom = viewport.zoom;
+        pointer('wheel', x, y, { deltaY, deltaMode });
+        // A factor of e for every 500 pixels scrolled, with 16 pixels to a line
+        const scrolled = deltaMode === 1 ? deltaY * 16 : deltaY;
+        assert.ok(Math.abs(viewport.zoom / zoom - Math.exp(-scrolled / 500)) < 1e-12, `zoomed by ${viewport.zoom / zoom}`);
+        assertSamePoint(boardPoint(viewport, x, y), before, `zooming by ${deltaY} at ${x}, ${y}`);
+    });
+
+    pointer('wheel', 200, 150, { deltaY: -1e6, deltaMode: 0 });
+    assert.equal(viewport.zoom, 32);
+    pointer('wheel', 200, 150, { deltaY: 1e6, deltaMode: 0 });
+    assert.equal(viewport.zoom, 0.4);
+    assert.deepEqual([viewport.x, viewport.y], [0, 30]);
+});
+
+test('a middle or Space drag pans, without dragging the board out of the frame', () => {
+    const viewport = new Viewport(new GridModel(250, 150, 4));
+    viewport.zoomAt(2, 0, 0);
+    assert.deepEqual([viewport.x, viewport.y], [0, 0]);
+
+    pointer('pointerdown', 200, 200, { button: 1 });
+    pointer('pointermove', 150, 170);
+    assert.deepEqual([viewport.x, viewport.y], [-50, -30]);
+    pointer('pointermove', 1000, 1000);
+    assert.deepEqual([viewport.x, viewport.y], [0, 0], 'dragged past the top left corner');
+    pointer('pointermove', -5000, -5000);
+    assert.deepEqual([viewport.x, viewport.y], [400 - 2000, 300 - 1200], 'dragged past the bottom right corner');
+    pointer('pointerup', 0, 0);
+    pointer('pointermove', 100, 100);
+    assert.deepEqual([viewport.x, viewport.y], [400 - 2000, 300 - 1200], 'panned after the button was released');
+
+    // Left drags paint, unless Space is held
+    pointer('pointerdown', 100, 100);
+    assert.equal(viewport.pan, null);
+    window.dispatch('keydown', { key: ' ', target: { tagName: 'CANVAS' } });
+    pointer('pointerdown', 100, 100);
+    pointer('pointermove', 300, 200);
+    pointer('pointerup', 300, 200);
+    assert.deepEqual([viewport.x, viewport.y], [400 - 2000 + 200, 300 - 1200 + 100]);
+    assert.equal(viewport.spacePanned, true);
+    window.dispatch('keyup', { key: ' ' });
+    assert.equal(viewport.spaceHeld, false);
+
+    // Fit, and a board smaller than the frame is centered
+    elements['fit-button'].dispatch('click');
+    assert.equal(viewport.zoom, 0.4);
+    viewport.gridModel.resize(50, 40, 4);
+    viewport.fit();
+    assert.deepEqual([viewport.zoom, viewport.x, viewport.y], [1, 100, 70]);
+});
+
+test('a pointer finds the cell under it however the board is zoomed and panned', () => {
+    const grid = new GridModel(250, 150, 4, { type: 'hex', radius: 1 });
+    const viewport = new Viewport(grid);
+    // The canvas's box on the page, which includes the stage's transform
+    const canvas = {
+        width: grid.pixelWidth(),
+        height: grid.pixelHeight(),
+        getBoundingClientRect: () => ({
+            left: 32 + viewport.x,
+            top: 52 + viewport.y,
+            width: canvas.width * viewport.zoom,
+            height: canvas.height * viewport.zoom
+        })
+    };
+    const handler = Object.create(InteractionHandler.prototype);
+    Object.assign(handler, { canvas, gridModel: grid });
+
+    [[1, 0, 0], [3, 120, 80], [7.5, 390, 20], [0.9, 10, 290]].forEach(([zoom, x, y]) => {
+        viewport.zoomAt(zoom, x, y);
+        [[0, 0], [17, 9], [249, 149], [100, 75], [123, 44]].forEach(([column, row]) => {
+            // The middle of the cell on the canvas, then on the page
+            const px = (column + 0.5) * grid.cellSize + grid.rowOffset(row);
+            const py = (row + 0.5) * grid.cellSize;
+            const event = { clientX: 32 + viewport.x + px * viewport.zoom, clientY: 52 + viewport.y + py * viewport.zoom };
+            assert.deepEqual(handler.eventToCell(event), [column, row], `zoom ${viewport.zoom}`);
+        });
+    });
+});
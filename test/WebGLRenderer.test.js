@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridModel } from '../javascript/classes/GridModel.js';
+import { HISTORY_WEIGHTS } from '../javascript/classes/HistoryRenderer.js';
+import { TILE_SIZE } from '../javascript/classes/TileActivity.js';
+import { WebGLCanvas } from '../javascript/classes/WebGLCanvas.js';
+import { WebGLHistoryRenderer } from '../javascript/classes/WebGLHistoryRenderer.js';
+import { WebGLRenderer } from '../javascript/classes/WebGLRenderer.js';
+import { COLORS, colorChannels } from '../javascript/constants/colors.js';
+import { STATE, STATE_SLOTS } from '../javascript/constants/state.js';
+
+/**
+ * Creates a stand-in for a canvas's WebGL context that draws nothing but keeps what the
+ * renderers give it: the contents of every texture, the uniforms of every program, and
+ * the target and pipeline state of every draw and clear. Constants are their own names.
+ *
+ * @param {Object} canvas - The canvas, whose size is the drawing buffer's
+ * @returns {Object} The context, plus draws: the draws and clears in order
+ */
+function recordingContext(canvas) {
+    const state = { texture: null, program: null, framebuffer: null, viewport: null, scissor: null, blend: null, clearColor: null, enabled: new Set() };
+    const draws = [];
+    const gl = {
+        draws,
+        get drawingBufferWidth() {
+            return canvas.width;
+        },
+        get drawingBufferHeight() {
+            return canvas.height;
+        },
+        createTexture: () => ({}),
+        createProgram: () => ({ uniforms: {} }),
+        getProgramParameter: () => true,
+        getShaderParameter: () => true,
+        getUniformLocation: (program, name) => ({ program, name }),
+        bindTexture(target, texture) {
+            state.texture = texture;
+        },
+        texImage2D(target, level, format, width, height, border, sourceFormat, type, data) {
+            Object.assign(state.texture, { format, width, height, data: data && Array.from(data) });
+        },
+        useProgram(program) {
+            state.program = program;
+        },
+        bindFramebuffer(target, framebuffer) {
+            state.framebuffer = framebuffer;
+        },
+        viewport: (...box) => {
+            state.viewport = box;
+        },
+        scissor: (...box) => {
+            state.scissor = box;
+        },
+        blendFuncSeparate: (...factors) => {
+            state.blend = factors;
+        },
+        clearColor: (...color) => {
+            state.clearColor = color;
+        },
+        enable: (capability) => state.enabled.add(capability),
+        disable: (capability) => state.enabled.delete(capability),
+        clear: () => draws.push({ clearColor: state.clearColor, framebuffer: state.framebuffer, viewport: state.viewport }),
+        drawArrays: () => draws.push(pipeline())
+    };
+    const pipeline = () => ({
+        program: state.program,
+        framebuffer: state.framebuffer,
+        viewport: state.viewport,
+        scissor: state.enabled.has('SCISSOR_TEST') ? state.scissor : null,
+        blend: state.enabled.has('BLEND') ? state.blend : null
+    });
+
+    return new Proxy(gl, {
+        get(target, key) {
+            if (key in target) return target[key];
+            if (/^[A-Z0-9_]+$/.test(key)) return key;
+            if (key.startsWith('uniform')) {
+                return (location, ...values) => {
+                    if (location) location.program.uniforms[location.name] = values.length > 1 ? values : values[0];
+                };
+            }
+            return () => ({});
+        }
+    });
+}
+
+/**
+ * Creates a hexagonal grid with a few cells of every state, and a canvas for it.
+ *
+ * @returns {Object} { grid, canvas, gl, surface }
+ */
+function scene() {
+    const grid = new GridModel(20, 12, 3, { type: 'hex', radius: 1 });
+    Object.values(STATE).forEach((state, i) => {
+        grid.setCell(i, i % grid.rows, state);
+        grid.setCell(19 - i, 11 - i % grid.rows, state);
+    });
+    const canvas = { width: 0, height: 0, style: {} };
+    const gl = recordingContext(canvas);
+    return { grid, canvas, gl, surface: new WebGLCanvas(canvas, gl) };
+}
+
+const palette = () => Array.from({ length: STATE_SLOTS }, (_, state) => [...colorChannels(COLORS[state]), 255]).flat();
+
+test('the WebGL renderer uploads the grid, the palette and the layout on every draw', () => {
+    const { grid, canvas, gl, surface } = scene();
+    const renderer = new WebGLRenderer(surface, grid);
+    const { uniforms } = renderer.shader.program;
+    assert.equal(canvas.width, grid.pixelWidth());
+    assert.equal(canvas.height, grid.pixelHeight());
+
+    renderer.draw();
+    assert.deepEqual(renderer.textures.grid, { format: 'LUMINANCE', width: 20, height: 12, data: Array.from(grid.grid) });
+    assert.deepEqual(renderer.textures.stateColors.data, palette());
+    assert.deepEqual(uniforms.uGridSize, [20, 12]);
+    assert.deepEqual(uniforms.uCanvasSize, [canvas.width, canvas.height]);
+    assert.equal(uniforms.uCellSize, 3);
+    assert.equal(uniforms.uHexagonal, 1);
+    assert.equal(uniforms.uColorByGene, 0);
+    assert.equal(uniforms.uShowTiles, 0);
+    assert.deepEqual(gl.draws.at(-1), { program: renderer.shader.program, framebuffer: null, viewport: [0, 0, canvas.width, canvas.height], scissor: null, blend: null });
+
+    // Gene colors, active tiles and a palette change
+    const color = COLORS[STATE.DISEASED];
+    try {
+        COLORS[STATE.DISEASED] = '#123456';
+        grid.vigor[25] = 200;
+        grid.activity.rebuild();
+        renderer.colorBy = 'vigor';
+        renderer.showActiveTiles = true;
+        renderer.drawCell(5, 1);
+        assert.deepEqual(renderer.textures.stateColors.data, palette());
+    } finally {
+        COLORS[STATE.DISEASED] = color;
+    }
+    assert.deepEqual(renderer.textures.genes.data, Array.from(grid.vigor));
+    const { evaluated, tileColumns, tileRows } = grid.activity;
+    assert.deepEqual(renderer.textures.tiles, { format: 'LUMINANCE', width: tileColumns, height: tileRows, data: Array.from(evaluated, (value) => value * 255) });
+    assert.equal(uniforms.uColorByGene, 1);
+    assert.equal(uniforms.uShowTiles, 1);
+    assert.equal(uniforms.uTilePixels, TILE_SIZE * 3);
+
+    grid.resize(30, 10, 4);
+    grid.setNeighborhood('moore', 1);
+    renderer.updateCanvasSize();
+    renderer.draw();
+    assert.deepEqual([renderer.textures.grid.width, renderer.textures.grid.height], [30, 10]);
+    assert.equal(uniforms.uHexagonal, 0);
+    assert.equal(canvas.width, grid.pixelWidth());
+});
+
+test('the WebGL history blends each state with its weight, one texel per cell', () => {
+    const { grid, canvas, gl, surface } = scene();
+    const history = new WebGLHistoryRenderer(surface, grid);
+    const { accumulate, present } = history;
+    // The history framebuffer, with one pixel per cell
+    const texels = { framebuffer: history.framebuffer, viewport: [0, 0, grid.columns, grid.rows] };
+
+    for (let state = 0; state < STATE_SLOTS; state++) {
+        const channels = colorChannels(COLORS[state]).map((channel) => channel / 255);
+        assert.deepEqual(Array.from(history.colors.subarray(state * 4, state * 4 + 4)), [...channels, HISTORY_WEIGHTS[state]].map(Math.fround));
+    }
+    assert.deepEqual(history.clearColor, [...colorChannels(COLORS[STATE.EMPTY]).map((channel) => channel / 255), 1]);
+    assert.deepEqual(history.textures.history, { format: 'RGBA', width: 20, height: 12, data: null });
+    assert.deepEqual(gl.draws[0], { clearColor: history.clearColor, ...texels });
+
+    // A generation: every cell blended over the history, then the overlay drawn
+    gl.draws.length = 0;
+    history.trackChanges();
+    assert.deepEqual(history.textures.grid.data, Array.from(grid.grid));
+    assert.deepEqual(accumulate.program.uniforms.uColors, history.colors);
+    assert.deepEqual(gl.draws, [
+        { program: accumulate.program, ...texels, scissor: null, blend: ['SRC_ALPHA', 'ONE_MINUS_SRC_ALPHA', 'ZERO', 'ONE'] },
+        { program: present.program, framebuffer: null, viewport: [0, 0, canvas.width, canvas.height], scissor: null, blend: null }
+    ]);
+    assert.deepEqual(present.program.uniforms.uClearColor, history.clearColor);
+
+    // A painted cell: only its texel
+    gl.draws.length = 0;
+    history.trackCell(7, 4);
+    assert.deepEqual(gl.draws[0].scissor, [7, 4, 1, 1]);
+    assert.equal(gl.draws[1].scissor, null);
+
+    grid.resize(32, 16, 2);
+    history.handleResize();
+    assert.deepEqual(history.textures.history, { format: 'RGBA', width: 32, height: 16, data: null });
+    assert.deepEqual([canvas.width, canvas.height], [grid.pixelWidth(), grid.pixelHeight()]);
+});
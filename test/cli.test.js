@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+
+const CLI = new URL('../bin/darwinism.js', import.meta.url).pathname;
+
+/**
+ * Runs the command-line tool.
+ *
+ * @param {Array<string>} args - Its arguments
+ * @returns {Object} { status, stdout, stderr }
+ */
+function run(args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
+
+test('a batch run writes one CSV line per reported generation', () => {
+    const { status, stdout } = run(['-c', '16', '-r', '16', '-n', '4', '-k', '2', '-s', '3']);
+    assert.equal(status, 0);
+    const lines = stdout.trim().split('\n');
+    assert.match(lines[0], /^generation,EMPTY,SPECIES_A,/);
+    assert.deepEqual(lines.slice(1).map((line) => line.split(',')[0]), ['0', '2', '4']);
+});
+
+/**
+ * Runs the command-line tool with its output piped to a reader.
+ *
+ * @param {Array<string>} args - Its arguments
+ * @param {Function} read - Receives the child's stdout stream once the run starts
+ * @returns {Promise<Object>} { status, stderr } once the tool has exited
+ */
+function pipe(args, read) {
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, [CLI, ...args]);
+        let stderr = '';
+        child.stderr.on('data', (chunk) => {
+            stderr += chunk;
+        });
+        child.on('close', (status) => resolve({ status, stderr }));
+        read(child.stdout);
+    });
+}
+
+test('a slow reader gets every line', async () => {
+    let text = '';
+    const { status, stderr } = await pipe(['-c', '16', '-r', '16', '-n', '20000', '-s', '3'], (stdout) => {
+        stdout.on('data', (chunk) => {
+            text += chunk;
+        });
+        stdout.pause();
+        setTimeout(() => stdout.resume(), 500);
+    });
+    assert.equal(stderr, '');
+    assert.equal(status, 0);
+    assert.equal(text.split('\n').length, 20003);
+});
+
+test('a reader closing the pipe early ends the run quietly', async () => {
+    const { status, stderr } = await pipe(['-c', '16', '-r', '16', '-n', '1000000', '-s', '3'], (stdout) => {
+        stdout.once('data', () => stdout.destroy());
+    });
+    assert.equal(stderr, '');
+    assert.equal(status, 0);
+});
+
+test('invalid options fail before anything else is printed', () => {
+    ['-c abc', '-n -1', '--format xml', '--boundary sphere', '--radius 9'].forEach((options) => {
+        const { status, stdout, stderr } = run(options.split(' '));
+        assert.equal(status, 1, options);
+        assert.equal(stdout, '', options);
+        assert.doesNotMatch(stderr, /seed/, options);
+        assert.match(stderr, /^darwinism: /, options);
+    });
+});
+
+test('mean traits are reported with genomes, but not while a rule script runs', () => {
+    const options = ['-c', '16', '-r', '16', '-n', '2', '--genomes', '1'];
+    const rules = new URL('../rules/darwinism.rules', import.meta.url).pathname;
+    assert.match(run(options).stdout.split('\n')[0], /,fertility,resistance,vigor$/);
+    assert.doesNotMatch(run([...options, '--script', rules]).stdout.split('\n')[0], /fertility/);
+});